@@ -0,0 +1,22 @@
+-- Migration: Add musical key and tempo columns to singfi_songs and singfi_song_revisions
+-- Run this in your Supabase SQL editor (after database-migration-official-lyrics.sql)
+
+-- Key from the vocal pitch histogram, tempo from onset analysis of the accompaniment (null = not detected)
+alter table singfi_songs
+add column if not exists musical_key text,
+add column if not exists musical_mode text,
+add column if not exists bpm real,
+add column if not exists beat_offset real;
+
+-- Keep them in chart revisions so rollbacks restore them too
+alter table singfi_song_revisions
+add column if not exists musical_key text,
+add column if not exists musical_mode text,
+add column if not exists bpm real,
+add column if not exists beat_offset real;
+
+-- Add comments
+comment on column singfi_songs.musical_key is 'Detected tonic, e.g. ''A'' or ''F#''';
+comment on column singfi_songs.musical_mode is 'Detected mode: ''major'' or ''minor''';
+comment on column singfi_songs.bpm is 'Detected tempo in beats per minute';
+comment on column singfi_songs.beat_offset is 'Time of the first beat in seconds; chart notes are snapped to the beat grid from here';
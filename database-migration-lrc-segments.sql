@@ -0,0 +1,13 @@
+-- Migration: Add lrc_segments column to singfi_songs and singfi_song_revisions
+-- Run this in your Supabase SQL editor (after database-migration-quality.sql)
+
+-- Timed lines from an LRC import (null = segments come from Whisper or the aligned official lyrics)
+alter table singfi_songs
+add column if not exists lrc_segments jsonb;
+
+-- Keep it in chart revisions so rollbacks restore it too
+alter table singfi_song_revisions
+add column if not exists lrc_segments jsonb;
+
+-- Add comment
+comment on column singfi_songs.lrc_segments is 'Segments imported from an LRC file, with their own timings; reused as they are when segments are reprocessed instead of aligning official_lyrics';
@@ -0,0 +1,13 @@
+-- Migration: Add official_lyrics column to singfi_songs and singfi_song_revisions
+-- Run this in your Supabase SQL editor (after database-migration-song-revisions.sql)
+
+-- Official lyrics text submitted for a song (null = segments come straight from Whisper)
+alter table singfi_songs
+add column if not exists official_lyrics text;
+
+-- Keep it in chart revisions so rollbacks restore it too
+alter table singfi_song_revisions
+add column if not exists official_lyrics text;
+
+-- Add comment
+comment on column singfi_songs.official_lyrics is 'Official lyrics aligned to the Whisper word timestamps; one chart segment per line, re-applied when segments are reprocessed';
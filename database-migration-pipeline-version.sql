@@ -0,0 +1,12 @@
+-- Migration: Add pipeline_version column to singfi_songs table
+-- Run this in your Supabase SQL editor
+
+-- Add pipeline_version column (null = processed before versioning existed)
+alter table singfi_songs
+add column if not exists pipeline_version integer;
+
+-- Create index for pipeline_version (used to find stale charts to reprocess)
+create index if not exists idx_singfi_songs_pipeline_version on singfi_songs(pipeline_version);
+
+-- Add comment
+comment on column singfi_songs.pipeline_version is 'Version of the processing pipeline that generated this chart (see PIPELINE_VERSION in server/services/songPipeline.js)';
@@ -0,0 +1,10 @@
+-- Migration: Add the singer's pitch contour to singfi_songs
+-- Run this in your Supabase SQL editor (after database-migration-key-tempo.sql)
+
+-- Raw pitch track downsampled to 40ms frames: { frameSeconds, start, midi: [fractional MIDI or null, ...] }
+-- Derived from the audio, so it's not part of chart revisions
+alter table singfi_songs
+add column if not exists pitch_contour jsonb;
+
+-- Add comments
+comment on column singfi_songs.pitch_contour is 'Downsampled pitch of the original singer ({ frameSeconds, start, midi[] }), drawn under the player''s pitch in-game';
@@ -0,0 +1,23 @@
+-- Migration: Add chart quality columns to singfi_songs
+-- Run this in your Supabase SQL editor (after database-migration-pitch-contour.sql)
+
+-- Computed by the pipeline (server/services/chartQuality.js) whenever a chart is built or reprocessed
+alter table singfi_songs
+add column if not exists quality_score real,
+add column if not exists quality_flagged boolean default false,
+add column if not exists quality_metrics jsonb;
+
+-- Low-scoring charts are listed after the others; the threshold is LOW_QUALITY_SCORE in chartQuality.js
+-- (unscored charts count as fine)
+alter table singfi_songs
+add column if not exists quality_low boolean generated always as (coalesce(quality_score < 0.6, false)) stored;
+
+-- The song list filters on the flag and orders by quality_low, then newest first
+create index if not exists idx_singfi_songs_quality_flagged on singfi_songs(quality_flagged);
+create index if not exists idx_singfi_songs_quality_low_created_at on singfi_songs(quality_low, created_at desc);
+
+-- Add comments
+comment on column singfi_songs.quality_score is 'Chart quality from 0 (broken) to 1, from voicing, note coverage, transcription confidence and pitch stability';
+comment on column singfi_songs.quality_flagged is 'Chart looks broken: hidden from the song list and queued for reprocessing';
+comment on column singfi_songs.quality_metrics is 'Metrics behind the score, plus issues: [{ code, message, stage }]';
+comment on column singfi_songs.quality_low is 'quality_score is below 0.6: listed after the other songs';
@@ -0,0 +1,26 @@
+-- Migration: Add singfi_song_revisions table (chart revision history)
+-- Run this in your Supabase SQL editor
+
+-- Every change to a song's chart is stored as a full snapshot
+create table if not exists singfi_song_revisions (
+  id bigint generated always as identity primary key,
+  youtube_id text not null,
+  source text not null, -- 'pipeline', 'manual', 'import', 'rollback', 'lyrics' (REVISION_SOURCES in server/services/songRevisions.js)
+  author text, -- User UUID or name that made the change (null = system)
+  message text, -- Optional description (e.g. "Reprocessed: pitch, notes")
+  title text,
+  artist text,
+  lyrics text,
+  segments jsonb,
+  notes jsonb,
+  first_verse_start_time numeric,
+  genre text,
+  pipeline_version integer,
+  created_at timestamp default now()
+);
+
+-- Create indexes for faster lookups
+create index if not exists idx_song_revisions_youtube_id on singfi_song_revisions(youtube_id, created_at desc);
+
+-- Add comment
+comment on table singfi_song_revisions is 'Snapshots of singfi_songs charts, one per change, used for history, diffs and rollback';
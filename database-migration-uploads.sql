@@ -0,0 +1,16 @@
+-- Migration: Support songs uploaded as audio files (instead of YouTube videos)
+-- Run this in your Supabase SQL editor
+-- Also create the private "uploads" Storage bucket (see STORAGE_SETUP.md)
+
+-- Where the song's audio comes from: 'youtube' (youtube_id is a video ID) or 'upload'
+-- (youtube_id is a generated "upload-..." id and the file lives in the uploads bucket)
+alter table singfi_songs
+add column if not exists source_type text not null default 'youtube';
+
+-- Path of the uploaded file in the uploads bucket (null for YouTube songs)
+alter table singfi_songs
+add column if not exists audio_path text;
+
+-- Add comments
+comment on column singfi_songs.source_type is 'Audio source: youtube or upload';
+comment on column singfi_songs.audio_path is 'Uploaded audio file path in the uploads Storage bucket';
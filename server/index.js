@@ -16,6 +16,8 @@ import saveSongRoutes from './routes/saveSong.js';
 import searchRoutes from './routes/search.js';
 import songsRoutes from './routes/songs.js';
 import gameSessionRoutes from './routes/gameSession.js';
+import jobsRoutes from './routes/jobs.js';
+import uploadsRoutes from './routes/uploads.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -46,6 +48,8 @@ app.use('/api/saveSong', saveSongRoutes);
 app.use('/api/search', searchRoutes);
 app.use('/api/songs', songsRoutes);
 app.use('/api/game-session', gameSessionRoutes);
+app.use('/api/jobs', jobsRoutes);
+app.use('/api/uploads', uploadsRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
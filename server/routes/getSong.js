@@ -1,5 +1,6 @@
 import express from 'express';
 import { supabase } from '../services/supabase.js';
+import { getUploadedAudioUrl } from '../services/audioUploads.js';
 
 const router = express.Router();
 
@@ -28,6 +29,8 @@ router.get('/', async (req, res) => {
     res.json({
       cached: true,
       ...data,
+      audioUrl: await getUploadedAudioUrl(data.audio_path), // Uploaded songs play from this file
+      pitchContour: data.pitch_contour || null, // Singer's pitch for the in-game reference line
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
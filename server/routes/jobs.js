@@ -0,0 +1,78 @@
+import express from 'express';
+import { getJob, subscribeToJob } from '../services/jobQueue.js';
+
+const router = express.Router();
+
+const PROGRESS_TICK_MS = 2000; // Re-send percent/ETA while a stage is running
+const HEARTBEAT_MS = 15000; // Keep proxies from closing an idle stream
+
+// Get the current stage, timings, error and result of a processing job
+router.get('/:id', (req, res) => {
+  const job = getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.json(job);
+});
+
+// Stream job progress as Server-Sent Events.
+// Events: "progress" (stage changes + periodic percent/ETA), then one "completed" or "failed"
+router.get('/:id/events', (req, res) => {
+  const jobId = req.params.id;
+  const job = getJob(jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // Disable nginx buffering
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  const send = (event, data) => {
+    if (closed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const sendJob = (snapshot) => {
+    if (snapshot.status === 'completed' || snapshot.status === 'failed') {
+      send(snapshot.status, snapshot);
+      cleanup();
+      res.end();
+      return;
+    }
+    // Intermediate updates don't need the (large) result payload
+    send('progress', { ...snapshot, result: null });
+  };
+
+  const unsubscribe = subscribeToJob(jobId, sendJob);
+  const tick = setInterval(() => {
+    const current = getJob(jobId);
+    if (current) sendJob(current);
+  }, PROGRESS_TICK_MS);
+  const heartbeat = setInterval(() => {
+    if (!closed) res.write(': heartbeat\n\n');
+  }, HEARTBEAT_MS);
+
+  function cleanup() {
+    if (closed) return;
+    closed = true;
+    unsubscribe();
+    clearInterval(tick);
+    clearInterval(heartbeat);
+  }
+
+  req.on('close', cleanup);
+
+  // Send the current state right away (the job may already be finished)
+  sendJob(job);
+});
+
+export default router;
@@ -1,15 +1,61 @@
 import express from 'express';
 import { supabase } from '../services/supabase.js';
+import { recordRevision } from '../services/songRevisions.js';
+import { validateChart, normalizeChart, ChartValidationError, CHART_SCHEMA_VERSION } from '../services/chartSchema.js';
+import { attachLyricsToNotes } from '../services/noteLyrics.js';
+import { measureQuality, qualityColumns } from '../services/chartQuality.js';
+import { getArtifactStore } from '../services/artifactCache.js';
 
 const router = express.Router();
 
 router.post('/', async (req, res) => {
   try {
-    const { youtubeId, title, artist, lyrics, segments, genre } = req.body;
+    const { youtubeId, title, artist, lyrics, segments, genre, author, schemaVersion } = req.body;
 
     if (!youtubeId || !segments) {
       return res.status(400).json({ error: 'youtubeId and segments are required' });
     }
+    if (schemaVersion !== undefined && schemaVersion !== CHART_SCHEMA_VERSION) {
+      return res.status(400).json({ error: `Unsupported chart schema version ${schemaVersion} (expected ${CHART_SCHEMA_VERSION})` });
+    }
+
+    // Segments must follow the chart schema (see chartSchema.js) - errors name the bad value, e.g. "segments[3].end"
+    const chart = validateChart({ segments });
+    if (!chart.valid) {
+      return res.status(400).json({ error: 'Invalid segments', errors: chart.errors });
+    }
+
+    // The song's notes are linked to words of the old segments - relink them to the new ones,
+    // and score the chart again since the notes cover the new segments differently
+    const { data: existing, error: loadError } = await supabase
+      .from('singfi_songs')
+      .select('notes')
+      .eq('youtube_id', youtubeId)
+      .maybeSingle();
+
+    if (loadError) {
+      return res.status(500).json({ error: loadError.message });
+    }
+
+    let notes = null;
+    if (existing?.notes) {
+      try {
+        ({ notes } = normalizeChart({ segments: chart.segments, notes: attachLyricsToNotes(existing.notes, chart.segments) }));
+      } catch (notesError) {
+        if (notesError instanceof ChartValidationError) {
+          return res.status(422).json({ error: `Song's notes don't fit the new segments: ${notesError.message}`, errors: notesError.errors });
+        }
+        throw notesError;
+      }
+    }
+
+    const artifacts = getArtifactStore(youtubeId);
+    const quality = measureQuality({
+      segments: chart.segments,
+      notes,
+      pitchData: artifacts.readJson('pitch')?.points || null,
+      transcription: artifacts.readJson('transcription'),
+    });
 
     const { data, error } = await supabase
       .from('singfi_songs')
@@ -18,8 +64,10 @@ router.post('/', async (req, res) => {
         title: title || null,
         artist: artist || null,
         lyrics: lyrics || null,
-        segments: segments,
+        segments: chart.segments,
+        notes,
         genre: genre || null,
+        ...qualityColumns(quality),
       }, {
         onConflict: 'youtube_id',
       })
@@ -30,6 +78,8 @@ router.post('/', async (req, res) => {
       return res.status(500).json({ error: error.message });
     }
 
+    await recordRevision(youtubeId, data, { source: 'manual', author: author || null });
+
     res.json(data);
   } catch (error) {
     res.status(500).json({ error: error.message });
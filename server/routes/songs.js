@@ -1,16 +1,39 @@
 import express from 'express';
 import { supabase } from '../services/supabase.js';
+import { enqueueJob, getActiveJob } from '../services/jobQueue.js';
+import { listRevisions, getRevision, diffCharts, rollbackToRevision } from '../services/songRevisions.js';
+import { reprocessSong, resolveReprocessStages, alignOfficialLyrics, importUltraStarChart, importMidiNotes, importLrcLyrics, PIPELINE_STAGES, PIPELINE_VERSION } from '../services/songPipeline.js';
+import { ChartValidationError } from '../services/chartSchema.js';
+import { exportUltraStar } from '../services/ultrastar.js';
+import { exportMidi } from '../services/midiFile.js';
+import { exportLrc } from '../services/lrc.js';
+import { MAX_LYRICS_WORDS } from '../services/lyricsAlignment.js';
 
 const router = express.Router();
 
+// Raw .mid body for MIDI imports (vocal tracks are a few kilobytes)
+const rawMidi = express.raw({
+  type: ['audio/midi', 'audio/mid', 'audio/x-midi', 'application/octet-stream'],
+  limit: '2mb',
+});
+
 // Get all songs from Supabase (for suggested songs)
+// Songs without a chart yet (uploads still processing, or whose processing failed) and charts flagged
+// as broken are left out (pass ?includeFlagged=true to list flagged ones too), and low-scoring ones
+// (quality_low) come after all the others
 router.get('/', async (req, res) => {
   try {
-    const { limit = 20, offset = 0 } = req.query;
+    const { limit = 20, offset = 0, includeFlagged } = req.query;
 
-    const { data, error } = await supabase
+    let query = supabase
       .from('singfi_songs')
-      .select('youtube_id, title, artist, thumbnail, genre, created_at')
+      .select('youtube_id, title, artist, thumbnail, genre, musical_key, musical_mode, bpm, source_type, quality_score, quality_flagged, created_at')
+      .not('segments', 'is', null); // Upload rows are created before their processing runs
+    if (includeFlagged !== 'true') {
+      query = query.or('quality_flagged.is.null,quality_flagged.eq.false'); // Charts scored before flagging existed stay listed
+    }
+    const { data, error } = await query
+      .order('quality_low', { ascending: true })
       .order('created_at', { ascending: false })
       .range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
 
@@ -21,7 +44,10 @@ router.get('/', async (req, res) => {
 
     // Format the response to match the search results format
     const formattedSongs = (data || []).map(song => {
-      let thumbnailUrl = `https://img.youtube.com/vi/${song.youtube_id}/mqdefault.jpg`; // Default fallback
+      // Uploaded songs have no YouTube video to take a thumbnail from
+      let thumbnailUrl = song.source_type === 'upload'
+        ? null
+        : `https://img.youtube.com/vi/${song.youtube_id}/mqdefault.jpg`; // Default fallback
       
       if (song.thumbnail) {
         // Check if it's a storage path (starts with "thumbnails/") or already a URL
@@ -43,6 +69,12 @@ router.get('/', async (req, res) => {
         channel: song.artist || 'Unknown Artist',
         thumbnail: thumbnailUrl,
         genre: song.genre || null,
+        key: song.musical_key || null,
+        mode: song.musical_mode || null,
+        bpm: song.bpm ?? null,
+        source: song.source_type || 'youtube',
+        quality: song.quality_score ?? null,
+        flagged: song.quality_flagged || false,
       };
     });
 
@@ -53,5 +85,459 @@ router.get('/', async (req, res) => {
   }
 });
 
+// List songs whose chart was built by an older pipeline version (or before versioning existed)
+router.get('/stale', async (req, res) => {
+  try {
+    const { limit = 100, offset = 0 } = req.query;
+
+    const { data, error } = await supabase
+      .from('singfi_songs')
+      .select('youtube_id, title, artist, pipeline_version, created_at')
+      .or(`pipeline_version.is.null,pipeline_version.lt.${PIPELINE_VERSION}`)
+      .order('created_at', { ascending: true })
+      .range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
+
+    if (error) {
+      console.error('Error fetching stale songs:', error);
+      return res.status(500).json({ error: error.message });
+    }
+
+    res.json({ pipelineVersion: PIPELINE_VERSION, songs: data || [] });
+  } catch (error) {
+    console.error('Error in /api/songs/stale:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List charts flagged as broken by the quality check, worst first, with what's wrong with them
+router.get('/flagged', async (req, res) => {
+  try {
+    const { limit = 100, offset = 0 } = req.query;
+
+    const { data, error } = await supabase
+      .from('singfi_songs')
+      .select('youtube_id, title, artist, quality_score, quality_metrics, pipeline_version, created_at')
+      .eq('quality_flagged', true)
+      .order('quality_score', { ascending: true })
+      .range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
+
+    if (error) {
+      console.error('Error fetching flagged songs:', error);
+      return res.status(500).json({ error: error.message });
+    }
+
+    res.json({ songs: data || [] });
+  } catch (error) {
+    console.error('Error in /api/songs/flagged:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Regenerate selected stages of an existing chart, reusing cached artifacts for the rest.
+// Body: { stages: ['pitch', 'music', 'notes', 'firstVerse', 'genre', 'transcription', 'segments', 'separation'] }
+// Returns a job like POST /api/whisper - follow it at GET /api/jobs/:id(/events); 409 while a
+// POST /api/whisper job for the song is still queued or running
+router.post('/:youtubeId/reprocess', async (req, res) => {
+  try {
+    const { youtubeId } = req.params;
+    const { stages, author } = req.body || {};
+
+    let resolvedStages;
+    try {
+      resolvedStages = resolveReprocessStages(stages);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    const { data: song, error } = await supabase
+      .from('singfi_songs')
+      .select('youtube_id')
+      .eq('youtube_id', youtubeId)
+      .maybeSingle();
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+    if (!song) {
+      return res.status(404).json({ error: 'Song not found' });
+    }
+    // Both jobs write the song's artifacts and row - the pipeline run has to finish first
+    const pipelineJob = getActiveJob(youtubeId);
+    if (pipelineJob) {
+      return res.status(409).json({ error: 'Song is still being processed, reprocess it once that job finishes', jobId: pipelineJob.id });
+    }
+
+    const { job, created } = enqueueJob('reprocess', `reprocess:${youtubeId}`, ({ setStage, setProgress }) =>
+      reprocessSong({ youtubeId, stages: resolvedStages, author: author || null }, { onStage: setStage, onProgress: setProgress }),
+      { stages: PIPELINE_STAGES }
+    );
+
+    res.status(202).json({
+      jobId: job.id,
+      status: job.status,
+      stage: job.stage,
+      created,
+      stages: resolvedStages,
+      statusUrl: `/api/jobs/${job.id}`,
+      eventsUrl: `/api/jobs/${job.id}/events`,
+    });
+  } catch (error) {
+    console.error('Error in /api/songs/:youtubeId/reprocess:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Replace a song's segments with official lyrics aligned to the transcript's word timestamps.
+// Body: { lyrics: string (one line per segment), author?, force? }
+// Responds 422 with the match stats when too few words match (pass force: true to save anyway),
+// 413 when the text has more than MAX_LYRICS_WORDS words
+router.put('/:youtubeId/lyrics', async (req, res) => {
+  try {
+    const { youtubeId } = req.params;
+    const { lyrics, author, force } = req.body || {};
+
+    if (typeof lyrics !== 'string' || !lyrics.trim()) {
+      return res.status(400).json({ error: 'lyrics text is required' });
+    }
+    const wordCount = lyrics.trim().split(/\s+/).length;
+    if (wordCount > MAX_LYRICS_WORDS) {
+      return res.status(413).json({ error: `Lyrics text is too long (${wordCount} words, at most ${MAX_LYRICS_WORDS})` });
+    }
+
+    const result = await alignOfficialLyrics({ youtubeId, lyrics, author: author || null, force: force === true });
+    if (!result) {
+      return res.status(404).json({ error: 'Song not found' });
+    }
+    if (!result.applied) {
+      return res.status(422).json({
+        error: `Only ${result.stats.matchedWords} of ${result.stats.officialWords} words matched the transcript - are these the right lyrics?`,
+        stats: result.stats,
+      });
+    }
+
+    res.json({
+      segments: result.segments,
+      lyrics: result.lyrics,
+      stats: result.stats,
+    });
+  } catch (error) {
+    console.error('Error in /api/songs/:youtubeId/lyrics:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Download a chart as an UltraStar TXT file (UltraStar Deluxe, Vocaluxe, ...)
+router.get('/:youtubeId/export/ultrastar', async (req, res) => {
+  try {
+    const { youtubeId } = req.params;
+
+    const { data: song, error } = await supabase
+      .from('singfi_songs')
+      .select('youtube_id, title, artist, genre, segments, notes, bpm, beat_offset, source_type')
+      .eq('youtube_id', youtubeId)
+      .maybeSingle();
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+    if (!song) {
+      return res.status(404).json({ error: 'Song not found' });
+    }
+    if (!song.notes || song.notes.length === 0) {
+      return res.status(422).json({ error: 'Chart has no notes to export' });
+    }
+
+    const fileName = `${song.artist || 'Unknown Artist'} - ${song.title || youtubeId}.txt`.replace(/[\\/:*?"<>|]+/g, '_');
+    res.attachment(fileName); // text/plain download
+    res.send(exportUltraStar(song));
+  } catch (error) {
+    console.error('Error in /api/songs/:youtubeId/export/ultrastar:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Replace a song's chart with an UltraStar TXT chart (creates the song if it doesn't exist yet).
+// Body: { chart: string (file contents), offset?: seconds, player?: 1 | 2 (duets), author? }
+router.put('/:youtubeId/import/ultrastar', async (req, res) => {
+  try {
+    const { youtubeId } = req.params;
+    const { chart, offset = 0, player = 1, author } = req.body || {};
+
+    if (typeof chart !== 'string' || !chart.trim()) {
+      return res.status(400).json({ error: 'chart (UltraStar TXT contents) is required' });
+    }
+    if (!Number.isFinite(Number(offset))) {
+      return res.status(400).json({ error: 'offset must be a number of seconds' });
+    }
+    if (![1, 2].includes(Number(player))) {
+      return res.status(400).json({ error: 'player must be 1 or 2' });
+    }
+
+    let result;
+    try {
+      result = await importUltraStarChart({ youtubeId, text: chart, offset: Number(offset), player: Number(player), author: author || null });
+    } catch (parseError) {
+      if (parseError instanceof ChartValidationError) {
+        return res.status(422).json({ error: parseError.message, errors: parseError.errors });
+      }
+      if (parseError.message.startsWith('UltraStar chart')) {
+        return res.status(422).json({ error: parseError.message });
+      }
+      throw parseError;
+    }
+
+    res.status(result.created ? 201 : 200).json({
+      created: result.created,
+      stats: result.stats,
+      segments: result.chart.segments,
+      notes: result.chart.notes,
+      lyrics: result.chart.lyrics,
+    });
+  } catch (error) {
+    console.error('Error in /api/songs/:youtubeId/import/ultrastar:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Download a chart's vocal melody as a Standard MIDI file, with tempo and lyrics
+router.get('/:youtubeId/export/midi', async (req, res) => {
+  try {
+    const { youtubeId } = req.params;
+
+    const { data: song, error } = await supabase
+      .from('singfi_songs')
+      .select('youtube_id, title, artist, segments, notes, bpm, musical_key, musical_mode')
+      .eq('youtube_id', youtubeId)
+      .maybeSingle();
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+    if (!song) {
+      return res.status(404).json({ error: 'Song not found' });
+    }
+    if (!song.notes || song.notes.length === 0) {
+      return res.status(422).json({ error: 'Chart has no notes to export' });
+    }
+
+    const fileName = `${song.artist || 'Unknown Artist'} - ${song.title || youtubeId}.mid`.replace(/[\\/:*?"<>|]+/g, '_');
+    res.attachment(fileName); // audio/midi download
+    res.send(exportMidi(song));
+  } catch (error) {
+    console.error('Error in /api/songs/:youtubeId/export/midi:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Replace a song's notes with the melody of a MIDI file (the lyrics are kept).
+// Body: the .mid file. Query: ?track=<index>&offset=<seconds>&author=...
+// Without a track, the one named like a vocal part (else the first with notes) is read
+router.put('/:youtubeId/import/midi', rawMidi, async (req, res) => {
+  try {
+    const { youtubeId } = req.params;
+    const { track, offset = 0, author } = req.query;
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'MIDI file body is required' });
+    }
+    if (track !== undefined && !(Number.isInteger(Number(track)) && Number(track) >= 0)) {
+      return res.status(400).json({ error: 'track must be a track index (0 or more)' });
+    }
+    if (!Number.isFinite(Number(offset))) {
+      return res.status(400).json({ error: 'offset must be a number of seconds' });
+    }
+
+    let result;
+    try {
+      result = await importMidiNotes({
+        youtubeId,
+        buffer: req.body,
+        track: track === undefined ? null : Number(track),
+        offset: Number(offset),
+        author: author || null,
+      });
+    } catch (parseError) {
+      if (parseError instanceof ChartValidationError) {
+        return res.status(422).json({ error: parseError.message, errors: parseError.errors });
+      }
+      if (parseError.message.startsWith('MIDI file')) {
+        return res.status(422).json({ error: parseError.message });
+      }
+      throw parseError;
+    }
+
+    if (!result) {
+      return res.status(404).json({ error: 'Song not found' });
+    }
+
+    res.json({
+      stats: result.stats,
+      notes: result.chart.notes,
+      quality: {
+        score: result.chart.quality_score,
+        flagged: result.chart.quality_flagged,
+      },
+    });
+  } catch (error) {
+    console.error('Error in /api/songs/:youtubeId/import/midi:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Download a song's lyrics as LRC. ?enhanced=true adds a <mm:ss.xx> tag before every word
+router.get('/:youtubeId/export/lrc', async (req, res) => {
+  try {
+    const { youtubeId } = req.params;
+    const enhanced = req.query.enhanced === 'true';
+
+    const { data: song, error } = await supabase
+      .from('singfi_songs')
+      .select('youtube_id, title, artist, segments')
+      .eq('youtube_id', youtubeId)
+      .maybeSingle();
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+    if (!song) {
+      return res.status(404).json({ error: 'Song not found' });
+    }
+    if (!song.segments || !song.segments.some(segment => (segment.text || '').trim())) {
+      return res.status(422).json({ error: 'Song has no lyrics to export' });
+    }
+
+    const fileName = `${song.artist || 'Unknown Artist'} - ${song.title || youtubeId}.lrc`.replace(/[\\/:*?"<>|]+/g, '_');
+    res.attachment(fileName);
+    res.type('text/plain; charset=utf-8');
+    res.send(exportLrc(song, { enhanced }));
+  } catch (error) {
+    console.error('Error in /api/songs/:youtubeId/export/lrc:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Replace a song's lyrics with an LRC file (plain or enhanced); the notes are kept and relinked.
+// Body: { lrc: string (file contents), offset?: seconds, author? }
+// Taken as PUT like the other importers, and as POST, the method the LRC endpoints were specified with
+async function importLrc(req, res) {
+  try {
+    const { youtubeId } = req.params;
+    const { lrc, offset = 0, author } = req.body || {};
+
+    if (typeof lrc !== 'string' || !lrc.trim()) {
+      return res.status(400).json({ error: 'lrc (LRC file contents) is required' });
+    }
+    if (!Number.isFinite(Number(offset))) {
+      return res.status(400).json({ error: 'offset must be a number of seconds' });
+    }
+
+    let result;
+    try {
+      result = await importLrcLyrics({ youtubeId, text: lrc, offset: Number(offset), author: author || null });
+    } catch (parseError) {
+      if (parseError instanceof ChartValidationError) {
+        return res.status(422).json({ error: parseError.message, errors: parseError.errors });
+      }
+      if (parseError.message.startsWith('LRC file')) {
+        return res.status(422).json({ error: parseError.message });
+      }
+      throw parseError;
+    }
+
+    if (!result) {
+      return res.status(404).json({ error: 'Song not found' });
+    }
+
+    res.json({
+      stats: result.stats,
+      lyrics: result.chart.lyrics,
+      segments: result.chart.segments,
+      notes: result.chart.notes,
+    });
+  } catch (error) {
+    console.error('Error in /api/songs/:youtubeId/import/lrc:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+router.route('/:youtubeId/import/lrc').put(importLrc).post(importLrc);
+
+// List a song's chart revisions, newest first
+router.get('/:youtubeId/revisions', async (req, res) => {
+  try {
+    const revisions = await listRevisions(req.params.youtubeId);
+    res.json({ revisions });
+  } catch (error) {
+    console.error('Error in /api/songs/:youtubeId/revisions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Diff two revisions: ?from=<revisionId>&to=<revisionId> (omit "to" to compare against the current chart)
+router.get('/:youtubeId/revisions/diff', async (req, res) => {
+  try {
+    const { youtubeId } = req.params;
+    const { from, to } = req.query;
+
+    if (!from) {
+      return res.status(400).json({ error: 'from parameter is required' });
+    }
+
+    const fromRevision = await getRevision(youtubeId, from);
+    if (!fromRevision) {
+      return res.status(404).json({ error: `Revision ${from} not found` });
+    }
+
+    let toChart;
+    if (to) {
+      toChart = await getRevision(youtubeId, to);
+      if (!toChart) {
+        return res.status(404).json({ error: `Revision ${to} not found` });
+      }
+    } else {
+      const { data, error } = await supabase
+        .from('singfi_songs')
+        .select('*')
+        .eq('youtube_id', youtubeId)
+        .maybeSingle();
+
+      if (error) {
+        return res.status(500).json({ error: error.message });
+      }
+      if (!data) {
+        return res.status(404).json({ error: 'Song not found' });
+      }
+      toChart = data;
+    }
+
+    res.json({
+      from: Number(from),
+      to: to ? Number(to) : 'current',
+      ...diffCharts(fromRevision, toChart),
+    });
+  } catch (error) {
+    console.error('Error in /api/songs/:youtubeId/revisions/diff:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Roll a song's chart back to a revision. Body: { author? }
+router.post('/:youtubeId/revisions/:revisionId/rollback', async (req, res) => {
+  try {
+    const { youtubeId, revisionId } = req.params;
+    const { author } = req.body || {};
+
+    const song = await rollbackToRevision(youtubeId, revisionId, { author: author || null });
+    if (!song) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json(song);
+  } catch (error) {
+    console.error('Error in /api/songs/:youtubeId/revisions/:revisionId/rollback:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 export default router;
 
@@ -0,0 +1,72 @@
+import express from 'express';
+import { supabase } from '../services/supabase.js';
+import { enqueueJob } from '../services/jobQueue.js';
+import { processSong, PIPELINE_STAGES } from '../services/songPipeline.js';
+import { createUploadId, detectUploadFormat, saveUploadedAudio, UPLOAD_FORMATS } from '../services/audioUploads.js';
+
+const router = express.Router();
+
+const MAX_UPLOAD_MB = parseInt(process.env.UPLOAD_MAX_MB || '100', 10);
+
+// Raw file body - the browser sends the File directly, no multipart parsing needed
+const rawAudio = express.raw({
+  type: ['audio/*', 'application/octet-stream'],
+  limit: `${MAX_UPLOAD_MB}mb`,
+});
+
+// Upload an mp3/wav/flac and run it through the song pipeline.
+// Body: the audio file. Query: ?filename=song.mp3&title=...&artist=...&owner=...
+// Returns a job like POST /api/whisper, plus the new songId
+router.post('/', rawAudio, async (req, res) => {
+  try {
+    const { filename, title, artist, owner } = req.query;
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'Audio file body is required' });
+    }
+
+    const format = detectUploadFormat(filename, req.get('content-type'));
+    if (!format) {
+      return res.status(400).json({ error: `Unsupported file type (expected: ${Object.keys(UPLOAD_FORMATS).join(', ')})` });
+    }
+
+    const songId = createUploadId();
+    const audioPath = await saveUploadedAudio(songId, req.body, format);
+
+    // Register the song right away so a retry (or GET /api/getSong) knows where its audio is
+    const { error } = await supabase
+      .from('singfi_songs')
+      .upsert({
+        youtube_id: songId,
+        title: title || null,
+        artist: artist || null,
+        owner: owner || null,
+        source_type: 'upload',
+        audio_path: audioPath,
+      }, { onConflict: 'youtube_id' });
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    const { job, created } = enqueueJob('whisper', songId, ({ setStage, setProgress }) =>
+      processSong({ youtubeId: songId, title, artist, owner, audioPath }, { onStage: setStage, onProgress: setProgress }),
+      { stages: PIPELINE_STAGES }
+    );
+
+    res.status(202).json({
+      songId,
+      jobId: job.id,
+      status: job.status,
+      stage: job.stage,
+      created,
+      statusUrl: `/api/jobs/${job.id}`,
+      eventsUrl: `/api/jobs/${job.id}/events`,
+    });
+  } catch (error) {
+    console.error('Upload error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -1,501 +1,12 @@
 import express from "express";
-import { exec } from "child_process";
-import { promisify } from "util";
-import { tmpdir } from "os";
-import { join, dirname } from "path";
-import fs from "fs";
-import { Readable } from "stream";
-import { supabase } from "../services/supabase.js";
-import OpenAI from "openai";
-import { Innertube } from "youtubei.js";
-import { separateVocals } from "../services/vocalSeparation.js";
-import { extractPitch, generateNotesFromPitch } from "../services/pitchExtraction.js";
-import { fileURLToPath } from "url";
-import { getToolPaths, setupTools } from "../utils/downloadTools.js";
+import { enqueueJob, getActiveJob } from "../services/jobQueue.js";
+import { processSong, PIPELINE_STAGES } from "../services/songPipeline.js";
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-// Create vocals directory if it doesn't exist
-// Note: vocals are saved in root/vocals (not server/vocals) to match vocalSeparation.js
-const vocalsDir = join(__dirname, '../../vocals');
-if (!fs.existsSync(vocalsDir)) {
-  fs.mkdirSync(vocalsDir, { recursive: true });
-  console.log('📁 Created vocals directory:', vocalsDir);
-}
-
-const execAsync = promisify(exec);
 const router = express.Router();
 
-// Cache the tool paths
-let toolPaths = null;
-
-// Initialize tools on first use
-async function initializeTools() {
-  if (toolPaths) return toolPaths;
-
-  // Try to get existing tools
-  toolPaths = getToolPaths();
-
-  // If tools don't exist, try to download them (Windows only for now)
-  if (!toolPaths.ytDlp || (process.platform === 'win32' && !toolPaths.ffmpeg)) {
-    console.log('🔧 Setting up tools automatically...');
-    try {
-      const downloaded = await setupTools();
-      toolPaths = downloaded;
-    } catch (err) {
-      console.warn('⚠️ Auto-setup failed, trying system PATH...');
-      // Fall back to PATH
-      toolPaths = {
-        ytDlp: null, // Will try PATH
-        ffmpeg: process.platform === 'win32' ? null : 'ffmpeg',
-      };
-    }
-  }
-
-  return toolPaths;
-}
-
-// Helper to find yt-dlp command
-async function findYtDlpCommand() {
-  await initializeTools();
-
-  // First try local tools
-  if (toolPaths.ytDlp && fs.existsSync(toolPaths.ytDlp)) {
-    return toolPaths.ytDlp;
-  }
-
-  // Fall back to PATH
-  const commands = process.platform === 'win32'
-    ? ['yt-dlp.exe', 'yt-dlp', 'python -m yt_dlp']
-    : ['yt-dlp', 'python3 -m yt_dlp', 'python -m yt_dlp'];
-
-  for (const cmd of commands) {
-    try {
-      await execAsync(`${cmd} --version`);
-      return cmd;
-    } catch (err) {
-      continue;
-    }
-  }
-
-  throw new Error(
-    'yt-dlp not found! Run the server once to auto-download, or install manually:\n' +
-    'Windows: Download from https://github.com/yt-dlp/yt-dlp/releases\n' +
-    'macOS: brew install yt-dlp\n' +
-    'Linux: sudo pip install yt-dlp'
-  );
-}
-
-// Helper to find ffmpeg command
-async function findFfmpegCommand() {
-  await initializeTools();
-
-  // First try local tools (Windows)
-  if (toolPaths.ffmpeg && fs.existsSync(toolPaths.ffmpeg)) {
-    return toolPaths.ffmpeg;
-  }
-
-  // Fall back to PATH
-  const cmd = process.platform === 'win32' ? 'ffmpeg.exe' : 'ffmpeg';
-  try {
-    await execAsync(`${cmd} -version`);
-    return cmd;
-  } catch (err) {
-    throw new Error(
-      'ffmpeg not found! Run the server once to auto-download (Windows), or install manually:\n' +
-      'Windows: https://www.gyan.dev/ffmpeg/builds/\n' +
-      'macOS: brew install ffmpeg\n' +
-      'Linux: sudo apt install ffmpeg'
-    );
-  }
-}
-
-// Lazy-load OpenAI client
-let openaiClient = null;
-const getOpenAI = () => {
-  if (!openaiClient) {
-    const apiKey = process.env.OPENAI_API_KEY;
-    if (!apiKey) {
-      throw new Error('Missing OPENAI_API_KEY environment variable');
-    }
-    openaiClient = new OpenAI({
-      apiKey: apiKey,
-    });
-  }
-  return openaiClient;
-};
-
-// Check if transcription is mostly instrumental symbols (indicates vocals separation failed)
-function isMostlyInstrumental(segments) {
-  if (!segments || segments.length === 0) return false;
-
-  const instrumentalSymbols = ['♪', '♫', '♬', '♩', '♭', '♮', '♯'];
-  let instrumentalCount = 0;
-  let totalSegments = 0;
-
-  segments.forEach(seg => {
-    const text = (seg.text || '').trim();
-    if (text.length > 0) {
-      totalSegments++;
-      // Check if segment is mostly instrumental symbols
-      const isInstrumental = instrumentalSymbols.some(symbol =>
-        text.includes(symbol) || text === symbol || text === symbol + symbol
-      );
-      if (isInstrumental) {
-        instrumentalCount++;
-      }
-    }
-  });
-
-  // If more than 70% of segments are instrumental symbols, consider it failed
-  const instrumentalRatio = totalSegments > 0 ? instrumentalCount / totalSegments : 0;
-  return instrumentalRatio > 0.7;
-}
-
-// Detect music genre using GPT-4o-mini
-async function detectGenre(segments, title, artist, lyrics) {
-  try {
-    if (!segments || segments.length === 0) {
-      return null;
-    }
-
-    // Build context from lyrics and first segments
-    const previewText = lyrics ? lyrics.substring(0, 1000) : segments.slice(0, 15).map(s => s.text || '').join(' ');
-
-    const openai = getOpenAI();
-
-    const messages = [
-      {
-        role: "system",
-        content: "You are a music genre classification expert. Analyze the song and return ONLY one of these genres: Rock, Hip Hop, Pop, Country, R&B, Electronic, Jazz, Classical, Latin, Metal, Folk, Reggae, Blues, Punk, Indie, Other. Return just the genre name, nothing else."
-      },
-      {
-        role: "user",
-        content: `Analyze this song to determine its genre:
-
-Title: "${title || 'Unknown'}"
-Artist: "${artist || 'Unknown'}"
-
-Lyrics preview:
-${previewText}
-
-Based on the lyrics, style, and content, classify this song into one of these genres:
-Rock, Hip Hop, Pop, Country, R&B, Electronic, Jazz, Classical, Latin, Metal, Folk, Reggae, Blues, Punk, Indie, Other
-
-Return ONLY the genre name (e.g., "Rock" or "Hip Hop").`
-      }
-    ];
-
-    console.log('🤖 [GENRE] Detecting genre...');
-    const response = await openai.chat.completions.create({
-      model: "gpt-4.1-nano",
-      messages,
-      max_tokens: 20,
-      temperature: 0.3, // Lower temperature for more consistent classification
-    });
-
-    const result = response.choices[0]?.message?.content?.trim();
-
-    // Validate genre is one of the allowed values
-    const validGenres = ['Rock', 'Hip Hop', 'Pop', 'Country', 'R&B', 'Electronic', 'Jazz', 'Classical', 'Latin', 'Metal', 'Folk', 'Reggae', 'Blues', 'Punk', 'Indie', 'Other'];
-    const detectedGenre = validGenres.find(g => result.toLowerCase().includes(g.toLowerCase())) || 'Other';
-
-    console.log(`✅ [GENRE] Detected genre: ${detectedGenre}`);
-    return detectedGenre;
-  } catch (error) {
-    console.error('❌ [GENRE] Error detecting genre:', error.message);
-    // Fallback: return "Other"
-    return 'Other';
-  }
-}
-
-// Detect first verse start time using GPT-4o-mini
-async function detectFirstVerse(segments, title, artist) {
-  try {
-    if (!segments || segments.length === 0) {
-      return null;
-    }
-
-    // Build context from first 20 segments (to avoid too much context)
-    const previewSegments = segments.slice(0, 20).map((seg, idx) => ({
-      index: idx,
-      start: seg.start || 0,
-      end: seg.end || 0,
-      text: seg.text || ''
-    }));
-
-    const openai = getOpenAI();
-
-    const messages = [
-      {
-        role: "system",
-        content: "You are a music analysis expert. Your task is to identify when the actual song starts (first verse) versus introductions, talking, or other non-song content. Return ONLY the start time in seconds as a number, nothing else."
-      },
-      {
-        role: "user",
-        content: `Analyze these transcription segments from "${title || 'a song'}" by "${artist || 'an artist'}". 
-
-Find when the first verse of the actual song begins (not introductions, talking, or announcements). 
-
-Segments:
-${previewSegments.map(s => `[${s.start.toFixed(1)}s-${s.end.toFixed(1)}s] "${s.text}"`).join('\n')}
-
-Return ONLY the start time in seconds (e.g., 56.0) when the first verse begins. If you can't determine, return the first segment's start time.`
-      }
-    ];
-
-    console.log('🤖 [GPT] Detecting first verse start time...');
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o-mini", // Using gpt-4o-mini (gpt-4.1-nano doesn't exist, this is the smallest available)
-      messages,
-      max_completion_tokens: 80, // As requested
-      top_p: 1.0, // As requested
-      frequency_penalty: 0, // As requested
-      presence_penalty: 0, // As requested
-    });
-
-    const result = response.choices[0]?.message?.content?.trim();
-    const firstVerseTime = parseFloat(result);
-
-    if (isNaN(firstVerseTime) || firstVerseTime < 0) {
-      console.warn('⚠️ [GPT] Invalid first verse time returned, using first segment start');
-      return segments[0]?.start || 0;
-    }
-
-    console.log(`✅ [GPT] First verse detected at ${firstVerseTime.toFixed(2)}s`);
-    return firstVerseTime;
-  } catch (error) {
-    console.error('❌ [GPT] Error detecting first verse:', error.message);
-    // Fallback: return first segment start time
-    return segments[0]?.start || 0;
-  }
-}
-
-// Helper function to retry file operations on Windows
-async function retryFileOperation(operation, maxRetries = 5, delay = 200) {
-  for (let i = 0; i < maxRetries; i++) {
-    try {
-      return await operation();
-    } catch (err) {
-      const isFileLocked = err.message.includes('being used by another process') ||
-        err.message.includes('EACCES') ||
-        err.message.includes('EBUSY');
-
-      if (isFileLocked && i < maxRetries - 1) {
-        console.log(`⚠️ File locked, retrying in ${delay}ms... (attempt ${i + 1}/${maxRetries})`);
-        await new Promise(resolve => setTimeout(resolve, delay));
-        delay *= 1.5; // Exponential backoff
-        continue;
-      }
-      throw err;
-    }
-  }
-}
-
-// Helper function to compress audio if it exceeds Whisper's 25 MB limit
-async function ensureAudioSizeLimit(audioBuffer, maxSizeBytes = 24.5 * 1024 * 1024) {
-  const currentSize = audioBuffer.length;
-  const maxSizeMB = (maxSizeBytes / 1024 / 1024).toFixed(2);
-  const currentSizeMB = (currentSize / 1024 / 1024).toFixed(2);
-  
-  if (currentSize <= maxSizeBytes) {
-    console.log(`✅ [SIZE CHECK] Audio size OK: ${currentSizeMB}MB (limit: ${maxSizeMB}MB)`);
-    return audioBuffer;
-  }
-
-  const overage = currentSize - maxSizeBytes;
-  const overageMB = (overage / 1024 / 1024).toFixed(2);
-  console.warn(`⚠️ [SIZE CHECK] Audio too large: ${currentSizeMB}MB (${overageMB}MB over limit of ${maxSizeMB}MB), compressing...`);
-  
-  // Write buffer to temp file
-  const tempInput = join(tmpdir(), `compress-input-${Date.now()}-${Math.random().toString(36).substring(2, 9)}.wav`);
-  const tempOutput = join(tmpdir(), `compress-output-${Date.now()}-${Math.random().toString(36).substring(2, 9)}.wav`);
-
-  try {
-    // Write original audio to temp file
-    await retryFileOperation(async () => {
-      fs.writeFileSync(tempInput, audioBuffer);
-    });
-
-    const ffmpegCmd = await findFfmpegCommand();
-    
-    // Calculate target sample rate based on current size
-    // Use 24.5 MB as safe limit (0.5 MB buffer)
-    const sizeRatio = currentSize / maxSizeBytes;
-    let targetSampleRate = 16000;
-    
-    // For files even slightly over, reduce sample rate proportionally
-    // Calculate needed reduction: if file is X% over, reduce sample rate by similar %
-    if (sizeRatio > 1.3) {
-      targetSampleRate = 8000; // Very aggressive for files >30% over
-      console.log(`   → [COMPRESS] Using 8kHz sample rate (file is ${(sizeRatio * 100).toFixed(1)}% over limit)`);
-    } else if (sizeRatio > 1.1) {
-      targetSampleRate = 12000; // Moderate reduction for files 10-30% over
-      console.log(`   → [COMPRESS] Using 12kHz sample rate (file is ${(sizeRatio * 100).toFixed(1)}% over limit)`);
-    } else {
-      // For small overages (1-10%), use 14kHz to reduce just enough
-      targetSampleRate = 14000;
-      console.log(`   → [COMPRESS] Using 14kHz sample rate (file is ${(sizeRatio * 100).toFixed(1)}% over limit)`);
-    }
-
-    // Recompress with lower sample rate
-    await execAsync(
-      `"${ffmpegCmd}" -y -i "${tempInput}" -ac 1 -ar ${targetSampleRate} -acodec pcm_s16le -f wav "${tempOutput}"`
-    );
-
-    // Wait for file to be written
-    await new Promise(resolve => setTimeout(resolve, 200));
-
-    // Read compressed audio
-    let compressedBuffer = await retryFileOperation(async () => {
-      return fs.readFileSync(tempOutput);
-    });
-
-    let newSize = compressedBuffer.length;
-    const newSizeMB = (newSize / 1024 / 1024).toFixed(2);
-    const reduction = ((1 - newSize / currentSize) * 100).toFixed(1);
-    console.log(`   ✅ [COMPRESS] Compressed to ${newSizeMB}MB (${reduction}% reduction)`);
-
-    // If still too large, try progressively lower sample rates
-    const sampleRates = [12000, 10000, 8000];
-    for (const rate of sampleRates) {
-      if (newSize <= maxSizeBytes) break;
-      if (rate >= targetSampleRate) continue; // Skip if we already tried this rate
-      
-      console.warn(`   ⚠️ [COMPRESS] Still too large (${newSizeMB}MB), trying ${rate}Hz...`);
-      await execAsync(
-        `"${ffmpegCmd}" -y -i "${tempInput}" -ac 1 -ar ${rate} -acodec pcm_s16le -f wav "${tempOutput}"`
-      );
-      await new Promise(resolve => setTimeout(resolve, 200));
-      compressedBuffer = await retryFileOperation(async () => {
-        return fs.readFileSync(tempOutput);
-      });
-      newSize = compressedBuffer.length;
-      console.log(`   → [COMPRESS] Now ${(newSize / 1024 / 1024).toFixed(2)}MB`);
-    }
-
-    // Final check
-    if (newSize > maxSizeBytes) {
-      console.error(`   ❌ [COMPRESS] Cannot compress below limit. Final size: ${(newSize / 1024 / 1024).toFixed(2)}MB`);
-      throw new Error(`Audio file too large even after compression: ${(newSize / 1024 / 1024).toFixed(2)}MB (limit: ${maxSizeMB}MB)`);
-    }
-
-    console.log(`   ✅ [COMPRESS] Final size: ${(newSize / 1024 / 1024).toFixed(2)}MB (under limit)`);
-
-    // Clean up temp files
-    try {
-      if (fs.existsSync(tempInput)) fs.unlinkSync(tempInput);
-      if (fs.existsSync(tempOutput)) fs.unlinkSync(tempOutput);
-    } catch (cleanupErr) {
-      console.warn(`⚠️ Failed to cleanup temp compression files: ${cleanupErr.message}`);
-    }
-
-    return compressedBuffer;
-
-  } catch (err) {
-    // Clean up on error
-    try {
-      if (fs.existsSync(tempInput)) fs.unlinkSync(tempInput);
-      if (fs.existsSync(tempOutput)) fs.unlinkSync(tempOutput);
-    } catch (cleanupErr) {
-      // Ignore cleanup errors
-    }
-    
-    console.error(`❌ [COMPRESS] Compression failed: ${err.message}`);
-    throw new Error(`Failed to compress audio: ${err.message}`);
-  }
-}
-
-// STEP 1 — Download + Convert into perfect Whisper WAV file
-async function youtubeToWavBuffer(youtubeUrl) {
-  const ts = Date.now();
-  const randomId = Math.random().toString(36).substring(2, 9);
-  const tempInput = join(tmpdir(), `audio-${ts}-${randomId}.m4a`);
-  const tempOutput = join(tmpdir(), `audio-${ts}-${randomId}.wav`);
-
-  try {
-    // Find yt-dlp command (auto-downloads if needed)
-    const ytDlpCmd = await findYtDlpCommand();
-    console.log(`✅ Using yt-dlp: ${ytDlpCmd}`);
-
-    // Download best audio using yt-dlp
-    await execAsync(`${ytDlpCmd} -f bestaudio -o "${tempInput}" "${youtubeUrl}"`);
-
-    // Wait a bit to ensure file is fully closed on Windows
-    await new Promise(resolve => setTimeout(resolve, 100));
-
-    // Verify file exists and is readable
-    await retryFileOperation(async () => {
-      if (!fs.existsSync(tempInput)) {
-        throw new Error('Downloaded file does not exist');
-      }
-      // Try to open file to ensure it's not locked
-      const fd = fs.openSync(tempInput, 'r');
-      fs.closeSync(fd);
-    });
-
-    // Find ffmpeg command (auto-downloads on Windows if needed)
-    const ffmpegCmd = await findFfmpegCommand();
-    console.log(`✅ Using ffmpeg: ${ffmpegCmd}`);
-
-    // Convert to WAV 16kHz mono
-    await execAsync(
-      `"${ffmpegCmd}" -y -i "${tempInput}" -ac 1 -ar 16000 -f wav "${tempOutput}"`
-    );
-
-    // Wait a bit to ensure output file is fully written
-    await new Promise(resolve => setTimeout(resolve, 100));
-
-    // Read the output file with retry
-    const buffer = await retryFileOperation(async () => {
-      return fs.readFileSync(tempOutput);
-    });
-
-    // Clean up temp files with retry
-    const cleanup = async (filePath) => {
-      try {
-        await retryFileOperation(async () => {
-          if (fs.existsSync(filePath)) {
-            fs.unlinkSync(filePath);
-          }
-        }, 3, 100);
-      } catch (cleanupErr) {
-        console.warn(`⚠️ Failed to cleanup ${filePath}:`, cleanupErr.message);
-      }
-    };
-
-    // Clean up asynchronously (don't block)
-    cleanup(tempInput).catch(() => { });
-    cleanup(tempOutput).catch(() => { });
-
-    return buffer;
-  } catch (err) {
-    console.error("FFMPEG/YTDLP ERROR:", err);
-
-    // Clean up on error
-    try {
-      if (fs.existsSync(tempInput)) fs.unlinkSync(tempInput);
-      if (fs.existsSync(tempOutput)) fs.unlinkSync(tempOutput);
-    } catch (cleanupErr) {
-      // Ignore cleanup errors
-    }
-
-    // Provide helpful error message
-    if (err.message.includes('not recognized') || err.message.includes('not found')) {
-      throw new Error(
-        `yt-dlp or ffmpeg not found in PATH. Please install:\n` +
-        `- yt-dlp: https://github.com/yt-dlp/yt-dlp/releases\n` +
-        `- ffmpeg: https://ffmpeg.org/download.html\n` +
-        `Make sure they are in your system PATH.`
-      );
-    }
-
-    throw new Error(`Audio processing failed: ${err.message}`);
-  }
-}
-
-// STEP 3 — Group segments into proper verse lines using AI
+// Queue the song pipeline and return the job id right away.
+// Progress and the final chart are available from GET /api/jobs/:id,
+// or streamed as Server-Sent Events from GET /api/jobs/:id/events
 router.post("/", async (req, res) => {
   try {
     const { youtubeId, title, artist, owner } = req.body;
@@ -503,612 +14,27 @@ router.post("/", async (req, res) => {
     if (!youtubeId)
       return res.status(400).json({ error: "youtubeId required" });
 
-    // Check cache first (RLS policies will filter based on owner)
-    // Note: If using RLS, ensure policies allow public access OR use service role key
-    const { data: cached, error: cacheError } = await supabase
-      .from("singfi_songs")
-      .select("*")
-      .eq("youtube_id", youtubeId)
-      .single();
-
-    if (cached && cached.segments) {
-      // Check if cached transcription is mostly instrumental symbols (indicates vocals separation failed)
-      const cachedIsInstrumental = isMostlyInstrumental(cached.segments);
-
-      if (cachedIsInstrumental) {
-        console.warn('⚠️ Cached transcription is mostly instrumental symbols (♪♪)');
-        console.warn('   → This indicates vocals separation failed - re-transcribing with original audio...');
-        console.log('   → Re-processing and will update database with new transcription...');
-
-        // Continue with full processing to get better transcription
-        // The upsert at the end will update the existing record with new lyrics and segments
-      } else if (cached.first_verse_start_time !== null && cached.first_verse_start_time !== undefined) {
-        // Cache is good - return it
-        console.log('✅ Loaded from cache:', youtubeId);
-        console.log('📝 Cached segments:', cached.segments.length, 'verse lines');
-        console.log('🎵 First verse start time:', cached.first_verse_start_time);
-
-        // Return cached data including firstVerseStartTime
-        return res.json({
-          cached: true,
-          segments: cached.segments,
-          lyrics: cached.lyrics || '',
-          notes: cached.notes || null,
-          title: cached.title || null,
-          artist: cached.artist || null,
-          thumbnail: cached.thumbnail || null,
-          firstVerseStartTime: cached.first_verse_start_time,
-          genre: cached.genre || null,
-        });
-      } else {
-        console.log('⚠️ Cache exists but missing first_verse_start_time, detecting first verse from cached segments...');
-
-        // Reuse cached segments and only detect first verse
-        try {
-          const firstVerseStartTime = await detectFirstVerse(cached.segments, cached.title || title, cached.artist || artist);
-
-          // Update database with first verse start time
-          const { error: updateError } = await supabase
-            .from("singfi_songs")
-            .update({ first_verse_start_time: firstVerseStartTime })
-            .eq("youtube_id", youtubeId);
-
-          if (updateError) {
-            console.error('❌ [UPDATE] Error updating first_verse_start_time:', updateError.message);
-          } else {
-            console.log(`✅ [UPDATE] Updated first_verse_start_time to ${firstVerseStartTime.toFixed(2)}s`);
-          }
-
-          // Return cached data with newly detected first verse
-          return res.json({
-            cached: true,
-            segments: cached.segments,
-            lyrics: cached.lyrics || '',
-            notes: cached.notes || null,
-            title: cached.title || null,
-            artist: cached.artist || null,
-            thumbnail: cached.thumbnail || null,
-            firstVerseStartTime: firstVerseStartTime,
-            genre: cached.genre || null,
-          });
-        } catch (error) {
-          console.error('❌ [FIRST VERSE] Error detecting first verse from cache:', error.message);
-          // Fallback: continue with full processing
-          console.log('⚠️ Falling back to full processing...');
-        }
-      }
-
-      // Check if notes are missing - if so, retry pitch extraction only
-      if (!cached.notes || (Array.isArray(cached.notes) && cached.notes.length === 0)) {
-        console.log('⚠️ [CACHE] Cached song has no notes, retrying pitch extraction...');
-
-        // Try to load vocals from file
-        const vocalsFilePath = join(vocalsDir, `${youtubeId}.wav`);
-        if (fs.existsSync(vocalsFilePath)) {
-          console.log(`   → [RETRY PITCH] Found vocals file: ${vocalsFilePath}`);
-          try {
-            const vocalsBuffer = fs.readFileSync(vocalsFilePath);
-            console.log(`   → [RETRY PITCH] Loaded vocals: ${(vocalsBuffer.length / 1024 / 1024).toFixed(2)}MB`);
-
-            // Extract pitch from vocals
-            const pitchStart = Date.now();
-            const pitchExtractionPromise = extractPitch(vocalsBuffer);
-            const timeoutPromise = new Promise((_, reject) =>
-              setTimeout(() => reject(new Error('Pitch extraction timeout (60s)')), 60000)
-            );
-
-            const pitchData = await Promise.race([pitchExtractionPromise, timeoutPromise]);
-            const pitchTime = ((Date.now() - pitchStart) / 1000).toFixed(1);
-
-            if (pitchData && pitchData.length > 0) {
-              console.log(`   ✅ [RETRY PITCH] Extracted ${pitchData.length} pitch points in ${pitchTime}s`);
-              const notes = generateNotesFromPitch(pitchData, cached.segments);
-              console.log(`   ✅ [RETRY PITCH] Generated ${notes.length} notes`);
-
-              // Update cache with notes
-              await supabase
-                .from("singfi_songs")
-                .update({ notes: notes })
-                .eq("youtube_id", youtubeId);
-
-              console.log('   ✅ [RETRY PITCH] Updated cache with notes');
-
-              return res.json({
-                cached: true,
-                segments: cached.segments,
-                lyrics: cached.lyrics,
-                notes: notes,
-                title: cached.title,
-                artist: cached.artist,
-                thumbnail: cached.thumbnail || null,
-                firstVerseStartTime: cached.first_verse_start_time || null,
-                genre: cached.genre || null,
-              });
-            } else {
-              console.warn('   ⚠️ [RETRY PITCH] No pitch data extracted, returning cached without notes');
-            }
-          } catch (retryError) {
-            console.error('   ❌ [RETRY PITCH] Pitch extraction retry failed:', retryError.message);
-            console.warn('   ⚠️ [RETRY PITCH] Returning cached without notes');
-          }
-        } else {
-          console.warn(`   ⚠️ [RETRY PITCH] Vocals file not found: ${vocalsFilePath}`);
-          console.warn('   ⚠️ [RETRY PITCH] Cannot retry pitch extraction, returning cached without notes');
-        }
-      }
-
-      // Return cached data (with or without notes)
-      return res.json({
-        cached: true,
-        segments: cached.segments,
-        lyrics: cached.lyrics,
-        notes: cached.notes || null, // Notes from vocals pitch extraction
-        title: cached.title,
-        artist: cached.artist,
-        thumbnail: cached.thumbnail || null,
-        firstVerseStartTime: cached.first_verse_start_time || null,
-        genre: cached.genre || null,
-      });
-    }
-
-    // If cache check failed due to RLS (not found), continue processing
-    if (cacheError && cacheError.code !== 'PGRST116') {
-      console.warn('⚠️ Cache check error (continuing anyway):', cacheError.message);
-    }
-
-    const youtubeUrl = `https://www.youtube.com/watch?v=${youtubeId}`;
-    console.log("Processing:", youtubeUrl);
-    console.log("⚡ Using parallel processing for speed...");
-
-    // Helper function to fetch and upload thumbnail
-    const fetchThumbnail = async () => {
-      try {
-        console.log("📸 Fetching YouTube thumbnail...");
-        const thumbnailUrl = `https://img.youtube.com/vi/${youtubeId}/maxresdefault.jpg`;
-
-        const thumbnailResponse = await fetch(thumbnailUrl);
-        if (thumbnailResponse.ok) {
-          const thumbnailBuffer = Buffer.from(await thumbnailResponse.arrayBuffer());
-          const storagePath = `thumbnails/${youtubeId}.jpg`;
-
-          const { error: thumbUploadError } = await supabase
-            .storage
-            .from('thumbnails')
-            .upload(storagePath, thumbnailBuffer, {
-              contentType: 'image/jpeg',
-              upsert: true
-            });
-
-          if (thumbUploadError) {
-            console.warn('⚠️ Failed to upload thumbnail:', thumbUploadError.message);
-            return thumbnailUrl;
-          }
-          console.log(`✅ Thumbnail saved: ${(thumbnailBuffer.length / 1024).toFixed(2)}KB`);
-          return storagePath;
-        } else {
-          // Try hqdefault fallback
-          const hqUrl = `https://img.youtube.com/vi/${youtubeId}/hqdefault.jpg`;
-          const hqResponse = await fetch(hqUrl);
-          if (hqResponse.ok) {
-            const thumbnailBuffer = Buffer.from(await hqResponse.arrayBuffer());
-            const storagePath = `thumbnails/${youtubeId}.jpg`;
-
-            const { error } = await supabase.storage
-              .from('thumbnails')
-              .upload(storagePath, thumbnailBuffer, { contentType: 'image/jpeg', upsert: true });
-
-            if (!error) {
-              console.log(`✅ Thumbnail saved (hq): ${(thumbnailBuffer.length / 1024).toFixed(2)}KB`);
-              return storagePath;
-            }
-            return hqUrl;
-          }
-          return thumbnailUrl;
-        }
-      } catch (error) {
-        console.warn('⚠️ Error fetching thumbnail:', error.message);
-        return `https://img.youtube.com/vi/${youtubeId}/maxresdefault.jpg`;
-      }
-    };
-
-    // STEP 1: Download audio + fetch thumbnail IN PARALLEL
-    const [wavBuffer, thumbnailStoragePath] = await Promise.all([
-      youtubeToWavBuffer(youtubeUrl),
-      fetchThumbnail()
-    ]);
-
-    console.log("WAV size:", (wavBuffer.length / 1024 / 1024).toFixed(2), "MB");
-
-    const openai = getOpenAI();
-
-    // STEP 2: Run Demucs first, then transcribe vocals if available, otherwise original audio
-    console.log("\n⚡ [VOCAL SEPARATION] Starting vocal separation (Demucs)...");
-    const demucsStart = Date.now();
-    const vocalsResult = await separateVocals(wavBuffer, youtubeId).catch((error) => {
-      console.warn("⚠️ [DEMUCS] Vocal separation failed:", error.message);
-      console.warn("   → This might happen with heavily processed/autotuned vocals or certain music styles");
-      return null;
-    });
-
-    let vocalsBuffer = null;
-    if (vocalsResult?.vocals) {
-      const demucsTime = ((Date.now() - demucsStart) / 1000).toFixed(1);
-      console.log(`✅ [DEMUCS] Vocals isolated successfully in ${demucsTime}s`);
-
-      // Additional validation: check if vocals are actually usable
-      if (vocalsResult.vocals.length >= 10000) {
-        vocalsBuffer = vocalsResult.vocals;
-        console.log("   → [DEMUCS] Vocals buffer validated - will use for transcription");
-      } else {
-        console.warn("   ⚠️ [DEMUCS] Vocals file is suspiciously small - may be empty, will use original audio");
-      }
-    } else {
-      console.warn("   ⚠️ [DEMUCS] No vocals returned from separation - will use original audio");
-    }
+    // Both jobs write the song's artifacts and row - a running reprocess has to finish first
+    const reprocessJob = getActiveJob(`reprocess:${youtubeId}`);
+    if (reprocessJob)
+      return res.status(409).json({ error: "Song is being reprocessed, try again once that job finishes", jobId: reprocessJob.id });
 
-    // STEP 3: Transcribe vocals if available, otherwise original audio
-    console.log("\n🎤 [WHISPER] Starting Whisper transcription...");
-    let audioToTranscribe = vocalsBuffer || wavBuffer;
-    const audioSource = vocalsBuffer ? 'isolated vocals' : 'original audio';
-    console.log(`   → [WHISPER] Transcribing from: ${audioSource}`);
-
-    // Check and compress audio if it exceeds Whisper's 25 MB limit
-    audioToTranscribe = await ensureAudioSizeLimit(audioToTranscribe);
-
-    // Create a File object from the buffer for Whisper API
-    // Node.js 18+ has a global File constructor
-    // We'll create a fresh File object for each retry attempt
-
-    const whisperStart = Date.now();
-    let transcription;
-
-    // Retry logic for Whisper API (handles temporary 500 errors)
-    const maxRetries = 3;
-    let lastError = null;
-
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        // Recreate File object for each attempt to ensure it's fresh
-        const fileForAttempt = new File([audioToTranscribe], 'audio.wav', { type: 'audio/wav' });
-        
-        transcription = await openai.audio.transcriptions.create({
-          file: fileForAttempt,
-          model: "whisper-1",
-          response_format: "verbose_json",
-        });
-
-        // Success - break out of retry loop
-        break;
-      } catch (whisperError) {
-        lastError = whisperError;
-        const is500Error = whisperError.status === 500 || whisperError.message?.includes('500');
-        const is400Error = whisperError.status === 400;
-        const is413Error = whisperError.status === 413 || whisperError.message?.includes('413') || whisperError.message?.includes('Maximum content size');
-
-        // Handle 413 error (file too large) - compress and retry
-        if (is413Error && attempt < maxRetries) {
-          console.warn(`⚠️ [WHISPER] Attempt ${attempt}/${maxRetries} failed with 413 (file too large), compressing and retrying...`);
-          try {
-            // Compress the audio more aggressively
-            audioToTranscribe = await ensureAudioSizeLimit(audioToTranscribe, 24 * 1024 * 1024); // Use 24 MB to be safe
-            const delay = attempt * 1000; // 1s, 2s, 3s
-            await new Promise(resolve => setTimeout(resolve, delay));
-            continue;
-          } catch (compressError) {
-            console.error(`❌ [WHISPER] Compression failed: ${compressError.message}`);
-            throw new Error(`Audio file too large for Whisper API even after compression: ${compressError.message}`);
-          }
-        }
-
-        if (is500Error && attempt < maxRetries) {
-          const delay = attempt * 2000; // 2s, 4s, 6s
-          console.warn(`⚠️ [WHISPER] Attempt ${attempt}/${maxRetries} failed with 500 error, retrying in ${delay / 1000}s...`);
-          await new Promise(resolve => setTimeout(resolve, delay));
-          continue;
-        }
-
-        if (is400Error && attempt < maxRetries) {
-          // For 400 errors, wait and retry with a new File object
-          const delay = attempt * 1000; // 1s, 2s, 3s
-          console.warn(`⚠️ [WHISPER] Attempt ${attempt}/${maxRetries} failed with 400 error, retrying in ${delay / 1000}s...`);
-          await new Promise(resolve => setTimeout(resolve, delay));
-          continue;
-        }
-
-        // Not a retryable error or max retries reached
-        console.error('Whisper error:', whisperError);
-        console.error('Error details:', whisperError);
-        throw whisperError;
-      }
-    }
-    const whisperTime = ((Date.now() - whisperStart) / 1000).toFixed(1);
-    console.log(`✅ [WHISPER] Transcription complete in ${whisperTime}s (from ${audioSource})`);
-
-    const segments = transcription.segments || [];
-    const fullText = transcription.text || "";
-
-    console.log('🎤 Whisper: Total segments:', segments.length);
-
-    // Check if transcription is mostly instrumental symbols (♪♪) - indicates transcription failed
-    const transcriptionIsInstrumental = isMostlyInstrumental(segments);
-
-    if (transcriptionIsInstrumental) {
-      console.warn('⚠️ [TRANSCRIPTION] Transcription appears to be mostly instrumental symbols (♪♪)');
-      console.warn('   → This indicates vocal separation likely failed - will use original audio for pitch extraction');
-    }
-
-    // Check if segments have word-level data
-    const hasWords = segments.length > 0 && segments[0].words && Array.isArray(segments[0].words);
-    console.log(`🎤 Whisper: Word-level timestamps available: ${hasWords ? 'YES' : 'NO'}`);
-
-    if (segments.length > 0) {
-      console.log(`🎤 Whisper: First segment structure:`, {
-        hasText: !!segments[0].text,
-        hasWords: !!segments[0].words,
-        wordsCount: segments[0].words?.length || 0,
-        sampleWord: segments[0].words?.[0] || null
-      });
-    }
-
-    let rawSegments;
-
-    if (hasWords) {
-      // Extract word-by-word from segments
-      console.log('🎤 Building word-by-word lyrics from Whisper words...');
-      const words = [];
-
-      for (const seg of segments) {
-        if (seg.words && Array.isArray(seg.words)) {
-          for (const word of seg.words) {
-            words.push({
-              text: word.word || word.text || "",
-              start: word.start || seg.start || 0,
-              end: word.end || word.start || seg.end || 0,
-            });
-          }
-        } else {
-          // Fallback: split segment text by spaces if no word data
-          const wordTexts = seg.text.split(/\s+/).filter(w => w.length > 0);
-          const segmentDuration = (seg.end || 0) - (seg.start || 0);
-          const wordDuration = segmentDuration / wordTexts.length;
-
-          wordTexts.forEach((wordText, idx) => {
-            words.push({
-              text: wordText,
-              start: (seg.start || 0) + (idx * wordDuration),
-              end: (seg.start || 0) + ((idx + 1) * wordDuration),
-            });
-          });
-        }
-      }
-
-      // Group words into phrases (3-5 words per phrase for better display)
-      rawSegments = [];
-      const wordsPerPhrase = 4; // Show 4 words at a time
-
-      for (let i = 0; i < words.length; i += wordsPerPhrase) {
-        const phraseWords = words.slice(i, i + wordsPerPhrase);
-        const phraseText = phraseWords.map(w => w.text).join(' ');
-        const phraseStart = phraseWords[0].start;
-        const phraseEnd = phraseWords[phraseWords.length - 1].end;
-
-        rawSegments.push({
-          text: phraseText,
-          start: phraseStart,
-          end: phraseEnd,
-        });
-      }
-
-      console.log(`🎤 Built ${rawSegments.length} word-based phrases from ${words.length} words`);
-    } else {
-      // Fallback: use segment-level data (original behavior)
-      console.log('🎤 Using segment-level data (no word timestamps available)');
-      rawSegments = segments.map(seg => ({
-        text: seg.text || "",
-        start: seg.start || 0,
-        end: seg.end || 0,
-      }));
-    }
-
-    // STEP 2.5 — Split segments into individual verses (one verse per line)
-    // Whisper often groups multiple verses into one segment, so we need to split them
-    console.log('🎤 Splitting segments into individual verses...');
-    const verseSegments = [];
-
-    for (const seg of rawSegments) {
-      const text = seg.text || "";
-      const start = seg.start || 0;
-      const end = seg.end || 0;
-      const duration = end - start;
-
-      // Split by line breaks first (most common)
-      let lines = text.split(/\n+/).filter(line => line.trim().length > 0);
-
-      // If no line breaks, try splitting by sentence endings (., !, ?) followed by space
-      if (lines.length === 1) {
-        lines = text.split(/([.!?]\s+)/).filter(line => line.trim().length > 0);
-        // Rejoin punctuation with previous line
-        const rejoined = [];
-        for (let i = 0; i < lines.length; i++) {
-          if (lines[i].match(/^[.!?]\s+$/)) {
-            if (rejoined.length > 0) {
-              rejoined[rejoined.length - 1] += lines[i];
-            }
-          } else {
-            rejoined.push(lines[i]);
-          }
-        }
-        lines = rejoined.filter(line => line.trim().length > 0);
-      }
-
-      // If still only one line, try splitting by commas (for very long segments)
-      if (lines.length === 1 && text.length > 50) {
-        const commaSplit = text.split(/,\s+/);
-        if (commaSplit.length > 1) {
-          lines = commaSplit.map((line, idx) =>
-            idx < commaSplit.length - 1 ? line + ',' : line
-          );
-        }
-      }
-
-      // Distribute timing proportionally across verses
-      if (lines.length > 1) {
-        const lineDuration = duration / lines.length;
-        lines.forEach((line, idx) => {
-          verseSegments.push({
-            text: line.trim(),
-            start: start + (idx * lineDuration),
-            end: start + ((idx + 1) * lineDuration),
-          });
-        });
-      } else {
-        // Single verse, keep as is
-        verseSegments.push({
-          text: text.trim(),
-          start: start,
-          end: end,
-        });
-      }
-    }
-
-    console.log(`🎤 Split ${rawSegments.length} segments into ${verseSegments.length} individual verses`);
-    rawSegments = verseSegments; // Use the split verses
-
-    // STEP 4 — Extract pitch from vocals (fast, ~2-5s)
-    // Use original audio as fallback if vocals separation failed or transcription is mostly instrumental
-    let notes = null;
-    let pitchAudioBuffer = vocalsBuffer || null; // Use vocals from Demucs if available
-    let pitchExtractionSucceeded = false;
-    let usingOriginalAudio = false;
-
-    console.log(`\n🎵 [PITCH EXTRACTION] Starting pitch extraction...`);
-
-    // Check if we should use original audio instead of vocals for pitch extraction
-    if (transcriptionIsInstrumental || !pitchAudioBuffer || pitchAudioBuffer.length < 10000) {
-      if (transcriptionIsInstrumental) {
-        console.warn('   ⚠️ [PITCH] Transcription is mostly instrumental symbols - vocals separation likely failed');
-      } else if (!pitchAudioBuffer) {
-        console.warn('   ⚠️ [PITCH] No vocals buffer available');
-      } else {
-        console.warn('   ⚠️ [PITCH] Vocals buffer too small - likely empty or corrupted');
-      }
-      console.log('   → [PITCH] Falling back to original audio for pitch extraction');
-      pitchAudioBuffer = wavBuffer; // Use original audio
-      usingOriginalAudio = true;
-    }
-
-    console.log(`   → [PITCH] Audio buffer available: ${pitchAudioBuffer ? 'YES' : 'NO'}`);
-    console.log(`   → [PITCH] Using: ${usingOriginalAudio ? 'ORIGINAL AUDIO (fallback)' : 'ISOLATED VOCALS'}`);
-
-    if (pitchAudioBuffer) {
-      console.log(`   → [PITCH] Audio buffer size: ${(pitchAudioBuffer.length / 1024 / 1024).toFixed(2)}MB`);
-
-      try {
-        const pitchStart = Date.now();
-        // Add timeout to prevent hanging (60 seconds max)
-        const pitchExtractionPromise = extractPitch(pitchAudioBuffer);
-        const timeoutPromise = new Promise((_, reject) =>
-          setTimeout(() => reject(new Error('Pitch extraction timeout (60s)')), 60000)
-        );
-
-        console.log(`   → [PITCH] Running pitch detection algorithm...`);
-        const pitchData = await Promise.race([pitchExtractionPromise, timeoutPromise]);
-        const pitchTime = ((Date.now() - pitchStart) / 1000).toFixed(1);
-
-        if (pitchData && pitchData.length > 0) {
-          console.log(`   ✅ [PITCH] Extracted ${pitchData.length} pitch points in ${pitchTime}s`);
-          console.log(`   → [PITCH] Generating notes from pitch data...`);
-          notes = generateNotesFromPitch(pitchData, rawSegments);
-          const source = usingOriginalAudio ? 'original audio (fallback)' : 'isolated vocals';
-          console.log(`   ✅ [PITCH] Generated ${notes.length} notes from ${source}`);
-          pitchExtractionSucceeded = true;
-        } else {
-          console.warn('   ⚠️ [PITCH] No pitch data extracted');
-          console.error('   ❌ [PITCH] Pitch extraction failed - will NOT cache this song');
-        }
-      } catch (pitchError) {
-        console.error('   ❌ [PITCH] Pitch extraction failed:', pitchError.message);
-        console.error('   ❌ [PITCH] Will NOT cache this song - pitch extraction must succeed');
-      }
-    } else {
-      console.warn('   ⚠️ [PITCH] No audio buffer available, skipping pitch extraction');
-      console.error('   ❌ [PITCH] Cannot extract pitch - will NOT cache this song');
-    }
-    console.log(`🎵 [PITCH EXTRACTION] Complete\n`);
-
-    // STEP 4.5 — Detect first verse start time using GPT
-    console.log('🤖 [FIRST VERSE] Detecting first verse start time...');
-    let firstVerseStartTime = null;
-    try {
-      firstVerseStartTime = await detectFirstVerse(rawSegments, title, artist);
-      console.log(`✅ [FIRST VERSE] First verse starts at ${firstVerseStartTime?.toFixed(2)}s`);
-    } catch (error) {
-      console.error('❌ [FIRST VERSE] Error detecting first verse:', error.message);
-      // Fallback to first segment start time
-      firstVerseStartTime = rawSegments[0]?.start || 0;
-    }
-
-    // STEP 4.6 — Detect genre using GPT
-    console.log('🤖 [GENRE] Detecting music genre...');
-    let genre = null;
-    try {
-      genre = await detectGenre(rawSegments, title, artist, fullText);
-      console.log(`✅ [GENRE] Genre detected: ${genre}`);
-    } catch (error) {
-      console.error('❌ [GENRE] Error detecting genre:', error.message);
-      // Fallback to "Other"
-      genre = 'Other';
-    }
-
-    // STEP 5 — Save segments and notes to database
-    // Save even if pitch extraction failed - can retry pitch extraction later
-    console.log('💾 [SAVE] Saving to database...');
-    const { error: saveError } = await supabase
-      .from("singfi_songs")
-      .upsert(
-        {
-          youtube_id: youtubeId,
-          title: title || null,
-          artist: artist || null,
-          lyrics: fullText,
-          segments: rawSegments, // Use raw Whisper segments
-          notes: notes || null, // Notes extracted from isolated vocals (null if pitch extraction failed)
-          thumbnail: thumbnailStoragePath, // Thumbnail path in Storage or YouTube URL
-          first_verse_start_time: firstVerseStartTime, // Start time of first verse
-          genre: genre || null, // Music genre detected by AI
-          owner: owner || null, // User UUID for RLS (optional for now)
-        },
-        { onConflict: "youtube_id" }
-      );
-
-    if (saveError) {
-      console.error('❌ [SAVE] Error saving to database:', saveError.message);
-    } else {
-      if (pitchExtractionSucceeded && notes && notes.length > 0) {
-        console.log(`✅ [SAVE] Saved lyrics, segments, and notes to database`);
-      } else {
-        console.log(`✅ [SAVE] Saved lyrics and segments to database (notes will be added later if pitch extraction retries)`);
-      }
-    }
-
-    console.log('✅ Game ready! Segments:', rawSegments.length, 'Lyrics length:', fullText.length);
+    const { job, created } = enqueueJob('whisper', youtubeId, ({ setStage, setProgress }) =>
+      processSong({ youtubeId, title, artist, owner }, { onStage: setStage, onProgress: setProgress }),
+      { stages: PIPELINE_STAGES }
+    );
 
-    res.json({
-      cached: false,
-      segments: rawSegments, // Return raw Whisper segments
-      lyrics: fullText,
-      notes: notes, // Notes extracted from isolated vocals or original audio
-      title: title || null,
-      artist: artist || null,
-      thumbnail: thumbnailStoragePath || null,
-      firstVerseStartTime: firstVerseStartTime, // First verse start time
-      genre: genre || null, // Music genre
-      usingOriginalAudio: usingOriginalAudio || false, // Flag to indicate if we used original audio fallback
+    res.status(202).json({
+      jobId: job.id,
+      status: job.status,
+      stage: job.stage,
+      created,
+      statusUrl: `/api/jobs/${job.id}`,
+      eventsUrl: `/api/jobs/${job.id}/events`,
     });
   } catch (error) {
     console.error("Whisper error:", error);
     const errorMessage = error?.message || error?.toString() || 'Unknown error occurred';
-    console.error("Error details:", error);
     res.status(500).json({ error: errorMessage });
   }
 });
@@ -0,0 +1,237 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+import fs from 'fs';
+import { resolve } from 'path';
+import { supabase } from '../services/supabase.js';
+import { processSong } from '../services/songPipeline.js';
+
+/**
+ * Bulk catalog import: runs the same pipeline as POST /api/whisper for a list of songs.
+ *
+ * Usage:
+ *   node server/scripts/importSongs.js <file> [--concurrency 2] [--report import-report.json]
+ *
+ * <file> is either a JSON array of { youtubeId | url, title?, artist? } or a text file
+ * with one song per line: "<youtubeId or URL> | title | artist" (title/artist optional,
+ * tabs also work as separators, lines starting with # are ignored).
+ *
+ * Songs already in singfi_songs are skipped (use POST /api/songs/:youtubeId/reprocess to upgrade them).
+ */
+
+const YOUTUBE_ID_PATTERN = /^[\w-]{11}$/;
+
+function printUsage() {
+  console.log('Usage: node server/scripts/importSongs.js <file> [--concurrency 2] [--report import-report.json]');
+}
+
+function parseArgs(argv) {
+  const options = { file: null, concurrency: 2, report: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--concurrency' || arg === '-c') {
+      options.concurrency = parseInt(argv[++i], 10);
+    } else if (arg === '--report' || arg === '-r') {
+      options.report = argv[++i];
+    } else if (arg === '--help' || arg === '-h') {
+      printUsage();
+      process.exit(0);
+    } else if (!options.file) {
+      options.file = arg;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+
+  if (!options.file) {
+    printUsage();
+    throw new Error('Missing input file');
+  }
+  if (!Number.isInteger(options.concurrency) || options.concurrency < 1) {
+    throw new Error('--concurrency must be a positive integer');
+  }
+  options.report = options.report || `import-report-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+
+  return options;
+}
+
+// Accept a bare video ID or any common YouTube URL form (watch, youtu.be, shorts, embed)
+function extractYoutubeId(value) {
+  const trimmed = (value || '').trim();
+  if (YOUTUBE_ID_PATTERN.test(trimmed)) return trimmed;
+
+  const match = trimmed.match(/(?:youtube\.com\/(?:watch\?(?:.*&)?v=|shorts\/|embed\/)|youtu\.be\/)([\w-]{11})/);
+  return match ? match[1] : null;
+}
+
+function readSongList(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+
+  const entries = filePath.endsWith('.json')
+    ? JSON.parse(content).map(entry => ({
+      input: entry.youtubeId || entry.url,
+      title: entry.title,
+      artist: entry.artist,
+    }))
+    : content
+      .split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'))
+      .map(line => {
+        const [input, title, artist] = line.split(/\t|\s+\|\s+/).map(field => field.trim());
+        return { input, title, artist };
+      });
+
+  return entries.map(entry => ({
+    ...entry,
+    youtubeId: extractYoutubeId(entry.input),
+    title: entry.title || null,
+    artist: entry.artist || null,
+  }));
+}
+
+// Songs that already have a chart, so they can be skipped
+async function findCachedIds(youtubeIds) {
+  const cached = new Set();
+  const batchSize = 200;
+
+  for (let i = 0; i < youtubeIds.length; i += batchSize) {
+    const { data, error } = await supabase
+      .from('singfi_songs')
+      .select('youtube_id, segments')
+      .in('youtube_id', youtubeIds.slice(i, i + batchSize));
+
+    if (error) {
+      throw new Error(`Failed to check cached songs: ${error.message}`);
+    }
+    (data || []).filter(song => song.segments).forEach(song => cached.add(song.youtube_id));
+  }
+
+  return cached;
+}
+
+async function importSong(song) {
+  const start = Date.now();
+  try {
+    const chart = await processSong(
+      { youtubeId: song.youtubeId, title: song.title, artist: song.artist },
+      { source: 'import', reprocessFlagged: false } // Flagged charts show up in GET /api/songs/flagged instead
+    );
+    const noteCount = chart.notes?.length || 0;
+    let reason = null;
+    if (noteCount === 0) reason = 'Saved without notes (pitch extraction failed)';
+    else if (chart.quality?.flagged) reason = `Flagged: ${chart.quality.issues.map(issue => issue.message).join('; ')}`;
+    return {
+      status: 'succeeded',
+      reason,
+      segments: chart.segments?.length || 0,
+      notes: noteCount,
+      genre: chart.genre || null,
+      durationMs: Date.now() - start,
+    };
+  } catch (error) {
+    return {
+      status: 'failed',
+      reason: error?.message || String(error),
+      durationMs: Date.now() - start,
+    };
+  }
+}
+
+// Run tasks with at most `concurrency` in flight, preserving result order
+async function runWithConcurrency(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const startedAt = new Date();
+  const songs = readSongList(resolve(options.file));
+
+  console.log(`📥 [IMPORT] ${songs.length} songs from ${options.file} (concurrency ${options.concurrency})`);
+
+  const results = songs.map(song => ({
+    input: song.input,
+    youtubeId: song.youtubeId,
+    title: song.title,
+    artist: song.artist,
+    status: song.youtubeId ? 'pending' : 'failed',
+    reason: song.youtubeId ? null : 'Could not find a YouTube video ID',
+  }));
+
+  // Drop duplicates within the file - the first occurrence wins
+  const seen = new Set();
+  for (const result of results) {
+    if (result.status !== 'pending') continue;
+    if (seen.has(result.youtubeId)) {
+      result.status = 'skipped';
+      result.reason = 'Duplicate in input file';
+    }
+    seen.add(result.youtubeId);
+  }
+
+  const cached = await findCachedIds([...seen]);
+  for (const result of results) {
+    if (result.status === 'pending' && cached.has(result.youtubeId)) {
+      result.status = 'skipped';
+      result.reason = 'Already cached';
+    }
+  }
+
+  const pending = results.filter(result => result.status === 'pending');
+  console.log(`🎵 [IMPORT] Processing ${pending.length} songs, skipping ${results.length - pending.length}`);
+
+  let done = 0;
+  await runWithConcurrency(pending, options.concurrency, async (result) => {
+    console.log(`\n▶️ [IMPORT] ${result.youtubeId} ${result.title ? `(${result.artist || '?'} - ${result.title})` : ''}`);
+    Object.assign(result, await importSong(result));
+    done++;
+    const icon = result.status === 'succeeded' ? '✅' : '❌';
+    console.log(`${icon} [IMPORT] ${done}/${pending.length} ${result.youtubeId}: ${result.status}${result.reason ? ` - ${result.reason}` : ''}`);
+  });
+
+  const summary = {
+    total: results.length,
+    succeeded: results.filter(result => result.status === 'succeeded').length,
+    skipped: results.filter(result => result.status === 'skipped').length,
+    failed: results.filter(result => result.status === 'failed').length,
+  };
+
+  const report = {
+    input: options.file,
+    startedAt: startedAt.toISOString(),
+    finishedAt: new Date().toISOString(),
+    concurrency: options.concurrency,
+    summary,
+    results,
+  };
+  fs.writeFileSync(options.report, JSON.stringify(report, null, 2));
+
+  console.log('\n📊 [IMPORT] Summary');
+  console.log(`   → Succeeded: ${summary.succeeded}`);
+  console.log(`   → Skipped:   ${summary.skipped}`);
+  console.log(`   → Failed:    ${summary.failed}`);
+  results
+    .filter(result => result.status === 'failed')
+    .forEach(result => console.log(`      ✗ ${result.youtubeId || result.input}: ${result.reason}`));
+  console.log(`📝 [IMPORT] Report written to ${resolve(options.report)}`);
+
+  process.exit(summary.failed > 0 ? 1 : 0);
+}
+
+main().catch((error) => {
+  console.error('❌ [IMPORT] Import failed:', error.message);
+  process.exit(1);
+});
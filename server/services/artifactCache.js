@@ -0,0 +1,166 @@
+import fs from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Per-stage pipeline artifacts on disk, so a failed or retried run resumes from
+ * the first missing stage instead of re-downloading / re-separating / re-transcribing.
+ *
+ * Layout: <PIPELINE_ARTIFACTS_DIR>/<youtubeId>/<stage versions>/<artifact>
+ * (default root/artifacts, next to root/vocals), e.g. abc123/pitch1.separation1.source1/pitch.json.
+ * Every stage has its own version (STAGE_VERSIONS): bumping one makes its artifacts and those of the
+ * stages built on it invisible without deleting them, and leaves the paid ones upstream alone.
+ */
+const artifactsDir = process.env.PIPELINE_ARTIFACTS_DIR || join(__dirname, '../../artifacts');
+
+// Bump a stage's version when a change makes its cached output stale
+export const STAGE_VERSIONS = {
+  source: 1, // Downloaded / converted audio
+  separation: 1, // Vocal separation provider output
+  transcription: 2, // Whisper transcription (2: word timestamps)
+  pitch: 1, // Pitch tracker
+  notes: 1, // Note generation from the pitch curve
+  tempo: 1, // Beat tracking
+};
+
+// Stages whose output each stage is computed from - their versions are part of its own
+const STAGE_INPUTS = {
+  source: [],
+  separation: ['source'],
+  transcription: ['separation'],
+  pitch: ['separation'],
+  notes: ['pitch', 'transcription'],
+  tempo: ['separation'],
+};
+
+// Known artifacts, in pipeline order, with the stage that produces each
+export const ARTIFACTS = {
+  source: { file: 'source.wav', stage: 'source' }, // Downloaded YouTube audio (mono 16 kHz WAV)
+  vocals: { file: 'vocals.wav', stage: 'separation' }, // Isolated vocals from the separation provider
+  accompaniment: { file: 'accompaniment.wav', stage: 'separation' }, // Backing track, when the provider returns one
+  transcription: { file: 'transcription.json', stage: 'transcription' }, // Raw verbose_json transcription
+  pitch: { file: 'pitch.json', stage: 'pitch' }, // { source, points } - pitch curve and which audio it came from
+  notes: { file: 'notes.json', stage: 'notes' }, // Notes generated from the pitch curve + segments (before beat snapping)
+  tempo: { file: 'tempo.json', stage: 'tempo' }, // { bpm, beatOffset, confidence } from onset analysis of the accompaniment or mix
+};
+
+// Artifacts from before stages had their own versions live in v<pipeline version>/<youtubeId>/;
+// the last such layout (pipeline v6) matches version 1 of every stage, so it's still read
+const LEGACY_PIPELINE_VERSION = 6;
+
+// A stage and everything it's computed from, e.g. ['notes', 'pitch', 'separation', 'source', 'transcription']
+function stageChain(stage, chain = []) {
+  if (chain.includes(stage)) return chain;
+  chain.push(stage);
+  for (const input of STAGE_INPUTS[stage]) stageChain(input, chain);
+  return chain;
+}
+
+function artifactInfo(artifact) {
+  const info = ARTIFACTS[artifact];
+  if (!info) {
+    throw new Error(`Unknown pipeline artifact "${artifact}"`);
+  }
+  const chain = stageChain(info.stage);
+  return {
+    ...info,
+    versionKey: chain.map(stage => `${stage}${STAGE_VERSIONS[stage]}`).join('.'),
+    legacy: chain.every(stage => STAGE_VERSIONS[stage] === 1),
+  };
+}
+
+/**
+ * Artifact store for one song
+ * @param {string} youtubeId
+ */
+export function getArtifactStore(youtubeId) {
+  // youtubeId ends up in a path - never let it escape the artifacts dir
+  if (!/^[\w-]+$/.test(youtubeId)) {
+    throw new Error(`Invalid youtubeId for artifact cache: ${youtubeId}`);
+  }
+
+  const songDir = join(artifactsDir, youtubeId);
+  const legacyDir = join(artifactsDir, `v${LEGACY_PIPELINE_VERSION}`, youtubeId);
+
+  const artifactPath = (artifact) => {
+    const { file, versionKey } = artifactInfo(artifact);
+    return join(songDir, versionKey, file);
+  };
+
+  // Where an artifact can be read from, or null if it isn't cached
+  const existingPath = (artifact) => {
+    const filePath = artifactPath(artifact);
+    if (fs.existsSync(filePath)) return filePath;
+    const { file, legacy } = artifactInfo(artifact);
+    const legacyPath = join(legacyDir, file);
+    return legacy && fs.existsSync(legacyPath) ? legacyPath : null;
+  };
+
+  // Writes go to a temp file first so a crash never leaves a truncated artifact behind
+  const write = (artifact, data) => {
+    const filePath = artifactPath(artifact);
+    try {
+      fs.mkdirSync(dirname(filePath), { recursive: true });
+      fs.writeFileSync(`${filePath}.tmp`, data);
+      fs.renameSync(`${filePath}.tmp`, filePath);
+      console.log(`💾 [ARTIFACTS] Saved ${artifact} for ${youtubeId} (${(data.length / 1024).toFixed(1)}KB)`);
+    } catch (error) {
+      // Caching is best-effort, the pipeline result doesn't depend on it
+      console.warn(`⚠️ [ARTIFACTS] Failed to save ${artifact} for ${youtubeId}:`, error.message);
+    }
+  };
+
+  return {
+    has(artifact) {
+      return existingPath(artifact) !== null;
+    },
+
+    // Path of a cached artifact, for readers that stream the file instead of loading it (null if not cached)
+    path(artifact) {
+      return existingPath(artifact);
+    },
+
+    readBuffer(artifact) {
+      const filePath = existingPath(artifact);
+      if (!filePath) return null;
+      console.log(`♻️ [ARTIFACTS] Reusing ${artifact} for ${youtubeId}`);
+      return fs.readFileSync(filePath);
+    },
+
+    readJson(artifact) {
+      const filePath = existingPath(artifact);
+      if (!filePath) return null;
+      try {
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        console.log(`♻️ [ARTIFACTS] Reusing ${artifact} for ${youtubeId}`);
+        return data;
+      } catch (error) {
+        console.warn(`⚠️ [ARTIFACTS] Ignoring unreadable ${artifact} for ${youtubeId}:`, error.message);
+        return null;
+      }
+    },
+
+    writeBuffer(artifact, buffer) {
+      if (buffer) write(artifact, buffer);
+    },
+
+    writeJson(artifact, data) {
+      write(artifact, Buffer.from(JSON.stringify(data)));
+    },
+
+    // Drop one artifact, e.g. to force a stage to run again
+    remove(artifact) {
+      fs.rmSync(artifactPath(artifact), { force: true });
+      if (artifactInfo(artifact).legacy) fs.rmSync(join(legacyDir, ARTIFACTS[artifact].file), { force: true });
+    },
+
+    // Drop every artifact for this song, at every version
+    clear() {
+      fs.rmSync(songDir, { recursive: true, force: true });
+      fs.rmSync(legacyDir, { recursive: true, force: true });
+    },
+  };
+}
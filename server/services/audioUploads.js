@@ -0,0 +1,92 @@
+import { randomBytes } from 'crypto';
+import { supabase } from './supabase.js';
+
+/**
+ * Uploaded audio files (the user's own backing tracks), stored in the private
+ * "uploads" Storage bucket. Uploaded songs live in singfi_songs like YouTube ones,
+ * keyed by a generated "upload-..." id in youtube_id, with source_type = 'upload'.
+ */
+
+const UPLOADS_BUCKET = 'uploads';
+const SIGNED_URL_TTL_SECONDS = 6 * 60 * 60; // Long enough to finish a game
+
+export const UPLOAD_FORMATS = {
+  mp3: ['audio/mpeg', 'audio/mp3'],
+  wav: ['audio/wav', 'audio/x-wav', 'audio/wave', 'audio/vnd.wave'],
+  flac: ['audio/flac', 'audio/x-flac'],
+};
+
+export function isUploadId(songId) {
+  return typeof songId === 'string' && songId.startsWith('upload-');
+}
+
+export function createUploadId() {
+  return `upload-${randomBytes(8).toString('hex')}`;
+}
+
+/**
+ * Work out the file format from the file name, falling back to the Content-Type
+ * @returns {string|null} 'mp3' | 'wav' | 'flac', or null if unsupported
+ */
+export function detectUploadFormat(fileName, contentType) {
+  const extension = (fileName || '').split('.').pop()?.toLowerCase();
+  if (UPLOAD_FORMATS[extension]) return extension;
+
+  const mimeType = (contentType || '').split(';')[0].trim().toLowerCase();
+  return Object.keys(UPLOAD_FORMATS).find(format => UPLOAD_FORMATS[format].includes(mimeType)) || null;
+}
+
+/**
+ * Store an uploaded audio file
+ * @returns {Promise<string>} Storage path (e.g. "upload-ab12....mp3")
+ */
+export async function saveUploadedAudio(songId, buffer, format) {
+  const storagePath = `${songId}.${format}`;
+  const { error } = await supabase.storage
+    .from(UPLOADS_BUCKET)
+    .upload(storagePath, buffer, { contentType: UPLOAD_FORMATS[format][0], upsert: true });
+
+  if (error) {
+    throw new Error(`Failed to store uploaded audio: ${error.message}`);
+  }
+
+  console.log(`✅ [UPLOAD] Stored ${storagePath} (${(buffer.length / 1024 / 1024).toFixed(2)}MB)`);
+  return storagePath;
+}
+
+/**
+ * Download an uploaded audio file
+ * @returns {Promise<{buffer: Buffer, format: string}>}
+ */
+export async function downloadUploadedAudio(storagePath) {
+  const { data, error } = await supabase.storage
+    .from(UPLOADS_BUCKET)
+    .download(storagePath);
+
+  if (error || !data) {
+    throw new Error(`Failed to download uploaded audio ${storagePath}: ${error?.message || 'not found'}`);
+  }
+
+  return {
+    buffer: Buffer.from(await data.arrayBuffer()),
+    format: storagePath.split('.').pop(),
+  };
+}
+
+/**
+ * Temporary URL the browser can play the uploaded file from
+ * @returns {Promise<string|null>}
+ */
+export async function getUploadedAudioUrl(storagePath) {
+  if (!storagePath) return null;
+
+  const { data, error } = await supabase.storage
+    .from(UPLOADS_BUCKET)
+    .createSignedUrl(storagePath, SIGNED_URL_TTL_SECONDS);
+
+  if (error) {
+    console.warn(`⚠️ [UPLOAD] Failed to sign URL for ${storagePath}:`, error.message);
+    return null;
+  }
+  return data.signedUrl;
+}
@@ -0,0 +1,219 @@
+/**
+ * Chart quality: metrics that tell a playable chart from a broken one (failed vocal separation,
+ * notes missing from most lines, hallucinated lyrics), combined into a 0-1 score.
+ * Flagged charts are hidden from the song list and queued for reprocessing (see songPipeline.js).
+ */
+
+export const QUALITY_FLAG_SCORE = 0.4; // Below this a chart is flagged as broken
+export const LOW_QUALITY_SCORE = 0.6; // Below this a chart is listed after the others (quality_low, see database-migration-quality.sql)
+
+// Metric levels that count as a problem, and the reprocess stage that can fix each one
+const MIN_VOICED_RATIO = 0.2; // Share of pitch frames during lyric lines with a sung pitch
+const MIN_LINE_COVERAGE = 0.3; // Average share of each lyric line covered by notes
+const MIN_TRANSCRIPTION_CONFIDENCE = 0.35; // Whisper's average token probability
+const MAX_REPEATED_LINES = 0.7; // Share of lyric lines that repeat an earlier one (looping hallucinations)
+const MIN_PITCH_STABILITY = 0.6; // Share of frame-to-frame pitch steps under a semitone
+
+const MAX_COMPRESSION_RATIO = 2.4; // Whisper segments above this are repetition loops
+const EMPTY_LINE_COVERAGE = 0.1; // Lines with less of them covered count as empty
+const MIN_STABILITY_STEPS = 50; // Fewer consecutive voiced frames than this can't tell stability
+
+// How much each metric counts towards the score (renormalized over the metrics that are known)
+const SCORE_WEIGHTS = {
+  voicedRatio: 0.25,
+  lineCoverage: 0.35,
+  transcriptionConfidence: 0.2,
+  pitchStability: 0.2,
+};
+
+function clamp01(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
+function round(value, digits = 3) {
+  return value === null ? null : Number(value.toFixed(digits));
+}
+
+// Lyric lines with text and a duration, in time order
+function lyricLines(segments) {
+  return (segments || [])
+    .map(segment => ({ text: (segment.text || '').trim(), start: Number(segment.start) || 0, end: Number(segment.end) || 0 }))
+    .filter(line => line.text.length > 0 && line.end > line.start)
+    .sort((a, b) => a.start - b.start);
+}
+
+// Share of pitch frames inside lyric lines that are voiced
+function voicedRatio(pitchData, lines) {
+  if (!Array.isArray(pitchData) || pitchData.length === 0 || lines.length === 0) return null;
+
+  let inside = 0;
+  let voiced = 0;
+  let lineIndex = 0;
+  for (const { time, pitch } of pitchData) {
+    while (lineIndex < lines.length && lines[lineIndex].end < time) lineIndex++;
+    if (lineIndex === lines.length) break;
+    if (time < lines[lineIndex].start) continue;
+    inside++;
+    if (pitch > 0) voiced++;
+  }
+  return inside > 0 ? voiced / inside : null;
+}
+
+// Share of each lyric line covered by notes (any type)
+function lineCoverages(notes, lines) {
+  return lines.map((line) => {
+    let covered = 0;
+    for (const note of notes) {
+      if (note.start >= line.end) break;
+      covered += Math.max(0, Math.min(note.end, line.end) - Math.max(note.start, line.start));
+    }
+    return clamp01(covered / (line.end - line.start));
+  });
+}
+
+// Whisper's confidence in its transcript: average token probability weighted by duration,
+// discounted by the no-speech probability. Repetition loops count as zero. null when the provider gives no scores
+function transcriptionConfidence(transcription) {
+  const scored = (transcription?.segments || []).filter(segment => Number.isFinite(segment.avg_logprob));
+  if (scored.length === 0) return null;
+
+  let weighted = 0;
+  let totalDuration = 0;
+  for (const segment of scored) {
+    const duration = Math.max(0.1, (Number(segment.end) || 0) - (Number(segment.start) || 0));
+    const looping = segment.compression_ratio > MAX_COMPRESSION_RATIO;
+    const confidence = looping ? 0 : Math.exp(segment.avg_logprob) * (1 - (segment.no_speech_prob || 0));
+    weighted += confidence * duration;
+    totalDuration += duration;
+  }
+  return weighted / totalDuration;
+}
+
+// Share of lyric lines that repeat an earlier line word for word
+function repeatedLineRatio(lines) {
+  if (lines.length === 0) return null;
+  const seen = new Set();
+  let repeated = 0;
+  for (const line of lines) {
+    const key = line.text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+    if (seen.has(key)) repeated++;
+    seen.add(key);
+  }
+  return repeated / lines.length;
+}
+
+// Share of consecutive voiced frames whose pitch moves less than a semitone
+function pitchStability(pitchData) {
+  if (!Array.isArray(pitchData)) return null;
+
+  let steps = 0;
+  let steady = 0;
+  for (let i = 1; i < pitchData.length; i++) {
+    const previous = pitchData[i - 1];
+    const current = pitchData[i];
+    if (!(previous.pitch > 0) || !(current.pitch > 0) || current.time - previous.time > 0.015) continue;
+    steps++;
+    if (Math.abs(12 * Math.log2(current.pitch / previous.pitch)) < 1) steady++;
+  }
+  return steps >= MIN_STABILITY_STEPS ? steady / steps : null;
+}
+
+/**
+ * Measure a chart's quality
+ * @param {{segments: object[], notes: object[]|null, pitchData?: object[]|null, transcription?: object|null}} chart -
+ *   pitchData and transcription are optional; metrics that need them are null without them
+ * @returns {{score: number, flagged: boolean, metrics: object, issues: Array<{code: string, message: string, stage: string}>}}
+ *   score is 0-1; each issue names the reprocess stage that could fix it
+ */
+export function assessChartQuality({ segments, notes, pitchData = null, transcription = null }) {
+  const lines = lyricLines(segments);
+  const sortedNotes = [...(notes || [])].sort((a, b) => a.start - b.start);
+  const coverages = lineCoverages(sortedNotes, lines);
+
+  const metrics = {
+    noteCount: sortedNotes.length,
+    lineCount: lines.length,
+    voicedRatio: voicedRatio(pitchData, lines),
+    lineCoverage: coverages.length > 0 ? coverages.reduce((sum, value) => sum + value, 0) / coverages.length : null,
+    emptyLineRatio: coverages.length > 0 ? coverages.filter(value => value < EMPTY_LINE_COVERAGE).length / coverages.length : null,
+    transcriptionConfidence: transcriptionConfidence(transcription),
+    repeatedLineRatio: repeatedLineRatio(lines),
+    pitchStability: pitchStability(pitchData),
+  };
+
+  const issues = [];
+  const percent = value => `${Math.round(value * 100)}%`;
+  if (metrics.noteCount === 0) {
+    issues.push({ code: 'no-notes', message: 'Chart has no notes', stage: 'pitch' });
+  }
+  if (metrics.voicedRatio !== null && metrics.voicedRatio < MIN_VOICED_RATIO) {
+    issues.push({ code: 'little-singing', message: `Singing detected in only ${percent(metrics.voicedRatio)} of the lyric lines`, stage: 'separation' });
+  }
+  if (metrics.noteCount > 0 && metrics.lineCoverage !== null && metrics.lineCoverage < MIN_LINE_COVERAGE) {
+    issues.push({ code: 'low-coverage', message: `Notes cover only ${percent(metrics.lineCoverage)} of the lyric lines`, stage: 'pitch' });
+  }
+  if (metrics.transcriptionConfidence !== null && metrics.transcriptionConfidence < MIN_TRANSCRIPTION_CONFIDENCE) {
+    issues.push({ code: 'low-confidence', message: `Low transcription confidence (${percent(metrics.transcriptionConfidence)})`, stage: 'transcription' });
+  }
+  if (lines.length >= 4 && metrics.repeatedLineRatio > MAX_REPEATED_LINES) {
+    issues.push({ code: 'repeated-lyrics', message: `${percent(metrics.repeatedLineRatio)} of the lyric lines are repeats - likely hallucinated`, stage: 'transcription' });
+  }
+  if (metrics.pitchStability !== null && metrics.pitchStability < MIN_PITCH_STABILITY) {
+    issues.push({ code: 'unstable-pitch', message: `Pitch track jumps around (${percent(metrics.pitchStability)} steady)`, stage: 'separation' });
+  }
+
+  // Each metric scores 1 at a healthy level and falls off towards the problem threshold and below
+  const parts = {
+    voicedRatio: metrics.voicedRatio === null ? null : clamp01(metrics.voicedRatio / 0.5),
+    lineCoverage: metrics.lineCoverage === null ? null : clamp01(metrics.lineCoverage / 0.6),
+    transcriptionConfidence: metrics.transcriptionConfidence === null ? null : clamp01(metrics.transcriptionConfidence / 0.6),
+    pitchStability: metrics.pitchStability === null ? null : clamp01((metrics.pitchStability - 0.4) / 0.5),
+  };
+  let weighted = 0;
+  let totalWeight = 0;
+  for (const [metric, weight] of Object.entries(SCORE_WEIGHTS)) {
+    if (parts[metric] === null) continue;
+    weighted += parts[metric] * weight;
+    totalWeight += weight;
+  }
+  let score = totalWeight > 0 ? weighted / totalWeight : 0;
+  if (metrics.noteCount === 0) score = 0;
+  if (issues.some(issue => issue.code === 'repeated-lyrics')) score *= 0.5;
+
+  for (const metric of Object.keys(metrics)) {
+    if (!['noteCount', 'lineCount'].includes(metric)) metrics[metric] = round(metrics[metric]);
+  }
+
+  return {
+    score: round(score, 2),
+    flagged: score < QUALITY_FLAG_SCORE || metrics.noteCount === 0,
+    metrics,
+    issues,
+  };
+}
+
+/**
+ * Measure a chart's quality (see assessChartQuality) and log what's wrong with it
+ * @param {{segments: object[], notes: object[]|null, pitchData?: object[]|null, transcription?: object|null}} chart
+ */
+export function measureQuality(chart) {
+  const quality = assessChartQuality(chart);
+  if (quality.flagged) {
+    console.warn(`⚠️ [QUALITY] Score ${quality.score} - flagged: ${quality.issues.map(issue => issue.message).join('; ')}`);
+  } else {
+    console.log(`✅ [QUALITY] Score ${quality.score}${quality.issues.length > 0 ? ` (${quality.issues.map(issue => issue.code).join(', ')})` : ''}`);
+  }
+  return quality;
+}
+
+/**
+ * Quality columns of a singfi_songs row - every write that changes a chart's segments or notes sets them
+ * @param {ReturnType<typeof assessChartQuality>} quality
+ */
+export function qualityColumns(quality) {
+  return {
+    quality_score: quality.score,
+    quality_flagged: quality.flagged,
+    quality_metrics: { ...quality.metrics, issues: quality.issues },
+  };
+}
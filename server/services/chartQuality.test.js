@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assessChartQuality, QUALITY_FLAG_SCORE, qualityColumns } from './chartQuality.js';
+
+const segments = [
+  { text: 'First line', start: 0, end: 2 },
+  { text: 'Second line', start: 3, end: 5 },
+  { text: 'Third line', start: 6, end: 8 },
+  { text: 'Last line', start: 9, end: 11 },
+];
+
+// A note over the first 80% of every line
+const notes = segments.map(segment => ({ start: segment.start, end: segment.start + 1.6, midi: 60, type: 'normal' }));
+
+// Pitch frames every 10ms: a steady sung note during the notes, silence elsewhere
+function pitchTrack(pitchAt) {
+  return Array.from({ length: 1100 }, (_, index) => {
+    const time = Number((index * 0.01).toFixed(2));
+    return { time, pitch: pitchAt(time) };
+  });
+}
+const sung = pitchTrack(time => (notes.some(note => time >= note.start && time < note.end) ? 262 : 0));
+
+const confidentTranscription = {
+  segments: segments.map(segment => ({ ...segment, avg_logprob: -0.1, no_speech_prob: 0.01, compression_ratio: 1.2 })),
+};
+
+test('a well-covered, confidently transcribed chart scores high', () => {
+  const quality = assessChartQuality({ segments, notes, pitchData: sung, transcription: confidentTranscription });
+
+  assert.equal(quality.flagged, false);
+  assert.deepEqual(quality.issues, []);
+  assert.ok(quality.score >= 0.9, `score ${quality.score}`);
+  assert.equal(quality.metrics.noteCount, 4);
+  assert.equal(quality.metrics.lineCount, 4);
+  assert.equal(quality.metrics.lineCoverage, 0.8);
+  assert.equal(quality.metrics.emptyLineRatio, 0);
+  assert.equal(quality.metrics.pitchStability, 1);
+});
+
+test('a chart without notes scores 0 and is flagged', () => {
+  const quality = assessChartQuality({ segments, notes: null });
+
+  assert.equal(quality.score, 0);
+  assert.equal(quality.flagged, true);
+  assert.deepEqual(quality.issues.map(issue => [issue.code, issue.stage]), [['no-notes', 'pitch']]);
+});
+
+test('metrics without the data they need are null', () => {
+  const { metrics } = assessChartQuality({ segments, notes });
+
+  assert.equal(metrics.voicedRatio, null);
+  assert.equal(metrics.transcriptionConfidence, null);
+  assert.equal(metrics.pitchStability, null);
+  assert.equal(metrics.lineCoverage, 0.8);
+});
+
+test('a silent vocal track and sparse notes each name the stage to redo', () => {
+  const quality = assessChartQuality({
+    segments,
+    notes: notes.map(note => ({ ...note, end: note.start + 0.2 })),
+    pitchData: pitchTrack(time => (Math.round(time * 100) % 10 === 0 ? 262 : 0)),
+  });
+
+  assert.deepEqual(quality.issues.map(issue => [issue.code, issue.stage]), [
+    ['little-singing', 'separation'],
+    ['low-coverage', 'pitch'],
+  ]);
+  assert.equal(quality.flagged, true);
+  assert.ok(quality.score < QUALITY_FLAG_SCORE, `score ${quality.score}`);
+});
+
+test('a pitch track jumping an octave every frame is unstable', () => {
+  const quality = assessChartQuality({ segments, notes, pitchData: pitchTrack(time => (Math.round(time * 100) % 2 === 0 ? 262 : 523)) });
+
+  assert.equal(quality.metrics.pitchStability, 0);
+  assert.deepEqual(quality.issues.map(issue => [issue.code, issue.stage]), [['unstable-pitch', 'separation']]);
+});
+
+test('looping transcriptions and repeated lyrics are caught', () => {
+  const repeated = segments.map(segment => ({ ...segment, text: 'Same line' }));
+  const quality = assessChartQuality({
+    segments: repeated,
+    notes,
+    transcription: { segments: repeated.map(segment => ({ ...segment, avg_logprob: -0.1, compression_ratio: 3 })) },
+  });
+
+  assert.equal(quality.metrics.transcriptionConfidence, 0);
+  assert.equal(quality.metrics.repeatedLineRatio, 0.75);
+  assert.deepEqual(quality.issues.map(issue => issue.code), ['low-confidence', 'repeated-lyrics']);
+});
+
+test('qualityColumns stores the score, the flag and the metrics with their issues', () => {
+  const quality = assessChartQuality({ segments, notes: [] });
+  assert.deepEqual(qualityColumns(quality), {
+    quality_score: quality.score,
+    quality_flagged: true,
+    quality_metrics: { ...quality.metrics, issues: quality.issues },
+  });
+});
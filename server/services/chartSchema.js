@@ -0,0 +1,314 @@
+/**
+ * The chart schema: the shape of the segments and notes every chart is stored with, whoever made it
+ * (the pipeline, saveSong, the UltraStar/MIDI/LRC importers). Charts are validated and normalized
+ * here before they're saved, so readers can trust the fields instead of coercing them.
+ *
+ * Version 1:
+ * - segment: { text: string, start: number, end: number, words?: word[] } - seconds, end >= start
+ * - word: { text: string, start: number, end: number }
+ * - note: { start, end, duration, type, targetPitch, midi, cents, segmentIndex?, wordIndex?, syllable?,
+ *   contour?, vibrato? } - type is one of NOTE_TYPES; freestyle notes have null pitch fields, the others
+ *   a MIDI note (0-127) and its frequency; contour is [[offsetSeconds, midi], ...], vibrato { rate, depth }
+ * Fields outside the schema are kept as they are.
+ */
+
+export const CHART_SCHEMA_VERSION = 1;
+export const NOTE_TYPES = ['normal', 'golden', 'freestyle'];
+
+const MAX_REPORTED_ERRORS = 50; // A chart broken everywhere doesn't need thousands of errors to say so
+
+/**
+ * Thrown by normalizeChart. errors lists every problem found, each with the path of the bad value
+ * (e.g. "notes[12].end") and what's wrong with it
+ */
+export class ChartValidationError extends Error {
+  constructor(errors) {
+    const shown = errors.slice(0, 3).map(({ path, message }) => `${path} ${message}`).join('; ');
+    super(`Invalid chart: ${shown}${errors.length > 3 ? ` (and ${errors.length - 3} more)` : ''}`);
+    this.name = 'ChartValidationError';
+    this.errors = errors;
+  }
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Finite number from a number or numeric string, else undefined
+function toNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : undefined;
+  if (typeof value === 'string' && value.trim() !== '') {
+    const number = Number(value);
+    return Number.isFinite(number) ? number : undefined;
+  }
+  return undefined;
+}
+
+function midiToFrequency(midi) {
+  return Math.round(440 * Math.pow(2, (midi - 69) / 12));
+}
+
+function frequencyToMidi(frequency) {
+  return Math.round(69 + 12 * Math.log2(frequency / 440));
+}
+
+// Collects errors against paths; each read* helper reports and returns undefined when the value is bad
+function createChecker() {
+  const errors = [];
+  const report = (path, message) => {
+    if (errors.length < MAX_REPORTED_ERRORS) errors.push({ path, message });
+  };
+
+  return {
+    errors,
+    report,
+    time(value, path) {
+      const number = toNumber(value);
+      if (number === undefined) {
+        report(path, value === undefined ? 'is required' : `must be a number of seconds (got ${JSON.stringify(value)})`);
+        return undefined;
+      }
+      if (number < 0) {
+        report(path, `must not be negative (got ${number})`);
+        return undefined;
+      }
+      return number;
+    },
+    span(item, path) {
+      const start = this.time(item.start, `${path}.start`);
+      const end = this.time(item.end, `${path}.end`);
+      if (start !== undefined && end !== undefined && end < start) {
+        report(`${path}.end`, `must not be before start (${end} < ${start})`);
+        return null;
+      }
+      return start === undefined || end === undefined ? null : { start, end };
+    },
+    index(value, path) {
+      const number = toNumber(value);
+      if (number === undefined || !Number.isInteger(number) || number < 0) {
+        report(path, `must be a non-negative integer (got ${JSON.stringify(value)})`);
+        return undefined;
+      }
+      return number;
+    },
+  };
+}
+
+function normalizeWord(word, path, check) {
+  if (!isObject(word)) {
+    check.report(path, 'must be an object');
+    return null;
+  }
+  const text = word.text ?? word.word; // Whisper names it "word"
+  if (typeof text !== 'string') {
+    check.report(`${path}.text`, 'must be a string');
+  }
+  const span = check.span(word, path);
+  if (typeof text !== 'string' || !span) return null;
+
+  const normalized = { ...word, text: text.trim(), ...span };
+  delete normalized.word;
+  return normalized;
+}
+
+function normalizeSegment(segment, path, check) {
+  if (!isObject(segment)) {
+    check.report(path, 'must be an object');
+    return null;
+  }
+  if (typeof segment.text !== 'string') {
+    check.report(`${path}.text`, segment.text === undefined ? 'is required' : 'must be a string');
+  }
+  const span = check.span(segment, path);
+
+  let words;
+  if (segment.words !== undefined && segment.words !== null) {
+    if (!Array.isArray(segment.words)) {
+      check.report(`${path}.words`, 'must be an array');
+    } else {
+      words = segment.words.map((word, index) => normalizeWord(word, `${path}.words[${index}]`, check));
+    }
+  }
+
+  if (typeof segment.text !== 'string' || !span || words?.includes(null)) return null;
+  const normalized = { ...segment, text: segment.text, ...span };
+  if (words) {
+    normalized.words = words;
+  } else {
+    delete normalized.words;
+  }
+  return normalized;
+}
+
+// Pitch fields of a note: freestyle notes have none; pitched ones need a MIDI note or a frequency to derive it from
+function normalizePitch(note, type, path, check) {
+  if (type === 'freestyle') return { targetPitch: null, midi: null, cents: null };
+
+  let midi = toNumber(note.midi);
+  const targetPitch = toNumber(note.targetPitch);
+  if (note.midi !== undefined && note.midi !== null && midi === undefined) {
+    check.report(`${path}.midi`, `must be a number (got ${JSON.stringify(note.midi)})`);
+    return null;
+  }
+  if (midi === undefined) {
+    if (!(targetPitch > 0)) {
+      check.report(`${path}.midi`, `is required for ${type} notes (or a targetPitch in Hz)`);
+      return null;
+    }
+    midi = frequencyToMidi(targetPitch); // Charts from before notes carried their MIDI number
+  }
+  if (midi < 0 || midi > 127) {
+    check.report(`${path}.midi`, `must be between 0 and 127 (got ${midi})`);
+    return null;
+  }
+
+  return {
+    targetPitch: targetPitch > 0 ? targetPitch : midiToFrequency(midi),
+    midi,
+    cents: toNumber(note.cents) ?? 0,
+  };
+}
+
+function normalizeContour(contour, path, check) {
+  if (!Array.isArray(contour) || contour.length < 2) {
+    check.report(path, 'must be an array of at least two [offsetSeconds, midi] points');
+    return undefined;
+  }
+  const points = contour.map((point, index) => {
+    const offset = Array.isArray(point) ? toNumber(point[0]) : undefined;
+    const midi = Array.isArray(point) ? toNumber(point[1]) : undefined;
+    if (offset === undefined || midi === undefined || offset < 0) {
+      check.report(`${path}[${index}]`, 'must be an [offsetSeconds, midi] pair');
+      return null;
+    }
+    return [offset, midi];
+  });
+  return points.includes(null) ? undefined : points;
+}
+
+function normalizeVibrato(vibrato, path, check) {
+  const rate = isObject(vibrato) ? toNumber(vibrato.rate) : undefined;
+  const depth = isObject(vibrato) ? toNumber(vibrato.depth) : undefined;
+  if (!(rate > 0) || !(depth >= 0)) {
+    check.report(path, 'must be { rate: Hz > 0, depth: cents >= 0 }');
+    return undefined;
+  }
+  return { ...vibrato, rate, depth };
+}
+
+function normalizeNote(note, path, segments, check) {
+  if (!isObject(note)) {
+    check.report(path, 'must be an object');
+    return null;
+  }
+  const errorCount = check.errors.length;
+  const normalized = { ...note };
+
+  const span = check.span(note, path);
+  if (span) Object.assign(normalized, span, { duration: Number((span.end - span.start).toFixed(3)) });
+
+  const type = note.type ?? 'normal';
+  if (!NOTE_TYPES.includes(type)) {
+    check.report(`${path}.type`, `must be one of ${NOTE_TYPES.join(', ')} (got ${JSON.stringify(note.type)})`);
+  } else {
+    normalized.type = type;
+    Object.assign(normalized, normalizePitch(note, type, path, check));
+  }
+
+  // Lyric links point into segments (and their words)
+  if (note.segmentIndex !== undefined || note.wordIndex !== undefined) {
+    const segmentIndex = check.index(note.segmentIndex, `${path}.segmentIndex`);
+    const wordIndex = check.index(note.wordIndex, `${path}.wordIndex`);
+    if (typeof note.syllable !== 'string') {
+      check.report(`${path}.syllable`, 'must be a string on notes linked to a word');
+    }
+    const segment = segments?.[segmentIndex];
+    if (segmentIndex !== undefined && segments && !segment) {
+      check.report(`${path}.segmentIndex`, `points past the last segment (${segmentIndex} >= ${segments.length})`);
+    } else if (wordIndex !== undefined && segment?.words && wordIndex >= segment.words.length) {
+      check.report(`${path}.wordIndex`, `points past the last word of segment ${segmentIndex} (${wordIndex} >= ${segment.words.length})`);
+    }
+    Object.assign(normalized, { segmentIndex, wordIndex });
+  } else if (note.syllable !== undefined) {
+    delete normalized.syllable; // A syllable means nothing without the word it belongs to
+  }
+
+  if (note.contour !== undefined && note.contour !== null) normalized.contour = normalizeContour(note.contour, `${path}.contour`, check);
+  if (note.vibrato !== undefined && note.vibrato !== null) normalized.vibrato = normalizeVibrato(note.vibrato, `${path}.vibrato`, check);
+
+  return check.errors.length === errorCount ? normalized : null;
+}
+
+/**
+ * Validate a chart without throwing
+ * @param {{segments?: object[], notes?: object[]|null}} chart - Either part may be left out (it's then
+ *   not checked, and notes' lyric links aren't checked without segments)
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>, segments?: object[], notes?: object[]|null}}
+ *   The normalized segments/notes (numbers parsed, missing durations/types/pitches filled in) when valid
+ */
+export function validateChart({ segments, notes } = {}) {
+  const check = createChecker();
+  const result = {};
+
+  if (segments !== undefined) {
+    if (!Array.isArray(segments)) {
+      check.report('segments', 'must be an array');
+    } else {
+      result.segments = segments.map((segment, index) => normalizeSegment(segment, `segments[${index}]`, check));
+    }
+  }
+
+  if (notes !== undefined && notes !== null) {
+    if (!Array.isArray(notes)) {
+      check.report('notes', 'must be an array or null');
+    } else {
+      const linkedSegments = Array.isArray(segments) ? segments : null;
+      result.notes = notes.map((note, index) => normalizeNote(note, `notes[${index}]`, linkedSegments, check));
+    }
+  } else if (notes === null) {
+    result.notes = null; // No notes yet (pitch extraction failed)
+  }
+
+  if (check.errors.length > 0) return { valid: false, errors: check.errors };
+  return { valid: true, errors: [], ...result };
+}
+
+/**
+ * Validate and normalize a chart before it's saved
+ * @param {{segments?: object[], notes?: object[]|null}} chart
+ * @returns {{segments?: object[], notes?: object[]|null}} The normalized parts that were given
+ * @throws {ChartValidationError} When anything in the chart is invalid
+ */
+export function normalizeChart(chart) {
+  const { valid, errors, ...normalized } = validateChart(chart);
+  if (!valid) throw new ChartValidationError(errors);
+  return normalized;
+}
+
+/**
+ * Normalize a chart, dropping the segments and notes that are invalid instead of throwing - for
+ * generated charts, where the rest of the work is still worth keeping. Notes are checked against the
+ * kept segments, so relink them (attachLyricsToNotes) first if segments may be dropped.
+ * @param {{segments?: object[], notes?: object[]|null}} chart
+ * @returns {{segments?: object[], notes?: object[]|null, errors: Array<{path: string, message: string}>}}
+ *   The valid parts, and what was wrong with the dropped ones
+ */
+export function repairChart({ segments, notes } = {}) {
+  const check = createChecker();
+  const result = {};
+
+  if (Array.isArray(segments)) {
+    result.segments = segments
+      .map((segment, index) => normalizeSegment(segment, `segments[${index}]`, check))
+      .filter(Boolean);
+  }
+  if (Array.isArray(notes)) {
+    result.notes = notes
+      .map((note, index) => normalizeNote(note, `notes[${index}]`, result.segments ?? null, check))
+      .filter(Boolean);
+  } else if (notes === null) {
+    result.notes = null;
+  }
+
+  return { ...result, errors: check.errors };
+}
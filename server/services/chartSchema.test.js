@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ChartValidationError, normalizeChart, repairChart, validateChart } from './chartSchema.js';
+import { parseUltraStar } from './ultrastar.js';
+
+const chart = {
+  segments: [
+    { text: 'Hello world', start: 1, end: 2, words: [{ text: 'Hello', start: 1, end: 1.5 }, { text: 'world', start: 1.5, end: 2 }] },
+  ],
+  notes: [
+    { start: 1, end: 1.5, duration: 0.5, type: 'normal', targetPitch: 262, midi: 60, cents: 0, segmentIndex: 0, wordIndex: 0, syllable: 'Hello' },
+    { start: 1.5, end: 2, duration: 0.5, type: 'freestyle', targetPitch: null, midi: null, cents: null, segmentIndex: 0, wordIndex: 1, syllable: 'world' },
+  ],
+};
+
+test('normalized charts come back unchanged', () => {
+  assert.deepEqual(normalizeChart(chart), chart);
+  assert.deepEqual(normalizeChart(normalizeChart(chart)), chart);
+});
+
+test('imported charts are already normalized', () => {
+  const { segments, notes } = parseUltraStar('#BPM:300\n#GAP:0\n: 0 4 0 Hel\n: 4 4 2 lo\n* 8 4 4  world\nF 12 4 0  hey\nE\n');
+  assert.deepEqual(normalizeChart({ segments, notes }), { segments, notes });
+});
+
+test('numeric strings are parsed and missing fields filled in', () => {
+  const { segments, notes } = normalizeChart({
+    segments: [{ text: 'Hi', start: '1', end: '2', words: [{ word: ' Hi', start: 1, end: 2 }] }],
+    notes: [{ start: '1', end: 1.5, targetPitch: 440, syllable: 'dropped' }],
+  });
+
+  assert.deepEqual(segments, [{ text: 'Hi', start: 1, end: 2, words: [{ text: 'Hi', start: 1, end: 2 }] }]);
+  assert.deepEqual(notes, [{ start: 1, end: 1.5, duration: 0.5, type: 'normal', targetPitch: 440, midi: 69, cents: 0 }]);
+});
+
+test('fields outside the schema are kept', () => {
+  const { segments } = normalizeChart({ segments: [{ text: 'Hi', start: 0, end: 1, speaker: 'A' }] });
+  assert.equal(segments[0].speaker, 'A');
+});
+
+test('every problem is reported with its path', () => {
+  const { valid, errors } = validateChart({
+    segments: [{ text: 'Hi', start: 2, end: 1 }, { start: 'soon', end: 3 }],
+    notes: [
+      { start: 0, end: 1, type: 'rap', midi: 60 },
+      { start: 0, end: 1, midi: 200 },
+      { start: 0, end: 1, midi: 60, segmentIndex: 5, wordIndex: 0, syllable: 'x' },
+    ],
+  });
+
+  assert.equal(valid, false);
+  assert.deepEqual(errors.map(error => error.path), [
+    'segments[0].end',
+    'segments[1].text',
+    'segments[1].start',
+    'notes[0].type',
+    'notes[1].midi',
+    'notes[2].segmentIndex',
+  ]);
+});
+
+test('normalizeChart throws the errors it finds', () => {
+  assert.throws(() => normalizeChart({ segments: [{ text: 'Hi', start: -1, end: 1 }] }), (error) => {
+    assert.ok(error instanceof ChartValidationError);
+    assert.deepEqual(error.errors, [{ path: 'segments[0].start', message: 'must not be negative (got -1)' }]);
+    assert.match(error.message, /^Invalid chart: segments\[0\]\.start must not be negative/);
+    return true;
+  });
+});
+
+test('notes may be null, and parts left out are not checked', () => {
+  assert.deepEqual(normalizeChart({ segments: chart.segments, notes: null }), { segments: chart.segments, notes: null });
+  assert.equal(normalizeChart({ notes: [{ start: 0, end: 1, type: 'freestyle', segmentIndex: 9, wordIndex: 0, syllable: 'x' }] }).notes.length, 1);
+});
+
+test('repairChart drops the invalid segments and notes and keeps the rest', () => {
+  const repaired = repairChart({
+    segments: [...chart.segments, { text: 'Broken', start: 3, end: 2 }],
+    notes: [...chart.notes, { start: 2, end: 3, midi: 'high' }, { start: 2, end: 3, midi: 60, segmentIndex: 1, wordIndex: 0, syllable: 'x' }],
+  });
+
+  assert.deepEqual(repaired.segments, chart.segments);
+  assert.deepEqual(repaired.notes, chart.notes);
+  assert.deepEqual(repaired.errors.map(error => error.path), ['segments[1].end', 'notes[2].midi', 'notes[3].segmentIndex']);
+});
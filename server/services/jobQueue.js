@@ -0,0 +1,214 @@
+import { randomUUID } from 'crypto';
+import { EventEmitter } from 'events';
+
+/**
+ * In-memory job queue for long-running song processing.
+ * Jobs are deduplicated by key (e.g. youtubeId) while queued or running, so a
+ * refresh or a retried request attaches to the existing job instead of
+ * starting the pipeline again.
+ */
+
+const MAX_CONCURRENT_JOBS = parseInt(process.env.SONG_JOB_CONCURRENCY || '1', 10) || 1;
+const FINISHED_JOB_TTL_MS = 60 * 60 * 1000; // Keep finished jobs around for 1 hour
+
+const jobs = new Map(); // jobId -> job
+const activeJobsByKey = new Map(); // key -> jobId (queued or running only)
+const pendingJobs = [];
+let runningCount = 0;
+
+// Emits `job:<id>` with the serialized job on every stage change and when it finishes
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+// Estimate percent complete and ETA from the job's stage plan ({id, label, expectedSeconds}[])
+function estimateProgress(job) {
+  if (job.status === 'completed') return { percent: 100, etaSeconds: 0 };
+  if (!job.plan.length || job.status !== 'running') return { percent: 0, etaSeconds: null };
+
+  const total = job.plan.reduce((sum, stage) => sum + stage.expectedSeconds, 0);
+  const currentIndex = job.plan.findIndex(stage => stage.id === job.stage);
+  if (currentIndex === -1) return { percent: 0, etaSeconds: total };
+
+  const current = job.plan[currentIndex];
+  const startedAt = job.stages[job.stages.length - 1]?.startedAt || Date.now();
+  const elapsedSeconds = (Date.now() - startedAt) / 1000;
+  // Stages that report progress (see setProgress) are measured, the rest estimated from elapsed time.
+  // Never claim a stage is done until it actually moves on
+  const reported = job.stageProgress !== null && job.stageProgress > 0;
+  const stageFraction = Math.min(reported ? job.stageProgress : elapsedSeconds / current.expectedSeconds, 0.95);
+  const currentRemainingSeconds = reported
+    ? elapsedSeconds * (1 - stageFraction) / stageFraction
+    : current.expectedSeconds * (1 - stageFraction);
+
+  const doneSeconds = job.plan.slice(0, currentIndex).reduce((sum, stage) => sum + stage.expectedSeconds, 0);
+  const remainingSeconds = job.plan.slice(currentIndex + 1).reduce((sum, stage) => sum + stage.expectedSeconds, 0)
+    + currentRemainingSeconds;
+
+  return {
+    percent: Math.round(((doneSeconds + current.expectedSeconds * stageFraction) / total) * 100),
+    etaSeconds: Math.round(remainingSeconds),
+  };
+}
+
+function stageLabel(job, stage) {
+  return job.plan.find(entry => entry.id === stage)?.label || stage;
+}
+
+// Public view of a job (never exposes the task function)
+function serializeJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    key: job.key,
+    status: job.status, // 'queued' | 'running' | 'completed' | 'failed'
+    stage: job.stage,
+    stageLabel: job.stage ? stageLabel(job, job.stage) : null,
+    stages: job.stages,
+    ...estimateProgress(job),
+    error: job.error,
+    result: job.result,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+  };
+}
+
+function setStage(job, stage) {
+  const now = Date.now();
+  const previous = job.stages[job.stages.length - 1];
+  if (previous && previous.finishedAt === null) {
+    previous.finishedAt = now;
+    previous.durationMs = now - previous.startedAt;
+  }
+  job.stage = stage;
+  job.stageProgress = null;
+  job.stages.push({ name: stage, label: stageLabel(job, stage), startedAt: now, finishedAt: null, durationMs: null });
+  jobEvents.emit(`job:${job.id}`, serializeJob(job));
+}
+
+// Record how far the current stage is (0-1), for stages that can measure it
+function setProgress(job, fraction) {
+  if (job.status !== 'running' || !Number.isFinite(fraction)) return;
+  job.stageProgress = Math.max(0, Math.min(1, fraction));
+  jobEvents.emit(`job:${job.id}`, serializeJob(job));
+}
+
+function finishJob(job, status) {
+  const now = Date.now();
+  const lastStage = job.stages[job.stages.length - 1];
+  if (lastStage && lastStage.finishedAt === null) {
+    lastStage.finishedAt = now;
+    lastStage.durationMs = now - lastStage.startedAt;
+  }
+  job.status = status;
+  job.finishedAt = now;
+  activeJobsByKey.delete(job.key);
+  jobEvents.emit(`job:${job.id}`, serializeJob(job));
+
+  // Forget finished jobs after a while so the map doesn't grow forever
+  setTimeout(() => jobs.delete(job.id), FINISHED_JOB_TTL_MS).unref();
+}
+
+async function runJob(job) {
+  runningCount++;
+  job.status = 'running';
+  job.startedAt = Date.now();
+  jobEvents.emit(`job:${job.id}`, serializeJob(job));
+  console.log(`🏃 [JOBS] Starting ${job.type} job ${job.id} (${job.key})`);
+
+  try {
+    job.result = await job.task({
+      setStage: (stage) => setStage(job, stage),
+      setProgress: (fraction) => setProgress(job, fraction),
+    });
+    finishJob(job, 'completed');
+    console.log(`✅ [JOBS] Job ${job.id} completed in ${((job.finishedAt - job.startedAt) / 1000).toFixed(1)}s`);
+  } catch (error) {
+    job.error = error?.message || String(error);
+    finishJob(job, 'failed');
+    console.error(`❌ [JOBS] Job ${job.id} failed at stage "${job.stage}":`, job.error);
+  } finally {
+    runningCount--;
+    drainQueue();
+  }
+}
+
+function drainQueue() {
+  while (runningCount < MAX_CONCURRENT_JOBS && pendingJobs.length > 0) {
+    runJob(pendingJobs.shift());
+  }
+}
+
+/**
+ * Enqueue a job, or return the active job already registered for the same key
+ * @param {string} type - Job type (e.g. 'whisper')
+ * @param {string} key - Deduplication key (e.g. youtubeId)
+ * @param {(ctx: {setStage: (stage: string) => void, setProgress: (fraction: number) => void}) => Promise<any>} task - Work to run;
+ *   setProgress optionally reports how far the current stage is (0-1)
+ * @param {{stages?: Array<{id: string, label: string, expectedSeconds: number}>}} [options] - Stage plan used for percent/ETA
+ * @returns {{job: object, created: boolean}}
+ */
+export function enqueueJob(type, key, task, { stages = [] } = {}) {
+  const activeJobId = activeJobsByKey.get(key);
+  if (activeJobId && jobs.has(activeJobId)) {
+    console.log(`⏳ [JOBS] Reusing active job ${activeJobId} for: ${key}`);
+    return { job: serializeJob(jobs.get(activeJobId)), created: false };
+  }
+
+  const job = {
+    id: randomUUID(),
+    type,
+    key,
+    task,
+    plan: stages,
+    status: 'queued',
+    stage: null,
+    stageProgress: null,
+    stages: [],
+    error: null,
+    result: null,
+    createdAt: Date.now(),
+    startedAt: null,
+    finishedAt: null,
+  };
+
+  jobs.set(job.id, job);
+  activeJobsByKey.set(key, job.id);
+  pendingJobs.push(job);
+  console.log(`📥 [JOBS] Queued ${type} job ${job.id} for: ${key} (${pendingJobs.length} pending, ${runningCount} running)`);
+
+  drainQueue();
+  return { job: serializeJob(job), created: true };
+}
+
+/**
+ * Get the current state of a job
+ * @param {string} jobId
+ * @returns {object|null} Serialized job or null if unknown/expired
+ */
+export function getJob(jobId) {
+  const job = jobs.get(jobId);
+  return job ? serializeJob(job) : null;
+}
+
+/**
+ * Get the job queued or running under a key
+ * @param {string} key - Deduplication key (e.g. youtubeId)
+ * @returns {object|null} Serialized job or null if nothing is active for the key
+ */
+export function getActiveJob(key) {
+  const job = jobs.get(activeJobsByKey.get(key));
+  return job ? serializeJob(job) : null;
+}
+
+/**
+ * Listen for updates on a job
+ * @param {string} jobId
+ * @param {(job: object) => void} listener - Called with the serialized job on every update
+ * @returns {() => void} Unsubscribe function
+ */
+export function subscribeToJob(jobId, listener) {
+  const eventName = `job:${jobId}`;
+  jobEvents.on(eventName, listener);
+  return () => jobEvents.off(eventName, listener);
+}
@@ -0,0 +1,182 @@
+import { lyricWords } from './noteLyrics.js';
+
+/**
+ * LRC timed lyrics. A line is one or more [mm:ss.xx] time tags followed by its text (several tags
+ * mean the line is sung at each of those times); an empty line with a tag marks where singing stops.
+ * Enhanced LRC adds a <mm:ss.xx> tag before each word, and usually one after the last word for where
+ * the line ends. Headers are [ti:title], [ar:artist], [offset:+/-ms] ...
+ */
+
+const MAX_LINE_SECONDS = 8; // Plain LRC lines run until the next line, but no longer than this
+const SECONDS_PER_WORD = 0.5; // Length of the last line, which has no next line to run until
+const MIN_LINE_SECONDS = 1;
+const BREAK_GAP_SECONDS = 1; // Export marks gaps this long with an empty line so players clear the text
+
+const LINE_TIME_TAG = /\[(\d+):(\d{1,2}(?:[.:]\d+)?)\]/g;
+const WORD_TIME_TAG = /<(\d+):(\d{1,2}(?:[.:]\d+)?)>/g;
+const HEADER_TAG = /^\[([a-z#]+):(.*)\]$/i;
+
+function parseTime(minutes, seconds) {
+  return Number(minutes) * 60 + parseFloat(seconds.replace(':', '.'));
+}
+
+function formatTime(seconds) {
+  const hundredths = Math.max(0, Math.round(seconds * 100));
+  const minutes = Math.floor(hundredths / 6000);
+  const rest = (hundredths % 6000) / 100;
+  return `${String(minutes).padStart(2, '0')}:${rest.toFixed(2).padStart(5, '0')}`;
+}
+
+function round(seconds) {
+  return Number(Math.max(0, seconds).toFixed(3));
+}
+
+/**
+ * Write a song's segments as LRC
+ * @param {object} song - singfi_songs row (title, artist, segments)
+ * @param {{enhanced?: boolean}} [options] - enhanced adds a <mm:ss.xx> tag before every word
+ *   (segments without word timestamps get their text spread evenly over the line)
+ * @returns {string} The file contents
+ */
+export function exportLrc(song, { enhanced = false } = {}) {
+  const segments = (song.segments || []).filter(segment => (segment.text || '').trim());
+  if (segments.length === 0) {
+    throw new Error('Song has no lyrics to export');
+  }
+
+  const lines = [];
+  if (song.title) lines.push(`[ti:${song.title}]`);
+  if (song.artist) lines.push(`[ar:${song.artist}]`);
+
+  const words = enhanced ? lyricWords(segments) : [];
+  segments.forEach((segment, segmentIndex) => {
+    let text = segment.text.trim().replace(/\s+/g, ' ');
+    if (enhanced) {
+      const segmentWords = words.filter(word => word.segmentIndex === segmentIndex && word.text);
+      if (segmentWords.length > 0) {
+        text = `${segmentWords.map(word => `<${formatTime(word.start)}>${word.text}`).join(' ')} <${formatTime(segment.end)}>`;
+      }
+    }
+    lines.push(`[${formatTime(segment.start)}]${text}`);
+
+    const next = segments[segmentIndex + 1];
+    if (!next || next.start - segment.end >= BREAK_GAP_SECONDS) lines.push(`[${formatTime(segment.end)}]`);
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+// Word tags of an enhanced line: the words after each <mm:ss.xx> tag, and the time of a closing tag
+// with no words after it. A tag earlier than the line or the tag before it (hand-edited files) is
+// moved up to that time, so words never run backwards
+function wordTags(text, lineStart) {
+  const tags = [...text.matchAll(WORD_TIME_TAG)];
+  const groups = [];
+  let end = null;
+  let previous = lineStart;
+  tags.forEach((tag, index) => {
+    const from = tag.index + tag[0].length;
+    const to = index + 1 < tags.length ? tags[index + 1].index : text.length;
+    const words = text.slice(from, to).trim().split(/\s+/).filter(Boolean);
+    const time = Math.max(previous, parseTime(tag[1], tag[2]));
+    if (words.length === 0) {
+      end = time;
+    } else {
+      groups.push({ start: time, words });
+      previous = time;
+    }
+  });
+  return { groups, end };
+}
+
+// Word timestamps from the tags; words sharing a tag ("<00:12.00>in the") split its time evenly.
+// Starts only go forward (see wordTags), so each word ends at or before the next one starts
+function timeWords(groups, lineEnd) {
+  return groups.flatMap((group, index) => {
+    const groupEnd = Math.max(group.start, groups[index + 1]?.start ?? lineEnd);
+    const slot = (groupEnd - group.start) / group.words.length;
+    return group.words.map((word, wordIndex) => ({
+      text: word,
+      start: group.start + wordIndex * slot,
+      end: group.start + (wordIndex + 1) * slot,
+    }));
+  });
+}
+
+/**
+ * Read LRC (plain or enhanced) into segments. Lines end at the next line (or the empty line marking a
+ * break), at most MAX_LINE_SECONDS later; enhanced lines get word timestamps.
+ * @param {string} text - File contents
+ * @param {{offset?: number}} [options] - offset (seconds) shifts every line, on top of the file's [offset:] tag
+ * @returns {{title: string|null, artist: string|null, segments: object[], lyrics: string, enhanced: boolean}}
+ */
+export function parseLrc(text, { offset = 0 } = {}) {
+  const headers = {};
+  const entries = []; // { time, text } - empty text marks where singing stops
+
+  for (const rawLine of (text || '').replace(/^\uFEFF/, '').split(/\r?\n/)) {
+    const line = rawLine.trim();
+    const tags = [...line.matchAll(LINE_TIME_TAG)];
+    if (tags.length === 0 || tags[0].index !== 0) {
+      const header = line.match(HEADER_TAG);
+      if (header) headers[header[1].toLowerCase()] = header[2].trim();
+      continue;
+    }
+
+    // Time tags lead the line; the rest is its text
+    let textStart = 0;
+    for (const tag of tags) {
+      if (tag.index !== textStart) break;
+      textStart += tag[0].length;
+    }
+    const lineText = line.slice(textStart).trim();
+    for (const tag of tags.filter(tag => tag.index < textStart)) {
+      entries.push({ time: parseTime(tag[1], tag[2]), text: lineText });
+    }
+  }
+
+  // A positive [offset:] makes lyrics show sooner
+  const shift = (Number(offset) || 0) - (parseFloat(headers.offset) || 0) / 1000;
+  entries.sort((a, b) => a.time - b.time);
+
+  let enhanced = false;
+  const segments = [];
+  entries.forEach((entry, index) => {
+    if (!entry.text) return;
+
+    const next = entries[index + 1];
+    const { groups, end: closingTime } = wordTags(entry.text, entry.time);
+    const plainText = entry.text.replace(WORD_TIME_TAG, ' ').replace(/\s+/g, ' ').trim();
+    if (!plainText) return;
+
+    const wordCount = plainText.split(' ').length;
+    const start = entry.time;
+    let end = next ? Math.min(next.time, start + MAX_LINE_SECONDS) : start + Math.max(MIN_LINE_SECONDS, wordCount * SECONDS_PER_WORD);
+    if (closingTime !== null && closingTime > start) end = closingTime;
+    const lastWordStart = groups[groups.length - 1]?.start;
+    if (lastWordStart >= end) end = lastWordStart + SECONDS_PER_WORD; // Plain line end cut the last word off
+
+    const segment = { text: plainText, start: round(start + shift), end: round(end + shift) };
+    if (groups.length > 0) {
+      enhanced = true;
+      segment.words = timeWords(groups, end).map(word => ({
+        text: word.text,
+        start: round(word.start + shift),
+        end: round(word.end + shift),
+      }));
+    }
+    if (segment.end > segment.start) segments.push(segment);
+  });
+
+  if (segments.length === 0) {
+    throw new Error('LRC file has no timed lyric lines');
+  }
+
+  return {
+    title: headers.ti || null,
+    artist: headers.ar || null,
+    segments,
+    lyrics: segments.map(segment => segment.text).join('\n'),
+    enhanced,
+  };
+}
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { exportLrc, parseLrc } from './lrc.js';
+
+const song = {
+  title: 'Test Song',
+  artist: 'Test Artist',
+  segments: [
+    { text: 'Hello world', start: 1, end: 2, words: [{ text: 'Hello', start: 1, end: 1.5 }, { text: 'world', start: 1.5, end: 2 }] },
+    { text: 'Sing on', start: 2.5, end: 4, words: [{ text: 'Sing', start: 2.5, end: 3 }, { text: 'on', start: 3, end: 4 }] },
+  ],
+};
+
+test('enhanced exports parse back to the same segments and word timestamps', () => {
+  const parsed = parseLrc(exportLrc(song, { enhanced: true }));
+
+  assert.equal(parsed.title, 'Test Song');
+  assert.equal(parsed.artist, 'Test Artist');
+  assert.equal(parsed.enhanced, true);
+  assert.deepEqual(parsed.segments, song.segments);
+  assert.equal(parsed.lyrics, 'Hello world\nSing on');
+});
+
+test('plain exports parse back to the same lines', () => {
+  const text = exportLrc(song);
+  assert.equal(text, '[ti:Test Song]\n[ar:Test Artist]\n[00:01.00]Hello world\n[00:02.50]Sing on\n[00:04.00]\n');
+
+  const parsed = parseLrc(text);
+  assert.equal(parsed.enhanced, false);
+  assert.deepEqual(parsed.segments, [
+    { text: 'Hello world', start: 1, end: 2.5 }, // Plain lines run until the next one
+    { text: 'Sing on', start: 2.5, end: 4 },
+  ]);
+});
+
+test('lines with several time tags are sung at each of them', () => {
+  const parsed = parseLrc('[00:01.00][00:10.00]Chorus\n[00:05.00]Verse\n[00:12.00]\n');
+  assert.deepEqual(parsed.segments.map(segment => [segment.text, segment.start, segment.end]), [
+    ['Chorus', 1, 5],
+    ['Verse', 5, 10],
+    ['Chorus', 10, 12],
+  ]);
+});
+
+test('the [offset:] tag and the offset option both shift the lyrics', () => {
+  const parsed = parseLrc('[offset:500]\n[00:02.00]Hello\n[00:03.00]\n', { offset: 1 });
+  assert.deepEqual(parsed.segments, [{ text: 'Hello', start: 2.5, end: 3.5 }]);
+});
+
+test('word tags running backwards are moved up to the tag before them', () => {
+  const parsed = parseLrc('[00:01.00]<00:01.00>one <00:00.50>two <00:02.00>\n');
+  assert.deepEqual(parsed.segments[0].words, [
+    { text: 'one', start: 1, end: 1 },
+    { text: 'two', start: 1, end: 2 },
+  ]);
+});
+
+test('files without timed lines, and songs without lyrics, are rejected', () => {
+  assert.throws(() => parseLrc('[ti:Only a title]\nNo tags here\n'), /no timed lyric lines/);
+  assert.throws(() => exportLrc({ segments: [{ text: ' ', start: 0, end: 1 }] }), /no lyrics to export/);
+});
@@ -0,0 +1,314 @@
+/**
+ * Forced alignment of official lyrics against Whisper's word timestamps.
+ * The official text is matched word-by-word to the transcript (edit-distance alignment, so
+ * misheard, missing and extra words are tolerated); matched words take the transcript's
+ * timing and unmatched ones are interpolated between their neighbours.
+ * The official line breaks become the chart segments, each with its words' timings.
+ */
+
+const GAP_COST = 1; // Official word with no transcript word, or vice versa
+const MISMATCH_COST = 1.5; // Pairing two different words (cheaper than two gaps only when they're similar)
+const FUZZY_MATCH_SIMILARITY = 0.7; // Words at least this similar count as the same word (misheard spelling)
+const DEFAULT_WORD_SECONDS = 0.3; // Duration given to unmatched words with no timed neighbour on one side
+
+// The alignment only searches a band around the diagonal (both texts run in song order), so its cost
+// grows with length x band instead of length squared
+const BAND_MIN_WORDS = 100; // Half-width of the band, at least...
+const BAND_RATIO = 0.15; // ...and this share of the longer text (room for skipped verses and repeats)
+export const MAX_LYRICS_WORDS = 5000; // Longer lyrics texts are refused (a song has well under 1000 words)
+
+// Lowercase and strip punctuation so "Don't," matches "dont"
+function normalizeWord(word) {
+  return (word || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function wordSimilarity(a, b) {
+  if (a === b) return 1;
+  const longest = Math.max(a.length, b.length);
+  return longest === 0 ? 0 : 1 - levenshtein(a, b) / longest;
+}
+
+/**
+ * Flatten a verbose_json transcription into timed words.
+ * Word timestamps come from each segment's words, or the top-level words list (as the OpenAI API
+ * returns them); segments without either are split evenly across their duration.
+ * @param {{segments?: object[]}} transcription
+ * @returns {Array<{text: string, start: number, end: number}>}
+ */
+export function transcriptWords(transcription) {
+  const segments = transcription?.segments || [];
+  const topLevelWords = Array.isArray(transcription?.words) ? transcription.words : [];
+  if (topLevelWords.length > 0 && !segments.some(seg => Array.isArray(seg.words) && seg.words.length > 0)) {
+    return topLevelWords.map(word => ({
+      text: (word.word || word.text || "").trim(),
+      start: word.start || 0,
+      end: word.end || word.start || 0,
+    }));
+  }
+
+  const words = [];
+
+  for (const seg of segments) {
+    if (seg.words && Array.isArray(seg.words)) {
+      for (const word of seg.words) {
+        words.push({
+          text: word.word || word.text || "",
+          start: word.start || seg.start || 0,
+          end: word.end || word.start || seg.end || 0,
+        });
+      }
+    } else {
+      const wordTexts = (seg.text || "").split(/\s+/).filter(w => w.length > 0);
+      const segmentDuration = (seg.end || 0) - (seg.start || 0);
+      const wordDuration = segmentDuration / wordTexts.length;
+
+      wordTexts.forEach((wordText, idx) => {
+        words.push({
+          text: wordText,
+          start: (seg.start || 0) + (idx * wordDuration),
+          end: (seg.start || 0) + ((idx + 1) * wordDuration),
+        });
+      });
+    }
+  }
+
+  return words;
+}
+
+// Index of each token in the list of distinct tokens
+function wordIds(tokens) {
+  const idsByWord = new Map();
+  const ids = tokens.map((token) => {
+    if (!idsByWord.has(token)) idsByWord.set(token, idsByWord.size);
+    return idsByWord.get(token);
+  });
+  return { ids, vocabulary: [...idsByWord.keys()] };
+}
+
+// Global alignment of official tokens to transcript tokens, within a band around the diagonal.
+// Returns, for each official token, the index of the transcript word it's paired with (or -1)
+// and whether the pair is a real match (same or similar word)
+function alignTokens(official, transcript) {
+  const rows = official.length + 1;
+  const cols = transcript.length + 1;
+
+  // Row i covers columns [bandStart(i), bandStart(i) + width) - wide enough that consecutive rows always overlap
+  const slope = transcript.length / Math.max(1, official.length);
+  const halfWidth = Math.max(BAND_MIN_WORDS, Math.ceil(Math.max(official.length, transcript.length) * BAND_RATIO), Math.ceil(slope) + 1);
+  const width = 2 * halfWidth + 1;
+  const bandStart = i => Math.max(0, Math.round(i * slope) - halfWidth);
+
+  const cost = new Float64Array(rows * width).fill(Infinity);
+  const move = new Uint8Array(rows * width); // 1 = pair, 2 = skip official, 3 = skip transcript
+  const cell = (i, j) => {
+    const offset = j - bandStart(i);
+    return offset >= 0 && offset < width && j < cols ? i * width + offset : -1;
+  };
+  const costAt = (i, j) => {
+    const index = cell(i, j);
+    return index === -1 ? Infinity : cost[index];
+  };
+
+  // Songs repeat their words - each distinct pair is compared once
+  const officialIds = wordIds(official);
+  const transcriptIds = wordIds(transcript);
+  const vocabularyWidth = transcriptIds.vocabulary.length;
+  const similarities = new Float64Array(officialIds.vocabulary.length * vocabularyWidth).fill(-1);
+  const similarity = (i, j) => {
+    const key = officialIds.ids[i] * vocabularyWidth + transcriptIds.ids[j];
+    if (similarities[key] < 0) similarities[key] = wordSimilarity(official[i], transcript[j]);
+    return similarities[key];
+  };
+
+  for (let i = 0; i < rows; i++) {
+    const from = bandStart(i);
+    const to = Math.min(cols, from + width);
+    for (let j = from; j < to; j++) {
+      const index = cell(i, j);
+      if (i === 0) {
+        cost[index] = j * GAP_COST;
+        move[index] = 3;
+        continue;
+      }
+      if (j === 0) {
+        cost[index] = i * GAP_COST;
+        move[index] = 2;
+        continue;
+      }
+
+      const pairSimilarity = similarity(i - 1, j - 1);
+      const pairCost = pairSimilarity >= FUZZY_MATCH_SIMILARITY ? 1 - pairSimilarity : MISMATCH_COST;
+
+      const pair = costAt(i - 1, j - 1) + pairCost;
+      const skipOfficial = costAt(i - 1, j) + GAP_COST;
+      const skipTranscript = costAt(i, j - 1) + GAP_COST;
+
+      let best = pair;
+      let bestMove = 1;
+      if (skipOfficial < best) {
+        best = skipOfficial;
+        bestMove = 2;
+      }
+      if (skipTranscript < best) {
+        best = skipTranscript;
+        bestMove = 3;
+      }
+      cost[index] = best;
+      move[index] = bestMove;
+    }
+  }
+
+  const pairs = new Array(official.length).fill(null).map(() => ({ index: -1, matched: false }));
+  let i = official.length;
+  let j = transcript.length;
+  while (i > 0 || j > 0) {
+    const step = move[cell(i, j)];
+    if (step === 1) {
+      pairs[i - 1] = {
+        index: j - 1,
+        matched: similarity(i - 1, j - 1) >= FUZZY_MATCH_SIMILARITY,
+      };
+      i--;
+      j--;
+    } else if (step === 2) {
+      i--;
+    } else {
+      j--;
+    }
+  }
+
+  return pairs;
+}
+
+// Give every unpaired token a time slot between the nearest timed tokens on either side
+function interpolateGaps(timings) {
+  let index = 0;
+  while (index < timings.length) {
+    if (timings[index]) {
+      index++;
+      continue;
+    }
+
+    let runEnd = index;
+    while (runEnd < timings.length && !timings[runEnd]) runEnd++;
+    const runLength = runEnd - index;
+
+    const before = index > 0 ? timings[index - 1].end : null;
+    const after = runEnd < timings.length ? timings[runEnd].start : null;
+
+    let from;
+    let to;
+    if (before !== null && after !== null) {
+      from = before;
+      to = Math.max(after, before);
+    } else if (before !== null) {
+      from = before;
+      to = before + runLength * DEFAULT_WORD_SECONDS;
+    } else {
+      to = after;
+      from = Math.max(0, after - runLength * DEFAULT_WORD_SECONDS);
+    }
+
+    const slot = (to - from) / runLength;
+    for (let k = 0; k < runLength; k++) {
+      timings[index + k] = { start: from + k * slot, end: from + (k + 1) * slot, matched: false };
+    }
+    index = runEnd;
+  }
+}
+
+/**
+ * Align official lyrics text to transcript word timestamps.
+ * @param {string} lyricsText - Official lyrics, one line per chart segment (blank lines are ignored)
+ * @param {Array<{text: string, start: number, end: number}>} words - Timed transcript words (see transcriptWords)
+ * @returns {{segments: Array<{text: string, start: number, end: number, words: object[]}>, lyrics: string,
+ *   stats: {officialWords: number, transcriptWords: number, matchedWords: number, matchRatio: number}}}
+ */
+export function alignLyrics(lyricsText, words) {
+  const lines = (lyricsText || '')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line.length > 0);
+
+  // Official tokens, remembering which line each came from
+  const officialTokens = [];
+  lines.forEach((line, lineIndex) => {
+    for (const word of line.split(/\s+/)) {
+      const normalized = normalizeWord(word);
+      if (normalized) officialTokens.push({ text: normalized, word, lineIndex });
+    }
+  });
+
+  const timedWords = (words || [])
+    .map(word => ({ ...word, normalized: normalizeWord(word.text) }))
+    .filter(word => word.normalized);
+
+  if (officialTokens.length === 0) {
+    throw new Error('Lyrics text has no words');
+  }
+  if (officialTokens.length > MAX_LYRICS_WORDS) {
+    throw new Error(`Lyrics text is too long (${officialTokens.length} words, at most ${MAX_LYRICS_WORDS})`);
+  }
+  if (timedWords.length === 0) {
+    throw new Error('Transcript has no timed words to align against');
+  }
+
+  const pairs = alignTokens(officialTokens.map(t => t.text), timedWords.map(w => w.normalized));
+
+  // Paired tokens (matched or substituted) take the transcript word's timing
+  const timings = pairs.map(({ index, matched }) => {
+    if (index === -1) return null;
+    const word = timedWords[index];
+    return { start: word.start, end: Math.max(word.end, word.start), matched };
+  });
+  interpolateGaps(timings);
+
+  const tokensByLine = lines.map(() => []);
+  officialTokens.forEach((token, tokenIndex) => tokensByLine[token.lineIndex].push({ ...token, ...timings[tokenIndex] }));
+
+  const segments = [];
+  lines.forEach((line, lineIndex) => {
+    const lineTokens = tokensByLine[lineIndex];
+    if (lineTokens.length === 0) return; // Punctuation-only line
+
+    segments.push({
+      text: line,
+      start: lineTokens[0].start,
+      end: Math.max(lineTokens[lineTokens.length - 1].end, lineTokens[0].start),
+      words: lineTokens.map(token => ({ text: token.word, start: token.start, end: token.end })),
+    });
+  });
+
+  const matchedWords = timings.filter(timing => timing.matched).length;
+
+  return {
+    segments,
+    lyrics: lines.join('\n'),
+    stats: {
+      officialWords: officialTokens.length,
+      transcriptWords: timedWords.length,
+      matchedWords,
+      matchRatio: Number((matchedWords / officialTokens.length).toFixed(3)),
+    },
+  };
+}
@@ -0,0 +1,372 @@
+import { attachLyricsToNotes, CONTINUATION_SYLLABLE } from './noteLyrics.js';
+
+/**
+ * Standard MIDI files of the vocal melody, so charts can be cleaned up in a DAW or notation editor.
+ * Export writes a format 1 file: a tempo track (tempo, time and key signature) and a "Vocals" track
+ * with one note per chart note and a lyric meta-event on each. Import reads the notes of one track back.
+ *
+ * Lyrics follow the Rock Band vocal-chart conventions most editors know: "+" is a held syllable
+ * (our "~" notes), a trailing "-" joins a syllable to the next one of its word and a trailing "#"
+ * marks an unpitched (freestyle) note. Golden notes are the ones at full velocity.
+ */
+
+const TICKS_PER_BEAT = 480;
+const DEFAULT_BPM = 120; // Used when the song has no detected tempo
+const NORMAL_VELOCITY = 96;
+const GOLDEN_VELOCITY = 127; // Import counts anything from GOLDEN_MIN_VELOCITY up as golden
+const GOLDEN_MIN_VELOCITY = 120;
+const DEFAULT_FREESTYLE_MIDI = 60; // Freestyle notes need a key - they take the pitch of the note before them
+const SHAPE_MATCH_SECONDS = 0.01; // Imported notes this close to a chart note keep its glide/vibrato shape
+
+const HELD_LYRIC = '+';
+const JOINED_LYRIC = '-';
+const FREESTYLE_LYRIC = '#';
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Variable-length quantity: 7 bits per byte, most significant first
+function writeVarLen(value) {
+  const bytes = [value & 0x7f];
+  for (let rest = value >>> 7; rest > 0; rest >>>= 7) bytes.unshift((rest & 0x7f) | 0x80);
+  return bytes;
+}
+
+function metaEvent(type, data) {
+  return [0xff, type, ...writeVarLen(data.length), ...data];
+}
+
+function textBytes(text) {
+  return [...Buffer.from(text, 'utf8')];
+}
+
+// MTrk chunk from [tick, eventBytes] pairs in tick order
+function trackChunk(events) {
+  const bytes = [];
+  let lastTick = 0;
+  for (const [tick, event] of events) {
+    bytes.push(...writeVarLen(tick - lastTick), ...event);
+    lastTick = tick;
+  }
+  bytes.push(0x00, ...metaEvent(0x2f, [])); // End of track
+
+  const header = Buffer.alloc(8);
+  header.write('MTrk', 0, 'ascii');
+  header.writeUInt32BE(bytes.length, 4);
+  return Buffer.concat([header, Buffer.from(bytes)]);
+}
+
+// Key signature meta data (sharps/flats count and mode) for a detected key, or null
+function keySignature(key, mode) {
+  const tonic = NOTE_NAMES.indexOf(key);
+  if (tonic === -1) return null;
+  const majorTonic = mode === 'minor' ? (tonic + 3) % 12 : tonic; // Minor keys share their relative major's signature
+  let fifths = (majorTonic * 7) % 12;
+  if (fifths > 6) fifths -= 12; // Flats read better than 7+ sharps
+  return [fifths & 0xff, mode === 'minor' ? 1 : 0];
+}
+
+// Lyric of each note: its syllable with the conventions above
+function noteLyrics(notes) {
+  return notes.map((note, index) => {
+    if (note.syllable === undefined) return note.type === 'freestyle' ? FREESTYLE_LYRIC : null;
+    if (note.syllable === CONTINUATION_SYLLABLE) return HELD_LYRIC;
+
+    const next = notes[index + 1];
+    const joined = next && next.segmentIndex === note.segmentIndex && next.wordIndex === note.wordIndex
+      && next.syllable !== CONTINUATION_SYLLABLE;
+    return `${note.syllable}${joined ? JOINED_LYRIC : ''}${note.type === 'freestyle' ? FREESTYLE_LYRIC : ''}`;
+  });
+}
+
+/**
+ * Write a chart's vocal melody as a Standard MIDI file
+ * @param {object} song - singfi_songs row (title, artist, segments, notes, bpm, musical_key, musical_mode)
+ * @returns {Buffer} The .mid file
+ */
+export function exportMidi(song) {
+  // Relink so charts made before notes carried syllables still get their lyrics
+  const notes = attachLyricsToNotes(
+    [...(song.notes || [])].filter(note => note.end > note.start).sort((a, b) => a.start - b.start),
+    song.segments || []
+  );
+  if (notes.length === 0) {
+    throw new Error('Chart has no notes to export');
+  }
+
+  const bpm = song.bpm > 0 ? song.bpm : DEFAULT_BPM;
+  const toTick = seconds => Math.max(0, Math.round(seconds * bpm / 60 * TICKS_PER_BEAT));
+
+  const microsecondsPerBeat = Math.round(60000000 / bpm);
+  const tempoEvents = [
+    [0, metaEvent(0x03, textBytes([song.artist, song.title].filter(Boolean).join(' - ') || 'Untitled'))],
+    [0, metaEvent(0x51, [(microsecondsPerBeat >> 16) & 0xff, (microsecondsPerBeat >> 8) & 0xff, microsecondsPerBeat & 0xff])],
+    [0, metaEvent(0x58, [4, 2, 24, 8])], // 4/4
+  ];
+  const signature = keySignature(song.musical_key, song.musical_mode);
+  if (signature) tempoEvents.push([0, metaEvent(0x59, signature)]);
+
+  const lyrics = noteLyrics(notes);
+  const noteEvents = [];
+  let previousKey = DEFAULT_FREESTYLE_MIDI;
+  let previousEndTick = 0;
+  notes.forEach((note, index) => {
+    const key = Number.isFinite(note.midi) ? Math.max(0, Math.min(127, Math.round(note.midi))) : previousKey;
+    // The vocal track is monophonic - a note never starts before the one before it has ended
+    const startTick = Math.max(previousEndTick, toTick(note.start));
+    const endTick = Math.max(startTick + 1, toTick(note.end));
+    const velocity = note.type === 'golden' ? GOLDEN_VELOCITY : NORMAL_VELOCITY;
+
+    if (lyrics[index]) noteEvents.push([startTick, metaEvent(0x05, textBytes(lyrics[index]))]);
+    noteEvents.push([startTick, [0x90, key, velocity]]);
+    noteEvents.push([endTick, [0x80, key, 0]]);
+
+    previousKey = key;
+    previousEndTick = endTick;
+  });
+
+  const header = Buffer.alloc(14);
+  header.write('MThd', 0, 'ascii');
+  header.writeUInt32BE(6, 4);
+  header.writeUInt16BE(1, 8); // Format 1: tracks play together
+  header.writeUInt16BE(2, 10);
+  header.writeUInt16BE(TICKS_PER_BEAT, 12);
+
+  return Buffer.concat([
+    header,
+    trackChunk(tempoEvents),
+    trackChunk([[0, metaEvent(0x03, textBytes('Vocals'))], ...noteEvents]),
+  ]);
+}
+
+// Reads variable-length quantities and bytes from a track chunk
+function trackReader(bytes) {
+  let position = 0;
+  return {
+    get done() {
+      return position >= bytes.length;
+    },
+    byte() {
+      if (position >= bytes.length) throw new Error('MIDI file track ends mid-event');
+      return bytes[position++];
+    },
+    peek() {
+      return bytes[position];
+    },
+    varLen() {
+      let value = 0;
+      for (let i = 0; i < 4; i++) {
+        const byte = this.byte();
+        value = value * 128 + (byte & 0x7f);
+        if (!(byte & 0x80)) return value;
+      }
+      throw new Error('MIDI file has an invalid variable-length number');
+    },
+    bytes(length) {
+      if (position + length > bytes.length) throw new Error('MIDI file track ends mid-event');
+      const slice = bytes.subarray(position, position + length);
+      position += length;
+      return slice;
+    },
+  };
+}
+
+// Events of one track with their absolute ticks: notes (with on/off ticks), lyrics, tempos and the track name
+function readTrack(bytes) {
+  const reader = trackReader(bytes);
+  const track = { name: null, notes: [], lyrics: [], tempos: [] };
+  const sounding = new Map(); // channel/key -> note-on
+  let tick = 0;
+  let runningStatus = null;
+
+  const noteOff = (channel, key) => {
+    const id = `${channel}:${key}`;
+    const started = sounding.get(id);
+    if (!started) return;
+    sounding.delete(id);
+    if (tick > started.tick) track.notes.push({ key, channel, velocity: started.velocity, startTick: started.tick, endTick: tick });
+  };
+
+  while (!reader.done) {
+    tick += reader.varLen();
+    let status = reader.peek();
+    if (status & 0x80) {
+      reader.byte();
+    } else if (runningStatus !== null) {
+      status = runningStatus; // Running status - the data bytes follow straight away
+    } else {
+      throw new Error('MIDI file has data without a status byte');
+    }
+
+    if (status === 0xff) {
+      const type = reader.byte();
+      const data = reader.bytes(reader.varLen());
+      if (type === 0x2f) break;
+      if (type === 0x03 && track.name === null) track.name = Buffer.from(data).toString('utf8');
+      if (type === 0x05) track.lyrics.push({ tick, text: Buffer.from(data).toString('utf8') });
+      if (type === 0x51 && data.length === 3) track.tempos.push({ tick, microsecondsPerBeat: (data[0] << 16) | (data[1] << 8) | data[2] });
+      continue;
+    }
+    if (status === 0xf0 || status === 0xf7) {
+      reader.bytes(reader.varLen()); // System exclusive
+      continue;
+    }
+
+    runningStatus = status;
+    const kind = status & 0xf0;
+    const channel = status & 0x0f;
+    const data1 = reader.byte();
+    const data2 = kind === 0xc0 || kind === 0xd0 ? null : reader.byte();
+
+    if (kind === 0x90 && data2 > 0) {
+      noteOff(channel, data1); // Re-struck key - end the note that's still sounding
+      sounding.set(`${channel}:${data1}`, { tick, velocity: data2 });
+    } else if (kind === 0x80 || kind === 0x90) {
+      noteOff(channel, data1);
+    }
+  }
+
+  track.notes.sort((a, b) => a.startTick - b.startTick);
+  return track;
+}
+
+/**
+ * Read a Standard MIDI file (format 0 or 1, ticks-per-beat timing)
+ * @param {Buffer} buffer - The .mid file
+ * @returns {{ticksPerBeat: number, tempos: Array<{tick: number, microsecondsPerBeat: number}>,
+ *   tracks: Array<{name: string|null, notes: object[], lyrics: Array<{tick: number, text: string}>}>}}
+ */
+export function parseMidi(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 14 || buffer.toString('ascii', 0, 4) !== 'MThd') {
+    throw new Error('MIDI file is not a Standard MIDI file');
+  }
+  const headerLength = buffer.readUInt32BE(4);
+  const format = buffer.readUInt16BE(8);
+  const division = buffer.readUInt16BE(12);
+  if (format > 1) {
+    throw new Error(`MIDI file format ${format} is not supported (expected 0 or 1)`);
+  }
+  if (division & 0x8000) {
+    throw new Error('MIDI file uses SMPTE timing, which is not supported');
+  }
+
+  const tracks = [];
+  let position = 8 + headerLength;
+  while (position + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', position, position + 4);
+    const length = buffer.readUInt32BE(position + 4);
+    const body = buffer.subarray(position + 8, Math.min(buffer.length, position + 8 + length));
+    if (id === 'MTrk') tracks.push(readTrack(body)); // Other chunk types are skipped, as the spec asks
+    position += 8 + length;
+  }
+  if (tracks.length === 0) {
+    throw new Error('MIDI file has no tracks');
+  }
+
+  // In format 1 files the tempo map lives in the first track, but any track may carry it
+  const tempos = tracks.flatMap(track => track.tempos).sort((a, b) => a.tick - b.tick);
+  return {
+    ticksPerBeat: division,
+    tempos,
+    tracks: tracks.map(({ name, notes, lyrics }) => ({ name, notes, lyrics })),
+  };
+}
+
+// Tick -> seconds through the tempo map
+function tickClock(ticksPerBeat, tempos) {
+  const changes = tempos[0]?.tick === 0 ? tempos : [{ tick: 0, microsecondsPerBeat: Math.round(60000000 / DEFAULT_BPM) }, ...tempos];
+  const segments = [];
+  for (const change of changes) {
+    const previous = segments[segments.length - 1];
+    const seconds = previous ? previous.seconds + (change.tick - previous.tick) * previous.secondsPerTick : 0;
+    if (previous && previous.tick === change.tick) segments.pop(); // Later tempo at the same tick wins
+    segments.push({ tick: change.tick, seconds, secondsPerTick: change.microsecondsPerBeat / 1000000 / ticksPerBeat });
+  }
+
+  return (tick) => {
+    let segment = segments[0];
+    for (const candidate of segments) {
+      if (candidate.tick > tick) break;
+      segment = candidate;
+    }
+    return segment.seconds + (tick - segment.tick) * segment.secondsPerTick;
+  };
+}
+
+/**
+ * The vocal track of a parsed file: the one named like a vocal part, else the first with notes
+ * @param {{tracks: object[]}} midi - from parseMidi
+ * @returns {number|null} Track index, or null if no track has notes
+ */
+export function findVocalTrack(midi) {
+  const withNotes = midi.tracks.map((track, index) => ({ ...track, index })).filter(track => track.notes.length > 0);
+  const named = withNotes.find(track => /vocal|voice|melody|lead|sing/i.test(track.name || ''));
+  return (named || withNotes[0])?.index ?? null;
+}
+
+/**
+ * Turn one track of a parsed file into chart notes. Overlapping notes are trimmed (charts are monophonic),
+ * and notes landing on an existing chart note keep its contour/vibrato. Lyrics are linked afterwards
+ * from the chart's own segments - only the freestyle marker of the track's lyrics is read.
+ * @param {object} midi - from parseMidi
+ * @param {number} trackIndex
+ * @param {{offset?: number, previousNotes?: object[]}} [options] - offset (seconds) shifts every note;
+ *   previousNotes are the chart's current notes, to keep their shapes
+ * @returns {object[]} Notes in time order
+ */
+export function midiTrackToNotes(midi, trackIndex, { offset = 0, previousNotes = [] } = {}) {
+  const track = midi.tracks[trackIndex];
+  if (!track) {
+    throw new Error(`MIDI file has no track ${trackIndex} (it has ${midi.tracks.length})`);
+  }
+  if (track.notes.length === 0) {
+    throw new Error(`MIDI file track ${trackIndex}${track.name ? ` (${track.name})` : ''} has no notes`);
+  }
+
+  const toSeconds = tickClock(midi.ticksPerBeat, midi.tempos);
+  const lyricsByTick = new Map(track.lyrics.map(lyric => [lyric.tick, lyric.text.trim()]));
+
+  const notes = [];
+  for (const midiNote of track.notes) {
+    const start = toSeconds(midiNote.startTick) + offset;
+    const end = toSeconds(midiNote.endTick) + offset;
+    if (end <= 0) continue;
+
+    const previous = notes[notes.length - 1];
+    if (previous && previous.end > start) {
+      if (start - previous.start <= 0) continue; // Chord - keep the first note
+      previous.end = start;
+    }
+
+    const lyric = lyricsByTick.get(midiNote.startTick) || '';
+    const type = lyric.endsWith(FREESTYLE_LYRIC) ? 'freestyle'
+      : midiNote.velocity >= GOLDEN_MIN_VELOCITY ? 'golden' : 'normal';
+    const midiValue = type === 'freestyle' ? null : midiNote.key;
+    notes.push({
+      start: Math.max(0, start),
+      end,
+      targetPitch: midiValue === null ? null : Math.round(440 * Math.pow(2, (midiValue - 69) / 12)),
+      midi: midiValue,
+      cents: midiValue === null ? null : 0,
+      type,
+    });
+  }
+
+  if (notes.length === 0) {
+    throw new Error('MIDI file notes all end before the song starts (check the offset)');
+  }
+
+  return notes.map((note) => {
+    const rounded = {
+      ...note,
+      start: Number(note.start.toFixed(3)),
+      end: Number(note.end.toFixed(3)),
+      duration: Number((note.end - note.start).toFixed(3)),
+    };
+    // Notes the musician didn't touch keep the glide/vibrato the pipeline found
+    const original = previousNotes.find(previous => previous.midi === note.midi
+      && Math.abs(previous.start - note.start) <= SHAPE_MATCH_SECONDS && Math.abs(previous.end - note.end) <= SHAPE_MATCH_SECONDS);
+    if (original?.contour) rounded.contour = original.contour;
+    if (original?.vibrato) rounded.vibrato = original.vibrato;
+    return rounded;
+  });
+}
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { exportMidi, findVocalTrack, midiTrackToNotes, parseMidi } from './midiFile.js';
+
+// Note times on the 480-ticks-per-beat grid at 120 BPM, so they survive the round trip exactly
+const song = {
+  title: 'Test Song',
+  artist: 'Test Artist',
+  bpm: 120,
+  musical_key: 'A',
+  musical_mode: 'minor',
+  segments: [
+    { text: 'Hello world', start: 1, end: 2, words: [{ text: 'Hello', start: 1, end: 1.5 }, { text: 'world', start: 1.5, end: 2 }] },
+  ],
+  notes: [
+    { start: 1, end: 1.25, midi: 60, type: 'normal', segmentIndex: 0, wordIndex: 0, syllable: 'Hel' },
+    { start: 1.25, end: 1.5, midi: 62, type: 'golden', segmentIndex: 0, wordIndex: 0, syllable: 'lo' },
+    { start: 1.5, end: 1.75, midi: 64, type: 'normal', segmentIndex: 0, wordIndex: 1, syllable: 'world' },
+    { start: 1.75, end: 2, midi: 64, type: 'normal', segmentIndex: 0, wordIndex: 1, syllable: '~' },
+    { start: 2.5, end: 3, midi: null, type: 'freestyle' },
+  ],
+};
+
+test('exported files parse back to the same notes', () => {
+  const midi = parseMidi(exportMidi(song));
+  const trackIndex = findVocalTrack(midi);
+
+  assert.equal(midi.ticksPerBeat, 480);
+  assert.equal(midi.tracks[trackIndex].name, 'Vocals');
+  assert.deepEqual(
+    midiTrackToNotes(midi, trackIndex).map(({ start, end, midi: key, type }) => ({ start, end, midi: key, type })),
+    song.notes.map(({ start, end, midi: key, type }) => ({ start, end, midi: key, type }))
+  );
+});
+
+test('lyrics are written with the held, joined and freestyle markers', () => {
+  const midi = parseMidi(exportMidi(song));
+  assert.deepEqual(midi.tracks[findVocalTrack(midi)].lyrics.map(lyric => lyric.text), ['Hel-', 'lo', 'world', '+', '#']);
+});
+
+test('the tempo track carries the tempo and the key signature', () => {
+  const file = exportMidi(song);
+  assert.deepEqual(parseMidi(file).tempos, [{ tick: 0, microsecondsPerBeat: 500000 }]);
+
+  const keySignature = file.indexOf(Buffer.from([0xff, 0x59, 0x02]));
+  assert.deepEqual([...file.subarray(keySignature + 3, keySignature + 5)], [0, 1]); // A minor: no sharps or flats
+});
+
+test('an offset shifts the notes and notes left before the song starts are dropped', () => {
+  const midi = parseMidi(exportMidi(song));
+  const notes = midiTrackToNotes(midi, findVocalTrack(midi), { offset: -1.5 });
+  assert.deepEqual(notes.map(note => [note.start, note.end]), [[0, 0.25], [0.25, 0.5], [1, 1.5]]);
+});
+
+test('notes matching the previous chart keep their contour and vibrato', () => {
+  const previousNotes = song.notes.map(note => (note.start === 1 ? { ...note, contour: [[0, 59], [0.25, 60]], vibrato: { rate: 5, depth: 20 } } : note));
+  const midi = parseMidi(exportMidi(song));
+  const [first, second] = midiTrackToNotes(midi, findVocalTrack(midi), { previousNotes });
+
+  assert.deepEqual(first.contour, [[0, 59], [0.25, 60]]);
+  assert.deepEqual(first.vibrato, { rate: 5, depth: 20 });
+  assert.equal(second.contour, undefined);
+});
+
+test('files that are not MIDI, or tracks without notes, are rejected', () => {
+  assert.throws(() => parseMidi(Buffer.from('not a midi file')));
+  const midi = parseMidi(exportMidi(song));
+  assert.throws(() => midiTrackToNotes(midi, 0), /has no notes/);
+  assert.throws(() => midiTrackToNotes(midi, 5), /has no track 5/);
+  assert.throws(() => exportMidi({ segments: [], notes: [] }), /no notes to export/);
+});
@@ -0,0 +1,292 @@
+import { openWav } from '../utils/wavReader.js';
+
+/**
+ * Musical metadata for a song: key/mode from the vocal pitch histogram, tempo (BPM + beat phase)
+ * from onset analysis of the accompaniment or full mix, and snapping notes to that beat grid.
+ */
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Krumhansl-Kessler key profiles (C major / C minor)
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+const MIN_KEY_FRAMES = 100; // Voiced pitch frames (or equivalent note time) needed to guess a key
+
+const ONSET_HOP_SECONDS = 0.01; // Onset envelope resolution
+const MIN_BPM = 60;
+const MAX_BPM = 200;
+const PREFERRED_BPM = 120; // Tempo prior centre - breaks half/double tempo ties
+const MIN_TEMPO_SECONDS = 10; // Shorter audio can't give a reliable tempo
+const TEMPO_COMB_SIZE = 4; // Beat multiples checked per candidate period
+
+// Beat grid snapping
+export const MIN_SNAP_CONFIDENCE = 0.2; // Below this tempo confidence, notes are left where they are
+const SNAP_SUBDIVISION = 4; // Snap to sixteenth notes
+const MAX_SNAP_SHIFT_SECONDS = 0.05; // Never move a note boundary further than this
+
+function pearson(a, b) {
+  const meanA = a.reduce((sum, v) => sum + v, 0) / a.length;
+  const meanB = b.reduce((sum, v) => sum + v, 0) / b.length;
+  let numerator = 0;
+  let denomA = 0;
+  let denomB = 0;
+  for (let i = 0; i < a.length; i++) {
+    numerator += (a[i] - meanA) * (b[i] - meanB);
+    denomA += (a[i] - meanA) ** 2;
+    denomB += (b[i] - meanB) ** 2;
+  }
+  return denomA && denomB ? numerator / Math.sqrt(denomA * denomB) : 0;
+}
+
+// Pitch class histogram from pitch frames (weighted by voicing confidence), or from notes (weighted by duration)
+function pitchClassHistogram({ pitchData, notes }) {
+  const histogram = new Array(12).fill(0);
+  let weight = 0;
+
+  const voiced = (pitchData || []).filter(point => point.pitch > 0);
+  if (voiced.length >= MIN_KEY_FRAMES) {
+    for (const point of voiced) {
+      const midi = Math.round(69 + 12 * Math.log2(point.pitch / 440));
+      const frameWeight = point.confidence ?? 1;
+      histogram[((midi % 12) + 12) % 12] += frameWeight;
+      weight += frameWeight;
+    }
+    return { histogram, frames: voiced.length, weight };
+  }
+
+  for (const note of notes || []) {
+    const midi = Number.isFinite(note.midi) ? note.midi : note.targetPitch > 0 ? Math.round(69 + 12 * Math.log2(note.targetPitch / 440)) : null;
+    const duration = (note.end ?? 0) - (note.start ?? 0);
+    if (midi === null || duration <= 0) continue;
+    histogram[((midi % 12) + 12) % 12] += duration;
+    weight += duration;
+  }
+  // Count note time in pitch-frame equivalents so both sources share MIN_KEY_FRAMES
+  return { histogram, frames: Math.round(weight / 0.01), weight };
+}
+
+/**
+ * Estimate the key and mode (Krumhansl-Schmuckler) from the vocal pitch track, or from the
+ * chart notes when the pitch track isn't available
+ * @param {{pitchData?: Array<{pitch: number|null, confidence?: number}>, notes?: object[]}} input
+ * @returns {{key: string, mode: 'major'|'minor', confidence: number}|null} null if there's too little melody
+ */
+export function detectKey({ pitchData = null, notes = null }) {
+  const { histogram, frames, weight } = pitchClassHistogram({ pitchData, notes });
+  if (frames < MIN_KEY_FRAMES || weight === 0) return null;
+
+  const candidates = [];
+  for (let tonic = 0; tonic < 12; tonic++) {
+    const rotated = histogram.map((_, i) => histogram[(i + tonic) % 12]);
+    candidates.push({ key: NOTE_NAMES[tonic], mode: 'major', score: pearson(rotated, MAJOR_PROFILE) });
+    candidates.push({ key: NOTE_NAMES[tonic], mode: 'minor', score: pearson(rotated, MINOR_PROFILE) });
+  }
+  candidates.sort((a, b) => b.score - a.score);
+
+  const [best, runnerUp] = candidates;
+  return {
+    key: best.key,
+    mode: best.mode,
+    // Margin over the next best key - relative majors/minors are often close
+    confidence: Number(Math.max(0, best.score - runnerUp.score).toFixed(3)),
+  };
+}
+
+// Energy of each ONSET_HOP_SECONDS hop, streamed from the WAV a block at a time (channels averaged;
+// scale doesn't matter for onsets)
+function hopEnergies(source) {
+  const wav = openWav(source);
+  try {
+    const hop = Math.round(wav.sampleRate * ONSET_HOP_SECONDS);
+    const energies = new Float64Array(Math.floor(wav.frameCount / hop));
+    let hopIndex = 0;
+    let position = 0; // Samples into the current hop
+    let sum = 0;
+    for (const block of wav.readBlocks()) {
+      for (let i = 0; i < block.length && hopIndex < energies.length; i++) {
+        sum += block[i] * block[i];
+        if (++position === hop) {
+          energies[hopIndex++] = sum;
+          position = 0;
+          sum = 0;
+        }
+      }
+    }
+    return energies.subarray(0, hopIndex); // The data can be shorter than the header says
+  } finally {
+    wav.close();
+  }
+}
+
+// Onset strength: positive log-energy changes per hop, with the local average removed
+function onsetEnvelope(source) {
+  const hops = hopEnergies(source);
+  const frameCount = hops.length - 1;
+  if (frameCount <= 0) return new Float32Array(0);
+
+  // Each frame spans two hops
+  const energy = new Float64Array(frameCount);
+  let maxEnergy = 0;
+  for (let f = 0; f < frameCount; f++) {
+    energy[f] = hops[f] + hops[f + 1];
+    if (energy[f] > maxEnergy) maxEnergy = energy[f];
+  }
+
+  const floor = maxEnergy * 1e-3 || 1e-12; // ~30 dB range: quiet ticks shouldn't count as much as beats
+  const flux = new Float64Array(frameCount);
+  for (let f = 1; f < frameCount; f++) {
+    flux[f] = Math.max(0, Math.log(energy[f] + floor) - Math.log(energy[f - 1] + floor));
+  }
+
+  // Subtract a 0.5s moving average so sustained loud passages don't dominate
+  const radius = Math.round(0.25 / ONSET_HOP_SECONDS);
+  const prefix = new Float64Array(frameCount + 1);
+  for (let f = 0; f < frameCount; f++) prefix[f + 1] = prefix[f] + flux[f];
+  const detrended = new Float32Array(frameCount);
+  for (let f = 0; f < frameCount; f++) {
+    const from = Math.max(0, f - radius);
+    const to = Math.min(frameCount, f + radius + 1);
+    detrended[f] = Math.max(0, flux[f] - (prefix[to] - prefix[from]) / (to - from));
+  }
+
+  // Widen the onset peaks a little (triangular blur) so periods that aren't a whole number of hops still line up
+  const kernel = [1, 2, 3, 2, 1];
+  const envelope = new Float32Array(frameCount);
+  for (let f = 0; f < frameCount; f++) {
+    let sum = 0;
+    for (let k = 0; k < kernel.length; k++) {
+      const index = f + k - 2;
+      if (index >= 0 && index < frameCount) sum += detrended[index] * kernel[k];
+    }
+    envelope[f] = sum / 9;
+  }
+  return envelope;
+}
+
+/**
+ * Estimate tempo from onset autocorrelation (with a prior around PREFERRED_BPM against
+ * half/double tempo errors), and the beat phase that lines up best with the onsets
+ * @param {Buffer|string} wavSource - Accompaniment (preferred) or full mix: WAV bytes, or the path of a
+ *   WAV file, which is read block by block instead of being loaded whole
+ * @returns {{bpm: number, beatOffset: number, confidence: number}|null} beatOffset is the first beat
+ *   in seconds; null if the audio is too short or has no rhythm to speak of
+ */
+export function detectTempo(wavSource) {
+  const envelope = onsetEnvelope(wavSource);
+  if (envelope.length * ONSET_HOP_SECONDS < MIN_TEMPO_SECONDS) return null;
+
+  const correlationCache = new Map();
+  const autocorrelation = (lag) => {
+    if (lag >= envelope.length) return 0;
+    if (!correlationCache.has(lag)) {
+      let sum = 0;
+      for (let t = 0; t + lag < envelope.length; t++) sum += envelope[t] * envelope[t + lag];
+      correlationCache.set(lag, sum / (envelope.length - lag));
+    }
+    return correlationCache.get(lag);
+  };
+
+  const zeroLag = autocorrelation(0);
+  if (zeroLag === 0) return null;
+
+  // Comb score: a real beat period also lines up at 2, 3 and 4 beats, which an off-beat
+  // (e.g. 1.5x) period doesn't. A period whose half is just as periodic is a bar-level
+  // (half tempo) period, so it's marked down by the onset correlation at half the lag
+  const combScore = (lag) => {
+    let sum = 0;
+    for (let multiple = 1; multiple <= TEMPO_COMB_SIZE; multiple++) {
+      // A one-hop rounding error in the period grows with each multiple - allow for it
+      const slack = Math.floor(multiple / 2);
+      let best = 0;
+      for (let offset = -slack; offset <= slack; offset++) best = Math.max(best, autocorrelation(lag * multiple + offset));
+      sum += best;
+    }
+    const halfLag = lag / 2;
+    const halfCorrelation = Math.max(autocorrelation(Math.floor(halfLag)), autocorrelation(Math.ceil(halfLag)));
+    return sum / TEMPO_COMB_SIZE - 0.15 * halfCorrelation;
+  };
+
+  const minLag = Math.floor(60 / (MAX_BPM * ONSET_HOP_SECONDS));
+  const maxLag = Math.ceil(60 / (MIN_BPM * ONSET_HOP_SECONDS));
+
+  let bestLag = -1;
+  let bestScore = -Infinity;
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    const bpm = 60 / (lag * ONSET_HOP_SECONDS);
+    const prior = Math.exp(-0.5 * Math.log2(bpm / PREFERRED_BPM) ** 2);
+    const score = combScore(lag) * prior;
+    if (score > bestScore) {
+      bestScore = score;
+      bestLag = lag;
+    }
+  }
+
+  // Parabolic interpolation for a fractional lag
+  const previous = autocorrelation(bestLag - 1);
+  const current = autocorrelation(bestLag);
+  const next = autocorrelation(bestLag + 1);
+  const denominator = previous - 2 * current + next;
+  const shift = denominator !== 0 ? Math.max(-0.5, Math.min(0.5, (previous - next) / (2 * denominator))) : 0;
+  const beatPeriodFrames = bestLag + shift;
+
+  // Beat phase: the offset whose beat train collects the most onset strength
+  // (each beat takes the strongest onset within a frame or two, so small period errors don't add up)
+  const onsetNear = (frame) => {
+    let strongest = 0;
+    for (let f = Math.max(0, frame - 2); f <= Math.min(envelope.length - 1, frame + 2); f++) {
+      strongest = Math.max(strongest, envelope[f]);
+    }
+    return strongest;
+  };
+  let bestPhase = 0;
+  let bestPhaseStrength = -1;
+  for (let phase = 0; phase < bestLag; phase++) {
+    let strength = 0;
+    for (let beat = phase; beat < envelope.length; beat += beatPeriodFrames) {
+      // The exact frame breaks ties between neighbouring phases that reach the same onsets
+      strength += onsetNear(Math.round(beat)) + 0.5 * (envelope[Math.round(beat)] || 0);
+    }
+    if (strength > bestPhaseStrength) {
+      bestPhaseStrength = strength;
+      bestPhase = phase;
+    }
+  }
+
+  return {
+    bpm: Number((60 / (beatPeriodFrames * ONSET_HOP_SECONDS)).toFixed(1)),
+    // Envelope frames span two hops and light up as soon as an onset enters them - report the frame centre
+    beatOffset: Number(((bestPhase + 1) * ONSET_HOP_SECONDS).toFixed(3)),
+    confidence: Number(Math.min(1, current / zeroLag).toFixed(3)),
+  };
+}
+
+/**
+ * Snap note boundaries to the nearest sixteenth of the beat grid when they're already close to it.
+ * Notes stay in order and never overlap; a note that would collapse keeps its original timing.
+ * @param {object[]} notes - Chart notes ({start, end, duration, ...})
+ * @param {{bpm: number, beatOffset: number}} tempo
+ * @returns {object[]} New note objects
+ */
+export function snapNotesToBeats(notes, { bpm, beatOffset }) {
+  if (!Array.isArray(notes) || !(bpm > 0)) return notes;
+
+  const step = 60 / bpm / SNAP_SUBDIVISION;
+  const snap = (time) => {
+    const snapped = beatOffset + Math.round((time - beatOffset) / step) * step;
+    return Math.abs(snapped - time) <= MAX_SNAP_SHIFT_SECONDS ? Number(snapped.toFixed(3)) : time;
+  };
+
+  const snappedNotes = [];
+  for (const note of notes) {
+    const previousEnd = snappedNotes.length > 0 ? snappedNotes[snappedNotes.length - 1].end : -Infinity;
+    let start = Math.max(snap(note.start), previousEnd);
+    let end = snap(note.end);
+    if (end <= start) {
+      start = Math.max(note.start, previousEnd);
+      end = Math.max(note.end, start);
+    }
+    snappedNotes.push({ ...note, start, end, duration: Number((end - start).toFixed(3)) });
+  }
+  return snappedNotes;
+}
@@ -0,0 +1,164 @@
+/**
+ * Links chart notes to the lyrics they're sung on.
+ * Every note that falls on a word gets the index of its segment and of the word within
+ * segment.words, plus the syllable it carries. A word sung over more notes than it has
+ * syllables continues on "~" notes (a held or melismatic syllable, as in UltraStar charts).
+ */
+
+const MAX_WORD_GAP_SECONDS = 0.3; // A note this close to a word (but not overlapping any) still belongs to it
+export const CONTINUATION_SYLLABLE = '~';
+
+const VOWELS = 'aeiouyàáâãäåæèéêëìíîïòóôõöøùúûüý';
+
+function isVowel(char) {
+  return VOWELS.includes(char.toLowerCase());
+}
+
+/**
+ * Rough, language-agnostic syllable split: one vowel group per syllable, a single consonant
+ * between vowel groups starts the next syllable, longer clusters are split in the middle.
+ * Punctuation stays attached to the first/last syllable.
+ * @param {string} word
+ * @returns {string[]} Syllables that join back into the word
+ */
+export function syllabify(word) {
+  const letters = [...(word || '')];
+  const nuclei = []; // [start, end) of each vowel group
+  for (let i = 0; i < letters.length; i++) {
+    if (!isVowel(letters[i])) continue;
+    const start = i;
+    while (i + 1 < letters.length && isVowel(letters[i + 1])) i++;
+    nuclei.push([start, i + 1]);
+  }
+
+  // A final silent "e" (make, time) isn't a syllable of its own
+  const last = nuclei[nuclei.length - 1];
+  if (nuclei.length > 1 && last[1] - last[0] === 1 && letters[last[0]].toLowerCase() === 'e') {
+    const trailing = letters.slice(last[1]).join('');
+    const before = letters[last[0] - 1] || '';
+    if (!/\p{L}/u.test(trailing) && before && !isVowel(before) && before.toLowerCase() !== 'l') {
+      nuclei.pop();
+    }
+  }
+
+  if (nuclei.length <= 1) return [letters.join('')];
+
+  const cuts = [];
+  for (let n = 1; n < nuclei.length; n++) {
+    const clusterStart = nuclei[n - 1][1];
+    cuts.push(clusterStart + Math.floor((nuclei[n][0] - clusterStart) / 2));
+  }
+
+  const syllables = [];
+  let from = 0;
+  for (const cut of cuts) {
+    syllables.push(letters.slice(from, cut).join(''));
+    from = cut;
+  }
+  syllables.push(letters.slice(from).join(''));
+  return syllables.filter(syllable => syllable.length > 0);
+}
+
+// Words of a segment - its own word timings, or its text spread evenly when it has none
+function segmentWords(segment) {
+  if (Array.isArray(segment.words) && segment.words.length > 0) return segment.words;
+
+  const texts = (segment.text || '').split(/\s+/).filter(text => text.length > 0);
+  const start = Number(segment.start) || 0;
+  const slot = ((Number(segment.end) || 0) - start) / (texts.length || 1);
+  return texts.map((text, index) => ({ text, start: start + index * slot, end: start + (index + 1) * slot }));
+}
+
+/**
+ * Every word of the lyrics in time order, with where it sits in the segments
+ * @param {Array<{text: string, start: number, end: number, words?: object[]}>} segments
+ * @returns {Array<{segmentIndex: number, wordIndex: number, text: string, start: number, end: number, timed: boolean}>}
+ *   timed is false for words spread evenly over a segment without word timestamps
+ */
+export function lyricWords(segments) {
+  const words = [];
+  (segments || []).forEach((segment, segmentIndex) => {
+    const timed = Array.isArray(segment.words) && segment.words.length > 0;
+    segmentWords(segment).forEach((word, wordIndex) => {
+      const start = Number(word.start) || 0;
+      words.push({ segmentIndex, wordIndex, text: (word.text || '').trim(), start, end: Math.max(Number(word.end) || 0, start), timed });
+    });
+  });
+  return words;
+}
+
+function overlap(note, word) {
+  return Math.min(note.end, word.end) - Math.max(note.start, word.start);
+}
+
+function gap(note, word) {
+  if (note.end < word.start) return word.start - note.end;
+  if (note.start > word.end) return note.start - word.end;
+  return 0;
+}
+
+/**
+ * Link notes to the words (and syllables) they're sung on
+ * @param {object[]} notes - Chart notes in time order
+ * @param {Array<{text: string, start: number, end: number, words?: object[]}>} segments
+ * @returns {object[]} New note objects; linked ones have segmentIndex, wordIndex and syllable
+ */
+export function attachLyricsToNotes(notes, segments) {
+  if (!Array.isArray(notes) || notes.length === 0) return notes || [];
+
+  // Strip links from an earlier pass so notes that no longer fall on a word don't keep a stale one
+  const unlinked = notes.map((note) => {
+    const copy = { ...note };
+    delete copy.segmentIndex;
+    delete copy.wordIndex;
+    delete copy.syllable;
+    return copy;
+  });
+  if (!Array.isArray(segments) || segments.length === 0) return unlinked;
+
+  const words = lyricWords(segments);
+  if (words.length === 0) return unlinked;
+
+  // Each note goes to the word it overlaps most, or the nearest word within MAX_WORD_GAP_SECONDS
+  const notesByWord = new Map();
+  unlinked.forEach((note, noteIndex) => {
+    let best = null;
+    let bestOverlap = 0;
+    let bestGap = Infinity;
+    for (const word of words) {
+      if (word.start > note.end + MAX_WORD_GAP_SECONDS) break;
+      const shared = overlap(note, word);
+      if (shared > bestOverlap) {
+        best = word;
+        bestOverlap = shared;
+      } else if (bestOverlap === 0) {
+        const distance = gap(note, word);
+        if (distance <= MAX_WORD_GAP_SECONDS && distance < bestGap) {
+          best = word;
+          bestGap = distance;
+        }
+      }
+    }
+    if (!best) return;
+    if (!notesByWord.has(best)) notesByWord.set(best, []);
+    notesByWord.get(best).push(noteIndex);
+  });
+
+  // Spread each word's syllables over its notes
+  for (const [word, noteIndexes] of notesByWord) {
+    const syllables = syllabify(word.text);
+    noteIndexes.forEach((noteIndex, position) => {
+      let syllable;
+      if (position >= syllables.length) {
+        syllable = CONTINUATION_SYLLABLE;
+      } else if (position === noteIndexes.length - 1) {
+        syllable = syllables.slice(position).join(''); // Fewer notes than syllables - the last note sings the rest
+      } else {
+        syllable = syllables[position];
+      }
+      unlinked[noteIndex] = { ...unlinked[noteIndex], segmentIndex: word.segmentIndex, wordIndex: word.wordIndex, syllable };
+    });
+  }
+
+  return unlinked;
+}
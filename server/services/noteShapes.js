@@ -0,0 +1,239 @@
+/**
+ * Note shapes: portamento (glides between notes) and vibrato, so charts follow the melody as it's
+ * actually sung instead of flat bars at each note's mean pitch.
+ *
+ * A shaped note keeps its midi/targetPitch (its lane on the chart) and adds:
+ * - contour: [[offsetSeconds, midi], ...] breakpoints of its centre line (piecewise linear, fractional MIDI),
+ *   present when the centre line strays from the flat semitone (glides, scoops, falls)
+ * - vibrato: { rate, depth } - oscillation around the centre line in Hz and peak cents
+ */
+
+const FRAME_SECONDS = 0.01; // Pitch tracker hop
+
+// Glides: steady one-way slides between notes
+const GLIDE_MIN_SEMITONES = 1.2; // Smaller slides are left inside their note (vibrato swings about a semitone)
+const GLIDE_MIN_SECONDS = 0.08; // Faster changes are note changes, not slides
+const GLIDE_MAX_STEP_SEMITONES = 0.6; // A bigger frame-to-frame jump breaks the slide
+
+// Contours: centre line after vibrato is averaged out, simplified to a few breakpoints
+const VIBRATO_SMOOTHING_SECONDS = 0.2; // About one vibrato cycle
+const CONTOUR_TOLERANCE_SEMITONES = 0.2; // Breakpoints are dropped while the line stays this close
+const MIN_CONTOUR_DEVIATION_SEMITONES = 0.3; // Flatter notes don't get a contour
+
+// Vibrato: regular oscillation of the pitch around the centre line
+const MIN_VIBRATO_NOTE_SECONDS = 0.4;
+const MIN_VIBRATO_RATE = 4; // Hz
+const MAX_VIBRATO_RATE = 8; // Hz
+const MIN_VIBRATO_DEPTH_CENTS = 15;
+const MIN_VIBRATO_PERIODICITY = 0.3; // Residual autocorrelation at one vibrato period
+
+function frequencyToMidi(frequency) {
+  return 69 + 12 * Math.log2(frequency / 440);
+}
+
+// Voiced pitch frames as { time, midi }, in time order
+function voicedFrames(pitchData) {
+  return (pitchData || [])
+    .filter(point => point.pitch > 0)
+    .map(point => ({ time: point.time, midi: frequencyToMidi(point.pitch) }));
+}
+
+/**
+ * Find portamento in a pitch track: runs of consecutive frames moving steadily one way
+ * @param {Array<{time: number, pitch: number|null}>} pitchData
+ * @returns {Array<{start: number, end: number, fromMidi: number, toMidi: number}>}
+ */
+export function detectGlides(pitchData) {
+  const frames = voicedFrames(pitchData);
+  const glides = [];
+
+  let runStart = 0;
+  let direction = 0;
+  const closeRun = (runEnd) => {
+    const first = frames[runStart];
+    const last = frames[runEnd];
+    if (last.time - first.time >= GLIDE_MIN_SECONDS && Math.abs(last.midi - first.midi) >= GLIDE_MIN_SEMITONES) {
+      glides.push({ start: first.time, end: last.time, fromMidi: first.midi, toMidi: last.midi });
+    }
+  };
+
+  for (let i = 1; i < frames.length; i++) {
+    const step = frames[i].midi - frames[i - 1].midi;
+    const contiguous = frames[i].time - frames[i - 1].time <= FRAME_SECONDS * 1.5;
+    const stepDirection = Math.sign(step);
+
+    if (contiguous && Math.abs(step) <= GLIDE_MAX_STEP_SEMITONES && stepDirection !== 0 && (direction === 0 || stepDirection === direction)) {
+      direction = stepDirection;
+      continue;
+    }
+
+    if (direction !== 0) closeRun(i - 1);
+    // A step that turns the slide around can start the next one
+    const turnsAround = contiguous && Math.abs(step) <= GLIDE_MAX_STEP_SEMITONES && stepDirection !== 0;
+    runStart = turnsAround ? i - 1 : i;
+    direction = turnsAround ? stepDirection : 0;
+  }
+  if (direction !== 0 && frames.length > 0) closeRun(frames.length - 1);
+
+  return glides;
+}
+
+/**
+ * Replace the slivers the note clustering makes of a slide with one sloped note per glide.
+ * Notes overlapping a glide are trimmed to it (and dropped if that leaves them too short).
+ * @param {object[]} notes - Notes in time order
+ * @param {Array<{start: number, end: number, fromMidi: number, toMidi: number}>} glides - from detectGlides
+ * @param {{minNoteDuration: number, minTimeGap: number, toNote: (midi: number) => object}} options -
+ *   toNote gives the pitch fields (targetPitch, midi, cents) of a glide note from its mean MIDI
+ * @returns {object[]} Notes in time order
+ */
+export function addGlideNotes(notes, glides, { minNoteDuration, minTimeGap, toNote }) {
+  if (glides.length === 0) return notes;
+
+  let result = notes;
+  for (const glide of glides) {
+    const trimmed = [];
+    for (const note of result) {
+      if (note.end <= glide.start || note.start >= glide.end || note.type === 'freestyle') {
+        trimmed.push(note);
+        continue;
+      }
+      // Keep the part of the note before and after the glide
+      if (note.start < glide.start - minTimeGap) {
+        const end = glide.start - minTimeGap;
+        if (end - note.start >= minNoteDuration) trimmed.push({ ...note, end, duration: end - note.start });
+      }
+      if (note.end > glide.end + minTimeGap) {
+        const start = glide.end + minTimeGap;
+        if (note.end - start >= minNoteDuration) trimmed.push({ ...note, start, duration: note.end - start });
+      }
+    }
+
+    const duration = glide.end - glide.start;
+    trimmed.push({
+      start: glide.start,
+      end: glide.end,
+      ...toNote((glide.fromMidi + glide.toMidi) / 2),
+      duration,
+      type: 'normal',
+      contour: [
+        [0, Number(glide.fromMidi.toFixed(2))],
+        [Number(duration.toFixed(3)), Number(glide.toMidi.toFixed(2))],
+      ],
+    });
+    result = trimmed.sort((a, b) => a.start - b.start);
+  }
+
+  console.log(`   → ${glides.length} glides turned into sloped notes`);
+  return result;
+}
+
+// Douglas-Peucker simplification of [time, midi] points
+function simplify(points, tolerance) {
+  if (points.length <= 2) return points;
+
+  const [t0, m0] = points[0];
+  const [t1, m1] = points[points.length - 1];
+  let farthest = 0;
+  let farthestIndex = 0;
+  for (let i = 1; i < points.length - 1; i++) {
+    const [t, m] = points[i];
+    const expected = t1 === t0 ? m0 : m0 + (m1 - m0) * (t - t0) / (t1 - t0);
+    const distance = Math.abs(m - expected);
+    if (distance > farthest) {
+      farthest = distance;
+      farthestIndex = i;
+    }
+  }
+
+  if (farthest <= tolerance) return [points[0], points[points.length - 1]];
+  const left = simplify(points.slice(0, farthestIndex + 1), tolerance);
+  const right = simplify(points.slice(farthestIndex), tolerance);
+  return [...left.slice(0, -1), ...right];
+}
+
+// Moving average over a window of frames (the centre line, with vibrato averaged out)
+function movingAverage(values, radius) {
+  return values.map((_, i) => {
+    const from = Math.max(0, i - radius);
+    const to = Math.min(values.length, i + radius + 1);
+    let sum = 0;
+    for (let j = from; j < to; j++) sum += values[j];
+    return sum / (to - from);
+  });
+}
+
+// Vibrato rate/depth from the oscillation left over around the centre line, or null if it isn't regular
+function measureVibrato(residual, duration) {
+  if (duration < MIN_VIBRATO_NOTE_SECONDS) return null;
+
+  let crossings = 0;
+  for (let i = 1; i < residual.length; i++) {
+    if ((residual[i - 1] < 0) !== (residual[i] < 0)) crossings++;
+  }
+  const rate = crossings / 2 / duration;
+  if (rate < MIN_VIBRATO_RATE || rate > MAX_VIBRATO_RATE) return null;
+
+  const meanSquare = residual.reduce((sum, value) => sum + value * value, 0) / residual.length;
+  const depth = Math.sqrt(2 * meanSquare) * 100; // Peak of a sine with this RMS, in cents
+  if (depth < MIN_VIBRATO_DEPTH_CENTS) return null;
+
+  // A real vibrato lines up with itself one period later
+  const lag = Math.round(1 / rate / FRAME_SECONDS);
+  let correlation = 0;
+  for (let i = 0; i + lag < residual.length; i++) correlation += residual[i] * residual[i + lag];
+  correlation /= (residual.length - lag) * meanSquare || 1;
+  if (correlation < MIN_VIBRATO_PERIODICITY) return null;
+
+  return { rate: Number(rate.toFixed(1)), depth: Math.round(depth) };
+}
+
+/**
+ * Add contour and vibrato to notes whose pitch isn't flat. Glide notes keep their contour.
+ * @param {object[]} notes - Notes in time order (freestyle notes are left alone)
+ * @param {Array<{time: number, pitch: number|null}>} pitchData
+ * @returns {object[]} New note objects
+ */
+export function shapeNotes(notes, pitchData) {
+  const frames = voicedFrames(pitchData);
+  const radius = Math.round(VIBRATO_SMOOTHING_SECONDS / FRAME_SECONDS / 2);
+  let frameIndex = 0;
+  let contoured = 0;
+  let vibratos = 0;
+
+  const shaped = notes.map((note) => {
+    if (note.type === 'freestyle' || !Number.isFinite(note.midi)) return note;
+
+    while (frameIndex < frames.length && frames[frameIndex].time < note.start) frameIndex++;
+    const noteFrames = [];
+    for (let i = frameIndex; i < frames.length && frames[i].time <= note.end; i++) noteFrames.push(frames[i]);
+    if (noteFrames.length < 3) return note;
+
+    const midis = noteFrames.map(frame => frame.midi);
+    const centre = movingAverage(midis, radius);
+    const shape = {};
+
+    const vibrato = measureVibrato(midis.map((midi, i) => midi - centre[i]), note.end - note.start);
+    if (vibrato) {
+      shape.vibrato = vibrato;
+      vibratos++;
+    }
+
+    if (!note.contour) {
+      const deviation = Math.max(...centre.map(midi => Math.abs(midi - note.midi)));
+      if (deviation >= MIN_CONTOUR_DEVIATION_SEMITONES) {
+        const points = noteFrames.map((frame, i) => [frame.time - note.start, centre[i]]);
+        shape.contour = simplify(points, CONTOUR_TOLERANCE_SEMITONES)
+          .map(([offset, midi]) => [Number(Math.max(0, offset).toFixed(3)), Number(midi.toFixed(2))]);
+        contoured++;
+      }
+    }
+
+    return Object.keys(shape).length > 0 ? { ...note, ...shape } : note;
+  });
+
+  if (contoured > 0 || vibratos > 0) {
+    console.log(`   → Shaped notes: ${contoured} with a contour, ${vibratos} with vibrato`);
+  }
+  return shaped;
+}
@@ -0,0 +1,20 @@
+import OpenAI from 'openai';
+
+let openaiClient = null;
+
+export const openai = new Proxy({}, {
+  get(target, prop) {
+    if (!openaiClient) {
+      const apiKey = process.env.OPENAI_API_KEY;
+
+      if (!apiKey) {
+        throw new Error('Missing OPENAI_API_KEY environment variable');
+      }
+
+      openaiClient = new OpenAI({
+        apiKey: apiKey,
+      });
+    }
+    return openaiClient[prop];
+  }
+});
@@ -1,252 +1,493 @@
-import WaveFileModule from 'wavefile';
+import { openWav } from '../utils/wavReader.js';
+import { attachLyricsToNotes, lyricWords } from './noteLyrics.js';
+import { detectGlides, addGlideNotes, shapeNotes } from './noteShapes.js';
 
-const WaveFile = WaveFileModule.WaveFile;
+// Pitch tracker settings (pYIN-style: YIN difference function + a spread of thresholds for voicing)
+const TRACKER_SAMPLE_RATE = 16000; // Vocals are resampled to this before tracking (plenty for singing)
+const HOP_SECONDS = 0.01; // One pitch frame every 10ms
+const WINDOW_SECONDS = 0.025; // YIN integration window
+const MIN_PITCH_HZ = 70; // Lowest sung note we track (~C#2)
+const MAX_PITCH_HZ = 1100; // Highest sung note we track (~C#6)
+const VOICED_PROBABILITY = 0.5; // Frames at or above this start a voiced run...
+const UNVOICED_PROBABILITY = 0.3; // ...which continues until the probability drops below this
+const MAX_BRIDGED_GAP_FRAMES = 4; // Unvoiced blips up to 40ms inside a sung line are interpolated over
+const SMOOTHING_FRAMES = 5; // Median filter length (frames) applied to voiced pitch
+const SILENCE_RMS_RATIO = 0.05; // Frames quieter than this share of the loudest frame are unvoiced
+
+// pYIN threshold prior: Beta(2, 18) over thresholds 0.01..1.00 (mean 0.1)
+const YIN_THRESHOLDS = Array.from({ length: 100 }, (_, i) => (i + 1) / 100);
+const YIN_THRESHOLD_WEIGHTS = (() => {
+  const weights = YIN_THRESHOLDS.map(t => t * Math.pow(1 - t, 17));
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  return weights.map(w => w / total);
+})();
+
+// Cumulative prior mass: YIN_THRESHOLD_CDF[k] = total weight of the first k thresholds
+const YIN_THRESHOLD_CDF = YIN_THRESHOLD_WEIGHTS.reduce((cdf, w) => [...cdf, cdf[cdf.length - 1] + w], [0]);
+
+// Prior mass of the thresholds t with low < t <= high
+function thresholdMass(low, high) {
+  const count = (limit) => Math.max(0, Math.min(YIN_THRESHOLDS.length, Math.floor(limit * 100 + 1e-9)));
+  const from = count(low);
+  const to = high === Infinity ? YIN_THRESHOLDS.length : count(high);
+  return to > from ? YIN_THRESHOLD_CDF[to] - YIN_THRESHOLD_CDF[from] : 0;
+}
+
+// Streaming low-pass (moving average) + linear resampler down to targetRate.
+// push() takes the next block of input and returns the output it completes; flush() returns the rest
+function createResampler(sampleRate, targetRate) {
+  if (sampleRate <= targetRate) return { push: block => block, flush: () => new Float32Array(0) };
+
+  const ratio = sampleRate / targetRate;
+  const radius = Math.max(1, Math.floor(ratio / 2));
+  let pending = new Float32Array(0); // Input still needed by upcoming outputs
+  let pendingStart = 0; // Input index of pending[0]
+  let received = 0; // Input samples pushed so far
+  let next = 0; // Index of the next output sample
+
+  const produce = (isLast) => {
+    const prefix = new Float64Array(pending.length + 1);
+    for (let i = 0; i < pending.length; i++) prefix[i + 1] = prefix[i] + pending[i];
+    const smoothed = (i) => {
+      const from = Math.max(0, i - radius);
+      const to = Math.min(received, i + radius + 1);
+      return (prefix[to - pendingStart] - prefix[from - pendingStart]) / (to - from);
+    };
+
+    const end = isLast ? Math.floor(received / ratio) : Infinity;
+    const output = [];
+    for (; next < end; next++) {
+      const position = next * ratio;
+      const index = Math.floor(position);
+      if (!isLast && index + radius + 2 > received) break; // Its smoothing window isn't complete yet
+      const fraction = position - index;
+      const following = Math.min(index + 1, received - 1);
+      output.push(smoothed(index) * (1 - fraction) + smoothed(following) * fraction);
+    }
+
+    const keepFrom = Math.max(pendingStart, Math.floor(next * ratio) - radius);
+    pending = pending.slice(keepFrom - pendingStart);
+    pendingStart = keepFrom;
+    return Float32Array.from(output);
+  };
+
+  return {
+    push: (block) => {
+      const joined = new Float32Array(pending.length + block.length);
+      joined.set(pending);
+      joined.set(block, pending.length);
+      pending = joined;
+      received += block.length;
+      return produce(false);
+    },
+    flush: () => produce(true),
+  };
+}
+
+// Streaming one-pole high-pass filter to remove DC offset and low-frequency rumble
+function createHighPass(alpha = 0.95) {
+  let previousInput = null;
+  let previousOutput = 0;
+  return (samples) => {
+    const filtered = new Float32Array(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+      filtered[i] = previousInput === null ? samples[i] : alpha * (previousOutput + samples[i] - previousInput);
+      previousInput = samples[i];
+      previousOutput = filtered[i];
+    }
+    return filtered;
+  };
+}
+
+// Tracker input (resampled + high-passed mono) one block at a time
+function* trackerBlocks(wav) {
+  const resampler = createResampler(wav.sampleRate, TRACKER_SAMPLE_RATE);
+  const highPass = createHighPass();
+  for (const block of wav.readBlocks()) {
+    const resampled = resampler.push(block);
+    if (resampled.length > 0) yield highPass(resampled);
+  }
+  const rest = resampler.flush();
+  if (rest.length > 0) yield highPass(rest);
+}
+
+// Slide the analysis frame along the tracker input, keeping only the samples frames still need.
+// visit(samples, offset, frameIndex) gets each frame's samples at samples[offset..offset + frameLength)
+// Returns the number of frames
+function forEachFrame(wav, { frameLength, hop }, visit) {
+  let buffer = new Float32Array(0);
+  let bufferStart = 0; // Tracker sample index of buffer[0]
+  let frame = 0;
+
+  for (const block of trackerBlocks(wav)) {
+    const keepFrom = frame * hop - bufferStart;
+    const joined = new Float32Array(buffer.length - keepFrom + block.length);
+    joined.set(buffer.subarray(keepFrom));
+    joined.set(block, buffer.length - keepFrom);
+    buffer = joined;
+    bufferStart += keepFrom;
+
+    while (frame * hop - bufferStart + frameLength <= buffer.length) {
+      visit(buffer, frame * hop - bufferStart, frame);
+      frame++;
+    }
+  }
+  return frame;
+}
 
 /**
- * Fast autocorrelation-based pitch detection (much faster than YIN)
- * Returns pitch in Hz or null if no clear pitch found
+ * Analyse one frame with YIN and score its voicing pYIN-style.
+ * Every local minimum ("dip") of the cumulative mean normalized difference is a period candidate;
+ * for each threshold in the prior the first dip below it wins, so a dip's probability is the prior
+ * mass of the thresholds that pick it. The most probable dip gives the pitch, their sum the voicing.
+ * @returns {{pitch: number|null, probability: number}}
  */
-function detectPitchFast(samples, sampleRate) {
-  const bufferLength = samples.length;
-  if (bufferLength < 100) return null; // Need minimum samples
-  
-  // Calculate valid period range (80Hz to 2000Hz)
-  const maxPeriod = Math.min(Math.floor(bufferLength / 2), Math.floor(sampleRate / 80)); // Min 80Hz
-  const minPeriod = Math.max(2, Math.floor(sampleRate / 2000)); // Max 2000Hz
-  
-  if (minPeriod >= maxPeriod) return null;
-  
-  let maxCorrelation = 0;
-  let bestPeriod = 0;
-  
-  // Optimized autocorrelation - use more samples for better accuracy
-  // Increased to ~100 checks for better vocal pitch detection
-  const step = Math.max(1, Math.floor((maxPeriod - minPeriod) / 100));
-  
-  for (let period = minPeriod; period < maxPeriod; period += step) {
-    let correlation = 0;
-    const checkLength = Math.min(bufferLength - period, 4096); // Increased window for better accuracy
-    
-    for (let i = 0; i < checkLength; i++) {
-      correlation += Math.abs(samples[i] * samples[i + period]);
+function analyzeFrame(samples, offset, windowSize, tauMin, tauMax, sampleRate, difference) {
+  // Difference function d(tau) and its cumulative mean normalization (in place)
+  difference[0] = 1;
+  let runningSum = 0;
+  for (let tau = 1; tau <= tauMax; tau++) {
+    let sum = 0;
+    for (let j = 0; j < windowSize; j++) {
+      const delta = samples[offset + j] - samples[offset + j + tau];
+      sum += delta * delta;
     }
-    
-    // Normalize by length
-    correlation /= checkLength;
-    
-    if (correlation > maxCorrelation) {
-      maxCorrelation = correlation;
-      bestPeriod = period;
+    runningSum += sum;
+    difference[tau] = runningSum > 0 ? (sum * tau) / runningSum : 1;
+  }
+
+  let bestTau = -1;
+  let bestProbability = 0;
+  let voicedProbability = 0;
+  let lowestEarlierDip = Infinity;
+
+  for (let tau = tauMin; tau < tauMax; tau++) {
+    const value = difference[tau];
+    if (value >= difference[tau - 1] || value > difference[tau + 1]) continue;
+    if (value >= lowestEarlierDip) continue; // Thresholds above an earlier, deeper dip never reach this one
+
+    // Thresholds in (value, lowestEarlierDip] pick this dip
+    const probability = thresholdMass(value, lowestEarlierDip);
+    lowestEarlierDip = value;
+
+    voicedProbability += probability;
+    if (probability > bestProbability) {
+      bestProbability = probability;
+      bestTau = tau;
     }
   }
-  
-  // Refine around the peak for better accuracy
-  // Lower threshold for vocals (they can be quieter)
-  if (bestPeriod > 0 && maxCorrelation > 0.05) {
-    // Check neighbors of the peak
-    for (let offset = -2; offset <= 2; offset++) {
-      const period = bestPeriod + offset;
-      if (period >= minPeriod && period < maxPeriod) {
-        let correlation = 0;
-        const checkLength = Math.min(bufferLength - period, 2048);
-        for (let i = 0; i < checkLength; i++) {
-          correlation += Math.abs(samples[i] * samples[i + period]);
-        }
-        correlation /= checkLength;
-        
-        if (correlation > maxCorrelation) {
-          maxCorrelation = correlation;
-          bestPeriod = period;
-        }
+
+  if (bestTau === -1) return { pitch: null, probability: 0 };
+
+  // Parabolic interpolation for a sub-sample period
+  const previous = difference[bestTau - 1];
+  const current = difference[bestTau];
+  const next = difference[bestTau + 1];
+  const denominator = previous - 2 * current + next;
+  const shift = denominator !== 0 ? (previous - next) / (2 * denominator) : 0;
+  const period = bestTau + Math.max(-1, Math.min(1, shift));
+
+  return { pitch: sampleRate / period, probability: Math.min(1, voicedProbability) };
+}
+
+// Median of the finite values in a list
+function median(values) {
+  const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Turn raw frame estimates into a clean pitch track:
+ * hysteresis voicing decisions, octave-jump correction, median smoothing and short gap bridging.
+ * Works in log2(Hz) so smoothing and interpolation are musical.
+ */
+function smoothPitchTrack(frames) {
+  const voiced = new Array(frames.length).fill(false);
+  let inVoicedRun = false;
+  frames.forEach((frame, i) => {
+    const threshold = inVoicedRun ? UNVOICED_PROBABILITY : VOICED_PROBABILITY;
+    inVoicedRun = frame.pitch !== null && frame.probability >= threshold;
+    voiced[i] = inVoicedRun;
+  });
+
+  const logPitch = frames.map((frame, i) => (voiced[i] ? Math.log2(frame.pitch) : NaN));
+  const half = Math.floor(SMOOTHING_FRAMES / 2);
+
+  // Octave errors: fold frames an octave away from their neighbourhood back into place
+  const folded = logPitch.map((value, i) => {
+    if (!Number.isFinite(value)) return value;
+    const neighbourhood = median(logPitch.slice(Math.max(0, i - 2 * half), i + 2 * half + 1));
+    const octaves = Math.round(value - neighbourhood);
+    return octaves !== 0 && Math.abs(value - octaves - neighbourhood) < 0.1 ? value - octaves : value;
+  });
+
+  const smoothed = folded.map((value, i) =>
+    Number.isFinite(value) ? median(folded.slice(Math.max(0, i - half), i + half + 1)) : value
+  );
+
+  // Bridge short unvoiced gaps between voiced frames
+  let lastVoiced = -1;
+  for (let i = 0; i < smoothed.length; i++) {
+    if (!Number.isFinite(smoothed[i])) continue;
+    const gap = i - lastVoiced - 1;
+    if (lastVoiced >= 0 && gap > 0 && gap <= MAX_BRIDGED_GAP_FRAMES) {
+      for (let k = 1; k <= gap; k++) {
+        smoothed[lastVoiced + k] = smoothed[lastVoiced] + ((smoothed[i] - smoothed[lastVoiced]) * k) / (gap + 1);
       }
     }
-    
-    const frequency = sampleRate / bestPeriod;
-    if (frequency >= 80 && frequency <= 2000) {
-      return frequency;
-    }
+    lastVoiced = i;
   }
-  
-  return null;
+
+  return frames.map((frame, i) => ({
+    time: parseFloat(frame.time.toFixed(3)),
+    pitch: Number.isFinite(smoothed[i]) ? parseFloat(Math.pow(2, smoothed[i]).toFixed(2)) : null,
+    confidence: parseFloat(frame.probability.toFixed(3)),
+  }));
 }
 
 /**
- * Extract pitch from isolated vocals audio using fast autocorrelation
- * Returns array of {time, pitch} objects
+ * pYIN-style pitch tracker over a WAV, streamed in two passes with constant memory:
+ * frame loudness first (so silence can be gated relative to the loudest part of the track), then the pitch
+ * onProgress (optional) receives the fraction of frames analysed, about every 10%
+ * @param {ReturnType<typeof openWav>} wav
+ * @returns {Array<{time: number, pitch: number|null, confidence: number}>} One frame per HOP_SECONDS;
+ *   pitch is null for unvoiced frames, confidence is the frame's voicing probability (0-1)
  */
-export async function extractPitch(vocalsBuffer) {
-  try {
-    console.log('🎵 Extracting pitch from isolated vocals (fast autocorrelation)...');
-    const startTime = Date.now();
-    
-    // Check buffer size - skip if too large (> 500MB to handle longer songs)
-    const bufferSizeMB = vocalsBuffer.length / (1024 * 1024);
-    console.log(`   → [STEP 1] Buffer size: ${bufferSizeMB.toFixed(2)}MB`);
-    
-    if (bufferSizeMB > 500) {
-      console.warn(`   ⚠️ [SKIP] Buffer too large (${bufferSizeMB.toFixed(0)}MB > 500MB limit), skipping pitch extraction`);
-      return [];
-    }
-    
-    // For very large buffers (> 200MB), log a warning but still process
-    if (bufferSizeMB > 200) {
-      console.warn(`   ⚠️ [WARN] Large buffer detected (${bufferSizeMB.toFixed(0)}MB) - pitch extraction may take longer`);
+function trackPitch(wav, { onProgress } = {}) {
+  const sampleRate = Math.min(wav.sampleRate, TRACKER_SAMPLE_RATE);
+  const hop = Math.round(sampleRate * HOP_SECONDS);
+  const windowSize = Math.round(sampleRate * WINDOW_SECONDS);
+  const tauMin = Math.max(2, Math.floor(sampleRate / MAX_PITCH_HZ));
+  const tauMax = Math.ceil(sampleRate / MIN_PITCH_HZ);
+  const framing = { frameLength: windowSize + tauMax + 1, hop };
+
+  const rms = [];
+  let maxRms = 0;
+  let peak = 0;
+  const totalFrames = forEachFrame(wav, framing, (samples, offset) => {
+    let sum = 0;
+    for (let j = 0; j < windowSize; j++) {
+      sum += samples[offset + j] * samples[offset + j];
+      peak = Math.max(peak, Math.abs(samples[offset + j]));
     }
-    
-    // Parse WAV file
-    console.log(`   → [STEP 2] Parsing WAV file...`);
-    const parseStart = Date.now();
-    const wav = new WaveFile(vocalsBuffer);
-    console.log(`   → [STEP 2] WAV parsed in ${Date.now() - parseStart}ms`);
-    
-    // Get format info
-    const sampleRate = wav.fmt.sampleRate;
-    const numChannels = wav.fmt.numChannels;
-    const bitDepth = wav.bitDepth;
-    console.log(`   → [STEP 2] Format: ${sampleRate}Hz, ${numChannels}ch, ${bitDepth}bit`);
-    
-    // Get samples using wavefile's proper method
-    console.log(`   → [STEP 3] Getting samples...`);
-    const samplesStart = Date.now();
-    
-    // Use getSamples with Float32Array - this handles conversion properly
-    let samples;
-    try {
-      // Get samples as Float32Array (non-interleaved, returns array of channel arrays)
-      const channelSamples = wav.getSamples(false, Float32Array);
-      console.log(`   → [STEP 3] Got channel samples: type=${typeof channelSamples}, isArray=${Array.isArray(channelSamples)}, constructor=${channelSamples?.constructor?.name}`);
-      
-      if (channelSamples instanceof Float32Array) {
-        // Single channel or interleaved format
-        console.log(`   → [STEP 3] Single channel/interleaved: ${channelSamples.length} samples`);
-        samples = channelSamples;
-      } else if (Array.isArray(channelSamples) && channelSamples.length > 0) {
-        // Multi-channel: array of channel arrays (each element is a Float32Array)
-        const firstElement = channelSamples[0];
-        console.log(`   → [STEP 3] First element: type=${typeof firstElement}, isArray=${Array.isArray(firstElement)}, isFloat32Array=${firstElement instanceof Float32Array}, constructor=${firstElement?.constructor?.name}`);
-        
-        if (firstElement instanceof Float32Array) {
-          // Multi-channel: array of Float32Arrays
-          console.log(`   → [STEP 3] Multi-channel format: ${channelSamples.length} channels, first channel has ${firstElement.length} samples`);
-          
-          // Use first channel
-          samples = firstElement;
-        } else if (Array.isArray(firstElement)) {
-          // Nested arrays (shouldn't happen with Float32Array type, but handle it)
-          console.log(`   → [STEP 3] Nested array format: ${channelSamples.length} channels`);
-          samples = Float32Array.from(firstElement);
-        } else {
-          // Try to convert first element to Float32Array
-          console.log(`   → [STEP 3] Attempting to convert first element to Float32Array...`);
-          samples = Float32Array.from(channelSamples[0]);
-        }
-      } else {
-        throw new Error(`Unexpected sample format: ${typeof channelSamples}, isArray=${Array.isArray(channelSamples)}`);
-      }
-    } catch (e) {
-      console.error(`   → [STEP 3] Error getting samples: ${e.message}`);
-      console.error(`   → [STEP 3] Error stack: ${e.stack}`);
-      throw new Error(`Failed to extract samples: ${e.message}`);
+    const frameRms = Math.sqrt(sum / windowSize);
+    rms.push(frameRms);
+    if (frameRms > maxRms) maxRms = frameRms;
+  });
+  const silenceRms = maxRms * SILENCE_RMS_RATIO;
+
+  console.log(`   → [STEP 4] Peak level ${peak.toFixed(4)}, loudest frame RMS ${maxRms.toFixed(4)}`);
+  console.log(`   → [STEP 5] Tracking ${totalFrames} frames (${HOP_SECONDS * 1000}ms hop, ${sampleRate}Hz, ${MIN_PITCH_HZ}-${MAX_PITCH_HZ}Hz)...`);
+
+  const difference = new Float64Array(tauMax + 2);
+  const frames = new Array(totalFrames);
+  const progressEvery = Math.max(1, Math.floor(totalFrames / 10));
+  let voicedFrames = 0;
+
+  forEachFrame(wav, framing, (samples, offset, f) => {
+    if (f >= totalFrames) return;
+    // Time stamps the centre of the analysis window
+    const time = (f * hop + windowSize / 2) / sampleRate;
+    const frame = rms[f] < silenceRms
+      ? { time, pitch: null, probability: 0 }
+      : { time, ...analyzeFrame(samples, offset, windowSize, tauMin, tauMax, sampleRate, difference) };
+
+    if (frame.probability >= VOICED_PROBABILITY) voicedFrames++;
+    frames[f] = frame;
+
+    if ((f + 1) % progressEvery === 0 || f + 1 === totalFrames) {
+      console.log(`   → [PROGRESS] ${f + 1}/${totalFrames} (${(((f + 1) / totalFrames) * 100).toFixed(0)}%) - ${voicedFrames} voiced`);
+      if (onProgress) onProgress((f + 1) / totalFrames);
     }
-    
-    console.log(`   → [STEP 3] Extracted ${samples.length} samples in ${Date.now() - samplesStart}ms`);
-    
-    if (!samples || samples.length < 1000) {
-      console.warn(`   ⚠️ [SKIP] Not enough samples (${samples?.length || 0}), skipping pitch extraction`);
+  });
+
+  return smoothPitchTrack(frames);
+}
+
+/**
+ * Extract the pitch track from isolated vocals audio with a pYIN-style tracker
+ * Returns array of {time, pitch, confidence} objects, one every 10ms (pitch is null when unvoiced)
+ * The WAV is decoded and analysed in fixed-size blocks (see wavReader.js), so memory doesn't grow
+ * with the length of the track. CPU-heavy and synchronous under the hood - the server runs it
+ * through pitchWorkerPool.js
+ * @param {Buffer|string} vocalsSource - WAV bytes, or a path to a WAV file (read from disk block by block)
+ */
+export async function extractPitch(vocalsSource, { onProgress } = {}) {
+  let wav = null;
+  try {
+    console.log('🎵 Extracting pitch from isolated vocals (pYIN)...');
+    const startTime = Date.now();
+
+    // Read the WAV header - the audio itself is decoded while it's analysed
+    console.log(`   → [STEP 1] Opening WAV ${typeof vocalsSource === 'string' ? `file ${vocalsSource}` : `buffer (${(vocalsSource.length / (1024 * 1024)).toFixed(2)}MB)`}...`);
+    wav = openWav(vocalsSource);
+    console.log(`   → [STEP 2] Format: ${wav.sampleRate}Hz, ${wav.numChannels}ch, ${wav.bitDepth}bit, ${(wav.frameCount / wav.sampleRate).toFixed(1)}s`);
+
+    if (wav.frameCount < 1000) {
+      console.warn(`   ⚠️ [SKIP] Not enough samples (${wav.frameCount}), skipping pitch extraction`);
       return [];
     }
-    
-    // Check sample values
-    const sampleMin = Math.min(...Array.from(samples.slice(0, 10000)));
-    const sampleMax = Math.max(...Array.from(samples.slice(0, 10000)));
-    console.log(`   → [STEP 3] Sample range: [${sampleMin.toFixed(4)}, ${sampleMax.toFixed(4)}]`);
-    
-    // Normalize if needed (samples should already be in -1 to 1 range for Float32Array)
-    if (sampleMax > 1 || sampleMin < -1) {
-      console.log(`   → [STEP 4] Normalizing samples...`);
-      const normalizeStart = Date.now();
-      const maxAbs = Math.max(Math.abs(sampleMin), Math.abs(sampleMax));
-      if (maxAbs > 0) {
-        for (let i = 0; i < samples.length; i++) {
-          samples[i] = samples[i] / maxAbs;
-        }
-      }
-      console.log(`   → [STEP 4] Normalized in ${Date.now() - normalizeStart}ms`);
-    }
-    
-    const finalMin = Math.min(...Array.from(samples.slice(0, 10000)));
-    const finalMax = Math.max(...Array.from(samples.slice(0, 10000)));
-    console.log(`   → [STEP 4] Final sample range: [${finalMin.toFixed(4)}, ${finalMax.toFixed(4)}]`);
-    
-    // Extract pitch at intervals - use longer chunks for better vocal pitch detection
-    const interval = Math.floor(sampleRate * 0.3); // 0.3 second jumps (more frequent)
-    const pitchData = [];
-    const chunkSize = Math.floor(sampleRate * 0.25); // Use 250ms chunks (longer = more accurate for vocals)
-    const totalChunks = Math.floor((samples.length - chunkSize) / interval);
-    
-    console.log(`   → [STEP 5] Processing ${totalChunks} chunks (every 0.3s, 250ms chunks)...`);
-    
-    if (totalChunks <= 0) {
-      console.warn(`   ⚠️ [SKIP] Not enough data for chunks (samples: ${samples.length}, chunkSize: ${chunkSize})`);
+
+    const pitchStart = Date.now();
+    const pitchData = trackPitch(wav, { onProgress });
+    if (pitchData.length === 0) {
+      console.warn(`   ⚠️ [SKIP] Not enough samples for a single pitch frame (${wav.frameCount})`);
       return [];
     }
-    
-    let processed = 0;
+
     let validPitches = 0;
-    let nullPitches = 0;
-    const pitchStart = Date.now();
-    for (let i = 0; i < samples.length - chunkSize; i += interval) {
-      const chunk = samples.slice(i, i + chunkSize);
-      
-      // Apply simple high-pass filter to reduce low-frequency noise
-      const filteredChunk = new Float32Array(chunk.length);
-      const alpha = 0.95; // High-pass filter coefficient
-      filteredChunk[0] = chunk[0];
-      for (let j = 1; j < chunk.length; j++) {
-        filteredChunk[j] = alpha * (filteredChunk[j-1] + chunk[j] - chunk[j-1]);
-      }
-      
-      const pitch = detectPitchFast(filteredChunk, sampleRate);
-      
-      if (pitch) {
-        const time = i / sampleRate;
-        pitchData.push({
-          time: parseFloat(time.toFixed(3)),
-          pitch: parseFloat(pitch.toFixed(2))
-        });
-        validPitches++;
-      } else {
-        nullPitches++;
-      }
-      
-      processed++;
-      // Log progress every 50 chunks
-      if (processed % 50 === 0 || processed === totalChunks) {
-        console.log(`   → [PROGRESS] ${processed}/${totalChunks} (${((processed / totalChunks) * 100).toFixed(0)}%) - ${validPitches} valid, ${nullPitches} null`);
-      }
+    let lowestPitch = Infinity;
+    let highestPitch = 0;
+    for (const point of pitchData) {
+      if (point.pitch === null) continue;
+      validPitches++;
+      lowestPitch = Math.min(lowestPitch, point.pitch);
+      highestPitch = Math.max(highestPitch, point.pitch);
     }
-    
-    console.log(`   → [STEP 5] Pitch detection: ${validPitches} valid pitches, ${nullPitches} null pitches`);
+    console.log(`   → [STEP 5] Pitch detection: ${validPitches} voiced frames, ${pitchData.length - validPitches} unvoiced frames`);
     console.log(`   → [STEP 5] Pitch detection done in ${Date.now() - pitchStart}ms`);
-    
+
     const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
     console.log(`✅ Extracted ${pitchData.length} pitch points in ${elapsed}s`);
-    
-    if (pitchData.length > 0) {
-      console.log(`   → Pitch range: ${Math.min(...pitchData.map(p => p.pitch)).toFixed(1)}Hz - ${Math.max(...pitchData.map(p => p.pitch)).toFixed(1)}Hz`);
+    if (validPitches > 0) {
+      console.log(`   → Pitch range: ${lowestPitch.toFixed(1)}Hz - ${highestPitch.toFixed(1)}Hz`);
     }
-    
+
     return pitchData;
-    
+
   } catch (error) {
     console.error('❌ Pitch extraction error:', error);
     throw new Error(`Pitch extraction failed: ${error.message}`);
+  } finally {
+    wav?.close();
   }
 }
 
+// Hz <-> MIDI note number (69 = A4 = 440Hz), fractional in between
+function frequencyToMidi(frequency) {
+  return 69 + 12 * Math.log2(frequency / 440);
+}
+
+function midiToFrequency(midi) {
+  return 440 * Math.pow(2, (midi - 69) / 12);
+}
+
+/**
+ * Snap a pitch to the nearest semitone
+ * @returns {{targetPitch: number, midi: number, cents: number}} Measured Hz (rounded), MIDI note number
+ *   and how far the measured pitch sits from it in cents (-50..50)
+ */
+function quantizePitch(frequency) {
+  const exactMidi = frequencyToMidi(frequency);
+  const midi = Math.round(exactMidi);
+  return {
+    targetPitch: Math.round(frequency),
+    midi,
+    cents: Math.round((exactMidi - midi) * 100),
+  };
+}
+
+// Stored pitch contour: the raw pitch track downsampled for drawing under the player's pitch in-game
+const CONTOUR_FRAME_SECONDS = 0.04; // Keeps the shape of vibrato (~4 points per cycle) at a fraction of the size
+const CONTOUR_MIN_VOICED_SHARE = 0.5; // Windows with fewer voiced frames are gaps in the contour
+
+/**
+ * Downsample a pitch track into the contour saved with the song
+ * @param {Array<{time: number, pitch: number|null}>} pitchData - from extractPitch
+ * @returns {{frameSeconds: number, start: number, midi: Array<number|null>}|null} midi[i] is the
+ *   fractional MIDI pitch at start + i * frameSeconds (null where the singer is silent), or null without pitch data
+ */
+export function pitchContour(pitchData) {
+  if (!Array.isArray(pitchData) || !pitchData.some(point => point.pitch > 0)) return null;
+
+  const start = pitchData[0].time;
+  const windows = [];
+  for (const { time, pitch } of pitchData) {
+    const index = Math.floor((time - start) / CONTOUR_FRAME_SECONDS + 1e-6);
+    if (!windows[index]) windows[index] = { frames: 0, voiced: [] };
+    windows[index].frames++;
+    if (pitch > 0) windows[index].voiced.push(frequencyToMidi(pitch));
+  }
+
+  const midi = Array.from(windows, (window) => {
+    if (!window || window.voiced.length < window.frames * CONTOUR_MIN_VOICED_SHARE) return null;
+    const mean = window.voiced.reduce((sum, value) => sum + value, 0) / window.voiced.length;
+    return Number(mean.toFixed(2));
+  });
+
+  // Trailing silence carries nothing
+  while (midi.length > 0 && midi[midi.length - 1] === null) midi.pop();
+
+  return { frameSeconds: CONTOUR_FRAME_SECONDS, start: Number(start.toFixed(3)), midi };
+}
+
+// Note types: pitched notes are "normal" or "golden" (long and held steady, worth bonus points);
+// "freestyle" notes cover words sung without a clear pitch (rap, spoken parts) and are scored on rhythm
+const GOLDEN_MIN_DURATION = 1.0; // Seconds
+const GOLDEN_MAX_SPREAD_CENTS = 35; // Standard deviation of the pitch within the note (allows gentle vibrato)
+const FREESTYLE_MIN_WORD_DURATION = 0.12; // Shorter words are left to the pitched notes around them
+const FREESTYLE_MAX_PITCHED_SHARE = 0.2; // A word with pitched notes over more of it than this isn't freestyle
+
+// Start a note cluster at a pitch frame
+function startCluster(start, pitch) {
+  const midi = frequencyToMidi(pitch);
+  return { start, end: start, targetPitch: pitch, duration: 0, pointCount: 1, midiSum: midi, midiSquareSum: midi * midi };
+}
+
+// Chart note from a finished cluster. Long notes held steadily are golden
+function clusterToNote(cluster) {
+  const meanMidi = cluster.midiSum / cluster.pointCount;
+  const spreadCents = Math.sqrt(Math.max(0, cluster.midiSquareSum / cluster.pointCount - meanMidi * meanMidi)) * 100;
+  const golden = cluster.duration >= GOLDEN_MIN_DURATION && spreadCents <= GOLDEN_MAX_SPREAD_CENTS;
+  return {
+    start: cluster.start,
+    end: cluster.end,
+    ...quantizePitch(cluster.targetPitch),
+    duration: cluster.duration,
+    type: golden ? 'golden' : 'normal',
+  };
+}
+
+// Freestyle notes for timed lyric words that have (almost) no pitched note under them,
+// fitted between the pitched notes around them. Returns all notes in time order
+function addFreestyleNotes(notes, segments, { minNoteDuration, minTimeGap }) {
+  const freestyle = [];
+  let lastEnd = -Infinity;
+
+  for (const word of lyricWords(segments)) {
+    if (!word.timed || word.end - word.start < FREESTYLE_MIN_WORD_DURATION) continue;
+
+    const overlapping = notes.filter(note => note.start < word.end && note.end > word.start);
+    const pitched = overlapping.reduce((sum, note) => sum + Math.min(note.end, word.end) - Math.max(note.start, word.start), 0);
+    if (pitched / (word.end - word.start) > FREESTYLE_MAX_PITCHED_SHARE) continue;
+
+    let start = Math.max(word.start, lastEnd + minTimeGap);
+    let end = word.end;
+    for (const note of overlapping) {
+      if (note.start <= start) start = Math.max(start, note.end + minTimeGap);
+      else end = Math.min(end, note.start - minTimeGap);
+    }
+    if (end - start < minNoteDuration) continue;
+
+    freestyle.push({ start, end, targetPitch: null, midi: null, cents: null, duration: end - start, type: 'freestyle' });
+    lastEnd = end;
+  }
+
+  if (freestyle.length > 0) {
+    console.log(`   → Added ${freestyle.length} freestyle notes for words without a clear pitch`);
+  }
+  return [...notes, ...freestyle].sort((a, b) => a.start - b.start);
+}
+
 /**
  * Cluster pitch data into SingStar-style notes
- * Groups consecutive similar pitches into note bars
+ * Groups consecutive similar pitches into note bars, each with targetPitch (Hz), midi (nearest
+ * semitone) and cents (the sung pitch's deviation from that semitone), linked to the word and
+ * syllable they're sung on (see noteLyrics.js).
+ * type is "golden" for long, steady notes and "freestyle" for unpitched words (targetPitch/midi/cents null),
+ * otherwise "normal". Slides and vibrato are kept as contour/vibrato (see noteShapes.js)
  * CRITICAL: Notes must never overlap - human voice can only sing one note at a time
  */
 export function generateNotesFromPitch(pitchData, segments) {
@@ -267,11 +508,12 @@ export function generateNotesFromPitch(pitchData, segments) {
   }
 
   const notes = [];
-  const minNoteDuration = 0.15; // Minimum note length in seconds
+  const minNoteDuration = 0.08; // Minimum note length in seconds (short enough for fast runs at 10ms pitch frames)
   const maxNoteDuration = 6.0; // Maximum note length in seconds
-  const pitchTolerance = 80; // Hz tolerance for grouping similar pitches (reduced for better note separation)
+  const pitchToleranceCents = 70; // Max distance from the note's average pitch before a new note starts (under a semitone, over typical vibrato)
   const maxTimeGap = 0.3; // Maximum gap in seconds before starting a new note (reduced for tighter clustering)
-  const minTimeGap = 0.05; // Minimum gap between notes (ensures no overlaps)
+  const minTimeGap = 0.02; // Minimum gap between notes (ensures no overlaps)
+  const noteSettleTime = 0.03; // Pitch changes within this long of a note's start are the transition into it
 
   let currentNote = null;
   let skippedNotes = 0;
@@ -302,12 +544,7 @@ export function generateNotesFromPitch(pitchData, segments) {
             currentNote.end = currentNote.start + currentNote.duration;
           }
           
-          notes.push({
-            start: currentNote.start,
-            end: currentNote.end,
-            targetPitch: Math.round(currentNote.targetPitch),
-            duration: currentNote.duration,
-          });
+          notes.push(clusterToNote(currentNote));
           lastNoteEnd = currentNote.end;
           totalNotesCreated++;
         } else {
@@ -320,28 +557,31 @@ export function generateNotesFromPitch(pitchData, segments) {
 
     if (!currentNote) {
       // Start new note - ensure it doesn't overlap with previous note
-      const noteStart = Math.max(time, lastNoteEnd + minTimeGap);
-      currentNote = {
-        start: noteStart,
-        end: noteStart,
-        targetPitch: pitch,
-        duration: 0,
-        pointCount: 1,
-        pitchSum: pitch,
-      };
+      currentNote = startCluster(Math.max(time, lastNoteEnd + minTimeGap), pitch);
     } else {
-      const pitchDiff = Math.abs(pitch - currentNote.targetPitch);
+      // Compare in cents - a fixed Hz tolerance is several semitones for low voices and too tight for high ones
+      const pitchDiffCents = Math.abs(1200 * Math.log2(pitch / currentNote.targetPitch));
       const timeGap = time - currentNote.end;
       
       // Extend note if pitch is similar and time gap is small
-      if (pitchDiff <= pitchTolerance && timeGap <= maxTimeGap) {
+      if (pitchDiffCents <= pitchToleranceCents && timeGap <= maxTimeGap) {
         // Continue current note (similar pitch, close in time)
         currentNote.end = time;
         currentNote.duration = currentNote.end - currentNote.start;
+        const midi = frequencyToMidi(pitch);
         currentNote.pointCount++;
-        currentNote.pitchSum += pitch;
-        // Update target pitch to average (not weighted - simpler and more accurate)
-        currentNote.targetPitch = currentNote.pitchSum / currentNote.pointCount;
+        currentNote.midiSum += midi;
+        currentNote.midiSquareSum += midi * midi;
+        // Update target pitch to the average in semitones (a Hz average leans sharp)
+        currentNote.targetPitch = midiToFrequency(currentNote.midiSum / currentNote.pointCount);
+      } else if (timeGap <= maxTimeGap && currentNote.end - currentNote.start < noteSettleTime) {
+        // Still gliding into the note - restart it on the new pitch instead of keeping a sliver
+        currentNote.end = time;
+        currentNote.duration = currentNote.end - currentNote.start;
+        currentNote.targetPitch = pitch;
+        currentNote.pointCount = 1;
+        currentNote.midiSum = frequencyToMidi(pitch);
+        currentNote.midiSquareSum = currentNote.midiSum * currentNote.midiSum;
       } else {
         // Finish current note and start new one (pitch changed or gap too large)
         // Cap duration at max
@@ -365,12 +605,7 @@ export function generateNotesFromPitch(pitchData, segments) {
             currentNote.end = currentNote.start + currentNote.duration;
           }
           
-          notes.push({
-            start: currentNote.start,
-            end: currentNote.end,
-            targetPitch: Math.round(currentNote.targetPitch),
-            duration: currentNote.duration,
-          });
+          notes.push(clusterToNote(currentNote));
           lastNoteEnd = currentNote.end;
           totalNotesCreated++;
         } else {
@@ -378,15 +613,7 @@ export function generateNotesFromPitch(pitchData, segments) {
         }
         
         // Start new note - ensure no overlap
-        const noteStart = Math.max(time, lastNoteEnd + minTimeGap);
-        currentNote = {
-          start: noteStart,
-          end: noteStart,
-          targetPitch: pitch,
-          duration: 0,
-          pointCount: 1,
-          pitchSum: pitch,
-        };
+        currentNote = startCluster(Math.max(time, lastNoteEnd + minTimeGap), pitch);
       }
     }
   }
@@ -416,12 +643,7 @@ export function generateNotesFromPitch(pitchData, segments) {
         currentNote.end = currentNote.start + currentNote.duration;
       }
       
-      notes.push({
-        start: currentNote.start,
-        end: currentNote.end,
-        targetPitch: Math.round(currentNote.targetPitch),
-        duration: currentNote.duration,
-      });
+      notes.push(clusterToNote(currentNote));
       totalNotesCreated++;
     } else {
       skippedNotes++;
@@ -432,10 +654,17 @@ export function generateNotesFromPitch(pitchData, segments) {
   if (skippedNotes > 0) {
     console.log(`   ⚠️ Skipped ${skippedNotes} notes that were too short (< ${minNoteDuration}s)`);
   }
+
+  // Slides between notes become sloped notes instead of a run of short steps
+  const glidedNotes = addGlideNotes(notes, detectGlides(pitchData), {
+    minNoteDuration,
+    minTimeGap,
+    toNote: midi => quantizePitch(midiToFrequency(midi)),
+  });
   
   // CRITICAL: Filter notes to only include those that overlap with segments (actual vocals/lyrics)
   // This prevents notes from showing during silence, intro, outro, or non-vocal sections
-  let filteredNotes = notes;
+  let filteredNotes = glidedNotes;
   if (segments && Array.isArray(segments) && segments.length > 0) {
     const segmentTimeRanges = segments.map(seg => ({
       start: Number(seg.start) || 0,
@@ -449,7 +678,7 @@ export function generateNotesFromPitch(pitchData, segments) {
       console.log(`   → Filtering notes by segments: ${segmentTimeRanges.length} segments, time range ${firstSegmentStart.toFixed(2)}s - ${lastSegmentEnd.toFixed(2)}s`);
       
       // Only keep notes that overlap with at least one segment
-      filteredNotes = notes.filter(note => {
+      filteredNotes = glidedNotes.filter(note => {
         // Check if note overlaps with any segment
         return segmentTimeRanges.some(seg => {
           // Note overlaps if: note.start < seg.end AND note.end > seg.start
@@ -457,7 +686,7 @@ export function generateNotesFromPitch(pitchData, segments) {
         });
       });
       
-      const removedCount = notes.length - filteredNotes.length;
+      const removedCount = glidedNotes.length - filteredNotes.length;
       if (removedCount > 0) {
         console.log(`   → Removed ${removedCount} notes that don't overlap with vocal segments`);
       }
@@ -495,7 +724,7 @@ export function generateNotesFromPitch(pitchData, segments) {
   
   if (finalNotes.length > 0) {
     console.log(`   → Note duration range: ${Math.min(...finalNotes.map(n => n.duration)).toFixed(2)}s - ${Math.max(...finalNotes.map(n => n.duration)).toFixed(2)}s`);
-    console.log(`   → Pitch range: ${Math.min(...finalNotes.map(n => n.targetPitch))}Hz - ${Math.max(...finalNotes.map(n => n.targetPitch))}Hz`);
+    console.log(`   → Pitch range: ${Math.min(...finalNotes.map(n => n.targetPitch))}Hz - ${Math.max(...finalNotes.map(n => n.targetPitch))}Hz (MIDI ${Math.min(...finalNotes.map(n => n.midi))}-${Math.max(...finalNotes.map(n => n.midi))})`);
     console.log(`   → Time range: ${finalNotes[0].start.toFixed(2)}s - ${finalNotes[finalNotes.length - 1].end.toFixed(2)}s`);
     
     // Verify no overlaps
@@ -513,7 +742,7 @@ export function generateNotesFromPitch(pitchData, segments) {
     // Log first 5 notes for debugging
     console.log(`   → First 5 sequential notes:`);
     finalNotes.slice(0, 5).forEach((note, idx) => {
-      console.log(`      [${idx}] ${note.start.toFixed(2)}s-${note.end.toFixed(2)}s (${note.duration.toFixed(2)}s): ${note.targetPitch}Hz`);
+      console.log(`      [${idx}] ${note.start.toFixed(2)}s-${note.end.toFixed(2)}s (${note.duration.toFixed(2)}s): ${note.targetPitch}Hz, MIDI ${note.midi} (${note.cents >= 0 ? '+' : ''}${note.cents}c)`);
     });
     
     // Check alignment with segments if provided
@@ -526,7 +755,16 @@ export function generateNotesFromPitch(pitchData, segments) {
     console.warn(`   ⚠️ [NOTES] No notes generated! This might indicate pitch detection issues.`);
     console.warn(`   → Check if pitch data has valid values (not all null/zero)`);
   }
-  
-  return finalNotes;
+
+  const goldenCount = finalNotes.filter(note => note.type === 'golden').length;
+  if (goldenCount > 0) {
+    console.log(`   → ${goldenCount} golden notes (held ${GOLDEN_MIN_DURATION}s+ within ${GOLDEN_MAX_SPREAD_CENTS} cents)`);
+  }
+
+  const allNotes = addFreestyleNotes(shapeNotes(finalNotes, pitchData), segments, { minNoteDuration, minTimeGap });
+  const linkedNotes = attachLyricsToNotes(allNotes, segments);
+  console.log(`   → Linked ${linkedNotes.filter(note => note.syllable !== undefined).length}/${linkedNotes.length} notes to lyric syllables`);
+
+  return linkedNotes;
 }
 
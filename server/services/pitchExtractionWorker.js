@@ -0,0 +1,18 @@
+import { parentPort } from 'worker_threads';
+import { extractPitch } from './pitchExtraction.js';
+
+/**
+ * Worker thread entry for pitchWorkerPool.js.
+ * Runs one pitch extraction per message and reports progress, the result or the error back.
+ */
+parentPort.on('message', async ({ taskId, audio }) => {
+  try {
+    // audio is a WAV file path (streamed from disk) or the transferred WAV bytes
+    const pitchData = await extractPitch(typeof audio === 'string' ? audio : Buffer.from(audio), {
+      onProgress: (fraction) => parentPort.postMessage({ taskId, type: 'progress', fraction }),
+    });
+    parentPort.postMessage({ taskId, type: 'result', pitchData });
+  } catch (error) {
+    parentPort.postMessage({ taskId, type: 'error', error: error?.message || String(error) });
+  }
+});
@@ -0,0 +1,177 @@
+import { Worker } from 'worker_threads';
+import os from 'os';
+import { openWav } from '../utils/wavReader.js';
+
+/**
+ * Worker thread pool for pitch extraction.
+ * The tracker is CPU-bound for several seconds per song, so it runs off the Express event loop.
+ * Waiting tasks are bounded, and a timed out or aborted task really stops: a queued task is
+ * dropped and a running one has its worker terminated (a fresh worker replaces it).
+ * The timeout grows with the length of the audio: PITCH_TIMEOUT_MS, plus PITCH_TIMEOUT_PER_MINUTE_MS
+ * for every minute of it.
+ */
+
+const POOL_SIZE = parseInt(process.env.PITCH_WORKERS || '', 10) || Math.max(1, Math.min(2, os.cpus().length - 1));
+const MAX_QUEUED_TASKS = parseInt(process.env.PITCH_QUEUE_LIMIT || '8', 10) || 8;
+export const PITCH_TIMEOUT_MS = parseInt(process.env.PITCH_TIMEOUT_MS || '60000', 10) || 60000;
+const PITCH_TIMEOUT_PER_MINUTE_MS = parseInt(process.env.PITCH_TIMEOUT_PER_MINUTE_MS || '30000', 10) || 30000;
+
+const WORKER_URL = new URL('./pitchExtractionWorker.js', import.meta.url);
+
+const slots = []; // { worker, task } - task is null while the worker is idle
+const queuedTasks = [];
+let nextTaskId = 1;
+
+function settle(task, error, pitchData) {
+  if (task.settled) return;
+  task.settled = true;
+  clearTimeout(task.timer);
+  task.signal?.removeEventListener('abort', task.onAbort);
+  if (error) task.reject(error);
+  else task.resolve(pitchData);
+}
+
+function removeSlot(slot) {
+  const index = slots.indexOf(slot);
+  if (index !== -1) slots.splice(index, 1);
+}
+
+function createSlot() {
+  const slot = { worker: new Worker(WORKER_URL), task: null };
+
+  slot.worker.on('message', (message) => {
+    const task = slot.task;
+    if (!task || message.taskId !== task.id) return;
+
+    if (message.type === 'progress') {
+      task.onProgress?.(message.fraction);
+      return;
+    }
+
+    slot.task = null;
+    slot.worker.unref(); // Idle workers must not keep the process (e.g. the import script) alive
+    settle(task, message.type === 'error' ? new Error(message.error) : null, message.pitchData);
+    drainQueue();
+  });
+
+  // A crashed worker fails its task; the pool starts a new one on demand
+  slot.worker.on('error', (error) => {
+    console.error('❌ [PITCH POOL] Worker error:', error.message);
+    removeSlot(slot);
+    if (slot.task) settle(slot.task, new Error(`Pitch extraction worker crashed: ${error.message}`));
+    drainQueue();
+  });
+  slot.worker.on('exit', (code) => {
+    removeSlot(slot);
+    if (slot.task) settle(slot.task, new Error(`Pitch extraction worker exited with code ${code}`));
+    drainQueue();
+  });
+
+  slots.push(slot);
+  return slot;
+}
+
+function dispatch(slot, task) {
+  slot.task = task;
+  slot.worker.ref();
+  task.timer = setTimeout(
+    () => cancelTask(task, new Error(`Pitch extraction timeout (${Math.round(task.timeoutMs / 1000)}s)`)),
+    task.timeoutMs
+  );
+
+  // File paths go as they are (the worker streams the file); buffers are copied into their
+  // own ArrayBuffer so they can be transferred instead of cloned
+  if (typeof task.audio === 'string') {
+    slot.worker.postMessage({ taskId: task.id, audio: task.audio });
+  } else {
+    const audio = task.audio.buffer.slice(task.audio.byteOffset, task.audio.byteOffset + task.audio.byteLength);
+    slot.worker.postMessage({ taskId: task.id, audio }, [audio]);
+  }
+  task.audio = null;
+}
+
+// Time allowed for a WAV of this length; the header is all that's read. Audio that can't be read
+// gets the base timeout, and the worker reports what's wrong with it
+function timeoutFor(audio) {
+  let wav;
+  try {
+    wav = openWav(audio);
+    return Math.round(PITCH_TIMEOUT_MS + (wav.frameCount / wav.sampleRate / 60) * PITCH_TIMEOUT_PER_MINUTE_MS);
+  } catch {
+    return PITCH_TIMEOUT_MS;
+  } finally {
+    wav?.close();
+  }
+}
+
+function drainQueue() {
+  while (queuedTasks.length > 0) {
+    const slot = slots.find(candidate => !candidate.task) || (slots.length < POOL_SIZE ? createSlot() : null);
+    if (!slot) return;
+    dispatch(slot, queuedTasks.shift());
+  }
+}
+
+function cancelTask(task, reason) {
+  if (task.settled) return;
+
+  const queuedIndex = queuedTasks.indexOf(task);
+  if (queuedIndex !== -1) {
+    queuedTasks.splice(queuedIndex, 1);
+  } else {
+    const slot = slots.find(candidate => candidate.task === task);
+    if (slot) {
+      console.warn(`⏹️ [PITCH POOL] Stopping task ${task.id}: ${reason.message}`);
+      slot.task = null;
+      removeSlot(slot);
+      slot.worker.terminate();
+    }
+  }
+
+  settle(task, reason);
+  drainQueue();
+}
+
+/**
+ * Extract a pitch track on a worker thread
+ * @param {Buffer|string} audioBuffer - WAV audio (isolated vocals or the original mix), or the path of a
+ *   WAV file - preferable for long recordings, as the worker then reads it from disk block by block
+ * @param {{onProgress?: (fraction: number) => void, signal?: AbortSignal, timeoutMs?: number}} [options] -
+ *   onProgress receives 0-1 as frames are analysed; aborting the signal cancels the task;
+ *   timeoutMs counts from when a worker picks the task up (by default it's scaled by the audio's length)
+ * @returns {Promise<Array<{time: number, pitch: number|null, confidence: number}>>}
+ */
+export function runPitchExtraction(audioBuffer, { onProgress, signal, timeoutMs } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new Error('Pitch extraction cancelled'));
+      return;
+    }
+
+    const hasFreeWorker = slots.some(slot => !slot.task) || slots.length < POOL_SIZE;
+    if (!hasFreeWorker && queuedTasks.length >= MAX_QUEUED_TASKS) {
+      reject(new Error(`Pitch extraction queue is full (${queuedTasks.length} waiting), try again later`));
+      return;
+    }
+
+    const task = {
+      id: nextTaskId++,
+      audio: audioBuffer,
+      onProgress,
+      signal,
+      timeoutMs: timeoutMs ?? timeoutFor(audioBuffer),
+      timer: null,
+      settled: false,
+      resolve,
+      reject,
+    };
+    task.onAbort = () => cancelTask(task, new Error('Pitch extraction cancelled'));
+    signal?.addEventListener('abort', task.onAbort, { once: true });
+
+    queuedTasks.push(task);
+    if (!hasFreeWorker) {
+      console.log(`⏳ [PITCH POOL] Task ${task.id} queued (${queuedTasks.length} waiting, ${slots.length}/${POOL_SIZE} workers)`);
+    }
+    drainQueue();
+  });
+}
@@ -0,0 +1,29 @@
+import replicateProvider from './replicateProvider.js';
+import localProvider from './localProvider.js';
+import passthroughProvider from './passthroughProvider.js';
+
+/**
+ * Vocal separation providers
+ *
+ * Every provider exposes `separate(audioBuffer)` and resolves with
+ * { vocals: Buffer, accompaniment: Buffer|null }. Locking, validation and saving
+ * to vocals/ are handled once in vocalSeparation.js.
+ *
+ * Pick one with SEPARATION_PROVIDER:
+ *   replicate   - Demucs on Replicate (default, needs REPLICATE_API_TOKEN)
+ *   local       - demucs / spleeter CLI, see localProvider.js
+ *   passthrough - no separation, the original mix is used as vocals
+ */
+const providers = {
+  [replicateProvider.name]: replicateProvider,
+  [localProvider.name]: localProvider,
+  [passthroughProvider.name]: passthroughProvider,
+};
+
+export function getSeparationProvider(name = process.env.SEPARATION_PROVIDER || 'replicate') {
+  const provider = providers[name.toLowerCase()];
+  if (!provider) {
+    throw new Error(`Unknown SEPARATION_PROVIDER "${name}" (expected: ${Object.keys(providers).join(', ')})`);
+  }
+  return provider;
+}
@@ -0,0 +1,104 @@
+import { exec } from 'child_process';
+import { promisify } from 'util';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import fs from 'fs';
+
+const execAsync = promisify(exec);
+
+/**
+ * Locally installed Demucs / Spleeter CLI separation provider
+ *
+ * Env:
+ *   LOCAL_SEPARATION_TOOL  - 'demucs' (default) or 'spleeter'
+ *   LOCAL_SEPARATION_BIN   - CLI to run (default: same as the tool name)
+ *   LOCAL_SEPARATION_MODEL - demucs: model name (default htdemucs_ft); spleeter: config (default spleeter:2stems)
+ *   LOCAL_SEPARATION_ARGS  - Extra arguments appended to the command (e.g. "-d cuda")
+ *   LOCAL_SEPARATION_TIMEOUT_MS - Kill the CLI after this long (default 30 minutes)
+ */
+const TOOL = process.env.LOCAL_SEPARATION_TOOL || 'demucs';
+const DEFAULT_TIMEOUT_MS = 30 * 60 * 1000;
+const configuredTimeout = parseInt(process.env.LOCAL_SEPARATION_TIMEOUT_MS || '', 10);
+if (process.env.LOCAL_SEPARATION_TIMEOUT_MS && !(configuredTimeout > 0)) {
+  console.warn(`⚠️ [LOCAL SEPARATION] Ignoring LOCAL_SEPARATION_TIMEOUT_MS="${process.env.LOCAL_SEPARATION_TIMEOUT_MS}" (not a positive number of ms), using ${DEFAULT_TIMEOUT_MS}`);
+}
+const TIMEOUT_MS = configuredTimeout > 0 ? configuredTimeout : DEFAULT_TIMEOUT_MS;
+
+const TOOLS = {
+  // demucs writes <out>/<model>/<input name>/{vocals,no_vocals}.wav
+  demucs: {
+    defaultModel: 'htdemucs_ft',
+    command: (bin, model, inputPath, outputDir) =>
+      `${bin} --two-stems=vocals -n ${model} -o "${outputDir}" "${inputPath}"`,
+    stems: (outputDir, model, name) => ({
+      vocals: join(outputDir, model, name, 'vocals.wav'),
+      accompaniment: join(outputDir, model, name, 'no_vocals.wav'),
+    }),
+  },
+  // spleeter writes <out>/<input name>/{vocals,accompaniment}.wav
+  spleeter: {
+    defaultModel: 'spleeter:2stems',
+    command: (bin, model, inputPath, outputDir) =>
+      `${bin} separate -p ${model} -o "${outputDir}" "${inputPath}"`,
+    stems: (outputDir, model, name) => ({
+      vocals: join(outputDir, name, 'vocals.wav'),
+      accompaniment: join(outputDir, name, 'accompaniment.wav'),
+    }),
+  },
+};
+
+/**
+ * @param {Buffer} audioBuffer - WAV audio buffer
+ * @returns {Promise<{vocals: Buffer, accompaniment: Buffer|null}>}
+ */
+async function separate(audioBuffer) {
+  const tool = TOOLS[TOOL];
+  if (!tool) {
+    throw new Error(`Unknown LOCAL_SEPARATION_TOOL "${TOOL}" (expected: ${Object.keys(TOOLS).join(', ')})`);
+  }
+
+  const bin = process.env.LOCAL_SEPARATION_BIN || TOOL;
+  const model = process.env.LOCAL_SEPARATION_MODEL || tool.defaultModel;
+  const name = `separate-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
+  const workDir = join(tmpdir(), name);
+  const inputPath = join(workDir, `${name}.wav`);
+
+  try {
+    fs.mkdirSync(workDir, { recursive: true });
+    fs.writeFileSync(inputPath, audioBuffer);
+
+    const command = `${tool.command(bin, model, inputPath, workDir)} ${process.env.LOCAL_SEPARATION_ARGS || ''}`.trim();
+    console.log(`   → [${TOOL.toUpperCase()}] Running locally (${model})...`);
+    try {
+      // A hung CLI would otherwise hold the song's vocals lock forever
+      await execAsync(command, { maxBuffer: 50 * 1024 * 1024, timeout: TIMEOUT_MS, killSignal: 'SIGKILL' });
+    } catch (error) {
+      if (error.killed) {
+        throw new Error(`${TOOL} timed out after ${Math.round(TIMEOUT_MS / 1000)}s (set LOCAL_SEPARATION_TIMEOUT_MS to allow longer)`);
+      }
+      throw error;
+    }
+
+    const stems = tool.stems(workDir, model, name);
+    if (!fs.existsSync(stems.vocals)) {
+      throw new Error(`${TOOL} did not produce ${stems.vocals}`);
+    }
+
+    return {
+      vocals: fs.readFileSync(stems.vocals),
+      accompaniment: fs.existsSync(stems.accompaniment) ? fs.readFileSync(stems.accompaniment) : null,
+    };
+  } finally {
+    try {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    } catch (cleanupErr) {
+      console.warn(`⚠️ Failed to cleanup ${workDir}:`, cleanupErr.message);
+    }
+  }
+}
+
+export default {
+  name: 'local',
+  separates: true,
+  separate,
+};
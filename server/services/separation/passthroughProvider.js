@@ -0,0 +1,17 @@
+/**
+ * "No separation" provider: the full mix is used as the vocals track.
+ * Useful offline or when a song has no backing track worth removing;
+ * transcription and pitch extraction simply run on the original audio.
+ * @param {Buffer} audioBuffer - WAV audio buffer
+ * @returns {Promise<{vocals: Buffer, accompaniment: null}>}
+ */
+async function separate(audioBuffer) {
+  console.log('   → [PASSTHROUGH] Skipping separation, using original audio as vocals');
+  return { vocals: audioBuffer, accompaniment: null };
+}
+
+export default {
+  name: 'passthrough',
+  separates: false, // Output is not isolated vocals, so it isn't saved to vocals/
+  separate,
+};
@@ -0,0 +1,79 @@
+import { replicate } from '../replicate.js';
+
+/**
+ * Replicate-hosted Demucs separation provider
+ *
+ * Env:
+ *   REPLICATE_SEPARATION_MODEL - Replicate model version (default: ryan5453/demucs pinned version)
+ *   REPLICATE_DEMUCS_MODEL     - Demucs model to run on Replicate (default: htdemucs_ft)
+ */
+const DEFAULT_MODEL_VERSION = "ryan5453/demucs:5a7041cc9b82e5a558fea6b3d7b12dea89625e89da33f0447bd727c2d0ab9e77";
+
+async function downloadStem(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to download stem: ${response.statusText}`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+}
+
+/**
+ * @param {Buffer} audioBuffer - WAV audio buffer
+ * @returns {Promise<{vocals: Buffer, accompaniment: Buffer|null}>}
+ */
+async function separate(audioBuffer) {
+  console.log(`   → [DEMUCS] Uploading audio to Replicate...`);
+  const uploadStart = Date.now();
+
+  // Replicate SDK automatically handles Buffer uploads - no manual upload needed!
+  const output = await replicate.run(
+    process.env.REPLICATE_SEPARATION_MODEL || DEFAULT_MODEL_VERSION,
+    {
+      input: {
+        audio: audioBuffer, // Pass Buffer directly - SDK handles upload
+        model: process.env.REPLICATE_DEMUCS_MODEL || "htdemucs_ft",
+        stem: "vocals", // Only get vocals
+        output_format: "wav",
+        split: true,
+        shifts: 1,
+        overlap: 0.25,
+        clip_mode: "rescale",
+      }
+    }
+  );
+
+  const uploadTime = ((Date.now() - uploadStart) / 1000).toFixed(1);
+  console.log(`   → [DEMUCS] Replicate finished in ${uploadTime}s`);
+
+  if (!output || !output.vocals) {
+    throw new Error('Invalid response from Replicate - no vocals found');
+  }
+
+  console.log(`   → [DEMUCS] Vocals URL: ${output.vocals}`);
+
+  // Download vocals from Replicate's URL
+  console.log(`   → [GETTING VOCALS] Downloading isolated vocals from Replicate...`);
+  const downloadStart = Date.now();
+  const vocals = await downloadStem(output.vocals);
+  const downloadTime = ((Date.now() - downloadStart) / 1000).toFixed(1);
+  console.log(`   → [GETTING VOCALS] Download complete in ${downloadTime}s`);
+
+  // Also get accompaniment if available (for future use)
+  let accompaniment = null;
+  const accompanimentUrl = output.no_vocals || output.other;
+  if (accompanimentUrl) {
+    console.log(`   → [GETTING ACCOMPANIMENT] Downloading accompaniment...`);
+    accompaniment = await downloadStem(accompanimentUrl).catch((error) => {
+      console.warn(`   ⚠️ [GETTING ACCOMPANIMENT] ${error.message}`);
+      return null;
+    });
+  }
+
+  return { vocals, accompaniment };
+}
+
+export default {
+  name: 'replicate',
+  separates: true,
+  separate,
+};
@@ -0,0 +1,1585 @@
+import { exec } from "child_process";
+import { promisify } from "util";
+import { tmpdir } from "os";
+import { join, dirname } from "path";
+import fs from "fs";
+import { supabase } from "./supabase.js";
+import { openai } from "./openai.js";
+import { transcribeAudio } from "./transcription/index.js";
+import { separateVocals } from "./vocalSeparation.js";
+import { getArtifactStore } from "./artifactCache.js";
+import { enqueueJob } from "./jobQueue.js";
+import { measureQuality, qualityColumns } from "./chartQuality.js";
+import { recordRevision } from "./songRevisions.js";
+import { alignLyrics, transcriptWords } from "./lyricsAlignment.js";
+import { attachLyricsToNotes } from "./noteLyrics.js";
+import { parseUltraStar } from "./ultrastar.js";
+import { parseMidi, findVocalTrack, midiTrackToNotes } from "./midiFile.js";
+import { parseLrc } from "./lrc.js";
+import { normalizeChart, repairChart, ChartValidationError } from "./chartSchema.js";
+import { generateNotesFromPitch, pitchContour } from "./pitchExtraction.js";
+import { detectKey, detectTempo, snapNotesToBeats, MIN_SNAP_CONFIDENCE } from "./musicAnalysis.js";
+import { runPitchExtraction } from "./pitchWorkerPool.js";
+import { fileURLToPath } from "url";
+import { findYtDlpCommand, findFfmpegCommand, retryFileOperation, convertToWavBuffer } from "../utils/audioTools.js";
+import { downloadUploadedAudio, getUploadedAudioUrl } from "./audioUploads.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Create vocals directory if it doesn't exist
+// Note: vocals are saved in root/vocals (not server/vocals) to match vocalSeparation.js
+const vocalsDir = join(__dirname, '../../vocals');
+if (!fs.existsSync(vocalsDir)) {
+  fs.mkdirSync(vocalsDir, { recursive: true });
+  console.log('📁 Created vocals directory:', vocalsDir);
+}
+
+const execAsync = promisify(exec);
+
+// Bump when a change to the pipeline makes saved charts stale (GET /api/songs/stale lists them for reprocessing).
+// Cached stage artifacts have their own versions - see STAGE_VERSIONS in artifactCache.js
+// 2: pYIN pitch tracker (10ms frames) and semitone-based note grouping
+// 3: notes carry a MIDI note number and cents deviation
+// 4: key/tempo detection, chart notes snapped to the beat grid
+// 5: golden and freestyle note types
+// 6: glide notes, pitch contours and vibrato
+export const PIPELINE_VERSION = 6;
+
+// Pipeline stages in run order, with rough durations for a ~4 minute song.
+// Used by the job queue to estimate percent complete and ETA.
+export const PIPELINE_STAGES = [
+  { id: 'checking-cache', label: 'checking cache', expectedSeconds: 1 },
+  { id: 'downloading', label: 'downloading', expectedSeconds: 20 },
+  { id: 'separating-vocals', label: 'separating vocals', expectedSeconds: 90 },
+  { id: 'transcribing', label: 'transcribing', expectedSeconds: 40 },
+  { id: 'extracting-pitch', label: 'extracting pitch', expectedSeconds: 15 },
+  { id: 'detecting-key-tempo', label: 'detecting key and tempo', expectedSeconds: 3 },
+  { id: 'detecting-first-verse', label: 'detecting first verse', expectedSeconds: 3 },
+  { id: 'detecting-genre', label: 'detecting genre', expectedSeconds: 2 },
+  { id: 'saving', label: 'saving', expectedSeconds: 1 },
+];
+
+// Check if transcription is mostly instrumental symbols (indicates vocals separation failed)
+function isMostlyInstrumental(segments) {
+  if (!segments || segments.length === 0) return false;
+
+  const instrumentalSymbols = ['♪', '♫', '♬', '♩', '♭', '♮', '♯'];
+  let instrumentalCount = 0;
+  let totalSegments = 0;
+
+  segments.forEach(seg => {
+    const text = (seg.text || '').trim();
+    if (text.length > 0) {
+      totalSegments++;
+      // Check if segment is mostly instrumental symbols
+      const isInstrumental = instrumentalSymbols.some(symbol =>
+        text.includes(symbol) || text === symbol || text === symbol + symbol
+      );
+      if (isInstrumental) {
+        instrumentalCount++;
+      }
+    }
+  });
+
+  // If more than 70% of segments are instrumental symbols, consider it failed
+  const instrumentalRatio = totalSegments > 0 ? instrumentalCount / totalSegments : 0;
+  return instrumentalRatio > 0.7;
+}
+
+// Detect music genre using GPT-4o-mini
+async function detectGenre(segments, title, artist, lyrics) {
+  try {
+    if (!segments || segments.length === 0) {
+      return null;
+    }
+
+    // Build context from lyrics and first segments
+    const previewText = lyrics ? lyrics.substring(0, 1000) : segments.slice(0, 15).map(s => s.text || '').join(' ');
+
+    const messages = [
+      {
+        role: "system",
+        content: "You are a music genre classification expert. Analyze the song and return ONLY one of these genres: Rock, Hip Hop, Pop, Country, R&B, Electronic, Jazz, Classical, Latin, Metal, Folk, Reggae, Blues, Punk, Indie, Other. Return just the genre name, nothing else."
+      },
+      {
+        role: "user",
+        content: `Analyze this song to determine its genre:
+
+Title: "${title || 'Unknown'}"
+Artist: "${artist || 'Unknown'}"
+
+Lyrics preview:
+${previewText}
+
+Based on the lyrics, style, and content, classify this song into one of these genres:
+Rock, Hip Hop, Pop, Country, R&B, Electronic, Jazz, Classical, Latin, Metal, Folk, Reggae, Blues, Punk, Indie, Other
+
+Return ONLY the genre name (e.g., "Rock" or "Hip Hop").`
+      }
+    ];
+
+    console.log('🤖 [GENRE] Detecting genre...');
+    const response = await openai.chat.completions.create({
+      model: "gpt-4.1-nano",
+      messages,
+      max_tokens: 20,
+      temperature: 0.3, // Lower temperature for more consistent classification
+    });
+
+    const result = response.choices[0]?.message?.content?.trim();
+
+    // Validate genre is one of the allowed values
+    const validGenres = ['Rock', 'Hip Hop', 'Pop', 'Country', 'R&B', 'Electronic', 'Jazz', 'Classical', 'Latin', 'Metal', 'Folk', 'Reggae', 'Blues', 'Punk', 'Indie', 'Other'];
+    const detectedGenre = validGenres.find(g => result.toLowerCase().includes(g.toLowerCase())) || 'Other';
+
+    console.log(`✅ [GENRE] Detected genre: ${detectedGenre}`);
+    return detectedGenre;
+  } catch (error) {
+    console.error('❌ [GENRE] Error detecting genre:', error.message);
+    // Fallback: return "Other"
+    return 'Other';
+  }
+}
+
+// Detect first verse start time using GPT-4o-mini
+async function detectFirstVerse(segments, title, artist) {
+  try {
+    if (!segments || segments.length === 0) {
+      return null;
+    }
+
+    // Build context from first 20 segments (to avoid too much context)
+    const previewSegments = segments.slice(0, 20).map((seg, idx) => ({
+      index: idx,
+      start: seg.start || 0,
+      end: seg.end || 0,
+      text: seg.text || ''
+    }));
+
+    const messages = [
+      {
+        role: "system",
+        content: "You are a music analysis expert. Your task is to identify when the actual song starts (first verse) versus introductions, talking, or other non-song content. Return ONLY the start time in seconds as a number, nothing else."
+      },
+      {
+        role: "user",
+        content: `Analyze these transcription segments from "${title || 'a song'}" by "${artist || 'an artist'}". 
+
+Find when the first verse of the actual song begins (not introductions, talking, or announcements). 
+
+Segments:
+${previewSegments.map(s => `[${s.start.toFixed(1)}s-${s.end.toFixed(1)}s] "${s.text}"`).join('\n')}
+
+Return ONLY the start time in seconds (e.g., 56.0) when the first verse begins. If you can't determine, return the first segment's start time.`
+      }
+    ];
+
+    console.log('🤖 [GPT] Detecting first verse start time...');
+    const response = await openai.chat.completions.create({
+      model: "gpt-4o-mini", // Using gpt-4o-mini (gpt-4.1-nano doesn't exist, this is the smallest available)
+      messages,
+      max_completion_tokens: 80, // As requested
+      top_p: 1.0, // As requested
+      frequency_penalty: 0, // As requested
+      presence_penalty: 0, // As requested
+    });
+
+    const result = response.choices[0]?.message?.content?.trim();
+    const firstVerseTime = parseFloat(result);
+
+    if (isNaN(firstVerseTime) || firstVerseTime < 0) {
+      console.warn('⚠️ [GPT] Invalid first verse time returned, using first segment start');
+      return segments[0]?.start || 0;
+    }
+
+    console.log(`✅ [GPT] First verse detected at ${firstVerseTime.toFixed(2)}s`);
+    return firstVerseTime;
+  } catch (error) {
+    console.error('❌ [GPT] Error detecting first verse:', error.message);
+    // Fallback: return first segment start time
+    return segments[0]?.start || 0;
+  }
+}
+
+// STEP 1 — Download + Convert into perfect Whisper WAV file
+async function youtubeToWavBuffer(youtubeUrl) {
+  const ts = Date.now();
+  const randomId = Math.random().toString(36).substring(2, 9);
+  const tempInput = join(tmpdir(), `audio-${ts}-${randomId}.m4a`);
+  const tempOutput = join(tmpdir(), `audio-${ts}-${randomId}.wav`);
+
+  try {
+    // Find yt-dlp command (auto-downloads if needed)
+    const ytDlpCmd = await findYtDlpCommand();
+    console.log(`✅ Using yt-dlp: ${ytDlpCmd}`);
+
+    // Download best audio using yt-dlp
+    await execAsync(`${ytDlpCmd} -f bestaudio -o "${tempInput}" "${youtubeUrl}"`);
+
+    // Wait a bit to ensure file is fully closed on Windows
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    // Verify file exists and is readable
+    await retryFileOperation(async () => {
+      if (!fs.existsSync(tempInput)) {
+        throw new Error('Downloaded file does not exist');
+      }
+      // Try to open file to ensure it's not locked
+      const fd = fs.openSync(tempInput, 'r');
+      fs.closeSync(fd);
+    });
+
+    // Find ffmpeg command (auto-downloads on Windows if needed)
+    const ffmpegCmd = await findFfmpegCommand();
+    console.log(`✅ Using ffmpeg: ${ffmpegCmd}`);
+
+    // Convert to WAV 16kHz mono
+    await execAsync(
+      `"${ffmpegCmd}" -y -i "${tempInput}" -ac 1 -ar 16000 -f wav "${tempOutput}"`
+    );
+
+    // Wait a bit to ensure output file is fully written
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    // Read the output file with retry
+    const buffer = await retryFileOperation(async () => {
+      return fs.readFileSync(tempOutput);
+    });
+
+    // Clean up temp files with retry
+    const cleanup = async (filePath) => {
+      try {
+        await retryFileOperation(async () => {
+          if (fs.existsSync(filePath)) {
+            fs.unlinkSync(filePath);
+          }
+        }, 3, 100);
+      } catch (cleanupErr) {
+        console.warn(`⚠️ Failed to cleanup ${filePath}:`, cleanupErr.message);
+      }
+    };
+
+    // Clean up asynchronously (don't block)
+    cleanup(tempInput).catch(() => { });
+    cleanup(tempOutput).catch(() => { });
+
+    return buffer;
+  } catch (err) {
+    console.error("FFMPEG/YTDLP ERROR:", err);
+
+    // Clean up on error
+    try {
+      if (fs.existsSync(tempInput)) fs.unlinkSync(tempInput);
+      if (fs.existsSync(tempOutput)) fs.unlinkSync(tempOutput);
+    } catch {
+      // Ignore cleanup errors
+    }
+
+    // Provide helpful error message
+    if (err.message.includes('not recognized') || err.message.includes('not found')) {
+      throw new Error(
+        `yt-dlp or ffmpeg not found in PATH. Please install:\n` +
+        `- yt-dlp: https://github.com/yt-dlp/yt-dlp/releases\n` +
+        `- ffmpeg: https://ffmpeg.org/download.html\n` +
+        `Make sure they are in your system PATH.`
+      );
+    }
+
+    throw new Error(`Audio processing failed: ${err.message}`);
+  }
+}
+
+// Download the song audio (from YouTube, or the uploaded file when audioPath is set),
+// or reuse the source WAV from an earlier (failed) run
+async function loadSourceAudio(youtubeId, artifacts, { audioPath = null } = {}) {
+  const cachedSource = artifacts.readBuffer('source');
+  if (cachedSource) return cachedSource;
+
+  let buffer;
+  if (audioPath) {
+    const upload = await downloadUploadedAudio(audioPath);
+    buffer = await convertToWavBuffer(upload.buffer, upload.format);
+  } else {
+    buffer = await youtubeToWavBuffer(`https://www.youtube.com/watch?v=${youtubeId}`);
+  }
+  artifacts.writeBuffer('source', buffer);
+  return buffer;
+}
+
+// Separate vocals (or reuse cached vocals). Returns the vocals buffer, or null to fall back to the original audio
+async function separateWithCache(wavBuffer, youtubeId, artifacts, { reuse = true } = {}) {
+  console.log("\n⚡ [VOCAL SEPARATION] Starting vocal separation (Demucs)...");
+  const demucsStart = Date.now();
+  const cachedVocals = reuse ? artifacts.readBuffer('vocals') : null;
+  const vocalsResult = cachedVocals
+    ? { vocals: cachedVocals, accompaniment: artifacts.readBuffer('accompaniment') }
+    : await separateVocals(wavBuffer, youtubeId).then((result) => {
+      // Passthrough "vocals" are just the mix - cheap to redo, and must not look like a real separation
+      if (result.separated) {
+        artifacts.writeBuffer('vocals', result.vocals);
+        artifacts.writeBuffer('accompaniment', result.accompaniment);
+      }
+      return result;
+    }).catch((error) => {
+      console.warn("⚠️ [DEMUCS] Vocal separation failed:", error.message);
+      console.warn("   → This might happen with heavily processed/autotuned vocals or certain music styles");
+      return null;
+    });
+
+  let vocalsBuffer = null;
+  if (vocalsResult?.vocals) {
+    const demucsTime = ((Date.now() - demucsStart) / 1000).toFixed(1);
+    console.log(`✅ [DEMUCS] Vocals isolated successfully in ${demucsTime}s`);
+
+    // Additional validation: check if vocals are actually usable
+    if (vocalsResult.vocals.length >= 10000) {
+      vocalsBuffer = vocalsResult.vocals;
+      console.log("   → [DEMUCS] Vocals buffer validated - will use for transcription");
+    } else {
+      console.warn("   ⚠️ [DEMUCS] Vocals file is suspiciously small - may be empty, will use original audio");
+    }
+  } else {
+    console.warn("   ⚠️ [DEMUCS] No vocals returned from separation - will use original audio");
+  }
+
+  return vocalsBuffer;
+}
+
+// Transcribe isolated vocals if available, otherwise the original audio (or reuse the cached transcription)
+async function transcribeWithCache(vocalsBuffer, wavBuffer, youtubeId, artifacts, { reuse = true } = {}) {
+  console.log("\n🎤 [WHISPER] Starting transcription...");
+  const audioToTranscribe = vocalsBuffer || wavBuffer;
+  const audioSource = vocalsBuffer ? 'isolated vocals' : 'original audio';
+  console.log(`   → [WHISPER] Transcribing from: ${audioSource}`);
+
+  const whisperStart = Date.now();
+  let transcription = reuse ? artifacts.readJson('transcription') : null;
+  if (!transcription) {
+    transcription = await transcribeAudio(audioToTranscribe, { youtubeId });
+    artifacts.writeJson('transcription', transcription);
+  }
+  const whisperTime = ((Date.now() - whisperStart) / 1000).toFixed(1);
+  console.log(`✅ [WHISPER] Transcription complete in ${whisperTime}s (from ${audioSource})`);
+
+  return transcription;
+}
+
+// Turn a verbose_json transcription into chart segments:
+// 4-word phrases when word timestamps exist, then split into one verse per line.
+// When the song has official lyrics, they're aligned to the transcript's word timings instead,
+// and lines imported from an LRC file are kept as they are (they come with their own timings)
+function buildSegments(transcription, { officialLyrics = null, lrcSegments = null } = {}) {
+  const segments = transcription.segments || [];
+  const fullText = transcription.text || "";
+
+  console.log('🎤 Whisper: Total segments:', segments.length);
+
+  // Check if transcription is mostly instrumental symbols (♪♪) - indicates transcription failed
+  const transcriptionIsInstrumental = isMostlyInstrumental(segments);
+
+  if (transcriptionIsInstrumental) {
+    console.warn('⚠️ [TRANSCRIPTION] Transcription appears to be mostly instrumental symbols (♪♪)');
+    console.warn('   → This indicates vocal separation likely failed - will use original audio for pitch extraction');
+  }
+
+  if (lrcSegments?.length > 0) {
+    console.log(`🎤 Keeping ${lrcSegments.length} lines imported from LRC`);
+    return { rawSegments: lrcSegments, fullText: lrcSegments.map(segment => segment.text).join('\n'), transcriptionIsInstrumental };
+  }
+
+  if (officialLyrics && !transcriptionIsInstrumental) {
+    try {
+      const aligned = alignLyrics(officialLyrics, transcriptWords(transcription));
+      console.log(`🎤 Aligned official lyrics: ${aligned.stats.matchedWords}/${aligned.stats.officialWords} words matched, ${aligned.segments.length} lines`);
+      return { rawSegments: aligned.segments, fullText: aligned.lyrics, transcriptionIsInstrumental };
+    } catch (alignError) {
+      console.warn('⚠️ Official lyrics alignment failed, using Whisper segments:', alignError.message);
+    }
+  }
+
+  // Check if segments have word-level data
+  const hasWords = segments.length > 0 && segments[0].words && Array.isArray(segments[0].words);
+  console.log(`🎤 Whisper: Word-level timestamps available: ${hasWords ? 'YES' : 'NO'}`);
+
+  if (segments.length > 0) {
+    console.log(`🎤 Whisper: First segment structure:`, {
+      hasText: !!segments[0].text,
+      hasWords: !!segments[0].words,
+      wordsCount: segments[0].words?.length || 0,
+      sampleWord: segments[0].words?.[0] || null
+    });
+  }
+
+  let rawSegments;
+
+  if (hasWords) {
+    // Extract word-by-word from segments
+    console.log('🎤 Building word-by-word lyrics from Whisper words...');
+    const words = transcriptWords(transcription);
+
+    // Group words into phrases (3-5 words per phrase for better display)
+    rawSegments = [];
+    const wordsPerPhrase = 4; // Show 4 words at a time
+
+    for (let i = 0; i < words.length; i += wordsPerPhrase) {
+      const phraseWords = words.slice(i, i + wordsPerPhrase);
+      const phraseText = phraseWords.map(w => w.text).join(' ');
+      const phraseStart = phraseWords[0].start;
+      const phraseEnd = phraseWords[phraseWords.length - 1].end;
+
+      rawSegments.push({
+        text: phraseText,
+        start: phraseStart,
+        end: phraseEnd,
+        // Word timings are kept so notes can be linked to the word they're sung on
+        words: phraseWords.map(w => ({ text: w.text.trim(), start: w.start, end: w.end })),
+      });
+    }
+
+    console.log(`🎤 Built ${rawSegments.length} word-based phrases from ${words.length} words`);
+  } else {
+    // Fallback: use segment-level data (original behavior)
+    console.log('🎤 Using segment-level data (no word timestamps available)');
+    rawSegments = segments.map(seg => ({
+      text: seg.text || "",
+      start: seg.start || 0,
+      end: seg.end || 0,
+    }));
+  }
+
+  // STEP 2.5 — Split segments into individual verses (one verse per line)
+  // Whisper often groups multiple verses into one segment, so we need to split them
+  console.log('🎤 Splitting segments into individual verses...');
+  const verseSegments = [];
+
+  for (const seg of rawSegments) {
+    const text = seg.text || "";
+    const start = seg.start || 0;
+    const end = seg.end || 0;
+    const duration = end - start;
+
+    // Split by line breaks first (most common)
+    let lines = text.split(/\n+/).filter(line => line.trim().length > 0);
+
+    // If no line breaks, try splitting by sentence endings (., !, ?) followed by space
+    if (lines.length === 1) {
+      lines = text.split(/([.!?]\s+)/).filter(line => line.trim().length > 0);
+      // Rejoin punctuation with previous line
+      const rejoined = [];
+      for (let i = 0; i < lines.length; i++) {
+        if (lines[i].match(/^[.!?]\s+$/)) {
+          if (rejoined.length > 0) {
+            rejoined[rejoined.length - 1] += lines[i];
+          }
+        } else {
+          rejoined.push(lines[i]);
+        }
+      }
+      lines = rejoined.filter(line => line.trim().length > 0);
+    }
+
+    // If still only one line, try splitting by commas (for very long segments)
+    if (lines.length === 1 && text.length > 50) {
+      const commaSplit = text.split(/,\s+/);
+      if (commaSplit.length > 1) {
+        lines = commaSplit.map((line, idx) =>
+          idx < commaSplit.length - 1 ? line + ',' : line
+        );
+      }
+    }
+
+    // Lines of a segment with word timings take their words' timing
+    if (lines.length > 1 && seg.words?.length > 0) {
+      let wordIndex = 0;
+      lines.forEach((line, idx) => {
+        const wordCount = idx === lines.length - 1
+          ? seg.words.length - wordIndex
+          : line.trim().split(/\s+/).filter(w => w.length > 0).length;
+        const lineWords = seg.words.slice(wordIndex, wordIndex + wordCount);
+        wordIndex += lineWords.length;
+        if (lineWords.length === 0) return;
+        verseSegments.push({
+          text: line.trim(),
+          start: lineWords[0].start,
+          end: lineWords[lineWords.length - 1].end,
+          words: lineWords,
+        });
+      });
+    } else if (lines.length > 1) {
+      // Distribute timing proportionally across verses
+      const lineDuration = duration / lines.length;
+      lines.forEach((line, idx) => {
+        verseSegments.push({
+          text: line.trim(),
+          start: start + (idx * lineDuration),
+          end: start + ((idx + 1) * lineDuration),
+        });
+      });
+    } else {
+      // Single verse, keep as is
+      verseSegments.push({
+        text: text.trim(),
+        start: start,
+        end: end,
+        ...(seg.words ? { words: seg.words } : {}),
+      });
+    }
+  }
+
+  console.log(`🎤 Split ${rawSegments.length} segments into ${verseSegments.length} individual verses`);
+  rawSegments = verseSegments; // Use the split verses
+
+  return { rawSegments, fullText, transcriptionIsInstrumental };
+}
+
+// Extract the pitch curve and generate notes (reusing cached pitch/notes when allowed)
+// Falls back to the original audio if vocals separation failed or transcription is mostly instrumental
+async function extractNotes(vocalsBuffer, wavBuffer, rawSegments, { transcriptionIsInstrumental, artifacts, reusePitch = true, reuseNotes = true, onProgress }) {
+  let notes = null;
+  let pitchData = null;
+  let pitchAudioBuffer = vocalsBuffer || null; // Use vocals from Demucs if available
+  let pitchExtractionSucceeded = false;
+  let usingOriginalAudio = false;
+
+  console.log(`\n🎵 [PITCH EXTRACTION] Starting pitch extraction...`);
+
+  // Check if we should use original audio instead of vocals for pitch extraction
+  if (transcriptionIsInstrumental || !pitchAudioBuffer || pitchAudioBuffer.length < 10000) {
+    if (transcriptionIsInstrumental) {
+      console.warn('   ⚠️ [PITCH] Transcription is mostly instrumental symbols - vocals separation likely failed');
+    } else if (!pitchAudioBuffer) {
+      console.warn('   ⚠️ [PITCH] No vocals buffer available');
+    } else {
+      console.warn('   ⚠️ [PITCH] Vocals buffer too small - likely empty or corrupted');
+    }
+    console.log('   → [PITCH] Falling back to original audio for pitch extraction');
+    pitchAudioBuffer = wavBuffer; // Use original audio
+    usingOriginalAudio = true;
+  }
+
+  console.log(`   → [PITCH] Audio buffer available: ${pitchAudioBuffer ? 'YES' : 'NO'}`);
+  console.log(`   → [PITCH] Using: ${usingOriginalAudio ? 'ORIGINAL AUDIO (fallback)' : 'ISOLATED VOCALS'}`);
+
+  if (pitchAudioBuffer) {
+    console.log(`   → [PITCH] Audio buffer size: ${(pitchAudioBuffer.length / 1024 / 1024).toFixed(2)}MB`);
+
+    try {
+      const pitchStart = Date.now();
+      const pitchSource = usingOriginalAudio ? 'original' : 'vocals';
+      const cachedPitch = reusePitch ? artifacts.readJson('pitch') : null;
+      let pitchFromCache = false;
+
+      // Only reuse a pitch curve taken from the same audio we'd use now
+      if (cachedPitch?.source === pitchSource && cachedPitch.points?.length > 0) {
+        pitchData = cachedPitch.points;
+        pitchFromCache = true;
+      } else {
+        // Runs on a worker thread; a timeout terminates the work instead of just abandoning it.
+        // The worker streams the cached WAV from disk when there is one holding this audio, rather
+        // than getting a copy of the buffer
+        const cachedPath = artifacts.path(usingOriginalAudio ? 'source' : 'vocals');
+        const pitchAudio = cachedPath && fs.statSync(cachedPath).size === pitchAudioBuffer.length ? cachedPath : pitchAudioBuffer;
+        console.log(`   → [PITCH] Running pitch detection algorithm...`);
+        pitchData = await runPitchExtraction(pitchAudio, { onProgress });
+        if (pitchData && pitchData.length > 0) {
+          artifacts.writeJson('pitch', { source: pitchSource, points: pitchData });
+        }
+      }
+      const pitchTime = ((Date.now() - pitchStart) / 1000).toFixed(1);
+
+      if (pitchData && pitchData.length > 0) {
+        console.log(`   ✅ [PITCH] Extracted ${pitchData.length} pitch points in ${pitchTime}s`);
+        // Cached notes are only valid for the cached pitch curve they were generated from
+        const cachedNotes = pitchFromCache && reuseNotes ? artifacts.readJson('notes') : null;
+        if (cachedNotes) {
+          notes = attachLyricsToNotes(cachedNotes, rawSegments);
+        } else {
+          console.log(`   → [PITCH] Generating notes from pitch data...`);
+          notes = generateNotesFromPitch(pitchData, rawSegments);
+          artifacts.writeJson('notes', notes);
+        }
+        const source = usingOriginalAudio ? 'original audio (fallback)' : 'isolated vocals';
+        console.log(`   ✅ [PITCH] Generated ${notes.length} notes from ${source}`);
+        pitchExtractionSucceeded = true;
+      } else {
+        console.warn('   ⚠️ [PITCH] No pitch data extracted');
+        console.error('   ❌ [PITCH] Pitch extraction failed - will NOT cache this song');
+      }
+    } catch (pitchError) {
+      console.error('   ❌ [PITCH] Pitch extraction failed:', pitchError.message);
+      console.error('   ❌ [PITCH] Will NOT cache this song - pitch extraction must succeed');
+    }
+  } else {
+    console.warn('   ⚠️ [PITCH] No audio buffer available, skipping pitch extraction');
+    console.error('   ❌ [PITCH] Cannot extract pitch - will NOT cache this song');
+  }
+  console.log(`🎵 [PITCH EXTRACTION] Complete\n`);
+
+  return { notes, pitchData, pitchExtractionSucceeded, usingOriginalAudio };
+}
+
+// Detect the key (from the pitch curve, or the notes without one) and the tempo (from the
+// accompaniment, or the full mix). Either is null when it can't be told; neither fails the pipeline
+async function detectKeyAndTempo({ pitchData, notes, artifacts, getAudio, reuseTempo = true }) {
+  console.log('🎼 [MUSIC] Detecting key and tempo...');
+
+  let key = null;
+  try {
+    key = detectKey({ pitchData, notes });
+    console.log(key ? `✅ [MUSIC] Key: ${key.key} ${key.mode} (confidence ${key.confidence})` : '⚠️ [MUSIC] Not enough melody to detect a key');
+  } catch (error) {
+    console.error('❌ [MUSIC] Error detecting key:', error.message);
+  }
+
+  let tempo = reuseTempo ? artifacts.readJson('tempo') : null;
+  if (!tempo) {
+    try {
+      // Cached WAVs are streamed from disk (see detectTempo); the mix is only loaded when there's none
+      const audio = artifacts.path('accompaniment') || artifacts.path('source') || await getAudio();
+      tempo = detectTempo(audio);
+      if (tempo) artifacts.writeJson('tempo', tempo);
+    } catch (error) {
+      console.error('❌ [MUSIC] Error detecting tempo:', error.message);
+    }
+  }
+  console.log(tempo ? `✅ [MUSIC] Tempo: ${tempo.bpm} BPM (confidence ${tempo.confidence})` : '⚠️ [MUSIC] No clear tempo');
+
+  return { key, tempo };
+}
+
+// Chart notes follow the beat grid when the tempo is trustworthy (the notes artifact keeps the raw timing)
+function snapToTempo(notes, tempo) {
+  if (!notes || !tempo || tempo.confidence < MIN_SNAP_CONFIDENCE) return notes;
+  return snapNotesToBeats(notes, tempo);
+}
+
+// Check a generated chart against the schema (see chartSchema.js). Invalid segments and notes are
+// dropped rather than failing the run - by now it has paid for separation, Whisper and GPT
+function checkGeneratedChart(segments, notes) {
+  try {
+    return normalizeChart({ segments, notes });
+  } catch (error) {
+    if (!(error instanceof ChartValidationError)) throw error;
+    console.warn(`⚠️ [SCHEMA] ${error.message} - dropping the invalid parts`);
+  }
+
+  const repaired = repairChart({ segments });
+  // Dropped segments shift the indexes the notes' lyric links point at
+  const linkedNotes = notes && repaired.segments.length < segments.length ? attachLyricsToNotes(notes, repaired.segments) : notes;
+  const chart = { segments: repaired.segments, notes: repairChart({ segments: repaired.segments, notes: linkedNotes }).notes };
+  console.warn(`   → Kept ${chart.segments.length}/${segments.length} segments and ${chart.notes?.length ?? 0}/${notes?.length ?? 0} notes`);
+  return chart;
+}
+
+// Key/tempo fields of a chart payload, from a singfi_songs row
+function musicFields(row) {
+  return {
+    key: row.musical_key || null,
+    mode: row.musical_mode || null,
+    bpm: row.bpm ?? null,
+    beatOffset: row.beat_offset ?? null,
+  };
+}
+
+// Queue a flagged chart for another pass over the stages its issues point at. Only fresh pipeline
+// runs do this: a reprocessed chart that's still flagged stays flagged (and hidden) instead of looping
+function queueQualityReprocess(youtubeId, quality) {
+  const stages = [...new Set(quality.issues.map(issue => issue.stage))];
+  if (stages.length === 0) return null;
+
+  const resolvedStages = resolveReprocessStages(stages);
+  const { job } = enqueueJob('reprocess', `reprocess:${youtubeId}`, ({ setStage, setProgress }) =>
+    reprocessSong({ youtubeId, stages: resolvedStages }, { onStage: setStage, onProgress: setProgress }),
+    { stages: PIPELINE_STAGES }
+  );
+  console.log(`🔁 [QUALITY] Queued ${youtubeId} for reprocessing (${resolvedStages.join(', ')}) as job ${job.id}`);
+  return job.id;
+}
+
+// Detect the first verse start time, falling back to the first segment start
+async function detectFirstVerseWithFallback(rawSegments, title, artist) {
+  console.log('🤖 [FIRST VERSE] Detecting first verse start time...');
+  try {
+    const firstVerseStartTime = await detectFirstVerse(rawSegments, title, artist);
+    console.log(`✅ [FIRST VERSE] First verse starts at ${firstVerseStartTime?.toFixed(2)}s`);
+    return firstVerseStartTime;
+  } catch (error) {
+    console.error('❌ [FIRST VERSE] Error detecting first verse:', error.message);
+    // Fallback to first segment start time
+    return rawSegments[0]?.start || 0;
+  }
+}
+
+// Detect the genre, falling back to "Other"
+async function detectGenreWithFallback(rawSegments, title, artist, lyrics) {
+  console.log('🤖 [GENRE] Detecting music genre...');
+  try {
+    const genre = await detectGenre(rawSegments, title, artist, lyrics);
+    console.log(`✅ [GENRE] Genre detected: ${genre}`);
+    return genre;
+  } catch (error) {
+    console.error('❌ [GENRE] Error detecting genre:', error.message);
+    // Fallback to "Other"
+    return 'Other';
+  }
+}
+
+/**
+ * Runs the full song pipeline for a YouTube video: cache check, download,
+ * vocal separation, transcription, pitch extraction, first verse + genre
+ * detection and the final upsert into singfi_songs.
+ * Stage outputs are cached per youtubeId and stage version (see artifactCache.js),
+ * so a retry after a failure resumes from the first missing stage.
+ * Uploaded songs pass audioPath (their file in the uploads bucket) and skip YouTube entirely.
+ * @param {{youtubeId: string, title?: string, artist?: string, owner?: string, audioPath?: string}} params
+ * @param {{onStage?: (stage: string) => void, onProgress?: (fraction: number) => void, source?: string}} [options] -
+ *   onStage is called as each stage starts, onProgress with the current stage's progress (0-1) when it's measurable;
+ *   source is recorded on the chart revision ('pipeline' or 'import')
+ * @returns {Promise<object>} Chart payload (segments, lyrics, notes, ...) as returned by /api/whisper
+ */
+export async function processSong({ youtubeId, title, artist, owner, audioPath }, { onStage = () => {}, onProgress = () => {}, source = 'pipeline', reprocessFlagged = true } = {}) {
+  if (!youtubeId) {
+    throw new Error("youtubeId required");
+  }
+
+  onStage('checking-cache');
+
+  // Check cache first (RLS policies will filter based on owner)
+  // Note: If using RLS, ensure policies allow public access OR use service role key
+  const { data: cached, error: cacheError } = await supabase
+    .from("singfi_songs")
+    .select("*")
+    .eq("youtube_id", youtubeId)
+    .single();
+
+  // Uploaded songs are registered before processing, so a retry can find their file
+  audioPath = audioPath || cached?.audio_path || null;
+
+  if (cached && cached.segments) {
+    const audioUrl = await getUploadedAudioUrl(cached.audio_path);
+
+    // Check if cached transcription is mostly instrumental symbols (indicates vocals separation failed)
+    const cachedIsInstrumental = isMostlyInstrumental(cached.segments);
+
+    if (cachedIsInstrumental) {
+      console.warn('⚠️ Cached transcription is mostly instrumental symbols (♪♪)');
+      console.warn('   → This indicates vocals separation failed - re-transcribing with original audio...');
+      console.log('   → Re-processing and will update database with new transcription...');
+
+      // Continue with full processing to get better transcription
+      // The upsert at the end will update the existing record with new lyrics and segments
+    } else if (cached.first_verse_start_time !== null && cached.first_verse_start_time !== undefined) {
+      // Cache is good - return it
+      console.log('✅ Loaded from cache:', youtubeId);
+      console.log('📝 Cached segments:', cached.segments.length, 'verse lines');
+      console.log('🎵 First verse start time:', cached.first_verse_start_time);
+
+      // Return cached data including firstVerseStartTime
+      return {
+        cached: true,
+        segments: cached.segments,
+        lyrics: cached.lyrics || '',
+        notes: cached.notes || null,
+        title: cached.title || null,
+        artist: cached.artist || null,
+        thumbnail: cached.thumbnail || null,
+        audioUrl, // Signed URL for uploaded songs (null for YouTube)
+        firstVerseStartTime: cached.first_verse_start_time,
+        genre: cached.genre || null,
+        ...musicFields(cached),
+        pitchContour: cached.pitch_contour || null, // Singer's pitch, drawn under the player's in-game
+      };
+    } else {
+      console.log('⚠️ Cache exists but missing first_verse_start_time, detecting first verse from cached segments...');
+
+      // Reuse cached segments and only detect first verse
+      try {
+        onStage('detecting-first-verse');
+        const firstVerseStartTime = await detectFirstVerse(cached.segments, cached.title || title, cached.artist || artist);
+
+        // Update database with first verse start time
+        const { error: updateError } = await supabase
+          .from("singfi_songs")
+          .update({ first_verse_start_time: firstVerseStartTime })
+          .eq("youtube_id", youtubeId);
+
+        if (updateError) {
+          console.error('❌ [UPDATE] Error updating first_verse_start_time:', updateError.message);
+        } else {
+          console.log(`✅ [UPDATE] Updated first_verse_start_time to ${firstVerseStartTime.toFixed(2)}s`);
+          await recordRevision(youtubeId, { ...cached, first_verse_start_time: firstVerseStartTime }, {
+            source,
+            author: owner,
+            message: 'Detected first verse',
+          });
+        }
+
+        // Return cached data with newly detected first verse
+        return {
+          cached: true,
+          segments: cached.segments,
+          lyrics: cached.lyrics || '',
+          notes: cached.notes || null,
+          title: cached.title || null,
+          artist: cached.artist || null,
+          thumbnail: cached.thumbnail || null,
+          audioUrl,
+          firstVerseStartTime: firstVerseStartTime,
+          genre: cached.genre || null,
+          ...musicFields(cached),
+          pitchContour: cached.pitch_contour || null,
+        };
+      } catch (error) {
+        console.error('❌ [FIRST VERSE] Error detecting first verse from cache:', error.message);
+        // Fallback: continue with full processing
+        console.log('⚠️ Falling back to full processing...');
+      }
+    }
+
+    // Check if notes are missing - if so, retry pitch extraction only
+    if (!cached.notes || (Array.isArray(cached.notes) && cached.notes.length === 0)) {
+      console.log('⚠️ [CACHE] Cached song has no notes, retrying pitch extraction...');
+
+      // Try to load vocals from file
+      const vocalsFilePath = join(vocalsDir, `${youtubeId}.wav`);
+      if (fs.existsSync(vocalsFilePath)) {
+        console.log(`   → [RETRY PITCH] Found vocals file: ${vocalsFilePath}`);
+        try {
+          onStage('extracting-pitch');
+          console.log(`   → [RETRY PITCH] Vocals file: ${(fs.statSync(vocalsFilePath).size / 1024 / 1024).toFixed(2)}MB`);
+
+          // Extract pitch from vocals (the worker streams the file, it's never loaded whole)
+          const pitchStart = Date.now();
+          const pitchData = await runPitchExtraction(vocalsFilePath, { onProgress });
+          const pitchTime = ((Date.now() - pitchStart) / 1000).toFixed(1);
+
+          if (pitchData && pitchData.length > 0) {
+            console.log(`   ✅ [RETRY PITCH] Extracted ${pitchData.length} pitch points in ${pitchTime}s`);
+            const { notes } = normalizeChart({ segments: cached.segments, notes: generateNotesFromPitch(pitchData, cached.segments) });
+            const contour = pitchContour(pitchData);
+            console.log(`   ✅ [RETRY PITCH] Generated ${notes.length} notes`);
+            const quality = measureQuality({ segments: cached.segments, notes, pitchData });
+
+            // Update cache with notes
+            await supabase
+              .from("singfi_songs")
+              .update({ notes: notes, pitch_contour: contour, ...qualityColumns(quality) })
+              .eq("youtube_id", youtubeId);
+
+            console.log('   ✅ [RETRY PITCH] Updated cache with notes');
+            await recordRevision(youtubeId, { ...cached, notes }, {
+              source,
+              author: owner,
+              message: 'Retried pitch extraction',
+            });
+
+            return {
+              cached: true,
+              segments: cached.segments,
+              lyrics: cached.lyrics,
+              notes: notes,
+              title: cached.title,
+              artist: cached.artist,
+              thumbnail: cached.thumbnail || null,
+              audioUrl,
+              firstVerseStartTime: cached.first_verse_start_time || null,
+              genre: cached.genre || null,
+              ...musicFields(cached),
+              pitchContour: contour,
+            };
+          } else {
+            console.warn('   ⚠️ [RETRY PITCH] No pitch data extracted, returning cached without notes');
+          }
+        } catch (retryError) {
+          console.error('   ❌ [RETRY PITCH] Pitch extraction retry failed:', retryError.message);
+          console.warn('   ⚠️ [RETRY PITCH] Returning cached without notes');
+        }
+      } else {
+        console.warn(`   ⚠️ [RETRY PITCH] Vocals file not found: ${vocalsFilePath}`);
+        console.warn('   ⚠️ [RETRY PITCH] Cannot retry pitch extraction, returning cached without notes');
+      }
+    }
+
+    // Return cached data (with or without notes)
+    return {
+      cached: true,
+      segments: cached.segments,
+      lyrics: cached.lyrics,
+      notes: cached.notes || null, // Notes from vocals pitch extraction
+      title: cached.title,
+      artist: cached.artist,
+      thumbnail: cached.thumbnail || null,
+      audioUrl,
+      firstVerseStartTime: cached.first_verse_start_time || null,
+      genre: cached.genre || null,
+      ...musicFields(cached),
+      pitchContour: cached.pitch_contour || null,
+    };
+  }
+
+  // If cache check failed due to RLS (not found), continue processing
+  if (cacheError && cacheError.code !== 'PGRST116') {
+    console.warn('⚠️ Cache check error (continuing anyway):', cacheError.message);
+  }
+
+  console.log("Processing:", audioPath ? `uploaded file ${audioPath}` : `https://www.youtube.com/watch?v=${youtubeId}`);
+  console.log("⚡ Using parallel processing for speed...");
+
+  const artifacts = getArtifactStore(youtubeId);
+
+  // Helper function to fetch and upload thumbnail
+  const fetchThumbnail = async () => {
+    try {
+      console.log("📸 Fetching YouTube thumbnail...");
+      const thumbnailUrl = `https://img.youtube.com/vi/${youtubeId}/maxresdefault.jpg`;
+
+      const thumbnailResponse = await fetch(thumbnailUrl);
+      if (thumbnailResponse.ok) {
+        const thumbnailBuffer = Buffer.from(await thumbnailResponse.arrayBuffer());
+        const storagePath = `thumbnails/${youtubeId}.jpg`;
+
+        const { error: thumbUploadError } = await supabase
+          .storage
+          .from('thumbnails')
+          .upload(storagePath, thumbnailBuffer, {
+            contentType: 'image/jpeg',
+            upsert: true
+          });
+
+        if (thumbUploadError) {
+          console.warn('⚠️ Failed to upload thumbnail:', thumbUploadError.message);
+          return thumbnailUrl;
+        }
+        console.log(`✅ Thumbnail saved: ${(thumbnailBuffer.length / 1024).toFixed(2)}KB`);
+        return storagePath;
+      } else {
+        // Try hqdefault fallback
+        const hqUrl = `https://img.youtube.com/vi/${youtubeId}/hqdefault.jpg`;
+        const hqResponse = await fetch(hqUrl);
+        if (hqResponse.ok) {
+          const thumbnailBuffer = Buffer.from(await hqResponse.arrayBuffer());
+          const storagePath = `thumbnails/${youtubeId}.jpg`;
+
+          const { error } = await supabase.storage
+            .from('thumbnails')
+            .upload(storagePath, thumbnailBuffer, { contentType: 'image/jpeg', upsert: true });
+
+          if (!error) {
+            console.log(`✅ Thumbnail saved (hq): ${(thumbnailBuffer.length / 1024).toFixed(2)}KB`);
+            return storagePath;
+          }
+          return hqUrl;
+        }
+        return thumbnailUrl;
+      }
+    } catch (error) {
+      console.warn('⚠️ Error fetching thumbnail:', error.message);
+      return `https://img.youtube.com/vi/${youtubeId}/maxresdefault.jpg`;
+    }
+  };
+
+  // STEP 1: Download audio + fetch thumbnail IN PARALLEL
+  onStage('downloading');
+  const [wavBuffer, thumbnailStoragePath] = await Promise.all([
+    loadSourceAudio(youtubeId, artifacts, { audioPath }),
+    audioPath ? null : fetchThumbnail() // Uploaded files have no thumbnail
+  ]);
+
+  console.log("WAV size:", (wavBuffer.length / 1024 / 1024).toFixed(2), "MB");
+
+  // STEP 2: Run Demucs first, then transcribe vocals if available, otherwise original audio
+  onStage('separating-vocals');
+  const vocalsBuffer = await separateWithCache(wavBuffer, youtubeId, artifacts);
+
+  // STEP 3: Transcribe vocals if available, otherwise original audio
+  onStage('transcribing');
+  const transcription = await transcribeWithCache(vocalsBuffer, wavBuffer, youtubeId, artifacts);
+
+  const { rawSegments, fullText, transcriptionIsInstrumental } = buildSegments(transcription, { officialLyrics: cached?.official_lyrics, lrcSegments: cached?.lrc_segments });
+
+  // STEP 4 — Extract pitch from vocals (fast, ~2-5s)
+  // Use original audio as fallback if vocals separation failed or transcription is mostly instrumental
+  onStage('extracting-pitch');
+  const { notes: rawNotes, pitchData, pitchExtractionSucceeded, usingOriginalAudio } = await extractNotes(vocalsBuffer, wavBuffer, rawSegments, {
+    transcriptionIsInstrumental,
+    artifacts,
+    onProgress,
+  });
+
+  // STEP 4.2 — Key from the vocal melody, tempo from the backing track; notes snap to the beat grid
+  onStage('detecting-key-tempo');
+  const { key, tempo } = await detectKeyAndTempo({ pitchData, notes: rawNotes, artifacts, getAudio: async () => wavBuffer });
+  const notes = snapToTempo(rawNotes, tempo);
+
+  // STEP 4.5 — Detect first verse start time using GPT
+  onStage('detecting-first-verse');
+  const firstVerseStartTime = await detectFirstVerseWithFallback(rawSegments, title, artist);
+
+  // STEP 4.6 — Detect genre using GPT
+  onStage('detecting-genre');
+  const genre = await detectGenreWithFallback(rawSegments, title, artist, fullText);
+
+  // STEP 4.7 — Check the chart against the schema (see chartSchema.js), then score it so broken ones
+  // can be hidden and reprocessed
+  const chart = checkGeneratedChart(rawSegments, notes || null);
+  const quality = measureQuality({ ...chart, pitchData, transcription });
+
+  // STEP 5 — Save segments and notes to database
+  // Save even if pitch extraction failed - can retry pitch extraction later
+  onStage('saving');
+  console.log('💾 [SAVE] Saving to database...');
+  const songRow = {
+    youtube_id: youtubeId,
+    title: title || null,
+    artist: artist || null,
+    lyrics: fullText,
+    segments: chart.segments, // Use raw Whisper segments
+    notes: chart.notes, // Notes extracted from isolated vocals (null if pitch extraction failed)
+    thumbnail: thumbnailStoragePath, // Thumbnail path in Storage or YouTube URL
+    first_verse_start_time: firstVerseStartTime, // Start time of first verse
+    genre: genre || null, // Music genre detected by AI
+    musical_key: key?.key || null, // Tonic, e.g. "A"
+    musical_mode: key?.mode || null, // "major" or "minor"
+    bpm: tempo?.bpm ?? null,
+    beat_offset: tempo?.beatOffset ?? null, // First beat, in seconds
+    pitch_contour: pitchContour(pitchData), // Downsampled singer's pitch for the in-game reference line
+    ...qualityColumns(quality), // Score, flag and metrics - flagged charts are hidden from the song list
+    owner: owner || null, // User UUID for RLS (optional for now)
+    pipeline_version: PIPELINE_VERSION, // Lets stale charts be found and reprocessed
+    source_type: audioPath ? 'upload' : 'youtube',
+    audio_path: audioPath, // Uploaded file in the uploads bucket (null for YouTube)
+  };
+  const { error: saveError } = await supabase
+    .from("singfi_songs")
+    .upsert(songRow, { onConflict: "youtube_id" });
+
+  if (saveError) {
+    console.error('❌ [SAVE] Error saving to database:', saveError.message);
+  } else {
+    await recordRevision(youtubeId, songRow, { source, author: owner });
+    if (pitchExtractionSucceeded && chart.notes && chart.notes.length > 0) {
+      console.log(`✅ [SAVE] Saved lyrics, segments, and notes to database`);
+    } else {
+      console.log(`✅ [SAVE] Saved lyrics and segments to database (notes will be added later if pitch extraction retries)`);
+    }
+  }
+
+  const reprocessJobId = !saveError && quality.flagged && reprocessFlagged ? queueQualityReprocess(youtubeId, quality) : null;
+
+  console.log('✅ Game ready! Segments:', chart.segments.length, 'Lyrics length:', fullText.length);
+
+  return {
+    cached: false,
+    segments: chart.segments, // Return raw Whisper segments
+    lyrics: fullText,
+    notes: chart.notes, // Notes extracted from isolated vocals or original audio
+    title: title || null,
+    artist: artist || null,
+    thumbnail: thumbnailStoragePath || null,
+    audioUrl: await getUploadedAudioUrl(audioPath), // Play uploaded songs from the file instead of YouTube
+    firstVerseStartTime: firstVerseStartTime, // First verse start time
+    genre: genre || null, // Music genre
+    ...musicFields(songRow), // Key, mode, BPM and beat offset
+    pitchContour: songRow.pitch_contour,
+    quality: { score: quality.score, flagged: quality.flagged, issues: quality.issues, reprocessJobId },
+    usingOriginalAudio: usingOriginalAudio || false, // Flag to indicate if we used original audio fallback
+  };
+}
+
+// Stages that can be rerun on an existing chart, and the stages that consume their output
+// (rerunning a stage also reruns everything downstream of it)
+const REPROCESS_DEPENDENTS = {
+  separation: ['transcription', 'pitch', 'music'],
+  transcription: ['segments'],
+  segments: ['notes', 'firstVerse', 'genre'], // Phrase grouping + verse splitting of the transcription
+  pitch: ['notes', 'music'],
+  music: ['notes'], // Key and tempo detection (notes are snapped to the beat grid)
+  notes: [],
+  firstVerse: [],
+  genre: [],
+};
+
+export const REPROCESS_STAGES = Object.keys(REPROCESS_DEPENDENTS);
+
+/**
+ * Validate a reprocess stage list and expand it with every downstream stage
+ * @param {string[]} stages - e.g. ['pitch', 'genre']
+ * @returns {string[]} Stages that will run, in pipeline order
+ */
+export function resolveReprocessStages(stages) {
+  if (!Array.isArray(stages) || stages.length === 0) {
+    throw new Error(`stages must be a non-empty array of: ${REPROCESS_STAGES.join(', ')}`);
+  }
+
+  const unknown = stages.filter(stage => !REPROCESS_DEPENDENTS[stage]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown stage(s): ${unknown.join(', ')} (expected: ${REPROCESS_STAGES.join(', ')})`);
+  }
+
+  const resolved = new Set();
+  const visit = (stage) => {
+    if (resolved.has(stage)) return;
+    resolved.add(stage);
+    REPROCESS_DEPENDENTS[stage].forEach(visit);
+  };
+  stages.forEach(visit);
+
+  return REPROCESS_STAGES.filter(stage => resolved.has(stage));
+}
+
+/**
+ * Regenerate parts of an existing chart, e.g. after pitch extraction or verse splitting improves.
+ * Selected stages (plus their downstream stages) run again; everything else is reused from
+ * cached artifacts or the saved row, so only the audio work that's actually needed happens.
+ * @param {{youtubeId: string, stages: string[], author?: string}} params
+ * @param {{onStage?: (stage: string) => void, onProgress?: (fraction: number) => void}} [options] -
+ *   onStage is called as each stage starts, onProgress as pitch extraction advances (0-1)
+ * @returns {Promise<object>} Updated chart payload, plus the stages that were rerun
+ */
+export async function reprocessSong({ youtubeId, stages, author = null }, { onStage = () => {}, onProgress = () => {} } = {}) {
+  const rerun = new Set(resolveReprocessStages(stages));
+  console.log(`🔁 [REPROCESS] ${youtubeId}: rerunning ${[...rerun].join(', ')}`);
+
+  onStage('checking-cache');
+  const { data: song, error: songError } = await supabase
+    .from("singfi_songs")
+    .select("*")
+    .eq("youtube_id", youtubeId)
+    .single();
+
+  if (songError || !song) {
+    throw new Error(`Song not found: ${youtubeId}`);
+  }
+
+  const artifacts = getArtifactStore(youtubeId);
+
+  // Audio is only loaded if a stage that needs it runs
+  let wavBuffer = null;
+  const getSourceAudio = async () => {
+    if (!wavBuffer) {
+      onStage('downloading');
+      wavBuffer = await loadSourceAudio(youtubeId, artifacts, { audioPath: song.audio_path });
+    }
+    return wavBuffer;
+  };
+
+  let vocalsLoaded = false;
+  let vocalsBuffer = null;
+  const getVocals = async () => {
+    if (vocalsLoaded) return vocalsBuffer;
+    vocalsLoaded = true;
+
+    // Provisional vocals from before artifacts were cached are as good as a cached separation
+    const legacyVocalsPath = join(vocalsDir, `${youtubeId}.wav`);
+    if (!rerun.has('separation') && !artifacts.has('vocals') && fs.existsSync(legacyVocalsPath)) {
+      console.log(`   → [REPROCESS] Reusing vocals file: ${legacyVocalsPath}`);
+      vocalsBuffer = fs.readFileSync(legacyVocalsPath);
+      return vocalsBuffer;
+    }
+
+    const source = await getSourceAudio();
+    onStage('separating-vocals');
+    vocalsBuffer = await separateWithCache(source, youtubeId, artifacts, { reuse: !rerun.has('separation') });
+    return vocalsBuffer;
+  };
+
+  if (rerun.has('separation')) {
+    await getVocals();
+  }
+
+  // Segments: rebuilt from the (cached or fresh) transcription, or kept from the saved chart
+  let rawSegments = song.segments || [];
+  let fullText = song.lyrics || '';
+  let transcriptionIsInstrumental = isMostlyInstrumental(rawSegments);
+
+  if (rerun.has('segments')) {
+    let transcription = rerun.has('transcription') ? null : artifacts.readJson('transcription');
+    if (!transcription) {
+      const vocals = await getVocals();
+      const source = await getSourceAudio();
+      onStage('transcribing');
+      transcription = await transcribeWithCache(vocals, source, youtubeId, artifacts, { reuse: false });
+    }
+    ({ rawSegments, fullText, transcriptionIsInstrumental } = buildSegments(transcription, { officialLyrics: song.official_lyrics, lrcSegments: song.lrc_segments }));
+  }
+
+  let notes = song.notes || null;
+  let pitchData = null;
+  let usingOriginalAudio = false;
+
+  if (rerun.has('notes')) {
+    const cachedPitch = rerun.has('pitch') ? null : artifacts.readJson('pitch');
+
+    if (cachedPitch?.points?.length > 0) {
+      onStage('extracting-pitch');
+      // Pitch curve is still good - only the notes need regenerating (e.g. new segments)
+      console.log(`   → [REPROCESS] Regenerating notes from cached pitch curve (${cachedPitch.source})`);
+      pitchData = cachedPitch.points;
+      notes = generateNotesFromPitch(pitchData, rawSegments);
+      artifacts.writeJson('notes', notes);
+      usingOriginalAudio = cachedPitch.source === 'original';
+    } else {
+      const vocals = await getVocals();
+      const source = await getSourceAudio();
+      onStage('extracting-pitch');
+      const result = await extractNotes(vocals, source, rawSegments, {
+        transcriptionIsInstrumental,
+        artifacts,
+        reusePitch: false,
+        reuseNotes: false,
+        onProgress,
+      });
+
+      if (!result.pitchExtractionSucceeded) {
+        throw new Error('Pitch extraction failed - chart left unchanged');
+      }
+      notes = result.notes;
+      pitchData = result.pitchData;
+      usingOriginalAudio = result.usingOriginalAudio;
+    }
+  }
+
+  // A fresh pitch curve (or notes regenerated from the cached one) refreshes the stored contour
+  const contour = pitchData ? pitchContour(pitchData) : song.pitch_contour || null;
+
+  let music = musicFields(song);
+  let tempo = null;
+  if (rerun.has('music')) {
+    onStage('detecting-key-tempo');
+    const detected = await detectKeyAndTempo({
+      pitchData: pitchData || artifacts.readJson('pitch')?.points || null,
+      notes,
+      artifacts,
+      getAudio: getSourceAudio,
+      reuseTempo: false,
+    });
+    tempo = detected.tempo;
+    music = {
+      key: detected.key?.key || null,
+      mode: detected.key?.mode || null,
+      bpm: tempo?.bpm ?? null,
+      beatOffset: tempo?.beatOffset ?? null,
+    };
+  }
+
+  // Regenerated notes are raw - snap them with the fresh tempo, or the one detected last time
+  if (rerun.has('notes')) {
+    notes = snapToTempo(notes, rerun.has('music') ? tempo : artifacts.readJson('tempo'));
+  }
+
+  const title = song.title || null;
+  const artist = song.artist || null;
+
+  let firstVerseStartTime = song.first_verse_start_time ?? null;
+  if (rerun.has('firstVerse')) {
+    onStage('detecting-first-verse');
+    firstVerseStartTime = await detectFirstVerseWithFallback(rawSegments, title, artist);
+  }
+
+  let genre = song.genre || null;
+  if (rerun.has('genre')) {
+    onStage('detecting-genre');
+    genre = await detectGenreWithFallback(rawSegments, title, artist, fullText);
+  }
+
+  ({ segments: rawSegments, notes } = checkGeneratedChart(rawSegments, notes));
+  const quality = measureQuality({
+    segments: rawSegments,
+    notes,
+    pitchData: pitchData || artifacts.readJson('pitch')?.points || null,
+    transcription: artifacts.readJson('transcription'),
+  });
+
+  onStage('saving');
+  console.log('💾 [REPROCESS] Saving updated chart...');
+  const chartUpdate = {
+    lyrics: fullText,
+    segments: rawSegments,
+    notes: notes,
+    first_verse_start_time: firstVerseStartTime,
+    genre: genre,
+    musical_key: music.key,
+    musical_mode: music.mode,
+    bpm: music.bpm,
+    beat_offset: music.beatOffset,
+    pitch_contour: contour,
+    ...qualityColumns(quality),
+    pipeline_version: PIPELINE_VERSION,
+  };
+  const { error: updateError } = await supabase
+    .from("singfi_songs")
+    .update(chartUpdate)
+    .eq("youtube_id", youtubeId);
+
+  if (updateError) {
+    throw new Error(`Failed to save reprocessed chart: ${updateError.message}`);
+  }
+
+  await recordRevision(youtubeId, { ...song, ...chartUpdate }, {
+    source: 'pipeline',
+    author,
+    message: `Reprocessed: ${[...rerun].join(', ')}`,
+  });
+
+  console.log(`✅ [REPROCESS] ${youtubeId} updated to pipeline v${PIPELINE_VERSION}`);
+
+  return {
+    cached: false,
+    reprocessed: [...rerun],
+    segments: rawSegments,
+    lyrics: fullText,
+    notes: notes,
+    title: title,
+    artist: artist,
+    thumbnail: song.thumbnail || null,
+    audioUrl: await getUploadedAudioUrl(song.audio_path),
+    firstVerseStartTime: firstVerseStartTime,
+    genre: genre,
+    ...music,
+    pitchContour: contour,
+    quality: { score: quality.score, flagged: quality.flagged, issues: quality.issues },
+    usingOriginalAudio: usingOriginalAudio,
+  };
+}
+
+// Below this share of official words found in the transcript, the lyrics probably belong to another song
+export const MIN_LYRICS_MATCH_RATIO = 0.3;
+
+/**
+ * Align a song's official lyrics to its transcript and replace the stored segments (one per lyrics line).
+ * Word timings come from the cached transcription artifact, or from the saved segments when it's gone.
+ * The text is kept in official_lyrics, so reprocessing the segments stage aligns it again.
+ * @param {{youtubeId: string, lyrics: string, author?: string, force?: boolean}} params - force saves even
+ *   when fewer than MIN_LYRICS_MATCH_RATIO of the words matched
+ * @returns {Promise<{applied: boolean, segments: object[], lyrics: string, stats: object}|null>} null if the song doesn't exist
+ */
+export async function alignOfficialLyrics({ youtubeId, lyrics, author = null, force = false }) {
+  const { data: song, error } = await supabase
+    .from("singfi_songs")
+    .select("*")
+    .eq("youtube_id", youtubeId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load song: ${error.message}`);
+  }
+  if (!song) return null;
+
+  const artifacts = getArtifactStore(youtubeId);
+  const transcription = artifacts.readJson('transcription');
+  const words = transcriptWords(transcription || { segments: song.segments || [] });
+  console.log(`🎤 [LYRICS] Aligning official lyrics for ${youtubeId} against ${words.length} words (${transcription ? 'transcript' : 'saved segments'})`);
+
+  const aligned = alignLyrics(lyrics, words);
+  console.log(`🎤 [LYRICS] Matched ${aligned.stats.matchedWords}/${aligned.stats.officialWords} words (${Math.round(aligned.stats.matchRatio * 100)}%)`);
+
+  if (aligned.stats.matchRatio < MIN_LYRICS_MATCH_RATIO && !force) {
+    return { applied: false, ...aligned };
+  }
+
+  // Notes stay where they are, but the words they're linked to have changed
+  const { segments, notes } = normalizeChart({
+    segments: aligned.segments,
+    notes: song.notes ? attachLyricsToNotes(song.notes, aligned.segments) : null,
+  });
+  const quality = measureQuality({ segments, notes, pitchData: artifacts.readJson('pitch')?.points || null, transcription });
+
+  const chartUpdate = {
+    lyrics: aligned.lyrics,
+    segments,
+    official_lyrics: aligned.lyrics,
+    lrc_segments: null, // The aligned text replaces an earlier LRC import
+    notes,
+    ...qualityColumns(quality),
+  };
+  const { error: updateError } = await supabase
+    .from("singfi_songs")
+    .update(chartUpdate)
+    .eq("youtube_id", youtubeId);
+
+  if (updateError) {
+    throw new Error(`Failed to save aligned lyrics: ${updateError.message}`);
+  }
+
+  await recordRevision(youtubeId, { ...song, ...chartUpdate }, {
+    source: 'lyrics',
+    author,
+    message: `Aligned official lyrics (${aligned.stats.matchedWords}/${aligned.stats.officialWords} words matched)`,
+  });
+
+  return { applied: true, ...aligned, segments };
+}
+
+/**
+ * Replace a song's chart with a hand-made UltraStar chart (see ultrastar.js), as a new revision.
+ * The song is created when it doesn't exist yet (the YouTube video plays as usual).
+ * @param {{youtubeId: string, text: string, offset?: number, player?: number, author?: string}} params -
+ *   offset (seconds) shifts the chart against the audio; player picks a duet part (1 or 2)
+ * @returns {Promise<{created: boolean, chart: object, stats: {notes: number, lines: number, duet: boolean}}>}
+ */
+export async function importUltraStarChart({ youtubeId, text, offset = 0, player = 1, author = null }) {
+  const imported = parseUltraStar(text, { offset, player });
+  const parsed = { ...imported, ...normalizeChart({ segments: imported.segments, notes: imported.notes }) };
+  console.log(`📥 [ULTRASTAR] Importing chart for ${youtubeId}: ${parsed.notes.length} notes, ${parsed.segments.length} lines${parsed.duet ? ` (duet, player ${player})` : ''}`);
+
+  const { data: song, error } = await supabase
+    .from("singfi_songs")
+    .select("*")
+    .eq("youtube_id", youtubeId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load song: ${error.message}`);
+  }
+
+  // The pitch curve (if the song was processed) still tells whether the chart lines up with the singing
+  const pitchData = getArtifactStore(youtubeId).readJson('pitch')?.points || null;
+  const quality = measureQuality({ segments: parsed.segments, notes: parsed.notes, pitchData });
+
+  const chart = {
+    youtube_id: youtubeId,
+    title: song?.title || parsed.title,
+    artist: song?.artist || parsed.artist,
+    genre: song?.genre || parsed.genre,
+    lyrics: parsed.lyrics,
+    segments: parsed.segments,
+    notes: parsed.notes,
+    lrc_segments: null, // Reprocessing must not bring back lines from an earlier LRC import
+    first_verse_start_time: parsed.segments[0]?.start ?? parsed.notes[0].start, // The chart starts where its author wanted
+    ...qualityColumns(quality),
+    pipeline_version: PIPELINE_VERSION, // Same note format as a fresh chart - nothing to reprocess
+  };
+  const { error: saveError } = await supabase
+    .from("singfi_songs")
+    .upsert(chart, { onConflict: "youtube_id" });
+
+  if (saveError) {
+    throw new Error(`Failed to save imported chart: ${saveError.message}`);
+  }
+
+  const stats = { notes: parsed.notes.length, lines: parsed.segments.length, duet: parsed.duet };
+  await recordRevision(youtubeId, { ...song, ...chart }, {
+    source: 'import',
+    author,
+    message: `Imported UltraStar chart (${stats.notes} notes, ${stats.lines} lines${offset ? `, offset ${offset}s` : ''}${parsed.duet ? `, player ${player}` : ''})`,
+  });
+
+  return { created: !song, chart: { ...song, ...chart }, stats };
+}
+
+/**
+ * Replace a song's notes with the melody of a MIDI file (see midiFile.js), as a new revision.
+ * The lyrics stay as they are; the new notes are linked to them by time.
+ * @param {{youtubeId: string, buffer: Buffer, track?: number|null, offset?: number, author?: string}} params -
+ *   track is the index of the track to read (default: the vocal track); offset (seconds) shifts every note
+ * @returns {Promise<{chart: object, stats: {notes: number, track: number, trackName: string|null}}|null>} null if the song doesn't exist
+ */
+export async function importMidiNotes({ youtubeId, buffer, track = null, offset = 0, author = null }) {
+  const { data: song, error } = await supabase
+    .from("singfi_songs")
+    .select("*")
+    .eq("youtube_id", youtubeId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load song: ${error.message}`);
+  }
+  if (!song) return null;
+
+  const midi = parseMidi(buffer);
+  const trackIndex = track ?? findVocalTrack(midi);
+  if (trackIndex === null) {
+    throw new Error('MIDI file has no notes');
+  }
+  const trackName = midi.tracks[trackIndex]?.name || null;
+  console.log(`📥 [MIDI] Importing notes for ${youtubeId} from track ${trackIndex}${trackName ? ` (${trackName})` : ''}`);
+
+  const { notes } = normalizeChart({
+    segments: song.segments || [],
+    notes: attachLyricsToNotes(midiTrackToNotes(midi, trackIndex, { offset, previousNotes: song.notes || [] }), song.segments || []),
+  });
+  console.log(`   → ${notes.length} notes`);
+
+  const pitchData = getArtifactStore(youtubeId).readJson('pitch')?.points || null;
+  const quality = measureQuality({ segments: song.segments, notes, pitchData });
+
+  const chartUpdate = {
+    notes,
+    ...qualityColumns(quality),
+  };
+  const { error: updateError } = await supabase
+    .from("singfi_songs")
+    .update(chartUpdate)
+    .eq("youtube_id", youtubeId);
+
+  if (updateError) {
+    throw new Error(`Failed to save imported notes: ${updateError.message}`);
+  }
+
+  await recordRevision(youtubeId, { ...song, ...chartUpdate }, {
+    source: 'import',
+    author,
+    message: `Imported MIDI notes (${notes.length} notes from track ${trackIndex}${trackName ? ` "${trackName}"` : ''}${offset ? `, offset ${offset}s` : ''})`,
+  });
+
+  return { chart: { ...song, ...chartUpdate }, stats: { notes: notes.length, track: trackIndex, trackName } };
+}
+
+/**
+ * Replace a song's lyrics with an LRC file (plain or word-timed, see lrc.js), as a new revision.
+ * The notes stay where they are and are relinked to the new words. The lines are kept in lrc_segments,
+ * so reprocessing the segments stage keeps their timings instead of aligning the text to the transcript.
+ * @param {{youtubeId: string, text: string, offset?: number, author?: string}} params -
+ *   offset (seconds) shifts every line against the audio
+ * @returns {Promise<{chart: object, stats: {lines: number, enhanced: boolean, linkedNotes: number}}|null>} null if the song doesn't exist
+ */
+export async function importLrcLyrics({ youtubeId, text, offset = 0, author = null }) {
+  const { data: song, error } = await supabase
+    .from("singfi_songs")
+    .select("*")
+    .eq("youtube_id", youtubeId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load song: ${error.message}`);
+  }
+  if (!song) return null;
+
+  const parsed = parseLrc(text, { offset });
+  console.log(`📥 [LRC] Importing lyrics for ${youtubeId}: ${parsed.segments.length} lines${parsed.enhanced ? ' (word-timed)' : ''}`);
+
+  // Notes stay where they are, but the words they're linked to have changed
+  const { segments, notes } = normalizeChart({
+    segments: parsed.segments,
+    notes: song.notes ? attachLyricsToNotes(song.notes, parsed.segments) : null,
+  });
+  const pitchData = getArtifactStore(youtubeId).readJson('pitch')?.points || null;
+  const quality = measureQuality({ segments, notes, pitchData });
+
+  const chartUpdate = {
+    lyrics: parsed.lyrics,
+    segments,
+    official_lyrics: parsed.lyrics,
+    lrc_segments: segments, // Reprocessing the segments keeps these timings instead of aligning the text again
+    notes,
+    ...qualityColumns(quality),
+  };
+  const { error: updateError } = await supabase
+    .from("singfi_songs")
+    .update(chartUpdate)
+    .eq("youtube_id", youtubeId);
+
+  if (updateError) {
+    throw new Error(`Failed to save imported lyrics: ${updateError.message}`);
+  }
+
+  await recordRevision(youtubeId, { ...song, ...chartUpdate }, {
+    source: 'import',
+    author,
+    message: `Imported ${parsed.enhanced ? 'enhanced ' : ''}LRC lyrics (${parsed.segments.length} lines${offset ? `, offset ${offset}s` : ''})`,
+  });
+
+  const linkedNotes = (notes || []).filter(note => note.segmentIndex !== undefined).length;
+  return { chart: { ...song, ...chartUpdate }, stats: { lines: segments.length, enhanced: parsed.enhanced, linkedNotes } };
+}
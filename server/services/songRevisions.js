@@ -0,0 +1,175 @@
+import { supabase } from './supabase.js';
+import { getArtifactStore } from './artifactCache.js';
+import { measureQuality, qualityColumns } from './chartQuality.js';
+
+/**
+ * Chart revision history for singfi_songs.
+ * Every write to a chart (pipeline run, reprocess, manual save, import, rollback, lyrics alignment) stores a full
+ * snapshot in singfi_song_revisions, so changes can be listed, diffed and rolled back.
+ */
+
+// singfi_songs columns that make up a chart revision
+const CHART_FIELDS = ['title', 'artist', 'lyrics', 'official_lyrics', 'lrc_segments', 'segments', 'notes', 'first_verse_start_time', 'genre', 'musical_key', 'musical_mode', 'bpm', 'beat_offset', 'pipeline_version'];
+
+// Long lyrics fields that diffs only flag as changed
+const LYRICS_FIELDS = ['lyrics', 'official_lyrics', 'lrc_segments'];
+
+export const REVISION_SOURCES = ['pipeline', 'manual', 'import', 'rollback', 'lyrics'];
+
+function pickChartFields(song) {
+  return Object.fromEntries(CHART_FIELDS.map(field => [field, song[field] ?? null]));
+}
+
+/**
+ * Store a snapshot of a song's chart. Best-effort: a failure is logged, never thrown,
+ * so history can't break processing or saving.
+ * @param {string} youtubeId
+ * @param {object} song - Row-shaped chart (singfi_songs column names)
+ * @param {{source: string, author?: string, message?: string}} meta
+ */
+export async function recordRevision(youtubeId, song, { source, author = null, message = null }) {
+  try {
+    const { error } = await supabase
+      .from('singfi_song_revisions')
+      .insert({
+        youtube_id: youtubeId,
+        source,
+        author,
+        message,
+        ...pickChartFields(song),
+      });
+
+    if (error) {
+      console.warn(`⚠️ [REVISIONS] Failed to record ${source} revision for ${youtubeId}:`, error.message);
+    } else {
+      console.log(`📚 [REVISIONS] Recorded ${source} revision for ${youtubeId}`);
+    }
+  } catch (error) {
+    console.warn(`⚠️ [REVISIONS] Failed to record ${source} revision for ${youtubeId}:`, error.message);
+  }
+}
+
+/**
+ * List a song's revisions, newest first (without the heavy lyrics/segments/notes payloads)
+ * @param {string} youtubeId
+ */
+export async function listRevisions(youtubeId) {
+  const { data, error } = await supabase
+    .from('singfi_song_revisions')
+    .select('id, youtube_id, source, author, message, title, artist, genre, musical_key, musical_mode, bpm, pipeline_version, first_verse_start_time, segments, notes, created_at')
+    .eq('youtube_id', youtubeId)
+    .order('created_at', { ascending: false });
+
+  if (error) throw new Error(error.message);
+
+  return (data || []).map(({ segments, notes, ...revision }) => ({
+    ...revision,
+    segmentCount: Array.isArray(segments) ? segments.length : 0,
+    noteCount: Array.isArray(notes) ? notes.length : 0,
+  }));
+}
+
+/**
+ * Get one full revision of a song
+ * @param {string} youtubeId
+ * @param {number|string} revisionId
+ * @returns {Promise<object|null>}
+ */
+export async function getRevision(youtubeId, revisionId) {
+  const { data, error } = await supabase
+    .from('singfi_song_revisions')
+    .select('*')
+    .eq('youtube_id', youtubeId)
+    .eq('id', revisionId)
+    .maybeSingle();
+
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+// Index-by-index comparison of two arrays of segments or notes
+function diffList(fromList, toList, keys) {
+  const from = Array.isArray(fromList) ? fromList : [];
+  const to = Array.isArray(toList) ? toList : [];
+  const changed = [];
+
+  for (let i = 0; i < Math.max(from.length, to.length); i++) {
+    const a = from[i];
+    const b = to[i];
+    if (!a || !b || keys.some(key => a[key] !== b[key])) {
+      changed.push({ index: i, from: a || null, to: b || null });
+    }
+  }
+
+  return {
+    fromCount: from.length,
+    toCount: to.length,
+    changedCount: changed.length,
+    changed,
+  };
+}
+
+/**
+ * Diff two chart snapshots (revisions or the current row)
+ * @returns {{fields: object, segments: object, notes: object}} Changed scalar fields plus segment/note changes by index
+ */
+export function diffCharts(fromSong, toSong) {
+  const fields = {};
+  for (const field of CHART_FIELDS) {
+    if (field === 'segments' || field === 'notes' || LYRICS_FIELDS.includes(field)) continue;
+    const from = fromSong[field] ?? null;
+    const to = toSong[field] ?? null;
+    if (from !== to) fields[field] = { from, to };
+  }
+
+  for (const field of LYRICS_FIELDS) {
+    if (JSON.stringify(fromSong[field] ?? null) !== JSON.stringify(toSong[field] ?? null)) {
+      // Full lyrics are already in both revisions - just flag the change
+      fields[field] = { changed: true };
+    }
+  }
+
+  return {
+    fields,
+    segments: diffList(fromSong.segments, toSong.segments, ['text', 'start', 'end']),
+    notes: diffList(fromSong.notes, toSong.notes, ['start', 'end', 'targetPitch', 'midi', 'type', 'syllable']),
+  };
+}
+
+/**
+ * Restore a song's chart to a previous revision (recorded as a new 'rollback' revision).
+ * The quality columns are measured again for the restored chart.
+ * @param {string} youtubeId
+ * @param {number|string} revisionId
+ * @param {{author?: string}} [options]
+ * @returns {Promise<object|null>} Updated song row, or null if the revision doesn't exist
+ */
+export async function rollbackToRevision(youtubeId, revisionId, { author = null } = {}) {
+  const revision = await getRevision(youtubeId, revisionId);
+  if (!revision) return null;
+
+  const artifacts = getArtifactStore(youtubeId);
+  const quality = measureQuality({
+    segments: revision.segments,
+    notes: revision.notes,
+    pitchData: artifacts.readJson('pitch')?.points || null,
+    transcription: artifacts.readJson('transcription'),
+  });
+
+  const { data, error } = await supabase
+    .from('singfi_songs')
+    .update({ ...pickChartFields(revision), ...qualityColumns(quality) })
+    .eq('youtube_id', youtubeId)
+    .select()
+    .single();
+
+  if (error) throw new Error(error.message);
+
+  await recordRevision(youtubeId, data, {
+    source: 'rollback',
+    author,
+    message: `Rolled back to revision ${revisionId}`,
+  });
+
+  return data;
+}
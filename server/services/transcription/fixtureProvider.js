@@ -0,0 +1,63 @@
+import { join, resolve } from 'path';
+import fs from 'fs';
+
+/**
+ * Deterministic fixture transcription provider, for offline runs and local development
+ *
+ * Looks for TRANSCRIPTION_FIXTURES_DIR/<youtubeId>.json (default: fixtures/transcriptions)
+ * containing a verbose_json-shaped transcript. Without a fixture file it generates a
+ * placeholder transcript that covers the audio duration, so the rest of the pipeline
+ * (pitch, verse detection, saving) still runs end to end.
+ */
+const FIXTURES_DIR = resolve(process.env.TRANSCRIPTION_FIXTURES_DIR || join(process.cwd(), 'fixtures', 'transcriptions'));
+const PLACEHOLDER_SEGMENT_SECONDS = 4;
+
+// Duration of a PCM WAV buffer from its header (byte rate at offset 28)
+function getWavDurationSeconds(audioBuffer) {
+  if (audioBuffer.length < 44 || audioBuffer.toString('ascii', 0, 4) !== 'RIFF') return 0;
+  const byteRate = audioBuffer.readUInt32LE(28);
+  return byteRate > 0 ? (audioBuffer.length - 44) / byteRate : 0;
+}
+
+function buildPlaceholderTranscript(durationSeconds) {
+  const segments = [];
+  for (let start = 0, line = 1; start < durationSeconds; start += PLACEHOLDER_SEGMENT_SECONDS, line++) {
+    const end = Math.min(start + PLACEHOLDER_SEGMENT_SECONDS, durationSeconds);
+    segments.push({ start, end, text: `Fixture lyric line ${line} la la la` });
+  }
+
+  return {
+    text: segments.map(segment => segment.text).join(' '),
+    language: 'english',
+    segments,
+  };
+}
+
+/**
+ * @param {Buffer} audioBuffer - WAV audio buffer
+ * @param {{youtubeId?: string}} [options]
+ * @returns {Promise<object>} verbose_json-like transcription ({text, segments, language})
+ */
+async function transcribe(audioBuffer, { youtubeId } = {}) {
+  if (youtubeId) {
+    const fixturePath = join(FIXTURES_DIR, `${youtubeId}.json`);
+    if (fs.existsSync(fixturePath)) {
+      console.log(`📁 [FIXTURE] Using transcription fixture: ${fixturePath}`);
+      const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+      return {
+        text: fixture.text || (fixture.segments || []).map(segment => segment.text).join(' '),
+        language: fixture.language,
+        segments: fixture.segments || [],
+      };
+    }
+  }
+
+  const durationSeconds = getWavDurationSeconds(audioBuffer);
+  console.log(`📁 [FIXTURE] No fixture for ${youtubeId || 'this audio'}, generating placeholder transcript (${durationSeconds.toFixed(1)}s)`);
+  return buildPlaceholderTranscript(durationSeconds);
+}
+
+export default {
+  name: 'fixture',
+  transcribe,
+};
@@ -0,0 +1,43 @@
+import openaiProvider from './openaiProvider.js';
+import localWhisperProvider from './localWhisperProvider.js';
+import fixtureProvider from './fixtureProvider.js';
+
+/**
+ * Transcription providers
+ *
+ * Every provider exposes `transcribe(audioBuffer, { youtubeId })` and resolves with an
+ * OpenAI verbose_json-shaped result: { text, language?, segments: [{ start, end, text, words? }] }
+ * (times in seconds), so the pipeline doesn't care which backend produced it.
+ *
+ * Pick one with TRANSCRIPTION_PROVIDER:
+ *   openai  - OpenAI whisper-1 API (default, needs OPENAI_API_KEY)
+ *   local   - whisper.cpp / faster-whisper CLI, see localWhisperProvider.js
+ *   fixture - JSON fixtures or a placeholder transcript, fully offline
+ */
+const providers = {
+  [openaiProvider.name]: openaiProvider,
+  [localWhisperProvider.name]: localWhisperProvider,
+  [fixtureProvider.name]: fixtureProvider,
+};
+
+export function getTranscriptionProvider(name = process.env.TRANSCRIPTION_PROVIDER || 'openai') {
+  const provider = providers[name.toLowerCase()];
+  if (!provider) {
+    throw new Error(`Unknown TRANSCRIPTION_PROVIDER "${name}" (expected: ${Object.keys(providers).join(', ')})`);
+  }
+  return provider;
+}
+
+/**
+ * Transcribe audio with the configured provider
+ * @param {Buffer} audioBuffer - WAV audio buffer
+ * @param {{youtubeId?: string, provider?: string}} [options]
+ * @returns {Promise<{text: string, language?: string, segments: Array, provider: string}>}
+ */
+export async function transcribeAudio(audioBuffer, { youtubeId, provider: providerName } = {}) {
+  const provider = getTranscriptionProvider(providerName);
+  console.log(`🎙️ [TRANSCRIBE] Using "${provider.name}" provider`);
+
+  const transcription = await provider.transcribe(audioBuffer, { youtubeId });
+  return { ...transcription, provider: provider.name };
+}
@@ -0,0 +1,144 @@
+import { exec } from 'child_process';
+import { promisify } from 'util';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import fs from 'fs';
+import { retryFileOperation } from '../../utils/audioTools.js';
+
+const execAsync = promisify(exec);
+
+/**
+ * Local Whisper CLI transcription provider (no API key, no per-minute cost)
+ *
+ * Env:
+ *   LOCAL_WHISPER_FLAVOR - 'whisper.cpp' (default) or 'faster-whisper'
+ *   LOCAL_WHISPER_BIN    - CLI to run (default: 'whisper-cli' / 'whisper-ctranslate2')
+ *   LOCAL_WHISPER_MODEL  - whisper.cpp: path to a ggml model file; faster-whisper: model name (default 'small')
+ *   LOCAL_WHISPER_ARGS   - Extra arguments appended to the command (e.g. "-t 8" or "--device cuda")
+ *   LOCAL_WHISPER_TIMEOUT_MS - Kill the CLI after this long (default 30 minutes)
+ */
+const FLAVOR = process.env.LOCAL_WHISPER_FLAVOR || 'whisper.cpp';
+const DEFAULT_TIMEOUT_MS = 30 * 60 * 1000;
+const configuredTimeout = parseInt(process.env.LOCAL_WHISPER_TIMEOUT_MS || '', 10);
+if (process.env.LOCAL_WHISPER_TIMEOUT_MS && !(configuredTimeout > 0)) {
+  console.warn(`⚠️ [LOCAL WHISPER] Ignoring LOCAL_WHISPER_TIMEOUT_MS="${process.env.LOCAL_WHISPER_TIMEOUT_MS}" (not a positive number of ms), using ${DEFAULT_TIMEOUT_MS}`);
+}
+const TIMEOUT_MS = configuredTimeout > 0 ? configuredTimeout : DEFAULT_TIMEOUT_MS;
+const DEFAULT_BINARIES = {
+  'whisper.cpp': 'whisper-cli',
+  'faster-whisper': 'whisper-ctranslate2',
+};
+
+// whisper.cpp JSON (-oj): { result: { language }, transcription: [{ text, offsets: { from, to } (ms) }] }
+function parseWhisperCppJson(data) {
+  const segments = (data.transcription || [])
+    .map(entry => ({
+      start: (entry.offsets?.from ?? 0) / 1000,
+      end: (entry.offsets?.to ?? 0) / 1000,
+      text: (entry.text || '').trim(),
+    }))
+    .filter(segment => segment.text);
+
+  return {
+    text: segments.map(segment => segment.text).join(' '),
+    language: data.result?.language,
+    segments,
+  };
+}
+
+// faster-whisper / openai-whisper JSON: { text, language, segments: [{ start, end, text, words? }] } (seconds)
+// The confidence scores are kept for the chart quality check
+function parseFasterWhisperJson(data) {
+  const segments = (data.segments || [])
+    .map(segment => ({
+      start: segment.start,
+      end: segment.end,
+      text: (segment.text || '').trim(),
+      avg_logprob: segment.avg_logprob,
+      no_speech_prob: segment.no_speech_prob,
+      compression_ratio: segment.compression_ratio,
+      ...(segment.words ? {
+        words: segment.words.map(word => ({ word: word.word.trim(), start: word.start, end: word.end })),
+      } : {}),
+    }))
+    .filter(segment => segment.text);
+
+  return {
+    text: (data.text || segments.map(segment => segment.text).join(' ')).trim(),
+    language: data.language,
+    segments,
+  };
+}
+
+function buildCommand(bin, inputPath, outputDir, outputPrefix) {
+  const model = process.env.LOCAL_WHISPER_MODEL;
+  const extraArgs = process.env.LOCAL_WHISPER_ARGS || '';
+
+  if (FLAVOR === 'faster-whisper') {
+    return `${bin} "${inputPath}" --model ${model || 'small'} --output_format json --output_dir "${outputDir}" --word_timestamps True ${extraArgs}`.trim();
+  }
+
+  if (!model) {
+    throw new Error('LOCAL_WHISPER_MODEL must point to a ggml model file when using whisper.cpp');
+  }
+  return `${bin} -m "${model}" -f "${inputPath}" -oj -of "${outputPrefix}" ${extraArgs}`.trim();
+}
+
+/**
+ * Transcribe with a local whisper.cpp / faster-whisper CLI
+ * @param {Buffer} audioBuffer - WAV audio buffer (whisper.cpp expects 16 kHz mono, which the pipeline already produces)
+ * @returns {Promise<object>} verbose_json-like transcription ({text, segments, language})
+ */
+async function transcribe(audioBuffer) {
+  if (!DEFAULT_BINARIES[FLAVOR]) {
+    throw new Error(`Unknown LOCAL_WHISPER_FLAVOR "${FLAVOR}" (expected: ${Object.keys(DEFAULT_BINARIES).join(', ')})`);
+  }
+
+  const bin = process.env.LOCAL_WHISPER_BIN || DEFAULT_BINARIES[FLAVOR];
+  const id = `${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
+  const outputDir = tmpdir();
+  const inputPath = join(outputDir, `whisper-local-${id}.wav`);
+  const outputPrefix = join(outputDir, `whisper-local-${id}`);
+  // whisper.cpp writes <prefix>.json, faster-whisper writes <input basename>.json into --output_dir
+  const outputPath = `${outputPrefix}.json`;
+
+  try {
+    fs.writeFileSync(inputPath, audioBuffer);
+
+    const command = buildCommand(bin, inputPath, outputDir, outputPrefix);
+    console.log(`🎙️ [LOCAL WHISPER] Running ${FLAVOR}: ${bin}`);
+    try {
+      // A hung CLI would otherwise hold its job in the queue forever
+      await execAsync(command, { maxBuffer: 50 * 1024 * 1024, timeout: TIMEOUT_MS, killSignal: 'SIGKILL' });
+    } catch (error) {
+      if (error.killed) {
+        throw new Error(`timed out after ${Math.round(TIMEOUT_MS / 1000)}s (set LOCAL_WHISPER_TIMEOUT_MS to allow longer)`);
+      }
+      throw error;
+    }
+
+    if (!fs.existsSync(outputPath)) {
+      throw new Error(`Local whisper did not produce ${outputPath}`);
+    }
+
+    const data = JSON.parse(fs.readFileSync(outputPath, 'utf8'));
+    return FLAVOR === 'faster-whisper' ? parseFasterWhisperJson(data) : parseWhisperCppJson(data);
+  } catch (error) {
+    throw new Error(`Local whisper (${FLAVOR}) failed: ${error.message}`);
+  } finally {
+    for (const file of [inputPath, outputPath]) {
+      if (fs.existsSync(file)) {
+        try {
+          await retryFileOperation(() => fs.unlinkSync(file));
+        } catch (cleanupErr) {
+          console.warn(`⚠️ Failed to cleanup ${file}:`, cleanupErr.message);
+        }
+      }
+    }
+  }
+}
+
+export default {
+  name: 'local',
+  transcribe,
+};
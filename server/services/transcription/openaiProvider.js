@@ -0,0 +1,106 @@
+import { openai } from '../openai.js';
+import { ensureAudioSizeLimit } from '../../utils/audioTools.js';
+
+// The API returns word timestamps as one top-level list - give each segment its own words,
+// like the local providers do (a word goes to the segment its midpoint falls in, or the one before it)
+function attachWordsToSegments(transcription) {
+  const words = transcription?.words;
+  const segments = transcription?.segments;
+  if (!Array.isArray(words) || words.length === 0 || !Array.isArray(segments) || segments.length === 0) {
+    return transcription;
+  }
+
+  const segmentWords = segments.map(() => []);
+  let segmentIndex = 0;
+  for (const word of words) {
+    const middle = (word.start + word.end) / 2;
+    while (segmentIndex + 1 < segments.length && segments[segmentIndex + 1].start <= middle) segmentIndex++;
+    segmentWords[segmentIndex].push({ word: (word.word || '').trim(), start: word.start, end: word.end });
+  }
+
+  return {
+    ...transcription,
+    segments: segments.map((segment, index) => ({ ...segment, words: segmentWords[index] })),
+  };
+}
+
+/**
+ * OpenAI hosted Whisper (whisper-1) transcription provider
+ * Compresses audio to stay under the 25 MB API limit and retries transient failures
+ * @param {Buffer} audioBuffer - WAV audio buffer
+ * @returns {Promise<object>} verbose_json transcription ({text, segments, language, ...}), segments with their words
+ */
+async function transcribe(audioBuffer) {
+  // Check and compress audio if it exceeds Whisper's 25 MB limit
+  let audioToTranscribe = await ensureAudioSizeLimit(audioBuffer);
+
+  // Create a File object from the buffer for Whisper API
+  // Node.js 18+ has a global File constructor
+  // We'll create a fresh File object for each retry attempt
+  let transcription;
+
+  // Retry logic for Whisper API (handles temporary 500 errors)
+  const maxRetries = 3;
+
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      // Recreate File object for each attempt to ensure it's fresh
+      const fileForAttempt = new File([audioToTranscribe], 'audio.wav', { type: 'audio/wav' });
+
+      transcription = await openai.audio.transcriptions.create({
+        file: fileForAttempt,
+        model: "whisper-1",
+        response_format: "verbose_json",
+        timestamp_granularities: ["word", "segment"], // Word timings for lyrics alignment and note/word links
+      });
+
+      // Success - break out of retry loop
+      break;
+    } catch (whisperError) {
+      const is500Error = whisperError.status === 500 || whisperError.message?.includes('500');
+      const is400Error = whisperError.status === 400;
+      const is413Error = whisperError.status === 413 || whisperError.message?.includes('413') || whisperError.message?.includes('Maximum content size');
+
+      // Handle 413 error (file too large) - compress and retry
+      if (is413Error && attempt < maxRetries) {
+        console.warn(`⚠️ [WHISPER] Attempt ${attempt}/${maxRetries} failed with 413 (file too large), compressing and retrying...`);
+        try {
+          // Compress the audio more aggressively
+          audioToTranscribe = await ensureAudioSizeLimit(audioToTranscribe, 24 * 1024 * 1024); // Use 24 MB to be safe
+          const delay = attempt * 1000; // 1s, 2s, 3s
+          await new Promise(resolve => setTimeout(resolve, delay));
+          continue;
+        } catch (compressError) {
+          console.error(`❌ [WHISPER] Compression failed: ${compressError.message}`);
+          throw new Error(`Audio file too large for Whisper API even after compression: ${compressError.message}`);
+        }
+      }
+
+      if (is500Error && attempt < maxRetries) {
+        const delay = attempt * 2000; // 2s, 4s, 6s
+        console.warn(`⚠️ [WHISPER] Attempt ${attempt}/${maxRetries} failed with 500 error, retrying in ${delay / 1000}s...`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        continue;
+      }
+
+      if (is400Error && attempt < maxRetries) {
+        // For 400 errors, wait and retry with a new File object
+        const delay = attempt * 1000; // 1s, 2s, 3s
+        console.warn(`⚠️ [WHISPER] Attempt ${attempt}/${maxRetries} failed with 400 error, retrying in ${delay / 1000}s...`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        continue;
+      }
+
+      // Not a retryable error or max retries reached
+      console.error('Whisper error:', whisperError);
+      throw whisperError;
+    }
+  }
+
+  return attachWordsToSegments(transcription);
+}
+
+export default {
+  name: 'openai',
+  transcribe,
+};
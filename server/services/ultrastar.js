@@ -0,0 +1,261 @@
+import { attachLyricsToNotes, CONTINUATION_SYLLABLE } from './noteLyrics.js';
+
+/**
+ * UltraStar TXT charts (UltraStar Deluxe, Vocaluxe, Performous...).
+ * A chart is a header of #TAG:value lines, then one line per note:
+ *   <type> <startBeat> <lengthInBeats> <pitch> <syllable>
+ * type is ":" (normal), "*" (golden), "F" (freestyle), "R"/"G" (rap/golden rap); pitch is in semitones
+ * relative to C4 (MIDI 60); "- <beat>" ends a lyric line, "P1"/"P2" start a duet singer's part and
+ * "E" ends the chart. A beat lasts 60 / (#BPM * 4) seconds from #GAP (milliseconds into the audio).
+ */
+
+const ULTRASTAR_PITCH_ORIGIN = 60; // Pitch 0 is C4
+const MAX_BEAT_SECONDS = 0.0625; // The #BPM is doubled until beats are at least this fine (notes are rounded to beats)
+const DEFAULT_BPM = 300; // Used when the song has no detected tempo (0.05s beats)
+
+const NOTE_TYPES = {
+  normal: ':',
+  golden: '*',
+  freestyle: 'F',
+};
+
+// Note types when importing - we have no rap notes, they're sung without a pitch like freestyle ones
+const IMPORTED_NOTE_TYPES = {
+  ':': 'normal',
+  '*': 'golden',
+  F: 'freestyle',
+  R: 'freestyle',
+  G: 'freestyle',
+};
+
+// Text after the single space that follows the pitch is the syllable, leading space included (it starts a word)
+const NOTE_LINE = /^([:*FRG])\s*(-?\d+)\s+(\d+)\s+(-?\d+)(?: (.*))?$/;
+const LINE_BREAK = /^-\s*(-?\d+)(?:\s+(-?\d+))?/;
+const PLAYER_MARKER = /^P\s*(\d)$/;
+
+// Header values can't span lines
+function headerValue(value) {
+  return String(value).replace(/[\r\n]+/g, ' ').trim();
+}
+
+// UltraStar files traditionally write decimals with a comma
+function formatDecimal(value) {
+  return String(Number(value.toFixed(2))).replace('.', ',');
+}
+
+// #BPM and #GAP: the song's tempo (fine enough to place notes on) and its first beat at or before the first note
+function beatGrid(song, firstNoteStart) {
+  let bpm = song.bpm > 0 ? song.bpm : DEFAULT_BPM;
+  while (60 / (bpm * 4) > MAX_BEAT_SECONDS) bpm *= 2;
+  const beatSeconds = 60 / (bpm * 4);
+
+  let gap = firstNoteStart;
+  if (song.bpm > 0 && Number.isFinite(song.beat_offset)) {
+    // Line beat 0 up with the detected beat grid
+    const musicBeatSeconds = 60 / song.bpm;
+    gap = song.beat_offset - Math.ceil((song.beat_offset - firstNoteStart) / musicBeatSeconds) * musicBeatSeconds;
+    if (gap < 0) gap += Math.ceil(-gap / musicBeatSeconds) * musicBeatSeconds;
+  }
+
+  return { bpm, beatSeconds, gap };
+}
+
+/**
+ * Write a chart as an UltraStar TXT file
+ * @param {object} song - singfi_songs row (title, artist, genre, segments, notes, bpm, beat_offset, youtube_id, source_type)
+ * @returns {string} The file contents (UTF-8)
+ */
+export function exportUltraStar(song) {
+  // Relink so charts made before notes carried syllables still get their lyrics
+  const notes = attachLyricsToNotes(
+    [...(song.notes || [])].filter(note => note.end > note.start).sort((a, b) => a.start - b.start),
+    song.segments || []
+  );
+  if (notes.length === 0) {
+    throw new Error('Chart has no notes to export');
+  }
+
+  const { bpm, beatSeconds, gap } = beatGrid(song, notes[0].start);
+  const title = song.title || 'Unknown Title';
+  const artist = song.artist || 'Unknown Artist';
+
+  const lines = [
+    `#TITLE:${headerValue(title)}`,
+    `#ARTIST:${headerValue(artist)}`,
+    `#MP3:${headerValue(`${artist} - ${title}.mp3`)}`,
+    `#BPM:${formatDecimal(bpm)}`,
+    `#GAP:${Math.round(gap * 1000)}`,
+    '#ENCODING:UTF8',
+  ];
+  if (song.genre) lines.push(`#GENRE:${headerValue(song.genre)}`);
+  if (song.source_type !== 'upload' && song.youtube_id) {
+    lines.push(`#COMMENT:https://www.youtube.com/watch?v=${song.youtube_id}`);
+  }
+
+  let previous = null;
+  let previousEndBeat = 0;
+  for (const note of notes) {
+    // Beats can't go back in time, and every note lasts at least one beat
+    const startBeat = Math.max(previousEndBeat, Math.round((note.start - gap) / beatSeconds));
+    const length = Math.max(1, Math.round((note.end - gap) / beatSeconds) - startBeat);
+
+    const newLine = previous !== null && note.segmentIndex !== undefined && note.segmentIndex !== previous.segmentIndex;
+    if (newLine) lines.push(`- ${previousEndBeat}`);
+
+    // Words after the first in a line start with a space; unlinked notes continue the syllable before them
+    let syllable = note.syllable ?? CONTINUATION_SYLLABLE;
+    const startsWord = note.wordIndex !== undefined && syllable !== CONTINUATION_SYLLABLE
+      && (previous === null || note.segmentIndex !== previous.segmentIndex || note.wordIndex !== previous.wordIndex);
+    if (startsWord && previous !== null && !newLine) syllable = ` ${syllable}`;
+
+    const pitch = Number.isFinite(note.midi) ? note.midi - ULTRASTAR_PITCH_ORIGIN : 0; // Freestyle notes have no pitch
+    lines.push(`${NOTE_TYPES[note.type] || NOTE_TYPES.normal} ${startBeat} ${length} ${pitch} ${syllable}`);
+
+    previous = note;
+    previousEndBeat = startBeat + length;
+  }
+
+  lines.push('E');
+  return `${lines.join('\n')}\n`;
+}
+
+function parseDecimal(value) {
+  const number = parseFloat(String(value).trim().replace(',', '.'));
+  return Number.isFinite(number) ? number : null;
+}
+
+function midiToFrequency(midi) {
+  return 440 * Math.pow(2, (midi - 69) / 12);
+}
+
+/**
+ * Read an UltraStar TXT file into our chart model: one segment per lyric line (with its words),
+ * notes linked to the words and syllables the chart gives them
+ * @param {string} text - File contents
+ * @param {{offset?: number, player?: number}} [options] - offset (seconds) shifts every note, e.g. when the chart
+ *   was timed against a different audio file; player picks the part of a duet (1 or 2, default 1)
+ * @returns {{title: string|null, artist: string|null, genre: string|null, language: string|null,
+ *   segments: object[], notes: object[], lyrics: string, duet: boolean}}
+ */
+export function parseUltraStar(text, { offset = 0, player = 1 } = {}) {
+  const headers = {};
+  const body = [];
+  for (const line of (text || '').replace(/^\uFEFF/, '').split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    const header = line.trim().match(/^#([^:]+):(.*)$/);
+    if (header && body.length === 0) {
+      headers[header[1].trim().toUpperCase()] = header[2].trim();
+    } else {
+      body.push(line); // Untrimmed - spaces around syllables mark word boundaries
+    }
+  }
+
+  const bpm = parseDecimal(headers.BPM);
+  if (!bpm || bpm <= 0) {
+    throw new Error('UltraStar chart has no valid #BPM');
+  }
+  const beatSeconds = 60 / (bpm * 4);
+  const start = (parseDecimal(headers.GAP) || 0) / 1000 + (Number(offset) || 0);
+  const relative = (headers.RELATIVE || '').toLowerCase() === 'yes'; // Beats restart at every line break
+
+  // Notes grouped into lyric lines, for the selected singer only (P3 parts are sung by both)
+  const lines = [[]];
+  let lineBase = 0;
+  let currentPlayer = null;
+  let duet = false;
+  for (const line of body) {
+    const trimmed = line.trim();
+    if (trimmed === 'E') break;
+
+    const marker = trimmed.match(PLAYER_MARKER);
+    if (marker) {
+      duet = true;
+      currentPlayer = Number(marker[1]);
+      if (lines[lines.length - 1].length > 0) lines.push([]);
+      lineBase = 0;
+      continue;
+    }
+    if (currentPlayer !== null && currentPlayer !== player && currentPlayer !== 3) continue;
+
+    const lineBreak = trimmed.match(LINE_BREAK);
+    if (lineBreak) {
+      if (lines[lines.length - 1].length > 0) lines.push([]);
+      if (relative) lineBase += Number(lineBreak[2] ?? lineBreak[1]);
+      continue;
+    }
+
+    const note = line.trimStart().match(NOTE_LINE);
+    if (!note) continue; // Comments and tags we don't know
+
+    const beat = lineBase + Number(note[2]);
+    const length = Number(note[3]);
+    if (length <= 0) continue;
+    lines[lines.length - 1].push({
+      type: IMPORTED_NOTE_TYPES[note[1]],
+      start: start + beat * beatSeconds,
+      end: start + (beat + length) * beatSeconds,
+      pitch: Number(note[4]),
+      text: note[5] ?? '',
+    });
+  }
+
+  const notes = [];
+  const segments = [];
+  for (const lineNotes of lines.filter(lineNotes => lineNotes.length > 0)) {
+    lineNotes.sort((a, b) => a.start - b.start);
+    const segmentIndex = segments.length;
+    const words = [];
+    let previousEndsWord = false;
+
+    for (const parsed of lineNotes) {
+      const isContinuation = parsed.text.trim() === '' || parsed.text.trim() === CONTINUATION_SYLLABLE;
+      const syllable = isContinuation ? CONTINUATION_SYLLABLE : parsed.text.trim().replace(/~/g, '');
+      // Charts mark word boundaries with a space before the word's first syllable or after its last one
+      const startsWord = !isContinuation && (words.length === 0 || previousEndsWord || /^\s/.test(parsed.text));
+      if (!isContinuation) previousEndsWord = /\s$/.test(parsed.text);
+
+      if (startsWord) {
+        words.push({ text: syllable, start: parsed.start, end: parsed.end });
+      } else if (words.length > 0) {
+        const word = words[words.length - 1];
+        if (!isContinuation) word.text += syllable;
+        word.end = parsed.end;
+      }
+
+      const midi = parsed.type === 'freestyle' ? null : ULTRASTAR_PITCH_ORIGIN + parsed.pitch;
+      notes.push({
+        start: Number(parsed.start.toFixed(3)),
+        end: Number(parsed.end.toFixed(3)),
+        targetPitch: midi === null ? null : Math.round(midiToFrequency(midi)),
+        midi,
+        cents: midi === null ? null : 0,
+        duration: Number((parsed.end - parsed.start).toFixed(3)),
+        type: parsed.type,
+        ...(words.length > 0 ? { segmentIndex, wordIndex: words.length - 1, syllable } : {}),
+      });
+    }
+
+    if (words.length === 0) continue; // Line without lyrics - its notes stay unlinked
+    segments.push({
+      text: words.map(word => word.text).join(' '),
+      start: Number(words[0].start.toFixed(3)),
+      end: Number(words[words.length - 1].end.toFixed(3)),
+      words: words.map(word => ({ text: word.text, start: Number(word.start.toFixed(3)), end: Number(word.end.toFixed(3)) })),
+    });
+  }
+
+  if (notes.length === 0) {
+    throw new Error(duet ? `UltraStar chart has no notes for player ${player}` : 'UltraStar chart has no notes');
+  }
+
+  return {
+    title: headers.TITLE || null,
+    artist: headers.ARTIST || null,
+    genre: headers.GENRE || null,
+    language: headers.LANGUAGE || null,
+    segments,
+    notes: notes.sort((a, b) => a.start - b.start),
+    lyrics: segments.map(segment => segment.text).join('\n'),
+    duet,
+  };
+}
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { exportUltraStar, parseUltraStar } from './ultrastar.js';
+
+// Two lines on the exported beat grid (120 BPM is written as #BPM:240, 0.0625s beats), with a
+// two-syllable word, a held syllable and a golden note
+const song = {
+  title: 'Test Song',
+  artist: 'Test Artist',
+  youtube_id: 'abc123',
+  bpm: 120,
+  segments: [
+    { text: 'Hello world', start: 1, end: 2, words: [{ text: 'Hello', start: 1, end: 1.5 }, { text: 'world', start: 1.5, end: 2 }] },
+    { text: 'Sing on', start: 3, end: 4, words: [{ text: 'Sing', start: 3, end: 3.5 }, { text: 'on', start: 3.5, end: 4 }] },
+  ],
+  notes: [
+    { start: 1, end: 1.25, midi: 60, type: 'normal', segmentIndex: 0, wordIndex: 0, syllable: 'Hel' },
+    { start: 1.25, end: 1.5, midi: 62, type: 'normal', segmentIndex: 0, wordIndex: 0, syllable: 'lo' },
+    { start: 1.5, end: 2, midi: 64, type: 'golden', segmentIndex: 0, wordIndex: 1, syllable: 'world' },
+    { start: 3, end: 3.5, midi: 65, type: 'normal', segmentIndex: 1, wordIndex: 0, syllable: 'Sing' },
+    { start: 3.5, end: 3.75, midi: 67, type: 'normal', segmentIndex: 1, wordIndex: 1, syllable: 'on' },
+    { start: 3.75, end: 4, midi: 65, type: 'normal', segmentIndex: 1, wordIndex: 1, syllable: '~' },
+  ],
+};
+
+test('exported charts parse back to the same notes and lyric lines', () => {
+  const parsed = parseUltraStar(exportUltraStar(song));
+
+  assert.equal(parsed.title, 'Test Song');
+  assert.equal(parsed.artist, 'Test Artist');
+  assert.equal(parsed.duet, false);
+  assert.deepEqual(
+    parsed.notes.map(({ start, end, midi, type, segmentIndex, wordIndex, syllable }) => ({ start, end, midi, type, segmentIndex, wordIndex, syllable })),
+    song.notes.map(({ start, end, midi, type, segmentIndex, wordIndex, syllable }) => ({ start, end, midi, type, segmentIndex, wordIndex, syllable }))
+  );
+  assert.deepEqual(parsed.segments, song.segments);
+  assert.equal(parsed.lyrics, 'Hello world\nSing on');
+});
+
+test('the header sets the tempo and puts the first note on the gap', () => {
+  const text = exportUltraStar(song);
+  assert.match(text, /^#BPM:240$/m);
+  assert.match(text, /^#GAP:1000$/m);
+  assert.match(text, /^#COMMENT:https:\/\/www\.youtube\.com\/watch\?v=abc123$/m);
+  assert.match(text, /^: 0 4 0 Hel$/m);
+  assert.match(text, /^- 16$/m);
+  assert.match(text, /\nE\n$/);
+});
+
+test('an offset shifts every parsed note', () => {
+  const parsed = parseUltraStar(exportUltraStar(song), { offset: 0.5 });
+  assert.deepEqual(parsed.notes.map(note => note.start), song.notes.map(note => note.start + 0.5));
+});
+
+test('duets are read one player at a time, with parts for both', () => {
+  const text = [
+    '#TITLE:Duet',
+    '#BPM:300',
+    '#GAP:0',
+    'P1',
+    ': 0 4 0 One',
+    'P2',
+    ': 8 4 2 Two',
+    'P3',
+    ': 16 4 4 Both',
+    'E',
+  ].join('\n');
+
+  assert.deepEqual(parseUltraStar(text).segments.map(segment => segment.text), ['One', 'Both']);
+  assert.deepEqual(parseUltraStar(text, { player: 2 }).segments.map(segment => segment.text), ['Two', 'Both']);
+  assert.equal(parseUltraStar(text).duet, true);
+});
+
+test('relative charts restart their beats at every line break', () => {
+  const parsed = parseUltraStar('#BPM:300\n#GAP:0\n#RELATIVE:yes\n: 0 4 0 A\n- 8 10\n: 0 4 0 B\nE\n');
+  assert.deepEqual(parsed.notes.map(note => note.start), [0, 0.5]);
+});
+
+test('freestyle and rap notes have no pitch', () => {
+  const parsed = parseUltraStar('#BPM:300\n#GAP:0\nF 0 4 0 Hey\nR 4 4 0 yo\nE\n');
+  assert.deepEqual(parsed.notes.map(note => [note.type, note.midi, note.targetPitch]), [['freestyle', null, null], ['freestyle', null, null]]);
+});
+
+test('charts without a tempo or notes are rejected', () => {
+  assert.throws(() => parseUltraStar('#TITLE:No tempo\n: 0 4 0 A\nE\n'), /no valid #BPM/);
+  assert.throws(() => parseUltraStar('#BPM:300\nE\n'), /has no notes/);
+  assert.throws(() => exportUltraStar({ segments: [], notes: [] }), /no notes to export/);
+});
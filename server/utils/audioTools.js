@@ -0,0 +1,259 @@
+import { exec } from "child_process";
+import { promisify } from "util";
+import { tmpdir } from "os";
+import { join } from "path";
+import fs from "fs";
+import { getToolPaths, setupTools } from "./downloadTools.js";
+
+const execAsync = promisify(exec);
+
+// Cache the tool paths
+let toolPaths = null;
+
+// Initialize tools on first use
+async function initializeTools() {
+  if (toolPaths) return toolPaths;
+
+  // Try to get existing tools
+  toolPaths = getToolPaths();
+
+  // If tools don't exist, try to download them (Windows only for now)
+  if (!toolPaths.ytDlp || (process.platform === 'win32' && !toolPaths.ffmpeg)) {
+    console.log('🔧 Setting up tools automatically...');
+    try {
+      const downloaded = await setupTools();
+      toolPaths = downloaded;
+    } catch (err) {
+      console.warn(`⚠️ Auto-setup failed (${err.message}), trying system PATH...`);
+      // Fall back to PATH
+      toolPaths = {
+        ytDlp: null, // Will try PATH
+        ffmpeg: process.platform === 'win32' ? null : 'ffmpeg',
+      };
+    }
+  }
+
+  return toolPaths;
+}
+
+// Helper to find yt-dlp command
+export async function findYtDlpCommand() {
+  await initializeTools();
+
+  // First try local tools
+  if (toolPaths.ytDlp && fs.existsSync(toolPaths.ytDlp)) {
+    return toolPaths.ytDlp;
+  }
+
+  // Fall back to PATH
+  const commands = process.platform === 'win32'
+    ? ['yt-dlp.exe', 'yt-dlp', 'python -m yt_dlp']
+    : ['yt-dlp', 'python3 -m yt_dlp', 'python -m yt_dlp'];
+
+  for (const cmd of commands) {
+    try {
+      await execAsync(`${cmd} --version`);
+      return cmd;
+    } catch {
+      continue;
+    }
+  }
+
+  throw new Error(
+    'yt-dlp not found! Run the server once to auto-download, or install manually:\n' +
+    'Windows: Download from https://github.com/yt-dlp/yt-dlp/releases\n' +
+    'macOS: brew install yt-dlp\n' +
+    'Linux: sudo pip install yt-dlp'
+  );
+}
+
+// Helper to find ffmpeg command
+export async function findFfmpegCommand() {
+  await initializeTools();
+
+  // First try local tools (Windows)
+  if (toolPaths.ffmpeg && fs.existsSync(toolPaths.ffmpeg)) {
+    return toolPaths.ffmpeg;
+  }
+
+  // Fall back to PATH
+  const cmd = process.platform === 'win32' ? 'ffmpeg.exe' : 'ffmpeg';
+  try {
+    await execAsync(`${cmd} -version`);
+    return cmd;
+  } catch {
+    throw new Error(
+      'ffmpeg not found! Run the server once to auto-download (Windows), or install manually:\n' +
+      'Windows: https://www.gyan.dev/ffmpeg/builds/\n' +
+      'macOS: brew install ffmpeg\n' +
+      'Linux: sudo apt install ffmpeg'
+    );
+  }
+}
+
+// Helper function to retry file operations on Windows
+export async function retryFileOperation(operation, maxRetries = 5, delay = 200) {
+  for (let i = 0; i < maxRetries; i++) {
+    try {
+      return await operation();
+    } catch (err) {
+      const isFileLocked = err.message.includes('being used by another process') ||
+        err.message.includes('EACCES') ||
+        err.message.includes('EBUSY');
+
+      if (isFileLocked && i < maxRetries - 1) {
+        console.log(`⚠️ File locked, retrying in ${delay}ms... (attempt ${i + 1}/${maxRetries})`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        delay *= 1.5; // Exponential backoff
+        continue;
+      }
+      throw err;
+    }
+  }
+}
+
+// Helper function to compress audio if it exceeds Whisper's 25 MB limit
+export async function ensureAudioSizeLimit(audioBuffer, maxSizeBytes = 24.5 * 1024 * 1024) {
+  const currentSize = audioBuffer.length;
+  const maxSizeMB = (maxSizeBytes / 1024 / 1024).toFixed(2);
+  const currentSizeMB = (currentSize / 1024 / 1024).toFixed(2);
+  
+  if (currentSize <= maxSizeBytes) {
+    console.log(`✅ [SIZE CHECK] Audio size OK: ${currentSizeMB}MB (limit: ${maxSizeMB}MB)`);
+    return audioBuffer;
+  }
+
+  const overage = currentSize - maxSizeBytes;
+  const overageMB = (overage / 1024 / 1024).toFixed(2);
+  console.warn(`⚠️ [SIZE CHECK] Audio too large: ${currentSizeMB}MB (${overageMB}MB over limit of ${maxSizeMB}MB), compressing...`);
+  
+  // Write buffer to temp file
+  const tempInput = join(tmpdir(), `compress-input-${Date.now()}-${Math.random().toString(36).substring(2, 9)}.wav`);
+  const tempOutput = join(tmpdir(), `compress-output-${Date.now()}-${Math.random().toString(36).substring(2, 9)}.wav`);
+
+  try {
+    // Write original audio to temp file
+    await retryFileOperation(async () => {
+      fs.writeFileSync(tempInput, audioBuffer);
+    });
+
+    const ffmpegCmd = await findFfmpegCommand();
+    
+    // Calculate target sample rate based on current size
+    // Use 24.5 MB as safe limit (0.5 MB buffer)
+    const sizeRatio = currentSize / maxSizeBytes;
+    let targetSampleRate = 16000;
+    
+    // For files even slightly over, reduce sample rate proportionally
+    // Calculate needed reduction: if file is X% over, reduce sample rate by similar %
+    if (sizeRatio > 1.3) {
+      targetSampleRate = 8000; // Very aggressive for files >30% over
+      console.log(`   → [COMPRESS] Using 8kHz sample rate (file is ${(sizeRatio * 100).toFixed(1)}% over limit)`);
+    } else if (sizeRatio > 1.1) {
+      targetSampleRate = 12000; // Moderate reduction for files 10-30% over
+      console.log(`   → [COMPRESS] Using 12kHz sample rate (file is ${(sizeRatio * 100).toFixed(1)}% over limit)`);
+    } else {
+      // For small overages (1-10%), use 14kHz to reduce just enough
+      targetSampleRate = 14000;
+      console.log(`   → [COMPRESS] Using 14kHz sample rate (file is ${(sizeRatio * 100).toFixed(1)}% over limit)`);
+    }
+
+    // Recompress with lower sample rate
+    await execAsync(
+      `"${ffmpegCmd}" -y -i "${tempInput}" -ac 1 -ar ${targetSampleRate} -acodec pcm_s16le -f wav "${tempOutput}"`
+    );
+
+    // Wait for file to be written
+    await new Promise(resolve => setTimeout(resolve, 200));
+
+    // Read compressed audio
+    let compressedBuffer = await retryFileOperation(async () => {
+      return fs.readFileSync(tempOutput);
+    });
+
+    let newSize = compressedBuffer.length;
+    const newSizeMB = (newSize / 1024 / 1024).toFixed(2);
+    const reduction = ((1 - newSize / currentSize) * 100).toFixed(1);
+    console.log(`   ✅ [COMPRESS] Compressed to ${newSizeMB}MB (${reduction}% reduction)`);
+
+    // If still too large, try progressively lower sample rates
+    const sampleRates = [12000, 10000, 8000];
+    for (const rate of sampleRates) {
+      if (newSize <= maxSizeBytes) break;
+      if (rate >= targetSampleRate) continue; // Skip if we already tried this rate
+      
+      console.warn(`   ⚠️ [COMPRESS] Still too large (${newSizeMB}MB), trying ${rate}Hz...`);
+      await execAsync(
+        `"${ffmpegCmd}" -y -i "${tempInput}" -ac 1 -ar ${rate} -acodec pcm_s16le -f wav "${tempOutput}"`
+      );
+      await new Promise(resolve => setTimeout(resolve, 200));
+      compressedBuffer = await retryFileOperation(async () => {
+        return fs.readFileSync(tempOutput);
+      });
+      newSize = compressedBuffer.length;
+      console.log(`   → [COMPRESS] Now ${(newSize / 1024 / 1024).toFixed(2)}MB`);
+    }
+
+    // Final check
+    if (newSize > maxSizeBytes) {
+      console.error(`   ❌ [COMPRESS] Cannot compress below limit. Final size: ${(newSize / 1024 / 1024).toFixed(2)}MB`);
+      throw new Error(`Audio file too large even after compression: ${(newSize / 1024 / 1024).toFixed(2)}MB (limit: ${maxSizeMB}MB)`);
+    }
+
+    console.log(`   ✅ [COMPRESS] Final size: ${(newSize / 1024 / 1024).toFixed(2)}MB (under limit)`);
+
+    // Clean up temp files
+    try {
+      if (fs.existsSync(tempInput)) fs.unlinkSync(tempInput);
+      if (fs.existsSync(tempOutput)) fs.unlinkSync(tempOutput);
+    } catch (cleanupErr) {
+      console.warn(`⚠️ Failed to cleanup temp compression files: ${cleanupErr.message}`);
+    }
+
+    return compressedBuffer;
+
+  } catch (err) {
+    // Clean up on error
+    try {
+      if (fs.existsSync(tempInput)) fs.unlinkSync(tempInput);
+      if (fs.existsSync(tempOutput)) fs.unlinkSync(tempOutput);
+    } catch {
+      // Ignore cleanup errors
+    }
+    
+    console.error(`❌ [COMPRESS] Compression failed: ${err.message}`);
+    throw new Error(`Failed to compress audio: ${err.message}`);
+  }
+}
+
+// Convert an audio file (mp3/flac/wav/...) into the 16kHz mono WAV the pipeline works on
+export async function convertToWavBuffer(inputBuffer, extension) {
+  const id = `${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
+  const tempInput = join(tmpdir(), `convert-input-${id}.${extension}`);
+  const tempOutput = join(tmpdir(), `convert-output-${id}.wav`);
+
+  try {
+    await retryFileOperation(async () => {
+      fs.writeFileSync(tempInput, inputBuffer);
+    });
+
+    const ffmpegCmd = await findFfmpegCommand();
+    await execAsync(
+      `"${ffmpegCmd}" -y -i "${tempInput}" -ac 1 -ar 16000 -f wav "${tempOutput}"`
+    );
+
+    return await retryFileOperation(async () => {
+      return fs.readFileSync(tempOutput);
+    });
+  } catch (err) {
+    throw new Error(`Audio conversion failed: ${err.message}`);
+  } finally {
+    for (const filePath of [tempInput, tempOutput]) {
+      try {
+        if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+      } catch (cleanupErr) {
+        console.warn(`⚠️ Failed to cleanup ${filePath}:`, cleanupErr.message);
+      }
+    }
+  }
+}
@@ -0,0 +1,155 @@
+import fs from "fs";
+
+/**
+ * Streaming WAV decoder: reads the header, then decodes the audio a block at a time,
+ * so analysing an hour-long recording takes the same memory as a three-minute one.
+ * Sources can be a Buffer or a file path (files are read with a fixed-size buffer, never loaded whole).
+ * Supports PCM 8/16/24/32-bit, IEEE float 32/64-bit, WAVE_FORMAT_EXTENSIBLE and RF64.
+ */
+
+const DEFAULT_BLOCK_FRAMES = 65536; // Sample frames decoded per block (~1.5s at 44.1kHz)
+
+const FORMAT_PCM = 1;
+const FORMAT_FLOAT = 3;
+const FORMAT_EXTENSIBLE = 0xfffe;
+const UNKNOWN_SIZE = 0xffffffff; // Written by encoders streaming to a pipe, and by RF64 files
+
+// Random access to the source bytes, the same way for buffers and files
+function openSource(source) {
+  if (Buffer.isBuffer(source)) {
+    return {
+      size: source.length,
+      read: (position, length) => source.subarray(position, Math.min(source.length, position + length)),
+      close: () => {},
+    };
+  }
+
+  const fd = fs.openSync(source, 'r');
+  let scratch = Buffer.alloc(0);
+  return {
+    size: fs.fstatSync(fd).size,
+    read: (position, length) => {
+      if (scratch.length < length) scratch = Buffer.alloc(length);
+      const bytesRead = fs.readSync(fd, scratch, 0, length, position);
+      return scratch.subarray(0, bytesRead);
+    },
+    close: () => fs.closeSync(fd),
+  };
+}
+
+// Per-sample decoder for a format/bit depth, returning -1..1
+function sampleDecoder(format, bitDepth) {
+  if (format === FORMAT_PCM) {
+    if (bitDepth === 8) return (bytes, offset) => (bytes[offset] - 128) / 128;
+    if (bitDepth === 16) return (bytes, offset) => bytes.readInt16LE(offset) / 32768;
+    if (bitDepth === 24) return (bytes, offset) => bytes.readIntLE(offset, 3) / 8388608;
+    if (bitDepth === 32) return (bytes, offset) => bytes.readInt32LE(offset) / 2147483648;
+  }
+  if (format === FORMAT_FLOAT) {
+    if (bitDepth === 32) return (bytes, offset) => bytes.readFloatLE(offset);
+    if (bitDepth === 64) return (bytes, offset) => bytes.readDoubleLE(offset);
+  }
+  throw new Error(`Unsupported WAV encoding (format ${format}, ${bitDepth}-bit)`);
+}
+
+// Walk the RIFF chunks up to the audio data
+function readHeader(source) {
+  const riff = source.read(0, 12);
+  const container = riff.toString('ascii', 0, 4);
+  if (riff.length < 12 || (container !== 'RIFF' && container !== 'RF64') || riff.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Not a WAV file');
+  }
+
+  let fmt = null;
+  let rf64DataSize = null;
+  let position = 12;
+  while (position + 8 <= source.size) {
+    const chunk = Buffer.from(source.read(position, 8)); // Copied: file reads reuse their buffer
+    const id = chunk.toString('ascii', 0, 4);
+    const size = chunk.readUInt32LE(4);
+    const body = position + 8;
+
+    if (id === 'ds64') {
+      const ds64 = source.read(body, 16);
+      rf64DataSize = Number(ds64.readBigUInt64LE(8));
+    } else if (id === 'fmt ') {
+      const fields = Buffer.from(source.read(body, Math.min(size, 40)));
+      let format = fields.readUInt16LE(0);
+      if (format === FORMAT_EXTENSIBLE && fields.length >= 26) format = fields.readUInt16LE(24); // Sub-format GUID starts with the format code
+      fmt = {
+        format,
+        numChannels: fields.readUInt16LE(2),
+        sampleRate: fields.readUInt32LE(4),
+        blockAlign: fields.readUInt16LE(12),
+        bitDepth: fields.readUInt16LE(14),
+      };
+    } else if (id === 'data') {
+      if (!fmt) throw new Error('WAV data chunk comes before its format chunk');
+      if (!fmt.numChannels || fmt.blockAlign !== fmt.numChannels * fmt.bitDepth / 8) throw new Error('WAV format chunk is corrupt');
+      // Unknown or oversized lengths (streamed encodes, RF64) run to the end of the source
+      let dataSize = container === 'RF64' && rf64DataSize !== null ? rf64DataSize : size;
+      if (dataSize === UNKNOWN_SIZE || dataSize === 0 || body + dataSize > source.size) dataSize = source.size - body;
+      return { ...fmt, dataOffset: body, dataSize: dataSize - (dataSize % fmt.blockAlign) };
+    }
+
+    position = body + size + (size % 2); // Chunks are padded to an even length
+  }
+
+  throw new Error('WAV file has no audio data');
+}
+
+/**
+ * Open a WAV for streaming. Call close() when done with it (file sources hold a descriptor).
+ * @param {Buffer|string} source - WAV bytes or a path to a WAV file
+ * @returns {{sampleRate: number, numChannels: number, bitDepth: number, frameCount: number,
+ *   readBlocks: (blockFrames?: number) => Generator<Float32Array>, close: () => void}}
+ *   readBlocks yields the audio as mono blocks (channels averaged, -1..1); it can be called again to re-read from the start
+ */
+export function openWav(source) {
+  const input = openSource(source);
+  let header;
+  try {
+    header = readHeader(input);
+  } catch (error) {
+    input.close();
+    throw error;
+  }
+
+  const { format, numChannels, sampleRate, blockAlign, bitDepth, dataOffset, dataSize } = header;
+  const decode = sampleDecoder(format, bitDepth);
+  const bytesPerSample = bitDepth / 8;
+  let closed = false;
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    input.close();
+  };
+
+  function* readBlocks(blockFrames = DEFAULT_BLOCK_FRAMES) {
+    if (closed) throw new Error('WAV source is closed');
+    for (let position = 0; position < dataSize; position += blockFrames * blockAlign) {
+      const bytes = input.read(dataOffset + position, Math.min(blockFrames * blockAlign, dataSize - position));
+      const frames = Math.floor(bytes.length / blockAlign);
+      if (frames === 0) return; // Source is shorter than its header says
+      const block = new Float32Array(frames);
+      for (let frame = 0; frame < frames; frame++) {
+        let sum = 0;
+        for (let channel = 0; channel < numChannels; channel++) {
+          sum += decode(bytes, frame * blockAlign + channel * bytesPerSample);
+        }
+        block[frame] = sum / numChannels;
+      }
+      yield block;
+    }
+  }
+
+  return {
+    sampleRate,
+    numChannels,
+    bitDepth,
+    frameCount: Math.floor(dataSize / blockAlign),
+    readBlocks,
+    close,
+  };
+}
@@ -0,0 +1,131 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { openWav } from './wavReader.js';
+
+// Sample encoders: [format, bitDepth, write(value -1..1) -> Buffer]
+const ENCODINGS = {
+  pcm8: [1, 8, value => Buffer.from([Math.round(value * 127) + 128])],
+  pcm16: [1, 16, (value) => { const bytes = Buffer.alloc(2); bytes.writeInt16LE(Math.round(value * 32767)); return bytes; }],
+  pcm24: [1, 24, (value) => { const bytes = Buffer.alloc(3); bytes.writeIntLE(Math.round(value * 8388607), 0, 3); return bytes; }],
+  pcm32: [1, 32, (value) => { const bytes = Buffer.alloc(4); bytes.writeInt32LE(Math.round(value * 2147483647)); return bytes; }],
+  float32: [3, 32, (value) => { const bytes = Buffer.alloc(4); bytes.writeFloatLE(value); return bytes; }],
+  float64: [3, 64, (value) => { const bytes = Buffer.alloc(8); bytes.writeDoubleLE(value); return bytes; }],
+};
+
+function chunk(id, body) {
+  const header = Buffer.alloc(8);
+  header.write(id, 0, 'ascii');
+  header.writeUInt32LE(body.length, 4);
+  return Buffer.concat([header, body, Buffer.alloc(body.length % 2)]);
+}
+
+// WAV file of the given frames ([left, right] per frame for stereo)
+function encodeWav(frames, { encoding = 'pcm16', sampleRate = 8000, extensible = false, extraChunks = [], dataSize } = {}) {
+  const [format, bitDepth, write] = ENCODINGS[encoding];
+  const numChannels = frames[0].length;
+  const blockAlign = numChannels * bitDepth / 8;
+
+  const fmt = Buffer.alloc(extensible ? 40 : 16);
+  fmt.writeUInt16LE(extensible ? 0xfffe : format, 0);
+  fmt.writeUInt16LE(numChannels, 2);
+  fmt.writeUInt32LE(sampleRate, 4);
+  fmt.writeUInt32LE(sampleRate * blockAlign, 8);
+  fmt.writeUInt16LE(blockAlign, 12);
+  fmt.writeUInt16LE(bitDepth, 14);
+  if (extensible) {
+    fmt.writeUInt16LE(22, 16);
+    fmt.writeUInt16LE(format, 24); // Sub-format GUID
+  }
+
+  const data = chunk('data', Buffer.concat(frames.flatMap(frame => frame.map(write))));
+  if (dataSize !== undefined) data.writeUInt32LE(dataSize, 4);
+  const body = Buffer.concat([Buffer.from('WAVE'), chunk('fmt ', fmt), ...extraChunks, data]);
+  return Buffer.concat([Buffer.from('RIFF'), Buffer.from(Uint32Array.of(body.length).buffer), body]);
+}
+
+function readAll(wav, blockFrames) {
+  return [...wav.readBlocks(blockFrames)].flatMap(block => [...block]);
+}
+
+function assertSamples(actual, expected, tolerance) {
+  assert.equal(actual.length, expected.length);
+  actual.forEach((sample, index) => {
+    assert.ok(Math.abs(sample - expected[index]) <= tolerance, `sample ${index}: ${sample} != ${expected[index]}`);
+  });
+}
+
+const ramp = Array.from({ length: 100 }, (_, index) => (index - 50) / 64);
+
+test('every supported encoding decodes back to the samples it was written from', () => {
+  for (const [encoding, tolerance] of [['pcm8', 0.01], ['pcm16', 1e-4], ['pcm24', 1e-6], ['pcm32', 1e-6], ['float32', 1e-7], ['float64', 0]]) {
+    const wav = openWav(encodeWav(ramp.map(value => [value]), { encoding }));
+    assert.equal(wav.frameCount, ramp.length, encoding);
+    assert.equal(wav.bitDepth, ENCODINGS[encoding][1]);
+    assertSamples(readAll(wav), ramp, tolerance);
+    wav.close();
+  }
+});
+
+test('stereo is averaged to mono', () => {
+  const wav = openWav(encodeWav([[0.5, -0.5], [1, 0], [0.25, 0.25]], { encoding: 'float32' }));
+  assert.equal(wav.numChannels, 2);
+  assert.deepEqual(readAll(wav), [0, 0.5, 0.25]);
+});
+
+test('blocks split the audio and can be read again from the start', () => {
+  const wav = openWav(encodeWav(ramp.map(value => [value]), { encoding: 'float32' }));
+  assert.deepEqual([...wav.readBlocks(30)].map(block => block.length), [30, 30, 30, 10]);
+  assert.deepEqual(readAll(wav, 30), readAll(wav, 64));
+  wav.close();
+  assert.throws(() => readAll(wav), /closed/);
+});
+
+test('files are read from disk the same as buffers', () => {
+  const buffer = encodeWav(ramp.map(value => [value, -value]), { sampleRate: 44100 });
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'wav-reader-'));
+  const file = path.join(directory, 'test.wav');
+  try {
+    fs.writeFileSync(file, buffer);
+    const fromFile = openWav(file);
+    const fromBuffer = openWav(buffer);
+    assert.equal(fromFile.sampleRate, 44100);
+    assert.deepEqual(readAll(fromFile, 16), readAll(fromBuffer, 16));
+    fromFile.close();
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('extensible formats, odd-sized chunks before the data and unknown data sizes are read', () => {
+  const wav = openWav(encodeWav(ramp.map(value => [value]), {
+    encoding: 'float32',
+    extensible: true,
+    extraChunks: [chunk('LIST', Buffer.from('odd'))],
+    dataSize: 0xffffffff,
+  }));
+  assert.equal(wav.frameCount, ramp.length);
+  assertSamples(readAll(wav), ramp, 1e-7);
+});
+
+test('RF64 files take their data size from the ds64 chunk', () => {
+  const riff = encodeWav(ramp.map(value => [value]), { encoding: 'float32', dataSize: 0xffffffff });
+  const ds64 = Buffer.alloc(28);
+  ds64.writeBigUInt64LE(BigInt(40 * 4), 8); // Only the first 40 frames
+  const rf64 = Buffer.concat([Buffer.from('RF64'), riff.subarray(4, 12), chunk('ds64', ds64), riff.subarray(12)]);
+
+  const wav = openWav(rf64);
+  assert.equal(wav.frameCount, 40);
+  assertSamples(readAll(wav), ramp.slice(0, 40), 1e-7);
+});
+
+test('files that are not readable WAVs are rejected', () => {
+  assert.throws(() => openWav(Buffer.from('not a wav file at all')), /Not a WAV file/);
+  assert.throws(() => openWav(Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('WAVE')])), /no audio data/);
+
+  const adpcm = encodeWav([[0]]);
+  adpcm.writeUInt16LE(2, 20); // Format 2 (MS ADPCM)
+  assert.throws(() => openWav(adpcm), /Unsupported WAV encoding/);
+});
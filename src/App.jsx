@@ -11,6 +11,7 @@ import Signup from './pages/Signup';
 import AuthCallback from './pages/AuthCallback';
 import SongErrorPage from './pages/SongErrorPage';
 import Profile from './pages/Profile';
+import UploadSongPage from './pages/UploadSongPage';
 import SongLoadingIndicator from './components/SongLoadingIndicator';
 import './App.css';
 
@@ -31,6 +32,7 @@ function App() {
               <Route path="/auth/callback" element={<AuthCallback />} />
               <Route path="/song-error" element={<SongErrorPage />} />
               <Route path="/profile" element={<Profile />} />
+              <Route path="/upload" element={<UploadSongPage />} />
 
             </Routes>
           </main>
@@ -0,0 +1,74 @@
+import { useEffect, useRef } from 'react';
+
+// YouTube IFrame API player states, so Game can drive an <audio> element the same way it drives YouTube
+const PLAYER_STATE = {
+  ENDED: 0,
+  PLAYING: 1,
+  PAUSED: 2,
+  BUFFERING: 3,
+};
+
+/**
+ * HTML5 audio player for uploaded songs, with the same props and event shapes as react-youtube
+ * (onReady / onStateChange / onError receive { target: player, data }).
+ */
+export default function AudioFilePlayer({ src, onReady, onStateChange, onError, className }) {
+  const audioRef = useRef(null);
+  const handlersRef = useRef({ onReady, onStateChange, onError });
+
+  // Keep the latest handlers without re-binding the audio listeners
+  useEffect(() => {
+    handlersRef.current = { onReady, onStateChange, onError };
+  }, [onReady, onStateChange, onError]);
+
+  useEffect(() => {
+    const audio = audioRef.current;
+    if (!audio) return;
+
+    // The subset of the YouTube player API that Game uses
+    const player = {
+      playVideo: () => {
+        audio.play().catch(error => console.error('Error playing audio:', error));
+      },
+      pauseVideo: () => audio.pause(),
+      seekTo: (seconds) => {
+        audio.currentTime = seconds;
+      },
+      getCurrentTime: () => audio.currentTime,
+      getDuration: () => (Number.isFinite(audio.duration) ? audio.duration : 0),
+      getPlayerState: () => {
+        if (audio.ended) return PLAYER_STATE.ENDED;
+        return audio.paused ? PLAYER_STATE.PAUSED : PLAYER_STATE.PLAYING;
+      },
+      // Game checks the player's iframe exists (and has a src) before playing
+      getIframe: () => audio,
+    };
+
+    const emitState = (state) => handlersRef.current.onStateChange?.({ data: state, target: player });
+
+    const listeners = {
+      loadedmetadata: () => handlersRef.current.onReady?.({ target: player }),
+      playing: () => emitState(PLAYER_STATE.PLAYING),
+      pause: () => {
+        // The end of the track also fires "pause" - report it as ENDED only
+        if (!audio.ended) emitState(PLAYER_STATE.PAUSED);
+      },
+      waiting: () => emitState(PLAYER_STATE.BUFFERING),
+      ended: () => emitState(PLAYER_STATE.ENDED),
+      error: () => handlersRef.current.onError?.({ data: audio.error?.code, target: player }),
+    };
+
+    Object.entries(listeners).forEach(([event, listener]) => audio.addEventListener(event, listener));
+    // A cached file can have its metadata before the listeners are attached - loadedmetadata won't come again
+    if (audio.readyState >= HTMLMediaElement.HAVE_METADATA) listeners.loadedmetadata();
+    return () => {
+      Object.entries(listeners).forEach(([event, listener]) => audio.removeEventListener(event, listener));
+    };
+  }, [src]);
+
+  return (
+    <div className={className}>
+      <audio ref={audioRef} src={src} preload="auto" />
+    </div>
+  );
+}
@@ -1,12 +1,21 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
 import YouTube from 'react-youtube';
+import AudioFilePlayer from './AudioFilePlayer';
+import { midiToHz, noteMidiAt, midiToNoteName, pitchAccuracy, formatKeyAndTempo } from '../utils/pitch';
 import Lyrics from './Lyrics';
 import PitchBars from './PitchBars';
 import ScoreDisplay from './ScoreDisplay'; // Import new optimizations
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || '/api';
 
-export default function Game({ videoId, segments, lyrics, notes, firstVerseStartTime, user, onBack }) {
+// Scoring by note type
+const VOICE_ACTIVE_VOLUME = 0.5; // Mic volume (%) that counts as singing
+const GOLDEN_NOTE_MULTIPLIER = 2; // Golden notes are worth double
+const FREESTYLE_POINTS_PER_SECOND = 8000; // Freestyle notes score voice activity, not pitch...
+const FREESTYLE_ONSET_BONUS = 300; // ...plus a bonus for starting on the beat
+const FREESTYLE_ONSET_WINDOW = 0.15; // Seconds after a freestyle note starts that still count as on the beat
+
+export default function Game({ videoId, audioUrl, segments, lyrics, notes, firstVerseStartTime, musicInfo, pitchContour, user, onBack }) {
   const [player, setPlayer] = useState(null);
   const [currentTime, setCurrentTime] = useState(0);
   const [duration, setDuration] = useState(0);
@@ -16,11 +25,15 @@ export default function Game({ videoId, segments, lyrics, notes, firstVerseStart
   const [score, setScore] = useState(0);
   const displayScoreRef = useRef(0); // Ref for the visual counter
   const [isPlaying, setIsPlaying] = useState(false);
-  const [gameState, setGameState] = useState('loading'); // 'loading', 'countdown', 'playing', 'paused', 'ended', 'buffering'
+  const [gameState, setGameState] = useState('loading'); // 'loading', 'countdown', 'playing', 'paused', 'ended', 'buffering', 'error'
   const [countdown, setCountdown] = useState(3);
   const [isMicActive, setIsMicActive] = useState(false);
+  const [showSingerPitch, setShowSingerPitch] = useState(true); // Overlay the original singer's pitch contour
   const [isBuffering, setIsBuffering] = useState(false);
   const [bufferRetryCount, setBufferRetryCount] = useState(0);
+  const [audioSrc, setAudioSrc] = useState(audioUrl); // Uploaded songs' signed URL, replaced when it expires
+  const [playbackError, setPlaybackError] = useState(null); // Why the song can't be played (shown instead of the game)
+  const audioRetriedRef = useRef(false); // Already fetched a fresh signed URL since the audio last played
 
   // Custom timer refs
   const playbackStartTimeRef = useRef(null);
@@ -154,6 +167,7 @@ export default function Game({ videoId, segments, lyrics, notes, firstVerseStart
   const notesRef = useRef([]);
   const scoreAccumulatorRef = useRef(0);
   const lastScoreUpdateRef = useRef(Date.now()); // Initialize to current time for immediate first update
+  const voiceActiveRef = useRef(false); // Whether the mic heard singing on the previous frame
 
   // Update ref when currentTime changes
   useEffect(() => {
@@ -174,6 +188,7 @@ export default function Game({ videoId, segments, lyrics, notes, firstVerseStart
       notes.forEach(note => {
         note._tracked = false;
         note._hit = false;
+        note._onsetScored = false;
       });
       notesTotalRef.current = 0;
       notesHitRef.current = 0;
@@ -249,6 +264,23 @@ export default function Game({ videoId, segments, lyrics, notes, firstVerseStart
 
   // Pitch detection loop
   const detectPitch = useCallback(() => {
+    const addPoints = (points) => {
+      scoreAccumulatorRef.current += points;
+      const now = Date.now();
+      if (now - lastScoreUpdateRef.current >= 16) {
+        const toAdd = scoreAccumulatorRef.current;
+        if (toAdd > 0) {
+          // DIRECTLY update the ref for instant visual feedback
+          displayScoreRef.current = Math.min((displayScoreRef.current || 0) + toAdd, 100000);
+          // Sync to React state less frequently (every 1s or on event) if needed, 
+          // but for now we trust the ref for display and flush to state on end
+          setScore(prev => Math.min(prev + toAdd, 100000));
+          scoreAccumulatorRef.current = 0;
+        }
+        lastScoreUpdateRef.current = now;
+      }
+    };
+
     try {
       if (!analyserRef.current || !dataArrayRef.current || !audioContextRef.current) {
         return;
@@ -383,65 +415,38 @@ export default function Game({ videoId, segments, lyrics, notes, firstVerseStart
         // Keep showing last pitch for smoother experience - don't clear it
       }
 
-      // ONLY award points if volume is sufficient (lowered threshold to 0.5% for sensitivity)
-      if (detectedFrequency && detectedFrequency > 0 && volumePercent > 0.5) {
-        const currentTimeValue = currentTimeRef.current;
-        const currentNotes = notesRef.current;
-
-        if (currentNotes && currentNotes.length > 0 && currentTimeValue) {
-          // Find active note (note that contains currentTime)
-          const activeNote = currentNotes.find(note =>
-            currentTimeValue >= note.start && currentTimeValue <= note.end
-          );
-
-          if (activeNote) {
-            // Multi-octave matching logic
-            const tolerance = 300; // Match PITCH_TOLERANCE in PitchBars
-            let bestDiff = Math.abs(detectedFrequency - activeNote.targetPitch);
-            let isOnTarget = bestDiff <= tolerance;
-
-            // Check octaves (-3 to +3)
-            for (let oct = -3; oct <= 3; oct++) {
-              if (oct === 0) continue;
-              const adjTarget = activeNote.targetPitch * Math.pow(2, oct);
-              const diff = Math.abs(detectedFrequency - adjTarget);
-              if (diff <= tolerance) {
-                isOnTarget = true;
-                if (diff < bestDiff) bestDiff = diff;
-              }
-            }
-
-            let accuracy = 0;
-            if (isOnTarget) {
-              accuracy = 1 - (bestDiff / tolerance);
-            } else {
-              const extendedTolerance = tolerance * 2;
-              if (bestDiff <= extendedTolerance) {
-                accuracy = 0.5 * (1 - (bestDiff - tolerance) / tolerance);
-              }
-            }
-
-
-
-            if (accuracy > 0) {
-              const basePointsPerSecond = 15000;
-              scoreAccumulatorRef.current += basePointsPerSecond * accuracy * 0.016;
-              const now = Date.now();
-              if (now - lastScoreUpdateRef.current >= 16) {
-                const toAdd = scoreAccumulatorRef.current;
-                if (toAdd > 0) {
-                  // DIRECTLY update the ref for instant visual feedback
-                  displayScoreRef.current = Math.min((displayScoreRef.current || 0) + toAdd, 100000);
-                  // Sync to React state less frequently (every 1s or on event) if needed, 
-                  // but for now we trust the ref for display and flush to state on end
-                  setScore(prev => Math.min(prev + toAdd, 100000));
-                  scoreAccumulatorRef.current = 0;
-                }
-                lastScoreUpdateRef.current = now;
-              }
-            }
+      const currentTimeValue = currentTimeRef.current;
+      const currentNotes = notesRef.current;
+      const voiceActive = volumePercent > VOICE_ACTIVE_VOLUME;
+      const wasVoiceActive = voiceActiveRef.current;
+      voiceActiveRef.current = voiceActive;
+
+      // Find active note (note that contains currentTime)
+      const activeNote = currentNotes && currentNotes.length > 0 && currentTimeValue
+        ? currentNotes.find(note => currentTimeValue >= note.start && currentTimeValue <= note.end)
+        : null;
+
+      if (activeNote?.type === 'freestyle') {
+        // Freestyle (rap/spoken) notes have no pitch to match - score singing through them,
+        // plus a bonus for coming in on the note's start
+        if (voiceActive) {
+          addPoints(FREESTYLE_POINTS_PER_SECOND * 0.016);
+          if (!wasVoiceActive && !activeNote._onsetScored && currentTimeValue - activeNote.start <= FREESTYLE_ONSET_WINDOW) {
+            activeNote._onsetScored = true;
+            addPoints(FREESTYLE_ONSET_BONUS);
           }
         }
+      } else if (activeNote && detectedFrequency && detectedFrequency > 0 && voiceActive) {
+        // ONLY award points if volume is sufficient (lowered threshold to 0.5% for sensitivity)
+        // Compare against the note's contour at this moment (glides, scoops), in any octave;
+        // vibrato notes allow for the singer's own vibrato
+        const { accuracy } = pitchAccuracy(detectedFrequency, activeNote, currentTimeValue);
+
+        if (accuracy > 0) {
+          const basePointsPerSecond = 15000;
+          const multiplier = activeNote.type === 'golden' ? GOLDEN_NOTE_MULTIPLIER : 1;
+          addPoints(basePointsPerSecond * multiplier * accuracy * 0.016);
+        }
       }
 
       // ALWAYS continue the loop if mic is active - don't stop even on low volume
@@ -650,6 +655,7 @@ export default function Game({ videoId, segments, lyrics, notes, firstVerseStart
 
     if (state === 1) { // PLAYING
       isPlayingRef.current = true;
+      audioRetriedRef.current = false;
       setIsPlaying(true);
       setIsBuffering(false);
       setBufferRetryCount(0);
@@ -713,8 +719,44 @@ export default function Game({ videoId, segments, lyrics, notes, firstVerseStart
     }
   };
 
+  // Uploaded audio reports MediaError codes: 1 aborted, 2 network, 3 decode, 4 source not supported.
+  // An expired signed URL (they last 6 hours) fails as a network or unsupported source error, so the
+  // file is tried once more with a fresh URL; anything else ends the game with a message
+  const handleAudioError = async (errorCode) => {
+    console.error('Audio player error:', errorCode);
+    const MEDIA_ERR_DECODE = 3;
+
+    if (errorCode !== MEDIA_ERR_DECODE && !audioRetriedRef.current) {
+      audioRetriedRef.current = true;
+      setGameState('loading');
+      try {
+        const response = await fetch(`${API_BASE_URL}/getSong?youtubeId=${encodeURIComponent(videoId)}`);
+        const data = response.ok ? await response.json() : null;
+        if (data?.audioUrl) {
+          console.log('🔄 Retrying with a fresh audio URL...');
+          setAudioSrc(data.audioUrl);
+          return;
+        }
+      } catch (err) {
+        console.error('Failed to refresh the audio URL:', err);
+      }
+    }
+
+    isPlayingRef.current = false;
+    setIsPlaying(false);
+    setIsBuffering(false);
+    setPlaybackError(errorCode === MEDIA_ERR_DECODE
+      ? "This song's audio file can't be played."
+      : "This song's audio couldn't be loaded. Check your connection and try again.");
+    setGameState('error');
+  };
+
   const handleError = (event) => {
     const errorCode = event.data;
+    if (audioUrl) {
+      handleAudioError(errorCode);
+      return;
+    }
     console.error('YouTube player error:', errorCode);
 
     // Error codes: https://developers.google.com/youtube/iframe_api_reference#Events
@@ -864,19 +906,32 @@ export default function Game({ videoId, segments, lyrics, notes, firstVerseStart
     }
   };
 
+  const musicLabel = formatKeyAndTempo(musicInfo || {});
+
   return (
     <div className="game-page">
       {/* Video Background */}
       <div className="game-video-background">
         <div className="video-overlay"></div>
-        <YouTube
-          videoId={videoId}
-          opts={opts}
-          onReady={handleReady}
-          onStateChange={handleStateChange}
-          onError={handleError}
-          className="game-youtube-player"
-        />
+        {audioUrl ? (
+          // Uploaded songs have no video - play the stored audio file instead
+          <AudioFilePlayer
+            src={audioSrc}
+            onReady={handleReady}
+            onStateChange={handleStateChange}
+            onError={handleError}
+            className="game-youtube-player"
+          />
+        ) : (
+          <YouTube
+            videoId={videoId}
+            opts={opts}
+            onReady={handleReady}
+            onStateChange={handleStateChange}
+            onError={handleError}
+            className="game-youtube-player"
+          />
+        )}
       </div>
 
       {/* Countdown Overlay */}
@@ -913,15 +968,29 @@ export default function Game({ videoId, segments, lyrics, notes, firstVerseStart
         </div>
       )}
 
+      {/* Playback Error Overlay */}
+      {gameState === 'error' && (
+        <div className="countdown-overlay game-over">
+          <div className="game-over-content">
+            <div className="game-over-title">Playback Failed</div>
+            <div className="countdown-text">{playbackError}</div>
+            <button onClick={onBack} className="play-again-button">
+              ← Back to Songs
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* Game Content Overlay */}
       <div className="game-content">
-        {/* Top Bar - Time only */}
+        {/* Top Bar - Time, plus key and tempo when detected */}
         <div className="game-top-bar">
           <div className="game-time-display">
             <span className="time-current">{formatTime(currentTime)}</span>
             <span className="time-separator">/</span>
             <span className="time-total">{formatTime(duration)}</span>
           </div>
+          {musicLabel && <div className="game-music-info">{musicLabel}</div>}
         </div>
 
         {/* Score - Top Left with Back Button */}
@@ -942,8 +1011,10 @@ export default function Game({ videoId, segments, lyrics, notes, firstVerseStart
             segments={segments}
             currentTime={currentTime}
             userPitch={userPitch}
+            voiceActive={volumeLevel > VOICE_ACTIVE_VOLUME}
             notes={notes}
             firstVerseStartTime={firstVerseStartTime}
+            pitchContour={showSingerPitch ? pitchContour : null}
           />
         </div>
 
@@ -951,6 +1022,7 @@ export default function Game({ videoId, segments, lyrics, notes, firstVerseStart
         <div className="game-lyrics-container">
           <Lyrics
             segments={segments}
+            notes={notes}
             currentTime={currentTime}
             firstVerseStartTime={firstVerseStartTime}
           />
@@ -1008,6 +1080,20 @@ export default function Game({ videoId, segments, lyrics, notes, firstVerseStart
             )}
           </button>
 
+          {/* Singer's Pitch Toggle */}
+          {pitchContour && (
+            <button
+              onClick={() => setShowSingerPitch(show => !show)}
+              className={`control-button contour-button ${showSingerPitch ? 'active' : ''}`}
+              aria-label={showSingerPitch ? "Hide singer's pitch" : "Show singer's pitch"}
+              title={showSingerPitch ? "Hide the original singer's pitch" : "Show the original singer's pitch"}
+            >
+              <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                <path d="M2 14c2 0 2-6 4-6s2 8 4 8 2-10 4-10 2 6 4 6 2-3 4-3" />
+              </svg>
+            </button>
+          )}
+
           {/* Pitch Display */}
           {isMicActive && userPitch && (
             <div className="pitch-indicator">
@@ -1041,23 +1127,30 @@ export default function Game({ videoId, segments, lyrics, notes, firstVerseStart
                 </div>
                 {notes && notes.length > 0 && currentTime && (() => {
                   const activeNote = notes.find(n => currentTime >= n.start && currentTime <= n.end);
+                  if (activeNote?.type === 'freestyle') {
+                    const isSinging = volumeLevel > VOICE_ACTIVE_VOLUME;
+                    return (
+                      <div className="voice-debug-frequency" style={{ marginTop: '0.25rem' }}>
+                        <span className="voice-debug-label">Target:</span>
+                        <span className="voice-debug-value" style={{ color: isSinging ? '#22c55e' : '#ff6b35' }}>
+                          Freestyle ({isSinging ? 'singing' : 'silent'})
+                        </span>
+                      </div>
+                    );
+                  }
                   if (activeNote) {
                     // Quick accuracy check for UI display
-                    let bestDiff = userPitch ? Math.abs(userPitch - activeNote.targetPitch) : 999;
-                    for (let oct = -3; oct <= 3; oct++) {
-                      if (oct === 0) continue;
-                      const diff = Math.abs(userPitch - (activeNote.targetPitch * Math.pow(2, oct)));
-                      if (diff < bestDiff) bestDiff = diff;
-                    }
-                    const isHitting = bestDiff <= 300;
-                    const accuracy = isHitting ? Math.round((1 - (bestDiff / 300)) * 100) : 0;
+                    const match = pitchAccuracy(userPitch, activeNote, currentTime);
+                    const isHitting = match.onTarget;
+                    const accuracy = Math.round(match.accuracy * 100);
 
                     return (
                       <>
                         <div className="voice-debug-frequency" style={{ marginTop: '0.25rem' }}>
                           <span className="voice-debug-label">Target:</span>
                           <span className="voice-debug-value" style={{ color: '#22c55e' }}>
-                            {Math.round(activeNote.targetPitch)} Hz
+                            {Math.round(midiToHz(noteMidiAt(activeNote, currentTime)))} Hz ({midiToNoteName(noteMidiAt(activeNote, currentTime))})
+                            {activeNote.type === 'golden' && ' ★'}{activeNote.vibrato && ' ∿'}
                           </span>
                         </div>
                         <div className="voice-debug-frequency" style={{ marginTop: '0.1rem' }}>
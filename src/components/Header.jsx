@@ -19,6 +19,7 @@ export default function Header() {
         </Link>
         <nav className="header-nav">
           <Link to="/" className="nav-link">Home</Link>
+          <Link to="/upload" className="nav-link">Upload</Link>
           {user ? (
             <div className="user-menu">
               <Link to="/profile" className="user-info">
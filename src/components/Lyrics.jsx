@@ -1,31 +1,63 @@
 import { useMemo, useRef, useState, useEffect } from "react";
 
-export default function Lyrics({ segments, currentTime, firstVerseStartTime }) {
+const CONTINUATION_SYLLABLE = '~'; // A note holding the previous syllable
+
+// Highlightable pieces of a word: one per sung syllable (held over its "~" notes),
+// or the whole word when it has no notes linked to it
+function wordPieces(word, wordNotes) {
+  const pieces = [];
+  for (const note of wordNotes || []) {
+    if (note.syllable === CONTINUATION_SYLLABLE && pieces.length > 0) {
+      pieces[pieces.length - 1].end = note.end;
+    } else if (note.syllable !== CONTINUATION_SYLLABLE) {
+      pieces.push({ text: note.syllable, start: note.start, end: note.end });
+    }
+  }
+
+  // Syllables of an edited word may no longer spell it - fall back to the word
+  if (pieces.length === 0 || pieces.map(piece => piece.text).join('') !== (word.text || '').trim()) {
+    return [{ text: (word.text || '').trim(), start: word.start, end: word.end }];
+  }
+  return pieces;
+}
+
+export default function Lyrics({ segments, notes, currentTime, firstVerseStartTime }) {
   const lastIdxRef = useRef(-1);
   const [displayedIdx, setDisplayedIdx] = useState(-1);
   const segmentsLoggedRef = useRef(false);
 
   // Filter segments to only include those after first verse starts
+  // (each keeps its index in segments, which is what notes link to)
   const filteredSegments = useMemo(() => {
     if (!segments?.length) return [];
 
+    const indexed = segments.map((seg, index) => ({ ...seg, index }));
     if (firstVerseStartTime !== null && firstVerseStartTime !== undefined) {
-      return segments.filter(seg => {
-        const start = Number(seg.start) || 0;
-        return start >= firstVerseStartTime;
-      });
+      return indexed.filter(seg => seg.start >= firstVerseStartTime);
     }
 
-    return segments;
+    return indexed;
   }, [segments, firstVerseStartTime]);
 
+  // Notes grouped by the word they're sung on ("segmentIndex:wordIndex")
+  const notesByWord = useMemo(() => {
+    const byWord = new Map();
+    for (const note of notes || []) {
+      if (note.syllable === undefined || note.segmentIndex === undefined) continue;
+      const key = `${note.segmentIndex}:${note.wordIndex}`;
+      if (!byWord.has(key)) byWord.set(key, []);
+      byWord.get(key).push(note);
+    }
+    return byWord;
+  }, [notes]);
+
   // Log all segments once when they're loaded
   useEffect(() => {
     if (filteredSegments?.length && !segmentsLoggedRef.current) {
       console.log('FILTERED SEGMENTS WITH TIMES (after first verse):');
       filteredSegments.forEach((seg, idx) => {
-        const start = Number(seg.start) || 0;
-        const end = Number(seg.end) || 0;
+        const start = seg.start;
+        const end = seg.end;
         console.log(`  [${idx}] ${start.toFixed(2)}s - ${end.toFixed(2)}s (${(end - start).toFixed(2)}s): "${seg.text}"`);
       });
       segmentsLoggedRef.current = true;
@@ -41,8 +73,8 @@ export default function Lyrics({ segments, currentTime, firstVerseStartTime }) {
     // Find the segment where currentTime is between start and end
     for (let i = 0; i < filteredSegments.length; i++) {
       const seg = filteredSegments[i];
-      const start = Number(seg.start) || 0;
-      const end = Number(seg.end) || 0;
+      const start = seg.start;
+      const end = seg.end;
 
       if (currentTime >= start && currentTime <= end) {
         return i;
@@ -51,8 +83,7 @@ export default function Lyrics({ segments, currentTime, firstVerseStartTime }) {
 
     // If no exact match, find the last segment that has started
     for (let i = filteredSegments.length - 1; i >= 0; i--) {
-      const start = Number(filteredSegments[i].start) || 0;
-      if (currentTime >= start) {
+      if (currentTime >= filteredSegments[i].start) {
         return i;
       }
     }
@@ -64,8 +95,8 @@ export default function Lyrics({ segments, currentTime, firstVerseStartTime }) {
   useEffect(() => {
     if (currentIdx !== lastIdxRef.current && currentIdx !== -1 && filteredSegments[currentIdx]) {
       const seg = filteredSegments[currentIdx];
-      const start = Number(seg.start) || 0;
-      const end = Number(seg.end) || 0;
+      const start = seg.start;
+      const end = seg.end;
       console.log(`SEGMENT CHANGE: Time ${currentTime.toFixed(2)}s → Segment [${currentIdx}] (${start.toFixed(2)}s - ${end.toFixed(2)}s): "${seg.text}"`);
 
       lastIdxRef.current = currentIdx;
@@ -96,7 +127,19 @@ export default function Lyrics({ segments, currentTime, firstVerseStartTime }) {
         key={`current-${displayedIdx}`}
         className="lyric-line current"
       >
-        {current.text || ''}
+        {/* Words and syllables come from the chart (segment.words, note.syllable) - lines without
+            word timings are shown whole */}
+        {current.words?.length > 0 ? current.words.map((word, wordIndex) => (
+          <span key={wordIndex} className="lyric-word">
+            {wordIndex > 0 && ' '}
+            {wordPieces(word, notesByWord.get(`${current.index}:${wordIndex}`)).map((piece, pieceIndex) => {
+              const state = currentTime >= piece.end ? 'sung' : currentTime >= piece.start ? 'active' : '';
+              return (
+                <span key={pieceIndex} className={`lyric-syllable ${state}`}>{piece.text}</span>
+              );
+            })}
+          </span>
+        )) : (current.text || '')}
       </div>
       {next && (
         <div
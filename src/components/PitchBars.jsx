@@ -1,13 +1,23 @@
 import { useMemo, useRef, useEffect, useCallback } from 'react';
+import { hzToMidi, noteMidi, noteMidiAt, midiToNoteName, pitchAccuracy } from '../utils/pitch';
 
-// Pitch tolerance for "on target" - higher value = easier to hit notes
-const PITCH_TOLERANCE = 300;
-
-// Merging settings - merge nearby notes with similar pitch into one bar
+// Merging settings - merge nearby notes on the same semitone into one bar
 const MERGE_TIME_GAP = 0.15; // Max gap between notes to merge (seconds)
-const MERGE_PITCH_TOLERANCE = 80; // Max pitch difference to merge (Hz)
 
-export default function PitchBars({ segments, currentTime, userPitch, notes, firstVerseStartTime }) {
+// Semitone grid settings
+const MIN_VISIBLE_SEMITONES = 12; // Always show at least an octave so intervals keep their size
+const GRID_PADDING_SEMITONES = 2; // Empty lanes above the highest and below the lowest note
+const SHAPE_STEP_SECONDS = 0.01; // Sampling of sloped/wavy bars when drawing them
+
+// Bar colour (RGB) per note type - golden notes are bonus notes, freestyle notes have no pitch
+// to match and sit on the middle lane with a dashed outline
+const BAR_COLORS = {
+  normal: '255, 107, 53',
+  golden: '255, 215, 0',
+  freestyle: '96, 205, 255',
+};
+
+export default function PitchBars({ segments, currentTime, userPitch, voiceActive, notes, firstVerseStartTime, pitchContour }) {
   const canvasRef = useRef(null);
   const barFillsRef = useRef({});
   const lastPitchRef = useRef(null);
@@ -18,11 +28,11 @@ export default function PitchBars({ segments, currentTime, userPitch, notes, fir
   const TRACK_HEIGHT = 200;
   const MARGIN = 20;
   const USABLE_HEIGHT = TRACK_HEIGHT - MARGIN * 2;
-  const BAR_HEIGHT = 30;
-  const FILL_HEIGHT = 20;
+  const MAX_BAR_HEIGHT = 30;
+  const MIN_BAR_HEIGHT = 10;
   const MIN_BAR_WIDTH = 40; // Minimum pixel width for bars to be visible
 
-  // Filter and merge notes - combine nearby notes with similar pitch into longer bars
+  // Filter and merge notes - combine nearby notes on the same semitone into longer bars
   const pitchBars = useMemo(() => {
     if (!notes || !Array.isArray(notes) || notes.length === 0) return [];
     
@@ -43,10 +53,12 @@ export default function PitchBars({ segments, currentTime, userPitch, notes, fir
       
       if (lastMerged) {
         const timeGap = note.start - lastMerged.end;
-        const pitchDiff = Math.abs(note.targetPitch - lastMerged.targetPitch);
         
-        // Merge if notes are close in time AND similar in pitch
-        if (timeGap <= MERGE_TIME_GAP && pitchDiff <= MERGE_PITCH_TOLERANCE) {
+        // Merge if notes are close in time AND on the same semitone AND of the same type
+        // (freestyle notes stay one bar per word, sloped or wavy notes keep their own shape)
+        const type = note.type || 'normal';
+        const isFlat = !note.contour && !note.vibrato && !lastMerged.contour && !lastMerged.vibrato;
+        if (timeGap <= MERGE_TIME_GAP && isFlat && type !== 'freestyle' && type === lastMerged.type && noteMidi(note) === lastMerged.midi) {
           // Extend the last bar to include this note
           lastMerged.end = note.end;
           lastMerged.duration = lastMerged.end - lastMerged.start;
@@ -66,40 +78,46 @@ export default function PitchBars({ segments, currentTime, userPitch, notes, fir
         end: note.end,
         duration: note.duration || (note.end - note.start),
         targetPitch: note.targetPitch,
+        midi: noteMidi(note),
+        type: note.type || 'normal',
+        contour: note.contour || null,
+        vibrato: note.vibrato || null,
       });
     }
     
-    return mergedNotes;
+    return mergedNotes.filter(bar => bar.midi !== null || bar.type === 'freestyle');
   }, [notes, firstVerseStartTime]);
 
-  // Calculate dynamic pitch range from actual notes for better visual spread
-  const pitchRange = useMemo(() => {
-    if (!pitchBars || pitchBars.length === 0) return { min: 100, max: 500 };
-    const pitches = pitchBars.map(n => n.targetPitch);
-    const minPitch = Math.min(...pitches);
-    const maxPitch = Math.max(...pitches);
-    // Add 30% padding for user pitch display
-    const range = maxPitch - minPitch;
-    const padding = Math.max(50, range * 0.3);
-    return {
-      min: Math.max(50, minPitch - padding),
-      max: maxPitch + padding
-    };
+  // Visible semitone range (MIDI numbers) from the song's notes, so every lane is one semitone
+  const midiRange = useMemo(() => {
+    const midis = pitchBars.filter(n => n.midi !== null).map(n => n.midi);
+    if (midis.length === 0) return { min: 48, max: 72 }; // C3-C5
+    let min = Math.min(...midis) - GRID_PADDING_SEMITONES;
+    let max = Math.max(...midis) + GRID_PADDING_SEMITONES;
+    if (max - min < MIN_VISIBLE_SEMITONES) {
+      const extra = MIN_VISIBLE_SEMITONES - (max - min);
+      min -= Math.floor(extra / 2);
+      max += Math.ceil(extra / 2);
+    }
+    return { min, max };
   }, [pitchBars]);
 
-  // Pitch to Y position using dynamic range
-  const pitchToY = useCallback((pitch) => {
-    const { min, max } = pitchRange;
-    let pitchPercent = (pitch - min) / (max - min);
+  // Height of one semitone lane in pixels
+  const laneHeight = USABLE_HEIGHT / (midiRange.max - midiRange.min);
+
+  // MIDI note number (fractional allowed) to Y position on the semitone grid
+  const midiToY = useCallback((midi) => {
+    const { min, max } = midiRange;
+    let pitchPercent = (midi - min) / (max - min);
     pitchPercent = Math.max(0, Math.min(1, pitchPercent));
     return TRACK_HEIGHT - MARGIN - (pitchPercent * USABLE_HEIGHT);
-  }, [pitchRange]);
+  }, [midiRange]);
 
   // Filter segments for first verse
   const filteredSegments = useMemo(() => {
     if (!segments?.length) return [];
     if (firstVerseStartTime !== null && firstVerseStartTime !== undefined) {
-      return segments.filter(seg => (Number(seg.start) || 0) >= firstVerseStartTime);
+      return segments.filter(seg => seg.start >= firstVerseStartTime);
     }
     return segments;
   }, [segments, firstVerseStartTime]);
@@ -107,17 +125,15 @@ export default function PitchBars({ segments, currentTime, userPitch, notes, fir
   // Get current segment
   const currentSegment = useMemo(() => {
     if (!filteredSegments || filteredSegments.length === 0 || !currentTime) return null;
-    for (const seg of filteredSegments) {
-      const start = Number(seg.start) || 0;
-      const end = Number(seg.end) || 0;
+    for (const { start, end } of filteredSegments) {
       if (currentTime >= start && currentTime <= end) {
         return { start, end };
       }
     }
     for (let i = filteredSegments.length - 1; i >= 0; i--) {
-      const start = Number(filteredSegments[i].start) || 0;
+      const { start, end } = filteredSegments[i];
       if (currentTime >= start) {
-        return { start, end: Number(filteredSegments[i].end) || 0 };
+        return { start, end };
       }
     }
     return null;
@@ -147,18 +163,6 @@ export default function PitchBars({ segments, currentTime, userPitch, notes, fir
     }
   }, [userPitch]);
 
-  // Check if pitch is on target (with octave tolerance)
-  const isOnTarget = useCallback((pitch, targetPitch) => {
-    if (!pitch || !targetPitch) return false;
-    let diff = Math.abs(pitch - targetPitch);
-    if (diff <= PITCH_TOLERANCE) return true;
-    for (let oct = -3; oct <= 3; oct++) {
-      if (oct === 0) continue;
-      const adjTarget = targetPitch * Math.pow(2, oct);
-      if (Math.abs(pitch - adjTarget) <= PITCH_TOLERANCE) return true;
-    }
-    return false;
-  }, []);
 
   // Canvas draw loop
   useEffect(() => {
@@ -182,6 +186,45 @@ export default function PitchBars({ segments, currentTime, userPitch, notes, fir
       const winStart = windowStart || 0;
       const time = currentTime || 0;
       const pitch = userPitch || lastPitchRef.current;
+      const barHeight = Math.max(MIN_BAR_HEIGHT, Math.min(MAX_BAR_HEIGHT, laneHeight));
+      const fillHeight = barHeight * 2 / 3;
+
+      // Draw the semitone grid (C lanes brighter and labelled)
+      for (let midi = Math.ceil(midiRange.min); midi <= Math.floor(midiRange.max); midi++) {
+        const laneY = midiToY(midi);
+        const isC = midi % 12 === 0;
+        ctx.strokeStyle = isC ? 'rgba(255, 255, 255, 0.18)' : 'rgba(255, 255, 255, 0.06)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(0, laneY);
+        ctx.lineTo(rect.width, laneY);
+        ctx.stroke();
+
+        if (isC) {
+          ctx.fillStyle = 'rgba(255, 255, 255, 0.35)';
+          ctx.font = '10px sans-serif';
+          ctx.fillText(midiToNoteName(midi), 4, laneY - 3);
+        }
+      }
+
+      const timeToX = (t) => ((t - winStart) / winDur) * rect.width;
+
+      // Stroke a sloped/wavy bar's centre line between two times (vibrato drawn as a wave around it)
+      const strokeShape = (bar, from, to, lineWidth) => {
+        const depth = bar.vibrato ? (bar.vibrato.depth / 100) * laneHeight : 0;
+        ctx.lineWidth = lineWidth;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.beginPath();
+        for (let t = from; t <= to + SHAPE_STEP_SECONDS / 2; t += SHAPE_STEP_SECONDS) {
+          const at = Math.min(t, to);
+          const wave = depth ? depth * Math.sin(2 * Math.PI * bar.vibrato.rate * (at - bar.start)) : 0;
+          const y = midiToY(noteMidiAt(bar, at)) - wave;
+          if (t === from) ctx.moveTo(timeToX(at), y);
+          else ctx.lineTo(timeToX(at), y);
+        }
+        ctx.stroke();
+      };
 
       // Draw note bars (empty)
       visibleBars.forEach(bar => {
@@ -197,19 +240,30 @@ export default function PitchBars({ segments, currentTime, userPitch, notes, fir
           barWidth = MIN_BAR_WIDTH;
         }
         
-        const barY = pitchToY(bar.targetPitch) - BAR_HEIGHT / 2;
+        const isFreestyle = bar.type === 'freestyle';
+        const color = BAR_COLORS[bar.type] || BAR_COLORS.normal;
+        const barY = (isFreestyle ? midiToY((midiRange.min + midiRange.max) / 2) : midiToY(bar.midi)) - barHeight / 2;
 
         const isActive = time >= bar.start && time < bar.end;
+        const isShaped = Boolean(bar.contour || bar.vibrato);
+
+        // Empty bar (outline) - sloped/wavy notes are drawn as a band along their contour
+        if (isShaped) {
+          ctx.strokeStyle = isActive ? `rgba(${color}, 0.45)` : `rgba(${color}, 0.2)`;
+          strokeShape(bar, bar.start, bar.end, barHeight);
+        } else {
+          ctx.strokeStyle = isActive ? `rgba(${color}, 0.8)` : `rgba(${color}, 0.3)`;
+          ctx.lineWidth = bar.type === 'golden' ? 3 : 2;
+          ctx.setLineDash(isFreestyle ? [6, 4] : []);
+          ctx.beginPath();
+          ctx.roundRect(barX, barY, barWidth, barHeight, barHeight / 2);
+          ctx.stroke();
+          ctx.setLineDash([]);
+        }
 
-        // Empty bar (outline)
-        ctx.strokeStyle = isActive ? 'rgba(255, 107, 53, 0.8)' : 'rgba(255, 107, 53, 0.3)';
-        ctx.lineWidth = 2;
-        ctx.beginPath();
-        ctx.roundRect(barX, barY, barWidth, BAR_HEIGHT, 13);
-        ctx.stroke();
-
-        // Fill based on whether on target
-        if (isActive && pitch && isOnTarget(pitch, bar.targetPitch)) {
+        // Fill based on whether on target (freestyle: whether the singer is singing at all)
+        const isHit = isFreestyle ? voiceActive : pitch && pitchAccuracy(pitch, bar, time).onTarget;
+        if (isActive && isHit) {
           // Update fill tracking
           if (!barFillsRef.current[bar.id]) {
             barFillsRef.current[bar.id] = { filledSegments: [], lastEnd: bar.start };
@@ -228,23 +282,59 @@ export default function PitchBars({ segments, currentTime, userPitch, notes, fir
         // Draw filled segments
         const fills = barFillsRef.current[bar.id]?.filledSegments || [];
         fills.forEach(seg => {
+          if (isShaped) {
+            if (seg.end > seg.start) {
+              ctx.strokeStyle = `rgba(${color}, 0.9)`;
+              ctx.shadowColor = `rgba(${color}, 0.6)`;
+              ctx.shadowBlur = bar.type === 'golden' ? 14 : 8;
+              strokeShape(bar, seg.start, seg.end, fillHeight);
+              ctx.shadowBlur = 0;
+            }
+            return;
+          }
+
           const segStartPercent = ((seg.start - bar.start) / bar.duration);
           const segEndPercent = ((seg.end - bar.start) / bar.duration);
           const segX = barX + segStartPercent * barWidth;
           const segW = (segEndPercent - segStartPercent) * barWidth;
 
           if (segW > 0) {
-            ctx.fillStyle = 'rgba(255, 107, 53, 0.9)';
-            ctx.shadowColor = 'rgba(255, 107, 53, 0.6)';
-            ctx.shadowBlur = 8;
+            ctx.fillStyle = `rgba(${color}, 0.9)`;
+            ctx.shadowColor = `rgba(${color}, 0.6)`;
+            ctx.shadowBlur = bar.type === 'golden' ? 14 : 8;
             ctx.beginPath();
-            ctx.roundRect(segX, barY + (BAR_HEIGHT - FILL_HEIGHT) / 2, segW, FILL_HEIGHT, 10);
+            ctx.roundRect(segX, barY + (barHeight - fillHeight) / 2, segW, fillHeight, fillHeight / 2);
             ctx.fill();
             ctx.shadowBlur = 0;
           }
         });
       });
 
+      // Draw the original singer's pitch as a faint reference line (gaps where they're silent)
+      if (pitchContour?.midi?.length > 0) {
+        const { frameSeconds, start, midi } = pitchContour;
+        const first = Math.max(0, Math.floor((winStart - start) / frameSeconds));
+        const last = Math.min(midi.length - 1, Math.ceil((winStart + winDur - start) / frameSeconds));
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+        ctx.lineWidth = 1.5;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.beginPath();
+        let drawing = false;
+        for (let i = first; i <= last; i++) {
+          if (midi[i] === null) {
+            drawing = false;
+            continue;
+          }
+          const x = timeToX(start + i * frameSeconds);
+          const y = midiToY(midi[i]);
+          if (drawing) ctx.lineTo(x, y);
+          else ctx.moveTo(x, y);
+          drawing = true;
+        }
+        ctx.stroke();
+      }
+
       // Draw time cursor
       if (time >= winStart && time < winStart + winDur) {
         const cursorX = ((time - winStart) / winDur) * rect.width;
@@ -258,7 +348,13 @@ export default function PitchBars({ segments, currentTime, userPitch, notes, fir
 
       // Draw user pitch line
       if (pitch && pitch > 0) {
-        const pitchY = pitchToY(pitch);
+        // Scoring ignores octaves, so show the voice in the octave of the note being sung
+        let userMidi = hzToMidi(pitch);
+        const activeBar = visibleBars.find(bar => time >= bar.start && time < bar.end && bar.midi !== null);
+        if (activeBar) {
+          userMidi += 12 * Math.round((noteMidiAt(activeBar, time) - userMidi) / 12);
+        }
+        const pitchY = midiToY(userMidi);
 
         // Glow effect
         ctx.shadowColor = 'rgba(255, 107, 53, 0.8)';
@@ -294,7 +390,7 @@ export default function PitchBars({ segments, currentTime, userPitch, notes, fir
         cancelAnimationFrame(animationFrameRef.current);
       }
     };
-  }, [currentTime, userPitch, visibleBars, windowStart, windowDuration, pitchToY, isOnTarget]);
+  }, [currentTime, userPitch, voiceActive, visibleBars, windowStart, windowDuration, midiToY, midiRange, laneHeight, pitchContour]);
 
   // Reset fills when notes change
   useEffect(() => {
@@ -30,18 +30,23 @@ export default function SongLoadingIndicator() {
 
   return (
     <div className="song-loading-indicator">
-      {loadingSongsArray.map(({ youtubeId, title, artist, status }) => (
+      {loadingSongsArray.map(({ youtubeId, title, artist, status, progress }) => (
         <div
           key={youtubeId}
-          className={`loading-song-item ${status === 'completed' ? 'completed' : ''}`}
-          title={status === 'completed' ? `Click to play: ${title}` : title}
+          className={`loading-song-item ${status === 'completed' || status === 'failed' ? status : ''}`}
+          title={status === 'completed' ? `Click to play: ${title}` : status === 'failed' ? `Failed to process: ${title}` : title}
           onClick={status === 'completed' ? () => handleSongClick(youtubeId, title, artist) : undefined}
         >
           <div className="loading-song-icon">
-            {status === 'completed' ? 'Check' : '...'}
+            {status === 'completed' ? 'Check' : status === 'failed' ? '!' : '...'}
           </div>
           <div className="loading-song-text">
             {title || 'Loading song...'}
+            {status === 'loading' && progress?.stageLabel && (
+              <div className="loading-song-stage">
+                {progress.stageLabel} · {progress.percent || 0}%
+              </div>
+            )}
           </div>
           <button
             className="loading-song-close"
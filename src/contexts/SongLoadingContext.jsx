@@ -1,4 +1,5 @@
-import { createContext, useContext, useState, useEffect, useRef } from 'react';
+import { createContext, useContext, useState, useEffect, useRef, useCallback } from 'react';
+import { watchJob } from '../utils/songJobs';
 
 const SongLoadingContext = createContext();
 
@@ -18,15 +19,81 @@ export function SongLoadingProvider({ children }) {
     localStorage.setItem('singfi_loading_songs', JSON.stringify(loadingSongs));
   }, [loadingSongs]);
 
-  // Poll for completed songs
+  const jobWatchersRef = useRef({}); // youtubeId -> { jobId, stop }
+
+  const setSongState = useCallback((youtubeId, changes) => {
+    setLoadingSongs(prev => {
+      if (!prev[youtubeId] || prev[youtubeId].status !== 'loading') return prev;
+      return {
+        ...prev,
+        [youtubeId]: {
+          ...prev[youtubeId],
+          ...changes
+        }
+      };
+    });
+  }, []);
+
+  // Follow live progress of every loading song that has a processing job
+  useEffect(() => {
+    const watchers = jobWatchersRef.current;
+
+    Object.entries(loadingSongs).forEach(([youtubeId, song]) => {
+      if (song.status !== 'loading' || !song.jobId || watchers[youtubeId]?.jobId === song.jobId) return;
+
+      watchers[youtubeId]?.stop();
+      watchers[youtubeId] = {
+        jobId: song.jobId,
+        stop: watchJob(song.jobId, {
+          onUpdate: (job) => setSongState(youtubeId, {
+            progress: {
+              status: job.status,
+              stageLabel: job.stageLabel,
+              percent: job.percent,
+              etaSeconds: job.etaSeconds
+            }
+          }),
+          onComplete: () => setSongState(youtubeId, { status: 'completed' }),
+          onError: async (error) => {
+            // The job may have been lost (e.g. server restart) after the song was saved
+            console.error(`Error processing song ${youtubeId}:`, error);
+            try {
+              const response = await fetch(`${API_BASE_URL}/getSong?youtubeId=${youtubeId}`);
+              const data = await response.json();
+              setSongState(youtubeId, { status: data.cached ? 'completed' : 'failed' });
+            } catch {
+              setSongState(youtubeId, { status: 'failed' });
+            }
+          }
+        })
+      };
+    });
+
+    // Stop watching songs that finished or were dismissed
+    Object.keys(watchers).forEach(youtubeId => {
+      if (loadingSongs[youtubeId]?.status !== 'loading') {
+        watchers[youtubeId].stop();
+        delete watchers[youtubeId];
+      }
+    });
+  }, [loadingSongs, setSongState]);
+
+  // Stop all streams on unmount
   useEffect(() => {
-    // Check if there are any songs with status 'loading'
-    const hasLoadingSongs = Object.values(loadingSongs).some(
-      song => song.status === 'loading'
+    const watchers = jobWatchersRef.current;
+    return () => {
+      Object.values(watchers).forEach(watcher => watcher.stop());
+    };
+  }, []);
+
+  // Songs queued before jobs existed (or whose job id never arrived) fall back to polling the cache
+  useEffect(() => {
+    const hasUntrackedSongs = Object.values(loadingSongs).some(
+      song => song.status === 'loading' && !song.jobId
     );
 
-    if (!hasLoadingSongs) {
-      // No loading songs, clear interval if it exists
+    if (!hasUntrackedSongs) {
+      // No untracked songs, clear interval if it exists
       if (pollingIntervalRef.current) {
         clearInterval(pollingIntervalRef.current);
         pollingIntervalRef.current = null;
@@ -37,28 +104,17 @@ export function SongLoadingProvider({ children }) {
     const checkCompletedSongs = async () => {
       setLoadingSongs(prev => {
         const loadingIds = Object.keys(prev).filter(
-          id => prev[id].status === 'loading'
+          id => prev[id].status === 'loading' && !prev[id].jobId
         );
 
-        // Check each loading song
+        // Check each untracked song
         loadingIds.forEach(async (youtubeId) => {
           try {
             const response = await fetch(`${API_BASE_URL}/getSong?youtubeId=${youtubeId}`);
             const data = await response.json();
-            
+
             if (data.cached) {
-              setLoadingSongs(prevState => {
-                if (!prevState[youtubeId] || prevState[youtubeId].status === 'completed') {
-                  return prevState;
-                }
-                return {
-                  ...prevState,
-                  [youtubeId]: {
-                    ...prevState[youtubeId],
-                    status: 'completed'
-                  }
-                };
-              });
+              setSongState(youtubeId, { status: 'completed' });
             }
           } catch (error) {
             console.error(`Error checking song ${youtubeId}:`, error);
@@ -83,12 +139,12 @@ export function SongLoadingProvider({ children }) {
         pollingIntervalRef.current = null;
       }
     };
-  }, [loadingSongs]); // Restart polling when loadingSongs changes
+  }, [loadingSongs, setSongState]); // Restart polling when loadingSongs changes
 
-  const addLoadingSong = (youtubeId, title, artist) => {
+  const addLoadingSong = useCallback((youtubeId, title, artist) => {
     setLoadingSongs(prev => {
-      // Don't add if already exists
-      if (prev[youtubeId]) {
+      // Don't add if already exists (failed songs can be retried)
+      if (prev[youtubeId] && prev[youtubeId].status !== 'failed') {
         return prev;
       }
       return {
@@ -96,14 +152,30 @@ export function SongLoadingProvider({ children }) {
         [youtubeId]: {
           title,
           artist,
-          status: 'loading', // 'loading' or 'completed'
+          status: 'loading', // 'loading', 'completed' or 'failed'
+          jobId: null,
+          progress: null, // Latest { status, stageLabel, percent, etaSeconds } from the job stream
           startTime: Date.now()
         }
       };
     });
-  };
+  }, []);
+
+  // Remember the processing job so polling survives a page refresh
+  const setSongJob = useCallback((youtubeId, jobId) => {
+    setLoadingSongs(prev => {
+      if (!prev[youtubeId] || prev[youtubeId].jobId === jobId) return prev;
+      return {
+        ...prev,
+        [youtubeId]: {
+          ...prev[youtubeId],
+          jobId
+        }
+      };
+    });
+  }, []);
 
-  const updateSongStatus = (youtubeId, status) => {
+  const updateSongStatus = useCallback((youtubeId, status) => {
     setLoadingSongs(prev => {
       if (!prev[youtubeId]) return prev;
       return {
@@ -114,20 +186,21 @@ export function SongLoadingProvider({ children }) {
         }
       };
     });
-  };
+  }, []);
 
-  const removeLoadingSong = (youtubeId) => {
+  const removeLoadingSong = useCallback((youtubeId) => {
     setLoadingSongs(prev => {
       const newState = { ...prev };
       delete newState[youtubeId];
       return newState;
     });
-  };
+  }, []);
 
   return (
     <SongLoadingContext.Provider value={{
       loadingSongs,
       addLoadingSong,
+      setSongJob,
       updateSongStatus,
       removeLoadingSong
     }}>
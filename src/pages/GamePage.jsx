@@ -2,8 +2,8 @@ import { useState, useEffect } from 'react';
 import { useParams, useSearchParams, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import Game from '../components/Game';
-
-const API_BASE_URL = import.meta.env.VITE_API_URL || '/api';
+import { startSongJob, waitForJob, describeJob, formatEta } from '../utils/songJobs';
+import { isUploadId } from '../utils/uploads';
 
 export default function GamePage() {
   const [searchParams] = useSearchParams();
@@ -17,30 +17,12 @@ export default function GamePage() {
   const [lyrics, setLyrics] = useState('');
   const [notes, setNotes] = useState(null);
   const [firstVerseStartTime, setFirstVerseStartTime] = useState(null);
+  const [audioUrl, setAudioUrl] = useState(null); // Signed URL of the audio file for uploaded songs
+  const [musicInfo, setMusicInfo] = useState(null); // Detected { key, mode, bpm }
+  const [pitchContour, setPitchContour] = useState(null); // Original singer's pitch, drawn under the player's
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [loadingMessage, setLoadingMessage] = useState('Downloading audio...');
-
-  // Animated loading messages that cycle
-  useEffect(() => {
-    if (!loading) return;
-
-    const messages = [
-      'Downloading audio...',
-      'Separating vocals...',
-      'Transcribing lyrics...',
-      'Extracting pitch...',
-      'Almost ready...'
-    ];
-
-    let messageIndex = 0;
-    const interval = setInterval(() => {
-      messageIndex = (messageIndex + 1) % messages.length;
-      setLoadingMessage(messages[messageIndex]);
-    }, 2000);
-
-    return () => clearInterval(interval);
-  }, [loading]);
+  const [progress, setProgress] = useState(null); // Latest job snapshot from the progress stream
 
   useEffect(() => {
     if (!videoId) {
@@ -63,22 +45,13 @@ export default function GamePage() {
         const displayTitle = decodeURIComponent(title || 'Unknown');
         const displayArtist = decodeURIComponent(artist || 'Unknown');
 
-        const response = await fetch(`${API_BASE_URL}/whisper`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            youtubeId: videoId,
-            title: title !== 'Unknown' ? title : null,
-            artist: artist !== 'Unknown' ? artist : null,
-          }),
+        const { jobId } = await startSongJob({
+          youtubeId: videoId,
+          title: title !== 'Unknown' ? title : null,
+          artist: artist !== 'Unknown' ? artist : null,
         });
 
-        if (!response.ok) {
-          const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
-          throw new Error(errorData.error || 'Failed to load game');
-        }
-
-        const data = await response.json();
+        const data = await waitForJob(jobId, { onUpdate: setProgress });
 
         // Validate segments - check if transcription is mostly instrumental symbols
         const segments = data.segments || [];
@@ -106,6 +79,9 @@ export default function GamePage() {
         setLyrics(data.lyrics || '');
         setNotes(data.notes || null);
         setFirstVerseStartTime(data.firstVerseStartTime || null);
+        setAudioUrl(data.audioUrl || null);
+        setMusicInfo({ key: data.key || null, mode: data.mode || null, bpm: data.bpm || null });
+        setPitchContour(data.pitchContour || null);
 
         if (data.cached) {
           console.log('Loaded from cache - instant!');
@@ -136,8 +112,8 @@ export default function GamePage() {
     return (
       <div className="game-page">
         <div className="loading-screen">
-          {/* YouTube video background */}
-          {videoId && (
+          {/* YouTube video background (uploaded songs have no video) */}
+          {videoId && !isUploadId(videoId) && (
             <iframe
               className="loading-video-bg"
               src={`https://www.youtube.com/embed/${videoId}?autoplay=1&mute=1&loop=1&playlist=${videoId}&controls=0&showinfo=0&rel=0&modestbranding=1&playsinline=1`}
@@ -160,8 +136,19 @@ export default function GamePage() {
                 <span></span>
                 <span></span>
               </span>
-              {loadingMessage}
+              {describeJob(progress)}
             </div>
+            {progress?.status === 'running' && (
+              <div className="loading-progress">
+                <div className="loading-progress-track">
+                  <div className="loading-progress-fill" style={{ width: `${progress.percent || 0}%` }} />
+                </div>
+                <div className="loading-progress-text">
+                  {progress.percent || 0}%
+                  {progress.etaSeconds ? ` · ${formatEta(progress.etaSeconds)} left` : ''}
+                </div>
+              </div>
+            )}
           </div>
         </div>
       </div>
@@ -205,10 +192,13 @@ export default function GamePage() {
   return (
     <Game
       videoId={videoId}
+      audioUrl={audioUrl}
       segments={segments}
       lyrics={lyrics}
       notes={notes}
       firstVerseStartTime={firstVerseStartTime}
+      musicInfo={musicInfo}
+      pitchContour={pitchContour}
       user={user}
       onBack={handleBack}
     />
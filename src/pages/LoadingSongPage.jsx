@@ -1,6 +1,8 @@
 import { useState, useEffect } from 'react';
 import { useParams, useSearchParams, useNavigate } from 'react-router-dom';
 import { useSongLoading } from '../contexts/SongLoadingContext';
+import { startSongJob, describeJob, formatEta } from '../utils/songJobs';
+import { formatKeyAndTempo } from '../utils/pitch';
 import './LoadingSongPage.css';
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || '/api';
@@ -10,7 +12,7 @@ export default function LoadingSongPage() {
   const [searchParams] = useSearchParams();
   const navigate = useNavigate();
   const videoId = searchParams.get('id');
-  const { addLoadingSong, updateSongStatus, loadingSongs } = useSongLoading();
+  const { addLoadingSong, setSongJob, loadingSongs } = useSongLoading();
 
   const [randomSongs, setRandomSongs] = useState([]);
   const [loadingRandom, setLoadingRandom] = useState(true);
@@ -21,6 +23,7 @@ export default function LoadingSongPage() {
   // Check if current song is ready
   const currentSongStatus = videoId ? loadingSongs[videoId]?.status : null;
   const isSongReady = currentSongStatus === 'completed';
+  const songProgress = videoId ? loadingSongs[videoId]?.progress : null;
 
   // Start background processing
   useEffect(() => {
@@ -34,35 +37,20 @@ export default function LoadingSongPage() {
         // Add to loading songs
         addLoadingSong(videoId, title, artist);
 
-        // Start processing in the background (don't await, let it run)
-        fetch(`${API_BASE_URL}/whisper`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            youtubeId: videoId,
-            title: title !== 'Unknown' ? title : null,
-            artist: artist !== 'Unknown' ? artist : null,
-          }),
-        })
-          .then(response => {
-            if (response.ok) {
-              updateSongStatus(videoId, 'completed');
-            } else {
-              console.error('Error processing song:', response.statusText);
-              // Keep as loading on error, user can retry
-            }
-          })
-          .catch(error => {
-            console.error('Error processing song:', error);
-            // Keep as loading on error
-          });
+        // Queue processing on the server; the job keeps running even if this page is closed
+        const { jobId } = await startSongJob({
+          youtubeId: videoId,
+          title: title !== 'Unknown' ? title : null,
+          artist: artist !== 'Unknown' ? artist : null,
+        });
+        setSongJob(videoId, jobId);
       } catch (error) {
         console.error('Error starting song processing:', error);
       }
     };
 
     startProcessing();
-  }, [videoId, title, artist, addLoadingSong, updateSongStatus, navigate]);
+  }, [videoId, title, artist, addLoadingSong, setSongJob, navigate]);
 
   // Fetch random songs
   useEffect(() => {
@@ -124,6 +112,21 @@ export default function LoadingSongPage() {
           {artist !== 'Unknown' && (
             <div className="song-artist">by {artist}</div>
           )}
+          {currentSongStatus === 'loading' && (
+            <div className="song-progress">
+              <div className="song-progress-stage">{describeJob(songProgress)}</div>
+              <div className="song-progress-track">
+                <div className="song-progress-fill" style={{ width: `${songProgress?.percent || 0}%` }} />
+              </div>
+              <div className="song-progress-details">
+                {songProgress?.percent || 0}%
+                {songProgress?.etaSeconds ? ` · ${formatEta(songProgress.etaSeconds)} left` : ''}
+              </div>
+            </div>
+          )}
+          {currentSongStatus === 'failed' && (
+            <div className="song-progress-failed">Processing failed. Reload the page to try again.</div>
+          )}
         </div>
 
         {isSongReady && (
@@ -175,6 +178,9 @@ export default function LoadingSongPage() {
                     {song.channel && (
                       <div className="random-song-artist">{song.channel}</div>
                     )}
+                    {formatKeyAndTempo(song) && (
+                      <div className="random-song-music">{formatKeyAndTempo(song)}</div>
+                    )}
                   </div>
                 </div>
               ))}
@@ -0,0 +1,94 @@
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { uploadSongFile, ACCEPTED_AUDIO_TYPES } from '../utils/uploads';
+import './UploadSongPage.css';
+
+export default function UploadSongPage() {
+  const navigate = useNavigate();
+  const { user } = useAuth();
+
+  const [file, setFile] = useState(null);
+  const [title, setTitle] = useState('');
+  const [artist, setArtist] = useState('');
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleFileChange = (event) => {
+    const selected = event.target.files?.[0] || null;
+    setFile(selected);
+    setError(null);
+    // Default the title to the file name (without extension)
+    if (selected && !title) {
+      setTitle(selected.name.replace(/\.[^.]+$/, ''));
+    }
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (!file) {
+      setError('Please choose an audio file');
+      return;
+    }
+
+    setUploading(true);
+    setError(null);
+
+    try {
+      const { songId } = await uploadSongFile(file, {
+        title: title.trim(),
+        artist: artist.trim(),
+        owner: user?.id,
+      });
+
+      // GamePage re-attaches to the processing job queued by the upload
+      const params = new URLSearchParams({
+        video: songId,
+        title: title.trim() || 'Unknown',
+        artist: artist.trim() || 'Unknown',
+      });
+      navigate(`/game?${params}`);
+    } catch (err) {
+      console.error('Upload error:', err);
+      setError(err.message);
+      setUploading(false);
+    }
+  };
+
+  return (
+    <div className="upload-song-page">
+      <form className="upload-song-card" onSubmit={handleSubmit}>
+        <h2>Upload a Song</h2>
+        <p className="upload-song-hint">MP3, WAV or FLAC - we'll extract the lyrics and pitch like any YouTube song.</p>
+
+        <label className="upload-song-file">
+          <input type="file" accept={ACCEPTED_AUDIO_TYPES} onChange={handleFileChange} disabled={uploading} />
+          <span>{file ? file.name : 'Choose an audio file...'}</span>
+        </label>
+
+        <input
+          type="text"
+          className="upload-song-input"
+          placeholder="Title"
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          disabled={uploading}
+        />
+        <input
+          type="text"
+          className="upload-song-input"
+          placeholder="Artist"
+          value={artist}
+          onChange={(e) => setArtist(e.target.value)}
+          disabled={uploading}
+        />
+
+        {error && <div className="upload-song-error">{error}</div>}
+
+        <button type="submit" className="upload-song-button" disabled={uploading || !file}>
+          {uploading ? 'Uploading...' : 'Upload & Sing'}
+        </button>
+      </form>
+    </div>
+  );
+}
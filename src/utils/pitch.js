@@ -0,0 +1,68 @@
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Hz -> fractional MIDI note number (69 = A4 = 440Hz)
+export function hzToMidi(frequency) {
+  return 69 + 12 * Math.log2(frequency / 440);
+}
+
+export function midiToHz(midi) {
+  return 440 * Math.pow(2, (midi - 69) / 12);
+}
+
+// MIDI note number of a chart note (charts processed before notes had "midi" only store Hz)
+export function noteMidi(note) {
+  if (Number.isFinite(note?.midi)) return note.midi;
+  return note?.targetPitch > 0 ? Math.round(hzToMidi(note.targetPitch)) : null;
+}
+
+// Centre pitch (fractional MIDI) of a note at a point in time: follows the note's contour
+// (glides, scoops) when it has one, otherwise the note's semitone
+export function noteMidiAt(note, time) {
+  const contour = note?.contour;
+  if (!Array.isArray(contour) || contour.length === 0) return noteMidi(note);
+
+  const offset = time - note.start;
+  if (offset <= contour[0][0]) return contour[0][1];
+  for (let i = 1; i < contour.length; i++) {
+    const [t1, m1] = contour[i];
+    if (offset <= t1) {
+      const [t0, m0] = contour[i - 1];
+      return t1 === t0 ? m1 : m0 + (m1 - m0) * (offset - t0) / (t1 - t0);
+    }
+  }
+  return contour[contour.length - 1][1];
+}
+
+// Semitones from the note's centre line that still count as on target (vibrato widens it)
+export const PITCH_TOLERANCE_SEMITONES = 3;
+
+/**
+ * How well a sung frequency matches a note at a point in time, in any octave
+ * @returns {{accuracy: number, onTarget: boolean}} accuracy 0-1 (half credit up to twice the tolerance)
+ */
+export function pitchAccuracy(frequency, note, time) {
+  const target = noteMidiAt(note, time);
+  if (!(frequency > 0) || target === null) return { accuracy: 0, onTarget: false };
+
+  const difference = hzToMidi(frequency) - target;
+  const distance = Math.abs(difference - 12 * Math.round(difference / 12)); // Octave-folded, 0-6 semitones
+  const tolerance = PITCH_TOLERANCE_SEMITONES + (note.vibrato?.depth || 0) / 100;
+
+  if (distance <= tolerance) return { accuracy: 1 - distance / tolerance, onTarget: true };
+  if (distance <= tolerance * 2) return { accuracy: 0.5 * (1 - (distance - tolerance) / tolerance), onTarget: false };
+  return { accuracy: 0, onTarget: false };
+}
+
+// e.g. ("A", "minor", 120.4) -> "A minor · 120 BPM"; empty when neither key nor tempo is known
+export function formatKeyAndTempo({ key, mode, bpm } = {}) {
+  const parts = [];
+  if (key) parts.push(mode ? `${key} ${mode}` : key);
+  if (bpm) parts.push(`${Math.round(bpm)} BPM`);
+  return parts.join(' · ');
+}
+
+// e.g. 60 -> "C4"
+export function midiToNoteName(midi) {
+  const rounded = Math.round(midi);
+  return `${NOTE_NAMES[((rounded % 12) + 12) % 12]}${Math.floor(rounded / 12) - 1}`;
+}
@@ -0,0 +1,116 @@
+const API_BASE_URL = import.meta.env.VITE_API_URL || '/api';
+
+const POLL_INTERVAL_MS = 1500;
+
+// Queue (or re-attach to) the processing job for a song. Returns { jobId, status, ... }
+export async function startSongJob({ youtubeId, title, artist }) {
+  const response = await fetch(`${API_BASE_URL}/whisper`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ youtubeId, title, artist }),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+    throw new Error(errorData.error || 'Failed to start song processing');
+  }
+
+  return response.json();
+}
+
+// Fetch a job snapshot. Returns null if the server no longer knows the job (e.g. after a restart)
+export async function fetchJob(jobId) {
+  const response = await fetch(`${API_BASE_URL}/jobs/${jobId}`);
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    throw new Error(`Failed to fetch job ${jobId}: ${response.statusText}`);
+  }
+  return response.json();
+}
+
+// Poll a job until it completes. Resolves with the job result, rejects if the job fails
+async function pollJob(jobId, { onUpdate } = {}) {
+  while (true) {
+    const job = await fetchJob(jobId);
+    if (!job) {
+      throw new Error('Song processing job was lost, please try again');
+    }
+
+    if (onUpdate) onUpdate(job);
+
+    if (job.status === 'completed') return job.result;
+    if (job.status === 'failed') throw new Error(job.error || 'Song processing failed');
+
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+  }
+}
+
+/**
+ * Follow a job's live progress over Server-Sent Events, falling back to polling
+ * if the stream can't be opened.
+ * onUpdate receives job snapshots ({ stage, stageLabel, percent, etaSeconds, ... }),
+ * onComplete the chart result, onError an Error.
+ * Returns a function that stops watching.
+ */
+export function watchJob(jobId, { onUpdate, onComplete, onError }) {
+  let stopped = false;
+  let finished = false;
+
+  const finish = (callback, value) => {
+    if (stopped || finished) return;
+    finished = true;
+    source.close();
+    if (callback) callback(value);
+  };
+
+  const source = new EventSource(`${API_BASE_URL}/jobs/${jobId}/events`);
+
+  source.addEventListener('progress', (event) => {
+    if (!stopped && onUpdate) onUpdate(JSON.parse(event.data));
+  });
+  source.addEventListener('completed', (event) => {
+    const job = JSON.parse(event.data);
+    if (!stopped && onUpdate) onUpdate(job);
+    finish(onComplete, job.result);
+  });
+  source.addEventListener('failed', (event) => {
+    const job = JSON.parse(event.data);
+    if (!stopped && onUpdate) onUpdate(job);
+    finish(onError, new Error(job.error || 'Song processing failed'));
+  });
+
+  // EventSource retries dropped connections by itself; only fall back once it gives up
+  source.onerror = () => {
+    if (source.readyState !== EventSource.CLOSED || stopped || finished) return;
+    finished = true;
+    pollJob(jobId, { onUpdate: (job) => !stopped && onUpdate && onUpdate(job) })
+      .then(result => !stopped && onComplete && onComplete(result))
+      .catch(error => !stopped && onError && onError(error));
+  };
+
+  return () => {
+    stopped = true;
+    source.close();
+  };
+}
+
+// Wait for a job to finish. Resolves with the job result, rejects if the job fails
+export function waitForJob(jobId, { onUpdate } = {}) {
+  return new Promise((resolve, reject) => {
+    watchJob(jobId, { onUpdate, onComplete: resolve, onError: reject });
+  });
+}
+
+// Human-readable status line for a job snapshot, e.g. "Separating vocals..."
+export function describeJob(job) {
+  if (!job || job.status === 'queued') return job ? 'Waiting in queue...' : 'Starting...';
+  if (!job.stageLabel) return 'Starting...';
+  return `${job.stageLabel.charAt(0).toUpperCase()}${job.stageLabel.slice(1)}...`;
+}
+
+// Format an ETA in seconds as "~2 min" / "~45 s"
+export function formatEta(etaSeconds) {
+  if (etaSeconds === null || etaSeconds === undefined) return '';
+  if (etaSeconds >= 60) return `~${Math.round(etaSeconds / 60)} min`;
+  return `~${Math.max(1, Math.round(etaSeconds))} s`;
+}
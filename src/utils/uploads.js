@@ -0,0 +1,29 @@
+const API_BASE_URL = import.meta.env.VITE_API_URL || '/api';
+
+export const ACCEPTED_AUDIO_TYPES = '.mp3,.wav,.flac,audio/mpeg,audio/wav,audio/x-wav,audio/flac,audio/x-flac';
+
+// Uploaded songs use generated "upload-..." ids where YouTube songs use the video ID
+export function isUploadId(songId) {
+  return typeof songId === 'string' && songId.startsWith('upload-');
+}
+
+// Upload an audio file and queue it for processing. Returns { songId, jobId, ... }
+export async function uploadSongFile(file, { title, artist, owner } = {}) {
+  const params = new URLSearchParams({ filename: file.name });
+  if (title) params.set('title', title);
+  if (artist) params.set('artist', artist);
+  if (owner) params.set('owner', owner);
+
+  const response = await fetch(`${API_BASE_URL}/uploads?${params}`, {
+    method: 'POST',
+    headers: { 'Content-Type': file.type || 'application/octet-stream' },
+    body: file,
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+    throw new Error(errorData.error || 'Failed to upload song');
+  }
+
+  return response.json();
+}